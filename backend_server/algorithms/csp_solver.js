@@ -0,0 +1,1105 @@
+/**
+ * CONSTRAINT SOLVER: Exact Alternative to Steps 3-6
+ *
+ * Purpose: Steps 3-6 place labs, theory, rooms and teachers one after another and
+ * never revisit a choice, so a bad early pick (typically 3rd/5th semester labs
+ * fighting over the same rooms) leaves later items unscheduled. This solver treats
+ * all of them as ONE constraint satisfaction problem and searches with backtracking,
+ * so it either finds a complete timetable or proves that none exists.
+ *
+ * Variables (domains in brackets):
+ * - Lab session: one per section and rotation round [working day × lab template window]
+ * - Lab room: one per batch of a lab session [rooms that handle the batch's lab]
+ * - Lab teachers: one per batch of a lab session [pairs of teachers who handle the lab]
+ * - Theory session: one per period block of a subject [working day × start period]
+ *   Regular subjects: hrs_per_week 1-period sessions; several on one day only as one
+ *   contiguous block of at most max_hrs_Day periods, and only with 3+ hours a week
+ *   (the session splits Step 4 may use). Projects: Step 4's consecutive blocks.
+ *
+ * Constraints (the hard rules Steps 2-7 enforce or check):
+ * - Section: nothing overlaps (fixed slots, labs, theory); its hard scheduling rules
+ *   (rule_engine.js): no back-to-back labs, a day starting at day_start ends early
+ * - Batch rotation (Rule 4.7) and batch synchronization, as in Step 3
+ * - Lab room: one batch at a time; theory: at most as many sessions at once as classrooms
+ * - Teacher: one class at a time, never inside an unavailability window;
+ *   two different teachers per lab batch; Professors and Associate Professors stay
+ *   within their lab limit (Assistant Professors may exceed it, as in Step 6)
+ *
+ * Search: depth-first with forward checking - after each choice the values of
+ * related variables that no longer fit are removed, and the search backs up as
+ * soon as a variable has none left. The variable with the fewest values left goes
+ * next (MRV); values are tried best first (few early starts, compact days, light
+ * teacher loads), ties broken by the seeded random source.
+ * Classrooms are assigned after the search: at most N sessions at once can always
+ * be spread over N rooms (earliest start first).
+ *
+ * Result status:
+ * - solved: every variable has a value - saved like Steps 3-6 would
+ * - infeasible: the whole search space was tried - no timetable satisfies all constraints
+ * - timeout: the time budget ran out first (nothing proven)
+ *
+ * Slots locked in the editor are not part of the model - a run with any refuses to start.
+ * So are the hard hours-per-day and labs-per-day rules (UNSUPPORTED_HARD_RULES).
+ *
+ * Input: sem_type, academic_year (Steps 1-2 done), seed, options { timeLimitMs, isCancelled }
+ * Output: Solver summary; timetables saved only when solved
+ */
+
+import Timetable from '../models/timetable_model.js'
+import TeacherAssignment from '../models/pre_assign_teacher_model.js'
+import Subject from '../models/subjects_model.js'
+import SyllabusLabs from '../models/syllabus_labs_model.js'
+import DeptLabs from '../models/dept_labs_model.js'
+import Classroom from '../models/dept_class_model.js'
+import Teacher from '../models/teachers_models.js'
+import LabSlotTemplate, { labSessionWindows, templateForSemester } from '../models/lab_slot_template_model.js'
+import { calendarPeriods } from '../models/department_calendar_model.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, loadCalendar } from './generation_context.js'
+import { loadRules, hardRule, ruleTarget, ruleParam, maxEarlyStartDays } from './rule_engine.js'
+
+// Generation algorithms (generation_metadata.algorithm)
+export const ALGORITHMS = ['greedy', 'csp']
+
+export const DEFAULT_TIME_LIMIT_MS = 60000
+export const MIN_TIME_LIMIT_MS = 1000
+export const MAX_TIME_LIMIT_MS = 600000
+
+const NUM_BATCHES = 3               // Always 3 batches per section (as in Step 3)
+const DEFAULT_LAB_DURATION = 2      // hours (SyllabusLabs.duration_hours default)
+const YIELD_EVERY_MS = 50           // Let other requests run while searching
+const MAX_BOTTLENECKS = 5
+
+// Hard scheduling rules the model has no constraint for (only the greedy steps enforce them)
+const UNSUPPORTED_HARD_RULES = ['max_labs_per_day', 'max_subject_hours_per_day', 'max_teacher_hours_per_day']
+
+/**
+ * Helper: Convert time to minutes since midnight (and back)
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Helper: Shuffle array (Fisher-Yates algorithm)
+ */
+function shuffleArray(array, random) {
+  const shuffled = [...array]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+/**
+ * Helper: Session lengths of a subject (periods)
+ * Regular subjects: 1-period sessions (contiguous ones on a day form a block)
+ * Projects: consecutive blocks of max_hrs_Day periods (Step 4's split)
+ */
+function sessionLengths(subject) {
+  const hours = Math.round(subject.hrs_per_week || 0)
+  if (!subject.is_project) return Array(hours).fill(1)
+
+  const lengths = []
+  for (let remaining = hours; remaining > 0; remaining -= lengths[lengths.length - 1]) {
+    lengths.push(Math.min(remaining, subject.max_hrs_Day || 2))
+  }
+  return lengths
+}
+
+/**
+ * Helper: Theory subjects Step 4 would schedule for a section (fixed-slot subjects excluded)
+ * Returns [{ subject, teacher }] - regular ISE, other department, projects
+ */
+async function loadSectionSubjects(tt, semType) {
+  const sectionLetter = tt.section_name.slice(-1)
+
+  const assignments = await TeacherAssignment.find({
+    sem: tt.sem,
+    sem_type: semType,
+    section: sectionLetter
+  }).populate('subject_id').populate('teacher_id').lean()
+
+  const extraSubjects = await Subject.find({
+    subject_sem: tt.sem,
+    subject_sem_type: semType,
+    $or: [{ is_non_ise_subject: true }, { is_project: true }],
+    is_lab: { $ne: true }
+  }).lean()
+
+  const fixedSubjectIds = new Set(
+    (tt.theory_slots || []).filter(slot => slot.is_fixed_slot).map(slot => slot.subject_id?.toString())
+  )
+
+  const bySubject = new Map()
+  const candidates = [
+    ...assignments.map(a => ({ subject: a.subject_id, teacher: a.teacher_id })),
+    ...extraSubjects.map(subject => ({ subject, teacher: null }))
+  ]
+
+  for (const { subject, teacher } of candidates) {
+    if (!subject) continue
+    const id = subject._id.toString()
+    if (fixedSubjectIds.has(id) || bySubject.has(id)) continue // First entry keeps its teacher
+
+    const regularISE = subject.requires_teacher_assignment === true && !subject.is_project && !subject.is_non_ise_subject
+    if (regularISE || subject.is_non_ise_subject === true || subject.is_project === true) {
+      bySubject.set(id, { subject, teacher })
+    }
+  }
+
+  return [...bySubject.values()]
+}
+
+/**
+ * Build the problem: variables with their domains, fixed occupation, time grid
+ */
+async function buildModel(ctx, timetables) {
+  const semType = ctx.sem_type
+  const calendar = ctx.calendar
+  const dayStart = toMinutes(calendar.day_start)
+  const dayEnd = toMinutes(calendar.day_end)
+  const periods = calendarPeriods(calendar).map(p => ({ start: toMinutes(p.start), end: toMinutes(p.end) }))
+
+  const templates = await LabSlotTemplate.find({ sem_type: semType }).lean()
+  const labRooms = await DeptLabs.find({}).lean()
+  const classrooms = await Classroom.find({ room_type: 'theory' }).lean()
+  const teachers = await Teacher.find({})
+    .select('name teacher_shortform teacher_position max_lab_assign_even max_lab_assign_odd labs_handled unavailability')
+    .lean()
+
+  const teacherById = new Map(teachers.map(t => [t._id.toString(), t]))
+  const labRoomById = new Map(labRooms.map(r => [r._id.toString(), r]))
+
+  // Lab limit of every teacher; hard only for Professors and Associate Professors
+  const labTargets = new Map()
+  const labLimits = new Map()
+  for (const teacher of teachers) {
+    const limit = (semType === 'even' ? teacher.max_lab_assign_even : teacher.max_lab_assign_odd) ?? 0
+    labTargets.set(teacher._id.toString(), limit)
+    if (teacher.teacher_position !== 'Assistant Professor') labLimits.set(teacher._id.toString(), limit)
+  }
+
+  // Hard scheduling rules per section
+  const sectionRules = new Map() // section -> { noConsecutiveLabs, earlyDayEnd, maxEarlyDays }
+  for (const tt of timetables) {
+    const target = ruleTarget(tt)
+    const dayLength = hardRule(ctx.rules, 'early_start_day_length', target)
+    sectionRules.set(tt._id.toString(), {
+      noConsecutiveLabs: !!hardRule(ctx.rules, 'no_consecutive_labs', target),
+      earlyDayEnd: dayLength ? dayEnd - ruleParam(dayLength, 'periods_early') * calendar.period_minutes : dayEnd,
+      maxEarlyDays: maxEarlyStartDays(ctx.rules, tt)
+    })
+  }
+
+  const variables = []
+  const blocked = []       // Fixed occupation: { resource, day, start, end }
+  const sectionFixed = []  // Fixed slots per section: { section, day, start, end }
+  const boundaries = new Set([dayStart, dayEnd])
+  const addInterval = (start, end) => { boundaries.add(start); boundaries.add(end) }
+
+  for (const p of periods) addInterval(p.start, p.end)
+
+  for (const teacher of teachers) {
+    for (const w of (teacher.unavailability || [])) {
+      if (w.sem_type && w.sem_type !== semType) continue
+      const start = toMinutes(w.start_time)
+      const end = toMinutes(w.end_time)
+      addInterval(start, end)
+      blocked.push({ resource: `teacher:${teacher._id}`, day: w.day, start, end })
+    }
+  }
+
+  for (const tt of timetables) {
+    const section = tt._id.toString()
+
+    // Step 2 fixed slots (OEC/PEC) stay where they are
+    for (const slot of (tt.theory_slots || []).filter(s => s.is_fixed_slot)) {
+      const start = toMinutes(slot.start_time)
+      const end = toMinutes(slot.end_time)
+      addInterval(start, end)
+      sectionFixed.push({ section, day: slot.day, start, end })
+      blocked.push({ resource: `section:${section}`, day: slot.day, start, end })
+      if (slot.teacher_id) blocked.push({ resource: `teacher:${slot.teacher_id}`, day: slot.day, start, end })
+      if (!slot.is_project) blocked.push({ resource: 'classrooms', day: slot.day, start, end })
+    }
+
+    // Lab sessions: one per rotation round, NUM_BATCHES batches each
+    const labs = await SyllabusLabs.find({ lab_sem: tt.sem, lab_sem_type: semType }).sort({ lab_code: 1 }).lean()
+    if (labs.length > 0) {
+      const sessionHours = Math.max(...labs.map(lab => lab.duration_hours || DEFAULT_LAB_DURATION))
+      const windows = labSessionWindows(templateForSemester(templates, tt.sem), sessionHours)
+        .map(w => ({ start: toMinutes(w.start), end: toMinutes(w.end) }))
+        .filter(w => w.start >= dayStart && w.end <= dayEnd)
+      for (const w of windows) addInterval(w.start, w.end)
+
+      for (let round = 0; round < labs.length; round++) {
+        const batches = []
+        for (let batchNum = 1; batchNum <= NUM_BATCHES; batchNum++) {
+          const lab = labs[(round + batchNum - 1) % labs.length]
+          const labId = lab._id.toString()
+          batches.push({
+            batchNum,
+            lab,
+            rooms: labRooms.filter(r => (r.lab_subjects_handled || []).some(id => id.toString() === labId)).map(r => r._id.toString()),
+            teachers: teachers.filter(t => (t.labs_handled || []).some(id => id.toString() === labId)).map(t => t._id.toString())
+          })
+        }
+
+        const labVar = {
+          kind: 'lab',
+          label: `${tt.section_name} lab session ${round + 1} (${batches.map(b => `${tt.section_name}${b.batchNum} ${b.lab.lab_shortform || b.lab.lab_code}`).join(', ')})`,
+          tt,
+          section,
+          sessionHours,
+          batches,
+          values: calendar.working_days.flatMap(day => windows.map(w => ({ day, start: w.start, end: w.end }))),
+          children: []
+        }
+        variables.push(labVar)
+
+        for (const batch of batches) {
+          const name = `${tt.section_name}${batch.batchNum} ${batch.lab.lab_shortform || batch.lab.lab_code}`
+          const roomVar = {
+            kind: 'room',
+            label: `${name} lab room`,
+            parent: labVar,
+            batch,
+            values: batch.rooms.map(roomId => ({ roomId }))
+          }
+          const pairs = []
+          for (let i = 0; i < batch.teachers.length; i++) {
+            for (let j = i + 1; j < batch.teachers.length; j++) {
+              pairs.push({ teacherIds: [batch.teachers[i], batch.teachers[j]] })
+            }
+          }
+          const teachersVar = {
+            kind: 'teachers',
+            label: `${name} lab teachers`,
+            parent: labVar,
+            batch,
+            values: pairs
+          }
+          labVar.children.push(roomVar, teachersVar)
+          variables.push(roomVar, teachersVar)
+        }
+      }
+    }
+
+    // Theory sessions
+    for (const { subject, teacher } of await loadSectionSubjects(tt, semType)) {
+      const lengths = sessionLengths(subject)
+      const hours = lengths.reduce((sum, length) => sum + length, 0)
+      const maxPerDay = subject.is_project
+        ? Infinity
+        : (hours >= 3 && (subject.max_hrs_Day || 2) >= 2 ? subject.max_hrs_Day || 2 : 1)
+      const trackTeacher = subject.requires_teacher_assignment && teacher ? teacher._id.toString() : null
+      const group = { subject, teacher, maxPerDay, sessions: [] }
+
+      lengths.forEach((length, index) => {
+        const values = []
+        calendar.working_days.forEach((day, dayIndex) => {
+          for (let i = 0; i + length <= periods.length; i++) {
+            // Consecutive calendar periods only (no break inside a session)
+            let contiguous = true
+            for (let k = i + 1; k < i + length; k++) {
+              if (periods[k].start !== periods[k - 1].end) contiguous = false
+            }
+            if (!contiguous) continue
+            const start = periods[i].start
+            const end = periods[i + length - 1].end
+            values.push({ day, start, end, key: dayIndex * 10000 + start })
+          }
+        })
+
+        const variable = {
+          kind: 'theory',
+          label: `${tt.section_name} ${subject.subject_shortform || subject.subject_code} session ${index + 1}/${lengths.length}`,
+          tt,
+          section,
+          group,
+          length,
+          teacherId: trackTeacher,
+          needsClassroom: !subject.is_project,
+          values
+        }
+        group.sessions.push(variable)
+        variables.push(variable)
+      })
+    }
+  }
+
+  // Time grid: the day cut at every time anything can start or end
+  const points = [...boundaries].sort((a, b) => a - b)
+  const pointIndex = new Map(points.map((p, i) => [p, i]))
+  const span = (start, end) => [pointIndex.get(start), pointIndex.get(end)]
+
+  for (const variable of variables) {
+    for (const value of variable.values) {
+      if (value.start !== undefined) [value.a, value.b] = span(value.start, value.end)
+    }
+  }
+  for (const entry of blocked) [entry.a, entry.b] = span(entry.start, entry.end)
+
+  return {
+    calendar,
+    dayStart,
+    sectionRules,
+    segments: points.length - 1,
+    variables,
+    blocked,
+    sectionFixed,
+    classrooms,
+    teacherById,
+    labRoomById,
+    labTargets,
+    labLimits
+  }
+}
+
+/**
+ * Search state: occupation grids, per-section day items, lab counts, trail for undo
+ */
+function createState(model) {
+  const grids = new Map() // "resource|day" -> Int16Array of segment counts
+  const sectionDays = new Map() // "section|day" -> [{ start, end, lab }]
+  const labCounts = new Map() // teacherId -> lab batches
+
+  const grid = (resource, day) => {
+    const key = `${resource}|${day}`
+    let counts = grids.get(key)
+    if (!counts) {
+      counts = new Int16Array(model.segments)
+      grids.set(key, counts)
+    }
+    return counts
+  }
+
+  const state = {
+    model,
+    grid,
+    sectionDays,
+    labCounts,
+    classroomCapacity: model.classrooms.length,
+    trail: []
+  }
+
+  for (const entry of model.blocked) {
+    const counts = grid(entry.resource, entry.day)
+    for (let s = entry.a; s < entry.b; s++) counts[s]++
+  }
+  for (const fixed of model.sectionFixed) {
+    sectionItems(state, fixed.section, fixed.day).push({ start: fixed.start, end: fixed.end, lab: false })
+  }
+
+  return state
+}
+
+function sectionItems(state, section, day) {
+  const key = `${section}|${day}`
+  let items = state.sectionDays.get(key)
+  if (!items) {
+    items = []
+    state.sectionDays.set(key, items)
+  }
+  return items
+}
+
+function isFree(state, resource, day, a, b) {
+  const counts = state.grid(resource, day)
+  for (let s = a; s < b; s++) if (counts[s] > 0) return false
+  return true
+}
+
+function hasClassroom(state, day, a, b) {
+  const counts = state.grid('classrooms', day)
+  for (let s = a; s < b; s++) if (counts[s] >= state.classroomCapacity) return false
+  return true
+}
+
+function occupy(state, resource, day, a, b, delta) {
+  const counts = state.grid(resource, day)
+  for (let s = a; s < b; s++) counts[s] += delta
+}
+
+// Teacher can take one more lab batch at this time
+function teacherAvailable(state, teacherId, day, a, b) {
+  const limit = state.model.labLimits.get(teacherId)
+  if (limit !== undefined && (state.labCounts.get(teacherId) || 0) >= limit) return false
+  return isFree(state, `teacher:${teacherId}`, day, a, b)
+}
+
+/**
+ * Helper: Section rules for a new item on a day
+ * - No overlap (checked on the grid by the caller)
+ * - Labs: not back-to-back with another lab (no_consecutive_labs)
+ * - Day starting at day_start ends early (early_start_day_length - only rejects a new violation)
+ */
+function fitsSectionDay(state, section, day, start, end, isLab) {
+  const { dayStart } = state.model
+  const { noConsecutiveLabs, earlyDayEnd } = state.model.sectionRules.get(section)
+  const items = state.sectionDays.get(`${section}|${day}`) || []
+
+  let early = false
+  let latestEnd = 0
+  for (const item of items) {
+    if (isLab && noConsecutiveLabs && item.lab && (item.end === start || item.start === end)) return false
+    if (item.start === dayStart) early = true
+    latestEnd = Math.max(latestEnd, item.end)
+  }
+
+  const violatedBefore = early && latestEnd > earlyDayEnd
+  const violatedAfter = (early || start === dayStart) && Math.max(latestEnd, end) > earlyDayEnd
+  return violatedBefore || !violatedAfter
+}
+
+/**
+ * Helper: Regular subject rules between sessions of one subject
+ * Sessions are ordered (same length = interchangeable, so only one order is searched);
+ * sessions on one day must form one contiguous block of at most maxPerDay
+ */
+function fitsSubject(variable, value) {
+  const { group } = variable
+  const index = group.sessions.indexOf(variable)
+  let sameDay = 1
+
+  for (let i = 0; i < group.sessions.length; i++) {
+    const other = group.sessions[i]
+    if (other === variable || !other.value) continue
+    const v = other.value
+
+    if (other.length === variable.length) {
+      if (i < index && v.key >= value.key) return false
+      if (i > index && v.key <= value.key) return false
+    }
+    if (v.day !== value.day) continue
+    if (value.start < v.end && v.start < value.end) return false
+    if (group.maxPerDay === Infinity) continue
+
+    sameDay++
+    if (i === index - 1 && v.end !== value.start) return false
+    if (i === index + 1 && value.end !== v.start) return false
+  }
+
+  return sameDay <= group.maxPerDay
+}
+
+/**
+ * Does value fit variable, given everything assigned so far?
+ */
+function fits(state, variable, value) {
+  switch (variable.kind) {
+    case 'lab': {
+      const { day, start, end, a, b } = value
+      if (!isFree(state, `section:${variable.section}`, day, a, b)) return false
+      if (!fitsSectionDay(state, variable.section, day, start, end, true)) return false
+
+      // Look ahead: rooms and teachers for every batch must still exist at this time
+      const rooms = new Set()
+      const teachers = new Set()
+      for (const batch of variable.batches) {
+        const freeRooms = batch.rooms.filter(roomId => isFree(state, `labroom:${roomId}`, day, a, b))
+        const freeTeachers = batch.teachers.filter(teacherId => teacherAvailable(state, teacherId, day, a, b))
+        if (freeRooms.length === 0 || freeTeachers.length < 2) return false
+        freeRooms.forEach(roomId => rooms.add(roomId))
+        freeTeachers.forEach(teacherId => teachers.add(teacherId))
+      }
+      return rooms.size >= variable.batches.length && teachers.size >= 2 * variable.batches.length
+    }
+
+    case 'room': {
+      const { day, a, b } = variable.parent.value
+      return isFree(state, `labroom:${value.roomId}`, day, a, b)
+    }
+
+    case 'teachers': {
+      const { day, a, b } = variable.parent.value
+      return value.teacherIds.every(teacherId => teacherAvailable(state, teacherId, day, a, b))
+    }
+
+    case 'theory': {
+      const { day, start, end, a, b } = value
+      if (!isFree(state, `section:${variable.section}`, day, a, b)) return false
+      if (variable.teacherId && !isFree(state, `teacher:${variable.teacherId}`, day, a, b)) return false
+      if (variable.needsClassroom && !hasClassroom(state, day, a, b)) return false
+      if (!fitsSectionDay(state, variable.section, day, start, end, false)) return false
+      return fitsSubject(variable, value)
+    }
+  }
+  return false
+}
+
+/**
+ * Apply / undo an assignment on the occupation state
+ */
+function apply(state, variable, value, delta) {
+  switch (variable.kind) {
+    case 'lab':
+    case 'theory': {
+      const { day, start, end, a, b } = value
+      occupy(state, `section:${variable.section}`, day, a, b, delta)
+      if (variable.teacherId) occupy(state, `teacher:${variable.teacherId}`, day, a, b, delta)
+      if (variable.needsClassroom) occupy(state, 'classrooms', day, a, b, delta)
+
+      const items = sectionItems(state, variable.section, day)
+      if (delta > 0) items.push({ start, end, lab: variable.kind === 'lab' })
+      else items.pop() // Undo runs in reverse order - the item is the last one
+      break
+    }
+    case 'room': {
+      const { day, a, b } = variable.parent.value
+      occupy(state, `labroom:${value.roomId}`, day, a, b, delta)
+      break
+    }
+    case 'teachers': {
+      const { day, a, b } = variable.parent.value
+      for (const teacherId of value.teacherIds) {
+        occupy(state, `teacher:${teacherId}`, day, a, b, delta)
+        state.labCounts.set(teacherId, (state.labCounts.get(teacherId) || 0) + delta)
+      }
+      break
+    }
+  }
+}
+
+/**
+ * Related variables: the ones whose values may stop fitting when this one is assigned
+ * (they read a resource it takes, or share a subject / lab session with it)
+ */
+function linkNeighbors(model) {
+  const readers = new Map() // resource -> variables checking it
+  const read = (resource, variable) => {
+    if (!readers.has(resource)) readers.set(resource, new Set())
+    readers.get(resource).add(variable)
+  }
+  const writes = new Map() // variable -> resources it takes
+
+  for (const variable of model.variables) {
+    const taken = []
+    switch (variable.kind) {
+      case 'lab':
+        read(`section:${variable.section}`, variable)
+        for (const batch of variable.batches) {
+          batch.rooms.forEach(roomId => read(`labroom:${roomId}`, variable))
+          batch.teachers.forEach(teacherId => read(`teacher:${teacherId}`, variable))
+        }
+        taken.push(`section:${variable.section}`)
+        break
+      case 'room':
+        variable.values.forEach(({ roomId }) => {
+          read(`labroom:${roomId}`, variable)
+          taken.push(`labroom:${roomId}`)
+        })
+        break
+      case 'teachers':
+        new Set(variable.values.flatMap(v => v.teacherIds)).forEach(teacherId => {
+          read(`teacher:${teacherId}`, variable)
+          taken.push(`teacher:${teacherId}`)
+        })
+        break
+      case 'theory':
+        read(`section:${variable.section}`, variable)
+        taken.push(`section:${variable.section}`)
+        if (variable.teacherId) {
+          read(`teacher:${variable.teacherId}`, variable)
+          taken.push(`teacher:${variable.teacherId}`)
+        }
+        if (variable.needsClassroom) {
+          read('classrooms', variable)
+          taken.push('classrooms')
+        }
+        break
+    }
+    writes.set(variable, taken)
+  }
+
+  for (const variable of model.variables) {
+    const neighbors = new Set()
+    for (const resource of writes.get(variable)) {
+      for (const other of (readers.get(resource) || [])) neighbors.add(other)
+    }
+    if (variable.kind === 'lab') variable.children.forEach(child => neighbors.add(child))
+    if (variable.kind === 'theory') variable.group.sessions.forEach(other => neighbors.add(other))
+    neighbors.delete(variable)
+    variable.neighbors = [...neighbors]
+  }
+}
+
+// Room and teacher variables can only be decided once their lab session has a time
+function isReady(variable) {
+  return !variable.parent || !!variable.parent.value
+}
+
+// Day a value of the variable lies on
+function dayOf(variable, value) {
+  return variable.parent ? variable.parent.value.day : value.day
+}
+
+/**
+ * Forward checking after assigning variable: remove neighbor values that no longer fit
+ * Only values on the changed day can be affected - except through the subject order
+ * and the lab limits, which span the week
+ * Returns the variable left without values, or null
+ */
+function propagate(state, variable) {
+  const day = dayOf(variable, variable.value)
+
+  for (const other of variable.neighbors) {
+    if (other.value || !isReady(other)) continue
+    const wholeWeek = (variable.kind === 'theory' && other.kind === 'theory' && other.group === variable.group) ||
+      (variable.kind === 'teachers' && other.kind === 'teachers')
+
+    for (const value of other.values) {
+      if (value.pruned) continue
+      if (!wholeWeek && dayOf(other, value) !== day) continue
+      if (!fits(state, other, value)) {
+        value.pruned = true
+        other.size--
+        state.trail.push({ variable: other, value })
+      }
+    }
+    if (other.size === 0) return other
+  }
+  return null
+}
+
+function undoTo(state, mark) {
+  while (state.trail.length > mark) {
+    const { variable, value } = state.trail.pop()
+    value.pruned = false
+    variable.size++
+  }
+}
+
+/**
+ * Next variable: fewest values left, then most neighbors
+ */
+function selectVariable(variables) {
+  let best = null
+  for (const variable of variables) {
+    if (variable.value || !isReady(variable)) continue
+    if (!best || variable.size < best.size ||
+        (variable.size === best.size && variable.neighbors.length > best.neighbors.length)) {
+      best = variable
+    }
+  }
+  return best
+}
+
+/**
+ * Value order: lower score first (soft preferences only - every value left fits)
+ */
+function orderValues(state, variable, random) {
+  const { dayStart, sectionRules } = state.model
+  const alive = variable.values.filter(value => !value.pruned)
+
+  const earlyDays = (section) => {
+    let count = 0
+    for (const day of state.model.calendar.working_days) {
+      if ((state.sectionDays.get(`${section}|${day}`) || []).some(item => item.start === dayStart)) count++
+    }
+    return count
+  }
+
+  const scored = alive.map(value => {
+    let score = random() * 2
+    switch (variable.kind) {
+      case 'lab':
+      case 'theory': {
+        const items = state.sectionDays.get(`${variable.section}|${value.day}`) || []
+        if (value.start === dayStart) score += earlyDays(variable.section) >= sectionRules.get(variable.section).maxEarlyDays ? 100 : 5
+        if (items.some(item => item.end === value.start || item.start === value.end)) score -= 3
+        else if (items.length > 0) score += 2
+        if (variable.kind === 'lab' && items.some(item => item.lab)) score += 5
+        if (variable.kind === 'theory' && variable.group.sessions.some(s => s.value?.day === value.day)) score += 30
+        break
+      }
+      case 'teachers':
+        for (const teacherId of value.teacherIds) {
+          const count = state.labCounts.get(teacherId) || 0
+          // Assistant Professors go beyond their limit only when nobody else is left
+          score += count >= state.model.labTargets.get(teacherId) ? 10 : count
+        }
+        break
+    }
+    return { value, score }
+  })
+
+  return scored.sort((x, y) => x.score - y.score).map(({ value }) => value)
+}
+
+/**
+ * Depth-first search with forward checking (explicit stack, yields to the event loop)
+ * Returns { status: 'solved' | 'infeasible' | 'timeout' | 'cancelled', nodes, backtracks, reason }
+ */
+async function search(state, random, { deadline, isCancelled }) {
+  const { variables } = state.model
+  let nodes = 0
+  let backtracks = 0
+  let lastYield = Date.now()
+
+  // Root: values that already clash with fixed slots / unavailability
+  for (const variable of variables) {
+    variable.size = variable.values.length
+    if (variable.size === 0) {
+      return { status: 'infeasible', nodes, backtracks, reason: `${variable.label}: no possible ${variable.kind === 'room' ? 'room' : variable.kind === 'teachers' ? 'pair of teachers' : 'time'}` }
+    }
+  }
+  for (const variable of variables) {
+    if (!isReady(variable)) continue
+    for (const value of variable.values) {
+      if (!fits(state, variable, value)) {
+        value.pruned = true
+        variable.size--
+      }
+    }
+    if (variable.size === 0) {
+      return { status: 'infeasible', nodes, backtracks, reason: `${variable.label}: no possible time left by fixed slots and teacher unavailability` }
+    }
+  }
+  state.trail.length = 0
+
+  const first = selectVariable(variables)
+  if (!first) return { status: 'solved', nodes, backtracks }
+
+  const stack = [{ variable: first, values: orderValues(state, first, random), index: 0, mark: 0 }]
+
+  while (stack.length > 0) {
+    const now = Date.now()
+    if (now - lastYield >= YIELD_EVERY_MS) {
+      if (now >= deadline) return { status: 'timeout', nodes, backtracks }
+      if (isCancelled?.()) return { status: 'cancelled', nodes, backtracks }
+      await new Promise(resolve => setTimeout(resolve, 0))
+      lastYield = Date.now()
+    }
+
+    const frame = stack[stack.length - 1]
+    const { variable } = frame
+
+    // Take back this frame's previous value
+    if (variable.value) {
+      apply(state, variable, variable.value, -1)
+      variable.value = null
+      undoTo(state, frame.mark)
+    }
+
+    if (frame.index >= frame.values.length) {
+      stack.pop()
+      backtracks++
+      continue
+    }
+
+    const value = frame.values[frame.index++]
+    nodes++
+    frame.mark = state.trail.length
+    variable.value = value
+    apply(state, variable, value, +1)
+
+    const wipedOut = propagate(state, variable)
+    if (wipedOut) {
+      wipedOut.failures = (wipedOut.failures || 0) + 1
+      continue
+    }
+
+    const next = selectVariable(variables)
+    if (!next) return { status: 'solved', nodes, backtracks }
+    stack.push({ variable: next, values: orderValues(state, next, random), index: 0, mark: state.trail.length })
+  }
+
+  return { status: 'infeasible', nodes, backtracks, reason: 'Every combination was tried - no timetable satisfies all constraints' }
+}
+
+/**
+ * Helper: Classrooms for all non-project theory slots of the run
+ * At most N sessions at once (the classroom constraint) → earliest start first never runs out
+ */
+function assignClassroomsToSlots(slotsByDay, classrooms, random) {
+  const rooms = shuffleArray(classrooms, random)
+
+  for (const slots of slotsByDay.values()) {
+    const freeAt = new Map(rooms.map(room => [room._id.toString(), 0]))
+    slots.sort((x, y) => toMinutes(x.start_time) - toMinutes(y.start_time))
+
+    for (const slot of slots) {
+      const start = toMinutes(slot.start_time)
+      const room = rooms.find(r => freeAt.get(r._id.toString()) <= start)
+      slot.classroom_id = room._id
+      slot.classroom_name = room.room_no
+      freeAt.set(room._id.toString(), toMinutes(slot.end_time))
+    }
+  }
+}
+
+/**
+ * Helper: Turn the solution into timetable slots (same format as Steps 2-6)
+ */
+function buildSlots(model, timetables, random) {
+  const result = new Map(timetables.map(tt => [tt._id.toString(), {
+    lab_slots: [],
+    theory_slots: (tt.theory_slots || []).filter(slot => slot.is_fixed_slot).map(slot => ({ ...slot }))
+  }]))
+
+  for (const variable of model.variables.filter(v => v.kind === 'lab')) {
+    const { day, start, end } = variable.value
+    const batches = variable.batches.map((batch, i) => {
+      const room = model.labRoomById.get(variable.children[2 * i].value.roomId)
+      const [teacher1, teacher2] = variable.children[2 * i + 1].value.teacherIds.map(id => model.teacherById.get(id))
+      return {
+        batch_number: batch.batchNum,
+        batch_name: `${variable.tt.section_name}${batch.batchNum}`,
+        lab_id: batch.lab._id,
+        lab_name: batch.lab.lab_name,
+        lab_shortform: batch.lab.lab_shortform || batch.lab.lab_code,
+        lab_room_id: room._id,
+        lab_room_name: room.labRoom_no,
+        teacher1_id: teacher1._id,
+        teacher1_name: teacher1.name,
+        teacher1_shortform: teacher1.teacher_shortform,
+        teacher2_id: teacher2._id,
+        teacher2_name: teacher2.name,
+        teacher2_shortform: teacher2.teacher_shortform,
+        teacher_status: '2_teachers'
+      }
+    })
+    result.get(variable.section).lab_slots.push({
+      slot_type: 'multi_batch_lab',
+      day,
+      start_time: toTime(start),
+      end_time: toTime(end),
+      duration_hours: variable.sessionHours,
+      batches
+    })
+  }
+
+  // Theory: contiguous sessions of a subject on one day become one block
+  const groups = new Set(model.variables.filter(v => v.kind === 'theory').map(v => v.group))
+  for (const group of groups) {
+    const { subject, teacher } = group
+    const sessions = group.sessions.map(s => ({ section: s.section, length: s.length, ...s.value }))
+      .sort((x, y) => x.key - y.key)
+    const blocks = []
+    for (const session of sessions) {
+      const last = blocks[blocks.length - 1]
+      if (!subject.is_project && last && last.day === session.day && last.end === session.start) {
+        last.end = session.end
+        last.length += session.length
+      } else {
+        blocks.push({ ...session })
+      }
+    }
+
+    for (const block of blocks) {
+      result.get(block.section).theory_slots.push({
+        day: block.day,
+        start_time: toTime(block.start),
+        end_time: toTime(block.end),
+        duration_hours: block.length,
+        subject_id: subject._id,
+        subject_name: subject.subject_name,
+        subject_shortform: subject.subject_shortform || subject.subject_code,
+        teacher_id: teacher ? teacher._id : null,
+        teacher_name: teacher ? teacher.name : '[Other Dept]',
+        teacher_shortform: teacher ? (teacher.teacher_shortform || teacher.name) : '[Other Dept]',
+        is_fixed_slot: false,
+        is_project: subject.is_project === true
+      })
+    }
+  }
+
+  const slotsByDay = new Map()
+  for (const { theory_slots } of result.values()) {
+    for (const slot of theory_slots) {
+      if (slot.is_project) continue
+      if (!slotsByDay.has(slot.day)) slotsByDay.set(slot.day, [])
+      slotsByDay.get(slot.day).push(slot)
+    }
+  }
+  assignClassroomsToSlots(slotsByDay, model.classrooms, random)
+
+  return result
+}
+
+/**
+ * Main: Solve labs, theory, rooms and teachers of all sections in one search
+ * Replaces Steps 3-6 of a full run (generation_metadata.algorithm = 'csp')
+ * seed: same seed + same data → same solution (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
+ * options.timeLimitMs: search budget (default DEFAULT_TIME_LIMIT_MS)
+ * options.isCancelled(): checked while searching - stops with status 'cancelled'
+ */
+export async function solveTimetables(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed }), options = {}) {
+  const timeLimitMs = options.timeLimitMs ?? DEFAULT_TIME_LIMIT_MS
+
+  console.log(`\n${'='.repeat(80)}`)
+  console.log(`🧩 CONSTRAINT SOLVER: LABS + THEORY + ROOMS + TEACHERS`)
+  console.log(`   Semester Type: ${semType.toUpperCase()}`)
+  console.log(`   Academic Year: ${academicYear}`)
+  console.log(`   Time limit: ${timeLimitMs} ms`)
+  console.log(`${'='.repeat(80)}\n`)
+
+  ctx.random = createRandom(seed)
+  const startTime = Date.now()
+
+  try {
+    const calendar = await loadCalendar(ctx)
+    const rules = await loadRules(ctx)
+
+    const timetables = await Timetable.find({
+      sem_type: semType,
+      academic_year: academicYear
+    }).lean()
+
+    if (timetables.length === 0) {
+      throw new Error('No timetables found. Please run Steps 1-2 first.')
+    }
+
+    // The model only knows fixed slots - locked slots would be dropped when saving
+    const lockedSections = timetables.filter(tt =>
+      [...(tt.theory_slots || []), ...(tt.lab_slots || [])].some(slot => slot.locked === true)
+    )
+    if (lockedSections.length > 0) {
+      throw new Error(`${lockedSections.length} section(s) have locked slots, which only the greedy algorithm keeps. Unlock them or generate with the greedy algorithm.`)
+    }
+    
+    const unsupportedRules = rules.filter(rule => rule.enabled && rule.kind === 'hard' && UNSUPPORTED_HARD_RULES.includes(rule.rule))
+    if (unsupportedRules.length > 0) {
+      throw new Error(`Hard scheduling rule(s) ${[...new Set(unsupportedRules.map(rule => rule.rule))].join(', ')} are only enforced by the greedy algorithm. Make them soft or generate with the greedy algorithm.`)
+    }
+
+    console.log(`📅 Calendar: ${calendar.working_days.join(', ')} ${calendar.day_start}-${calendar.day_end}${calendar.is_default ? ' (default)' : ''}`)
+
+    const model = await buildModel(ctx, timetables)
+    linkNeighbors(model)
+    const counts = { lab: 0, room: 0, teachers: 0, theory: 0 }
+    model.variables.forEach(v => counts[v.kind]++)
+    console.log(`📋 ${timetables.length} sections, ${model.variables.length} variables: ${counts.lab} lab sessions, ${counts.room} lab rooms, ${counts.teachers} lab teacher pairs, ${counts.theory} theory sessions`)
+    console.log(`🏫 ${model.classrooms.length} classrooms, ${model.labRoomById.size} lab rooms, ${model.teacherById.size} teachers\n`)
+
+    const state = createState(model)
+    const outcome = await search(state, ctx.random, {
+      deadline: startTime + timeLimitMs,
+      isCancelled: options.isCancelled
+    })
+
+    const summary = {
+      status: outcome.status,
+      seed,
+      time_limit_ms: timeLimitMs,
+      time_ms: Date.now() - startTime,
+      variables: model.variables.length,
+      nodes: outcome.nodes,
+      backtracks: outcome.backtracks,
+      reason: outcome.reason || null,
+      bottlenecks: model.variables
+        .filter(v => v.failures > 0)
+        .sort((x, y) => y.failures - x.failures)
+        .slice(0, MAX_BOTTLENECKS)
+        .map(v => v.label),
+      solved_at: new Date()
+    }
+
+    console.log(`🔎 Search: ${outcome.status.toUpperCase()} after ${summary.nodes} nodes, ${summary.backtracks} backtracks, ${summary.time_ms} ms`)
+    if (summary.reason) console.log(`   ${summary.reason}`)
+    if (summary.bottlenecks.length > 0) console.log(`   Hardest to place: ${summary.bottlenecks.join('; ')}`)
+
+    if (outcome.status !== 'solved') {
+      if (outcome.status !== 'cancelled') {
+        await Timetable.updateMany(
+          { sem_type: semType, academic_year: academicYear },
+          { $set: { 'generation_metadata.algorithm': 'csp', 'generation_metadata.solver_summary': summary } }
+        )
+      }
+      return { success: false, message: solverMessage(summary), data: summary }
+    }
+
+    // Save like Steps 3-6 would
+    console.log(`\n💾 Saving solved timetables...`)
+    const slots = buildSlots(model, timetables, ctx.random)
+    let labSessions = 0
+    let theorySlots = 0
+
+    for (const tt of timetables) {
+      const { lab_slots, theory_slots } = slots.get(tt._id.toString())
+      const newSlots = theory_slots.filter(slot => !slot.is_fixed_slot)
+      const subjects = new Set(newSlots.map(slot => slot.subject_id.toString())).size
+      const fixedSubjects = new Set(theory_slots.filter(slot => slot.is_fixed_slot).map(slot => slot.subject_id?.toString())).size
+      const batches = lab_slots.reduce((sum, slot) => sum + slot.batches.length, 0)
+      labSessions += lab_slots.length
+      theorySlots += newSlots.length
+
+      await Timetable.updateOne(
+        { _id: tt._id },
+        {
+          $set: {
+            lab_slots,
+            theory_slots,
+            breaks: [],
+            'generation_metadata.algorithm': 'csp',
+            'generation_metadata.solver_summary': summary,
+            'generation_metadata.unscheduled_items': [],
+            'generation_metadata.current_step': 6,
+            'generation_metadata.steps_completed': [
+              'load_sections',
+              'block_fixed_slots',
+              'schedule_labs',
+              'schedule_theory',
+              'assign_classrooms',
+              'assign_teachers'
+            ],
+            'generation_metadata.theory_scheduling_summary': {
+              total_subjects_found: subjects + fixedSubjects,
+              subjects_in_fixed_slots: fixedSubjects,
+              subjects_to_schedule_step4: subjects,
+              total_scheduled: subjects + fixedSubjects,
+              success_rate: '100.0'
+            },
+            'generation_metadata.teacher_assignment_summary': {
+              total_lab_batches: batches,
+              batches_with_2_teachers: batches,
+              batches_with_1_teacher: 0,
+              batches_without_teacher: 0
+            }
+          }
+        }
+      )
+    }
+
+    console.log(`   ✅ Saved ${timetables.length} timetables: ${labSessions} lab sessions, ${theorySlots} theory slots\n`)
+    console.log(`${'='.repeat(80)}`)
+    console.log(`✅ CONSTRAINT SOLVER COMPLETE: every lab, theory hour, room and teacher placed`)
+    console.log(`${'='.repeat(80)}\n`)
+
+    return {
+      success: true,
+      message: solverMessage(summary),
+      data: {
+        ...summary,
+        sections_processed: timetables.length,
+        lab_sessions_scheduled: labSessions,
+        theory_slots_scheduled: theorySlots
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error in constraint solver:', error)
+    throw error
+  }
+}
+
+function solverMessage(summary) {
+  switch (summary.status) {
+    case 'solved':
+      return `Constraint solver found a complete timetable (${summary.nodes} nodes, ${summary.time_ms} ms)`
+    case 'infeasible':
+      return `No timetable satisfies all constraints - ${summary.reason}`
+    case 'timeout':
+      return `Constraint solver found no timetable within ${summary.time_limit_ms} ms (nothing proven) - try a longer time limit or another seed`
+    default:
+      return 'Constraint solver cancelled'
+  }
+}
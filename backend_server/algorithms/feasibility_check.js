@@ -0,0 +1,384 @@
+/**
+ * FEASIBILITY CHECK: Readiness of a Semester Before Generation
+ *
+ * Purpose: Find the capacity problems that would make Steps 3-6 (or the constraint
+ * solver) fail - not enough lab rooms, teacher hours or periods - from the master
+ * data alone, before anything is generated. Nothing is saved.
+ *
+ * Checks (each a necessary condition - passing them does not promise a timetable):
+ * 1. Lab resources: every lab has a compatible Dept_Labs room and a qualified teacher,
+ *    and the batches of one lab session can get distinct rooms
+ * 2. Lab room capacity: lab sessions needed vs compatible room sessions per week
+ *    (per lab, per semester, and lab-hours over all lab rooms)
+ * 3. Section theory hours: hrs_per_week of a section's subjects vs the periods left
+ *    after its lab sessions; regular subjects without a teacher assignment
+ * 4. Teacher theory hours: Teacher_Subject_Assignments hours vs periods outside the
+ *    teacher's unavailability
+ * 5. Lab teacher capacity: lab batches vs summed max_lab_assign_odd/even
+ *
+ * Input: sem_type, academic_year (ISE_Sections + master data; no timetables needed)
+ * Output: { ready, errors, warnings, checks: [{ key, title, status, summary, issues }] }
+ */
+
+import ISESections from '../models/ise_sections_model.js'
+import SyllabusLabs from '../models/syllabus_labs_model.js'
+import DeptLabs from '../models/dept_labs_model.js'
+import Teacher from '../models/teachers_models.js'
+import TeacherAssignment from '../models/pre_assign_teacher_model.js'
+import Subject from '../models/subjects_model.js'
+import LabSlotTemplate, { labSessionWindows, templateForSemester } from '../models/lab_slot_template_model.js'
+import DepartmentCalendar, { calendarPeriods } from '../models/department_calendar_model.js'
+
+const NUM_BATCHES = 3            // Always 3 batches per section (as in Step 3)
+const DEFAULT_LAB_DURATION = 2   // hours (SyllabusLabs.duration_hours default)
+const TIGHT_RATIO = 0.9          // Demand above 90% of capacity = warning
+
+/**
+ * Helper: Convert time to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Helper: Most sessions one room can hold per day (non-overlapping windows, earliest end first)
+ */
+function maxSessionsPerDay(windows) {
+  let count = 0
+  let freeFrom = -1
+  for (const w of [...windows].sort((a, b) => a.end - b.end)) {
+    if (w.start >= freeFrom) {
+      count++
+      freeFrom = w.end
+    }
+  }
+  return count
+}
+
+/**
+ * Helper: Can the batches of a lab session get distinct rooms? (roomsByBatch: room ids per batch)
+ */
+function hasDistinctRooms(roomsByBatch, used = new Set(), index = 0) {
+  if (index === roomsByBatch.length) return true
+  return roomsByBatch[index].some(roomId => {
+    if (used.has(roomId)) return false
+    used.add(roomId)
+    const found = hasDistinctRooms(roomsByBatch, used, index + 1)
+    used.delete(roomId)
+    return found
+  })
+}
+
+/**
+ * Helper: Check result - its status is the worst severity among its issues
+ */
+function checkResult(key, title, summary, issues) {
+  const status = issues.some(i => i.severity === 'error') ? 'error'
+    : issues.some(i => i.severity === 'warning') ? 'warning'
+    : 'ok'
+  return { key, title, status, summary, issues }
+}
+
+const labName = lab => `${lab.lab_shortform || lab.lab_code} (Sem ${lab.lab_sem})`
+
+/**
+ * Helper: Time grid, lookups and each semester's lab sessions (planned as in Step 3)
+ */
+function buildData({ semType, calendar, sections, labs, rooms, teachers, templates, subjects, assignments }) {
+  const dayStart = toMinutes(calendar.day_start)
+  const dayEnd = toMinutes(calendar.day_end)
+  const periods = calendarPeriods(calendar).map(p => ({ start: toMinutes(p.start), end: toMinutes(p.end) }))
+  const days = calendar.working_days.length
+
+  const labPlans = [...new Set(sections.map(s => s.sem))].map(sem => {
+    const semLabs = labs.filter(lab => lab.lab_sem === sem)
+    const sessionHours = semLabs.length > 0 ? Math.max(...semLabs.map(lab => lab.duration_hours || DEFAULT_LAB_DURATION)) : 0
+    const windows = semLabs.length > 0
+      ? labSessionWindows(templateForSemester(templates, sem), sessionHours)
+        .map(w => ({ start: toMinutes(w.start), end: toMinutes(w.end) }))
+        .filter(w => w.start >= dayStart && w.end <= dayEnd)
+      : []
+    return {
+      sem,
+      labs: semLabs,
+      sections: sections.filter(s => s.sem === sem),
+      sessionHours,
+      windows,
+      sessionsPerWeek: days * maxSessionsPerDay(windows)
+    }
+  })
+
+  return {
+    semType, calendar, labs, rooms, teachers, subjects, assignments, labPlans,
+    days, dayStart, dayEnd, periods,
+    weeklyPeriods: days * periods.length,
+    labRoomsOf: lab => rooms.filter(r => (r.lab_subjects_handled || []).some(id => id.toString() === lab._id.toString())),
+    labTeachersOf: lab => teachers.filter(t => (t.labs_handled || []).some(id => id.toString() === lab._id.toString())),
+    labLimit: teacher => (semType === 'even' ? teacher.max_lab_assign_even : teacher.max_lab_assign_odd) ?? 0,
+    limitField: semType === 'even' ? 'max_lab_assign_even' : 'max_lab_assign_odd'
+  }
+}
+
+/**
+ * Check 1: Every lab has a room and a teacher, and a session's batches get distinct rooms
+ */
+function checkLabResources({ labPlans, rooms, teachers, labRoomsOf, labTeachersOf }) {
+  const issues = []
+
+  for (const plan of labPlans) {
+    for (const lab of plan.labs) {
+      const labTeachers = labTeachersOf(lab)
+      const ideal = lab.ideal_teacher_count || 2
+      if (labRoomsOf(lab).length === 0) {
+        issues.push({ severity: 'error', message: `${labName(lab)}: no lab room handles it - Step 3 cannot place it` })
+      }
+      if (labTeachers.length === 0) {
+        issues.push({ severity: 'error', message: `${labName(lab)}: no teacher handles it - Step 6 cannot staff it` })
+      } else if (labTeachers.length < ideal) {
+        issues.push({ severity: 'warning', message: `${labName(lab)}: ${labTeachers.length} qualified teacher(s), ideal is ${ideal} per batch` })
+      }
+    }
+
+    // Batch rotation: in round r, batch b does lab (r + b - 1) % labs
+    for (let round = 0; round < plan.labs.length; round++) {
+      const roundLabs = []
+      for (let batchNum = 1; batchNum <= NUM_BATCHES; batchNum++) {
+        roundLabs.push(plan.labs[(round + batchNum - 1) % plan.labs.length])
+      }
+      const roomsByBatch = roundLabs.map(lab => labRoomsOf(lab).map(r => r._id.toString()))
+      if (roomsByBatch.every(ids => ids.length > 0) && !hasDistinctRooms(roomsByBatch)) {
+        issues.push({ severity: 'error', message: `Sem ${plan.sem} lab session ${round + 1} (${roundLabs.map(l => l.lab_shortform || l.lab_code).join(', ')}): the batches cannot get ${NUM_BATCHES} different compatible rooms` })
+      }
+    }
+  }
+
+  const labCount = labPlans.reduce((sum, plan) => sum + plan.labs.length, 0)
+  const labTeacherCount = teachers.filter(t => (t.labs_handled || []).length > 0).length
+  return checkResult('lab_resources', 'Lab rooms and teachers per lab', `${labCount} lab(s), ${rooms.length} lab room(s), ${labTeacherCount} lab teacher(s)`, issues)
+}
+
+/**
+ * Check 2: Lab sessions needed vs the room sessions compatible rooms offer in a week
+ */
+function checkLabRoomCapacity({ labPlans, labs, rooms, calendar, days, dayStart, dayEnd, labRoomsOf }) {
+  const issues = []
+  let neededHours = 0
+
+  for (const plan of labPlans) {
+    if (plan.labs.length === 0 || plan.sections.length === 0) continue
+    neededHours += plan.sections.length * plan.labs.length * NUM_BATCHES * plan.sessionHours
+
+    if (plan.sessionsPerWeek === 0) {
+      issues.push({ severity: 'error', message: `Sem ${plan.sem}: no lab window fits its ${plan.sessionHours}-hour sessions inside ${calendar.day_start}-${calendar.day_end}` })
+      continue
+    }
+
+    // A section's own sessions must fit its week
+    if (plan.labs.length > plan.sessionsPerWeek) {
+      issues.push({ severity: 'error', message: `Sem ${plan.sem}: each section needs ${plan.labs.length} lab sessions, only ${plan.sessionsPerWeek} fit in a week` })
+    }
+
+    // Each batch does each lab once: sections × batches room sessions per lab
+    for (const lab of plan.labs) {
+      const needed = plan.sections.length * NUM_BATCHES
+      const available = labRoomsOf(lab).length * plan.sessionsPerWeek
+      if (available === 0) continue // Reported by the lab resources check
+      if (needed > available) {
+        issues.push({ severity: 'error', message: `${labName(lab)}: ${needed} batch sessions needed, its rooms hold ${available} a week` })
+      } else if (needed > available * TIGHT_RATIO) {
+        issues.push({ severity: 'warning', message: `${labName(lab)}: ${needed} of ${available} room sessions a week needed (tight)` })
+      }
+    }
+
+    // All labs of the semester share the rooms that handle any of them
+    const semRooms = new Set(plan.labs.flatMap(lab => labRoomsOf(lab).map(r => r._id.toString())))
+    const needed = plan.sections.length * plan.labs.length * NUM_BATCHES
+    const available = semRooms.size * plan.sessionsPerWeek
+    if (semRooms.size > 0 && needed > available) {
+      issues.push({ severity: 'error', message: `Sem ${plan.sem}: ${needed} batch sessions needed, its ${semRooms.size} compatible rooms hold ${available} a week` })
+    }
+  }
+
+  // Lab-hours over every room that handles a lab of this semester type
+  const labIds = new Set(labs.map(lab => lab._id.toString()))
+  const labRooms = rooms.filter(r => (r.lab_subjects_handled || []).some(id => labIds.has(id.toString())))
+  const availableHours = labRooms.length * days * (dayEnd - dayStart) / 60
+  if (neededHours > availableHours) {
+    issues.push({ severity: 'error', message: `${neededHours} lab-hours needed, ${labRooms.length} lab rooms are open ${availableHours} hours a week` })
+  } else if (neededHours > availableHours * TIGHT_RATIO) {
+    issues.push({ severity: 'warning', message: `${neededHours} of ${availableHours} lab room hours a week needed (tight)` })
+  }
+
+  return checkResult('lab_room_capacity', 'Lab room capacity', `${neededHours} lab-hours needed, ${availableHours} room-hours available`, issues)
+}
+
+/**
+ * Check 3: Theory hours of each section vs the periods left after its lab sessions
+ */
+function checkSectionTheoryHours({ labPlans, subjects, assignments, periods, weeklyPeriods }) {
+  const issues = []
+  let tightest = null
+
+  for (const plan of labPlans) {
+    const semSubjects = subjects.filter(s => s.subject_sem === plan.sem)
+    const theoryHours = semSubjects.reduce((sum, s) => sum + (s.hrs_per_week || 0), 0)
+
+    // Periods one lab session blocks at best (a window can straddle a break)
+    const blockedPerSession = plan.windows.length > 0
+      ? Math.min(...plan.windows.map(w => periods.filter(p => p.start < w.end && p.end > w.start).length))
+      : 0
+    const freePeriods = weeklyPeriods - plan.labs.length * blockedPerSession
+
+    for (const section of plan.sections) {
+      if (theoryHours > freePeriods) {
+        issues.push({ severity: 'error', message: `${section.section_name}: ${theoryHours} theory hours, ${freePeriods} periods left after ${plan.labs.length} lab sessions` })
+      } else if (theoryHours > freePeriods * TIGHT_RATIO) {
+        issues.push({ severity: 'warning', message: `${section.section_name}: ${theoryHours} of ${freePeriods} free periods needed (tight)` })
+      }
+      if (!tightest || freePeriods - theoryHours < tightest.spare) {
+        tightest = { section: section.section_name, spare: freePeriods - theoryHours }
+      }
+
+      // Step 4 only schedules regular ISE subjects that have a teacher for the section
+      const sectionLetter = section.section_name.slice(-1)
+      const assigned = new Set(assignments
+        .filter(a => a.sem === plan.sem && a.section === sectionLetter && a.subject_id)
+        .map(a => a.subject_id._id.toString()))
+      for (const subject of semSubjects) {
+        const regularISE = subject.requires_teacher_assignment === true && !subject.is_project && !subject.is_non_ise_subject
+        if (regularISE && !assigned.has(subject._id.toString())) {
+          issues.push({ severity: 'warning', message: `${section.section_name} ${subject.subject_shortform}: no teacher assigned - Step 4 will skip it` })
+        }
+      }
+    }
+  }
+
+  const summary = tightest ? `Tightest section: ${tightest.section} (${tightest.spare} spare periods a week)` : 'No sections'
+  return checkResult('section_theory_hours', 'Theory hours per section', summary, issues)
+}
+
+/**
+ * Check 4: Assigned theory hours of each teacher vs the periods outside their unavailability
+ */
+function checkTeacherTheoryHours({ semType, teachers, assignments, calendar, periods, weeklyPeriods }) {
+  const issues = []
+  const hoursByTeacher = new Map()
+  for (const a of assignments) {
+    if (!a.subject_id) continue
+    const id = a.teacher_id.toString()
+    hoursByTeacher.set(id, (hoursByTeacher.get(id) || 0) + (a.subject_id.hrs_per_week || 0))
+  }
+
+  let totalHours = 0
+  for (const teacher of teachers) {
+    const hours = hoursByTeacher.get(teacher._id.toString()) || 0
+    if (hours === 0) continue
+    totalHours += hours
+
+    const windows = (teacher.unavailability || []).filter(w => !w.sem_type || w.sem_type === semType)
+    const blocked = calendar.working_days.reduce((sum, day) => {
+      const dayWindows = windows.filter(w => w.day === day).map(w => ({ start: toMinutes(w.start_time), end: toMinutes(w.end_time) }))
+      return sum + periods.filter(p => dayWindows.some(w => p.start < w.end && p.end > w.start)).length
+    }, 0)
+    const available = weeklyPeriods - blocked
+
+    if (hours > available) {
+      issues.push({ severity: 'error', message: `${teacher.name}: ${hours} theory hours assigned, ${available} periods outside unavailability` })
+    } else if (hours > available * TIGHT_RATIO) {
+      issues.push({ severity: 'warning', message: `${teacher.name}: ${hours} of ${available} available periods assigned (tight - labs come on top)` })
+    }
+  }
+
+  return checkResult('teacher_theory_hours', 'Teacher theory hours', `${totalHours} theory hours over ${hoursByTeacher.size} teacher(s), ${weeklyPeriods} periods a week each`, issues)
+}
+
+/**
+ * Check 5: Lab batches vs the lab limits of the teachers who handle the labs
+ */
+function checkLabTeacherCapacity({ labPlans, labs, teachers, labTeachersOf, labLimit, limitField }) {
+  const issues = []
+  let batches = 0
+  let idealPlaces = 0
+
+  for (const plan of labPlans) {
+    for (const lab of plan.labs) {
+      const labBatches = plan.sections.length * NUM_BATCHES
+      batches += labBatches
+      idealPlaces += labBatches * (lab.ideal_teacher_count || 2)
+
+      const labTeachers = labTeachersOf(lab)
+      const capacity = labTeachers.reduce((sum, t) => sum + labLimit(t), 0)
+      if (labTeachers.length > 0 && capacity < labBatches) {
+        issues.push({ severity: 'warning', message: `${labName(lab)}: ${labBatches} batches, its ${labTeachers.length} teacher(s) may take ${capacity} lab batches in total` })
+      }
+    }
+  }
+
+  // A teacher's limit covers all the labs they handle
+  const labIds = new Set(labs.map(lab => lab._id.toString()))
+  const labTeachers = teachers.filter(t => (t.labs_handled || []).some(id => labIds.has(id.toString())))
+  const capacity = labTeachers.reduce((sum, t) => sum + labLimit(t), 0)
+  // Step 6 lets Assistant Professors go over their limit
+  const canExceed = labTeachers.some(t => t.teacher_position === 'Assistant Professor')
+
+  if (capacity < batches) {
+    issues.push({
+      severity: canExceed ? 'warning' : 'error',
+      message: `${batches} lab batches, summed ${limitField} is ${capacity}${canExceed ? ' - Assistant Professors will go over their limit' : ''}`
+    })
+  } else if (capacity < idealPlaces) {
+    issues.push({ severity: 'warning', message: `${idealPlaces} teacher places for the ideal teachers per batch, summed ${limitField} is ${capacity} - some batches get one teacher` })
+  }
+
+  return checkResult('lab_teacher_capacity', 'Lab batches vs teacher lab limits', `${batches} lab batches, ${capacity} lab assignments allowed (${limitField})`, issues)
+}
+
+/**
+ * Main function: Analyze whether a semester can be generated
+ */
+export async function analyzeFeasibility(semType, academicYear) {
+  const calendar = await DepartmentCalendar.forAcademicYear(academicYear)
+
+  const sections = await ISESections.find({ sem_type: semType }).sort({ sem: 1, section_name: 1 }).lean()
+  if (sections.length === 0) {
+    const error = new Error(`No ${semType} semester sections found - add sections first`)
+    error.status = 404
+    throw error
+  }
+
+  const [labs, rooms, teachers, templates, subjects, assignments] = await Promise.all([
+    SyllabusLabs.find({ lab_sem_type: semType }).sort({ lab_code: 1 }).lean(),
+    DeptLabs.find({}).lean(),
+    Teacher.find({})
+      .select('name teacher_position max_lab_assign_even max_lab_assign_odd labs_handled unavailability')
+      .lean(),
+    LabSlotTemplate.find({ sem_type: semType }).lean(),
+    Subject.find({ subject_sem_type: semType, is_lab: { $ne: true } }).lean(),
+    TeacherAssignment.find({ sem_type: semType }).populate('subject_id').lean()
+  ])
+
+  const data = buildData({ semType, calendar, sections, labs, rooms, teachers, templates, subjects, assignments })
+
+  const checks = [
+    checkLabResources(data),
+    checkLabRoomCapacity(data),
+    checkSectionTheoryHours(data),
+    checkTeacherTheoryHours(data),
+    checkLabTeacherCapacity(data)
+  ]
+
+  const countIssues = severity => checks.reduce((sum, c) => sum + c.issues.filter(i => i.severity === severity).length, 0)
+  const errors = countIssues('error')
+
+  return {
+    sem_type: semType,
+    academic_year: academicYear,
+    ready: errors === 0,
+    errors,
+    warnings: countIssues('warning'),
+    sections: sections.length,
+    checks,
+    checked_at: new Date()
+  }
+}
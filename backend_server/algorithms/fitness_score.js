@@ -0,0 +1,246 @@
+/**
+ * FITNESS SCORE
+ *
+ * Purpose: One number that says how good the generated timetables are - per section
+ * and for the whole run - so runs (seeds, optimizers) can be compared
+ *
+ * penalty = HARD_WEIGHT × hard violations + Σ weight × soft measure + Σ weight of soft rule violations
+ * fitness_score = 100 × 100 / (100 + penalty)
+ * - 100 = no violation and no soft penalty; higher is better, never below 0
+ * - Run score: uses the run penalty per section, so it compares across semesters
+ *
+ * Hard violations: what the Step 7 validators report (step7_validate.js), counted
+ * once per run and once for every section they involve
+ *
+ * Soft constraints (per section unless noted) - weights (and the allowed early-start
+ * days) come from the scheduling rules of the same name (rule_engine.js):
+ * - gap_hours: idle hours between a section's classes on a day (calendar breaks are not gaps)
+ * - early_start_days: days starting at day_start beyond the rule's max_days (Step 4 rule)
+ * - same_subject_repeats: extra theory sessions of a subject on a day it is already taught
+ * - lab_room_spread: extra lab rooms one lab is held in beyond the first
+ * - teacher_idle_hours (run only): idle hours between a teacher's classes on a day
+ * - rule_violations: violations of scheduling rules declared soft, each with its own weight
+ */
+
+import { countEarlyStartDays } from './step4_schedule_theory_breaks.js'
+import { buildRuleSet, evaluateRules, evaluateSectionRules, evaluateTeacherRules, collectTeacherSessions, maxEarlyStartDays, measureWeight, ruleTarget, teacherTarget } from './rule_engine.js'
+
+export const HARD_WEIGHT = 100
+
+const SECTION_MEASURES = ['gap_hours', 'early_start_days', 'same_subject_repeats', 'lab_room_spread']
+
+/**
+ * Helper: Convert time to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+// Higher is better, 100 = no penalty
+function scoreFromPenalty(penalty) {
+  return Math.round(10000 / (100 + penalty) * 10) / 10
+}
+
+// "5A (Batch 1)" -> "5A"
+function sectionOf(name) {
+  return name ? name.split(' (')[0] : null
+}
+
+/**
+ * Helper: Idle hours between intervals of one day ({ start, end } in minutes)
+ * Time inside a calendar break is not idle
+ */
+function idleHours(intervals, breaks) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start)
+  let idle = 0
+  let lastEnd = null
+
+  for (const { start, end } of sorted) {
+    if (lastEnd !== null && start > lastEnd) {
+      let gap = start - lastEnd
+      for (const b of breaks) {
+        gap -= Math.max(0, Math.min(start, b.end) - Math.max(lastEnd, b.start))
+      }
+      idle += Math.max(0, gap)
+    }
+    lastEnd = lastEnd === null ? end : Math.max(lastEnd, end)
+  }
+
+  return idle / 60
+}
+
+// key -> day -> [{ start, end }]
+function addInterval(byKey, key, day, startTime, endTime) {
+  if (!byKey.has(key)) byKey.set(key, new Map())
+  const days = byKey.get(key)
+  if (!days.has(day)) days.set(day, [])
+  days.get(day).push({ start: toMinutes(startTime), end: toMinutes(endTime) })
+}
+
+function totalIdleHours(days, breaks) {
+  let total = 0
+  for (const intervals of days.values()) total += idleHours(intervals, breaks)
+  return total
+}
+
+const breaksOf = calendar => (calendar.breaks || []).map(b => ({ start: toMinutes(b.start_time), end: toMinutes(b.end_time) }))
+
+// Idle hours of one teacher's sessions ([{ day, start_time, end_time }])
+function teacherIdleHours(sessions, breaks) {
+  const days = new Map()
+  for (const session of sessions) addInterval(days, 'teacher', session.day, session.start_time, session.end_time)
+  return days.has('teacher') ? totalIdleHours(days.get('teacher'), breaks) : 0
+}
+
+/**
+ * Helper: Soft measures of one section
+ */
+function sectionSoftMeasures(timetable, calendar, breaks, rules) {
+  const theorySlots = timetable.theory_slots || []
+  const labSlots = timetable.lab_slots || []
+
+  const classes = new Map()
+  for (const slot of [...theorySlots, ...labSlots]) {
+    addInterval(classes, 'section', slot.day, slot.start_time, slot.end_time)
+  }
+
+  const subjectDays = new Map()
+  for (const slot of theorySlots) {
+    if (slot.is_project || !slot.subject_id) continue
+    const key = `${slot.subject_id}_${slot.day}`
+    subjectDays.set(key, (subjectDays.get(key) || 0) + 1)
+  }
+
+  const labRooms = new Map()
+  for (const labSlot of labSlots) {
+    for (const batch of (labSlot.batches || [])) {
+      if (!batch.lab_id || !batch.lab_room_id) continue
+      const labId = batch.lab_id.toString()
+      if (!labRooms.has(labId)) labRooms.set(labId, new Set())
+      labRooms.get(labId).add(batch.lab_room_id.toString())
+    }
+  }
+
+  return {
+    gap_hours: classes.has('section') ? totalIdleHours(classes.get('section'), breaks) : 0,
+    early_start_days: Math.max(0, countEarlyStartDays(calendar, timetable) - maxEarlyStartDays(rules, timetable)),
+    same_subject_repeats: [...subjectDays.values()].reduce((sum, count) => sum + count - 1, 0),
+    lab_room_spread: [...labRooms.values()].reduce((sum, rooms) => sum + rooms.size - 1, 0)
+  }
+}
+
+function softPenalty(soft, rules, timetable) {
+  const target = ruleTarget(timetable)
+  return SECTION_MEASURES.reduce((sum, measure) => sum + measureWeight(rules, measure, target) * soft[measure], 0)
+}
+
+const violationPenalty = violations => violations.reduce((sum, violation) => sum + violation.weight, 0)
+
+/**
+ * Soft penalty one section adds to the run penalty: its soft measures and soft section rule violations
+ * (the run penalty is the sum of these and of teacherSoftPenalty over all teachers -
+ * Step 6.5 re-scores only the sections and teachers a move touches)
+ */
+export function sectionSoftPenalty(timetable, calendar, rules) {
+  const soft = sectionSoftMeasures(timetable, calendar, breaksOf(calendar), rules)
+  const ruleViolations = evaluateSectionRules(rules, timetable, calendar).filter(violation => violation.kind === 'soft')
+  return softPenalty(soft, rules, timetable) + violationPenalty(ruleViolations)
+}
+
+/**
+ * Soft penalty one teacher adds to the run penalty: idle hours and soft teacher rule violations
+ * sessions: [{ day, start_time, end_time }] (collectTeacherSessions in rule_engine.js)
+ */
+export function teacherSoftPenalty(teacherId, name, sessions, semType, calendar, rules) {
+  const ruleViolations = evaluateTeacherRules(rules, semType, teacherId, name, sessions).filter(violation => violation.kind === 'soft')
+  return measureWeight(rules, 'teacher_idle_hours', teacherTarget(semType, teacherId)) * teacherIdleHours(sessions, breaksOf(calendar)) +
+    violationPenalty(ruleViolations)
+}
+
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * Score timetables of one run
+ * violations: { teacher_conflicts: [...], ... } - the Step 7 validator lists, keyed like
+ *   step7_summary.issues (collectHardViolations in step7_validate.js)
+ * calendar: department calendar of the academic year (breaks, day_start)
+ * rules: scheduling rule set of the semester type (rule_engine.js - defaults when omitted)
+ * Returns {
+ *   run: { fitness_score, penalty, hard_violations, hard, soft },
+ *   sections: Map timetable _id -> { fitness_score, penalty, hard_violations, hard, soft }
+ * }
+ */
+export function scoreTimetables(timetables, violations, calendar, rules = buildRuleSet()) {
+  const breaks = breaksOf(calendar)
+
+  // Hard violations per section name
+  const hardBySection = new Map()
+  const runHard = {}
+  for (const [type, items] of Object.entries(violations)) {
+    runHard[type] = items.length
+    for (const item of items) {
+      const sections = new Set([item.section, item.section1, item.section2].map(sectionOf).filter(Boolean))
+      for (const section of sections) {
+        if (!hardBySection.has(section)) hardBySection.set(section, {})
+        const counts = hardBySection.get(section)
+        counts[type] = (counts[type] || 0) + 1
+      }
+    }
+  }
+
+  // Soft rule violations per section name (teacher rules count for the run only)
+  const softRuleViolations = evaluateRules(rules, timetables, calendar).filter(violation => violation.kind === 'soft')
+  const softBySection = new Map()
+  for (const violation of softRuleViolations) {
+    if (!violation.section) continue
+    if (!softBySection.has(violation.section)) softBySection.set(violation.section, [])
+    softBySection.get(violation.section).push(violation)
+  }
+
+  const sections = new Map()
+  const runSoft = { gap_hours: 0, early_start_days: 0, same_subject_repeats: 0, lab_room_spread: 0, teacher_idle_hours: 0, rule_violations: softRuleViolations.length }
+  let runSoftPenalty = violationPenalty(softRuleViolations)
+
+  for (const tt of timetables) {
+    const hard = hardBySection.get(tt.section_name) || {}
+    const hardViolations = Object.values(hard).reduce((sum, count) => sum + count, 0)
+    const sectionRuleViolations = softBySection.get(tt.section_name) || []
+    const soft = { ...sectionSoftMeasures(tt, calendar, breaks, rules), rule_violations: sectionRuleViolations.length }
+    const penalty = HARD_WEIGHT * hardViolations + softPenalty(soft, rules, tt) + violationPenalty(sectionRuleViolations)
+
+    for (const [measure, value] of Object.entries(soft)) {
+      if (measure !== 'rule_violations') runSoft[measure] += value
+    }
+    runSoftPenalty += softPenalty(soft, rules, tt)
+
+    sections.set(tt._id.toString(), {
+      fitness_score: scoreFromPenalty(penalty),
+      penalty: round(penalty),
+      hard_violations: hardViolations,
+      hard,
+      soft: Object.fromEntries(Object.entries(soft).map(([measure, value]) => [measure, round(value)]))
+    })
+  }
+
+  const semType = timetables[0]?.sem_type
+  for (const [teacherId, { sessions }] of collectTeacherSessions(timetables)) {
+    const idle = teacherIdleHours(sessions, breaks)
+    runSoft.teacher_idle_hours += idle
+    runSoftPenalty += measureWeight(rules, 'teacher_idle_hours', teacherTarget(semType, teacherId)) * idle
+  }
+
+  const runHardViolations = Object.values(runHard).reduce((sum, count) => sum + count, 0)
+  const runPenalty = HARD_WEIGHT * runHardViolations + runSoftPenalty
+
+  return {
+    run: {
+      fitness_score: scoreFromPenalty(runPenalty / Math.max(1, timetables.length)),
+      penalty: round(runPenalty),
+      hard_violations: runHardViolations,
+      hard: runHard,
+      soft: Object.fromEntries(Object.entries(runSoft).map(([measure, value]) => [measure, round(value)]))
+    },
+    sections
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * GENERATION CONTEXT + LOCK
+ *
+ * Context: all state one generation run builds up while it works (room and
+ * teacher occupancy, loaded calendar, random source, ...). Steps 3-6 keep it
+ * here instead of in module-level variables, so two runs in the same process -
+ * e.g. odd and even semester generated at the same time - never share state.
+ * - A full run (generateTimetables) creates one context and passes it to every step
+ * - A single step run (POST /stepN, scripts) gets a fresh one by default
+ * - A run may target some sections only (section_ids): Steps 3-6 then rebuild
+ *   just those, with every other section's slots, rooms and teachers kept as
+ *   fixed occupancy
+ * - A repair run (warm_start.js) keeps the timetables it started from in ctx.baseline
+ *
+ * Lock: only one run at a time may work on the timetables of a sem_type +
+ * academic_year; a second one is rejected while the first is in progress.
+ */
+
+import DepartmentCalendar from '../models/department_calendar_model.js'
+import Timetable from '../models/timetable_model.js'
+
+/**
+ * Fresh state for one run
+ * Each step starts its own random stream from the seed (createRandom) so a single
+ * step rerun with the same seed repeats what it did inside a full run
+ */
+export function createGenerationContext({ semType, academicYear, seed, sectionIds = null }) {
+  return {
+    sem_type: semType,
+    academic_year: academicYear,
+    seed,
+    section_ids: sectionIds && sectionIds.length > 0 ? sectionIds.map(String) : null, // null = every section
+    random: Math.random,            // Random source of the step running now
+    baseline: null,                 // Repair run: sectionId -> timetable it started from (loadBaseline)
+
+    calendar: null,                 // Department calendar of academic_year (loadCalendar)
+    rules: null,                    // Scheduling rules of sem_type (loadRules, rule_engine.js)
+
+    // Step 3: labs
+    labTemplates: [],               // Lab slot templates of sem_type
+    roomSchedule: new Map(),        // "roomId_day_HH:MM" -> lab session using the room
+
+    // Step 4: theory
+    theoryPeriods: [],              // Theory periods of the calendar
+    theoryTeacherSchedule: new Map(),       // "teacherId_day_HH:MM" -> { day, startTime, endTime }
+    theoryTeacherUnavailability: new Map(), // teacherId -> unavailability windows
+
+    // Step 6: lab teachers
+    labTeacherSchedule: new Map(),          // teacherId -> occupied time slots
+    labTeacherBatchCounts: new Map(),       // teacherId -> batches assigned
+    unassignedBatches: [],                  // Batches Phase 1 could not staff
+    labTeacherUnavailability: new Map()     // teacherId -> unavailability windows
+  }
+}
+
+// Calendar of the run's academic year (loaded once per run)
+export async function loadCalendar(ctx) {
+  if (!ctx.calendar) {
+    ctx.calendar = await DepartmentCalendar.forAcademicYear(ctx.academic_year)
+  }
+  return ctx.calendar
+}
+
+// Timetable query of the sections the run rebuilds (every section unless section_ids)
+export function targetSectionFilter(ctx) {
+  return {
+    sem_type: ctx.sem_type,
+    academic_year: ctx.academic_year,
+    ...(ctx.section_ids && { section_id: { $in: ctx.section_ids } })
+  }
+}
+
+// Timetables of the sections a targeted run keeps as they are ([] when it targets every section)
+export async function loadKeptTimetables(ctx) {
+  if (!ctx.section_ids) return []
+  return Timetable.find({
+    sem_type: ctx.sem_type,
+    academic_year: ctx.academic_year,
+    section_id: { $nin: ctx.section_ids }
+  }).lean()
+}
+
+// Slots locked in the editor per section (sectionId -> { theory_slots, lab_slots }) - Step 1
+// recreates the timetables and carries these over, so regeneration keeps them
+export async function loadLockedSlots(semType, academicYear) {
+  const timetables = await Timetable.find({ sem_type: semType, academic_year: academicYear })
+    .select('section_id theory_slots lab_slots')
+    .lean()
+
+  const locked = new Map()
+  for (const tt of timetables) {
+    const theorySlots = (tt.theory_slots || []).filter(slot => slot.locked === true && slot.is_fixed_slot !== true)
+    const labSlots = (tt.lab_slots || []).filter(slot => slot.locked === true)
+    if (theorySlots.length > 0 || labSlots.length > 0) {
+      locked.set(tt.section_id.toString(), { theory_slots: theorySlots, lab_slots: labSlots })
+    }
+  }
+  return locked
+}
+
+// sem_type|academic_year -> { run, started_by, started_at, job_id }
+const activeRuns = new Map()
+
+const lockKey = (semType, academicYear) => `${semType}|${academicYear}`
+
+/**
+ * Take the generation lock of a semester
+ * owner: { run: 'Step 3' | 'Full generation' | ..., started_by }
+ * Returns the release function, or null if another run holds the lock
+ */
+export function acquireGenerationLock(semType, academicYear, owner) {
+  const key = lockKey(semType, academicYear)
+  if (activeRuns.has(key)) return null
+
+  const entry = { ...owner, started_at: new Date() }
+  activeRuns.set(key, entry)
+
+  return () => {
+    if (activeRuns.get(key) === entry) activeRuns.delete(key)
+  }
+}
+
+// The run holding a semester's lock, or null
+export function getGenerationLock(semType, academicYear) {
+  return activeRuns.get(lockKey(semType, academicYear)) || null
+}
+
+// First held lock matching a partial scope (either field may be left out), or null
+// Returns the lock with its sem_type and academic_year
+export function findGenerationLock({ semType, academicYear } = {}) {
+  for (const [key, lock] of activeRuns) {
+    const [sem_type, academic_year] = key.split('|')
+    if ((!semType || semType === sem_type) && (!academicYear || academicYear === academic_year)) {
+      return { ...lock, sem_type, academic_year }
+    }
+  }
+  return null
+}
@@ -0,0 +1,304 @@
+/**
+ * GENERATION JOBS
+ *
+ * Purpose: Run full timetable generation (generateTimetables) in the background
+ * instead of inside one long HTTP request
+ *
+ * - POST /api/timetables/jobs creates a job and answers at once with its id
+ * - A job holds its semester's generation lock (generation_context.js) until it ends,
+ *   so jobs for different semesters run side by side, a second one for the same is refused
+ * - Every console line the steps print while a job runs is captured into the job's log
+ * - Subscribers (the SSE route) receive 'status', 'step', 'log' and 'done' events
+ * - When a started job ends it writes its own audit entry (timetables before vs after the run)
+ * - Cancelling stops a queued (not yet started) job at once, a running one before its next step
+ *   or, inside the constraint solver and Step 6.5, at their next cancel check
+ *
+ * Jobs live in memory only: a server restart forgets them (the timetables written
+ * by finished steps stay in the database).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import { format } from 'util'
+import { generateTimetables, generationSteps } from './timetable_generator.js'
+import { acquireGenerationLock } from './generation_context.js'
+import Timetable from '../models/timetable_model.js'
+import { loadScopeDocuments, recordScopedChange } from '../middleware/audit.js'
+
+const MAX_LOG_LINES = 5000      // Per job - older lines are dropped (the live stream still sends them all)
+const MAX_FINISHED_JOBS = 20    // Finished jobs kept for the status endpoint
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled']
+
+const jobs = new Map()          // jobId -> job
+
+// Job whose steps are running in the current async call chain (for log capture)
+const currentJob = new AsyncLocalStorage()
+
+// Copy console output of a running job into its log (still printed as before)
+for (const level of ['log', 'warn', 'error']) {
+  const print = console[level].bind(console)
+  console[level] = (...args) => {
+    print(...args)
+    const job = currentJob.getStore()
+    if (job) appendLog(job, level, format(...args))
+  }
+}
+
+function appendLog(job, level, text) {
+  for (const message of text.split('\n')) {
+    if (!message.trim()) continue
+    const line = { at: new Date(), level, message }
+    job.logs.push(line)
+    if (job.logs.length > MAX_LOG_LINES) job.logs.shift()
+    job.events.emit('log', line)
+  }
+}
+
+function setStatus(job, status, fields = {}) {
+  Object.assign(job, { status, ...fields })
+  job.events.emit('status', { status: job.status, cancel_requested: job.cancel_requested, error: job.error })
+}
+
+function setStepStatus(job, entry, status) {
+  entry.status = status
+  if (status === 'running') entry.started_at = new Date()
+  else entry.finished_at = new Date()
+  job.events.emit('step', { ...entry })
+}
+
+// Step N started: earlier running steps are done
+function startStep(job, step) {
+  for (const entry of job.steps) {
+    if (entry.status === 'running') setStepStatus(job, entry, 'completed')
+  }
+  job.current_step = step
+  setStepStatus(job, job.steps.find(entry => entry.step === step), 'running')
+}
+
+// Run ended: close the running step, mark the ones never reached
+function finishSteps(job, runningStatus) {
+  for (const entry of job.steps) {
+    if (entry.status === 'running') setStepStatus(job, entry, runningStatus)
+    else if (entry.status === 'pending' && runningStatus !== 'completed') setStepStatus(job, entry, 'skipped')
+  }
+}
+
+function finishJob(job, status, fields = {}) {
+  job.releaseLock()
+  setStatus(job, status, { ...fields, finished_at: new Date() })
+  job.events.emit('done', serializeJob(job))
+  pruneFinishedJobs()
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status))
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id)
+  }
+}
+
+/**
+ * Audit entry of a run that got to start (the POST /jobs request is not audited -
+ * it answers before anything is written): the semester's timetables before and after
+ */
+async function recordJobAudit(job, before, status, message) {
+  if (!before) return
+
+  try {
+    const after = await loadScopeDocuments(Timetable, { sem_type: job.sem_type, academic_year: job.academic_year })
+    await recordScopedChange({
+      Model: Timetable,
+      user: job.user,
+      method: 'POST',
+      route: '/api/timetables/jobs',
+      sem_type: job.sem_type,
+      academic_year: job.academic_year,
+      before,
+      after,
+      details: {
+        job_id: job.id,
+        status,
+        seed: job.seed,
+        algorithm: job.algorithm,
+        optimize: job.optimize,
+        repair: job.repair,
+        section_ids: job.section_ids,
+        message
+      }
+    })
+  } catch (error) {
+    console.error('❌ Failed to audit generation job:', error.message)
+  }
+}
+
+async function runJob(job) {
+  if (job.status !== 'queued') return // Cancelled before it started
+
+  setStatus(job, 'running', { started_at: new Date() })
+  let before = null
+  let status, fields
+
+  try {
+    // The route checked before the lock was taken - a publish may have slipped in since
+    const locked = await Timetable.findLockedInScope(job.sem_type, job.academic_year)
+    if (locked) {
+      throw new Error(`The ${job.sem_type} semester timetables for ${job.academic_year} are ${locked.status}. Open a new draft before regenerating.`)
+    }
+
+    before = await loadScopeDocuments(Timetable, { sem_type: job.sem_type, academic_year: job.academic_year })
+
+    const result = await currentJob.run(job, () => generateTimetables(job.sem_type, job.academic_year, job.seed, {
+      onStep: (step) => startStep(job, step),
+      isCancelled: () => job.cancel_requested
+    }, { optimize: job.optimize, repair: job.repair, algorithm: job.algorithm, timeLimitMs: job.time_limit_ms, sectionIds: job.section_ids }))
+
+    status = 'completed'
+    fields = {
+      result: {
+        message: result.message,
+        sections_count: result.sections_count,
+        generation_time_ms: result.generation_time_ms,
+        warnings: result.warnings,
+        fitness: result.fitness,
+        seed: result.seed,
+        solver: result.solver,
+        repair: result.repair
+      }
+    }
+  } catch (error) {
+    if (job.cancel_requested) {
+      status = 'cancelled'
+      fields = {}
+    } else {
+      status = 'failed'
+      fields = { error: error.message, result: error.solver ? { solver: error.solver } : null }
+    }
+  }
+
+  // Still holding the lock: nothing else has touched the timetables since the run
+  await recordJobAudit(job, before, status, fields.result?.message || fields.error)
+
+  finishSteps(job, status)
+  finishJob(job, status, fields)
+}
+
+/**
+ * Public view of a job (logs only on request - they can be thousands of lines)
+ */
+export function serializeJob(job, { includeLogs = false } = {}) {
+  return {
+    id: job.id,
+    sem_type: job.sem_type,
+    academic_year: job.academic_year,
+    seed: job.seed,
+    optimize: job.optimize,
+    repair: job.repair,
+    algorithm: job.algorithm,
+    time_limit_ms: job.time_limit_ms,
+    section_ids: job.section_ids,
+    status: job.status,
+    current_step: job.current_step,
+    steps: job.steps.map(entry => ({ ...entry })),
+    cancel_requested: job.cancel_requested,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    result: job.result,
+    error: job.error,
+    log_count: job.logs.length,
+    ...(includeLogs && { logs: job.logs })
+  }
+}
+
+/**
+ * Start a full generation run
+ * Returns the new job, or null if another run holds the semester's generation lock
+ */
+export function createGenerationJob({ semType, academicYear, seed, optimize = false, repair = false, algorithm = 'greedy', timeLimitMs = null, sectionIds = null, user }) {
+  const id = randomUUID()
+  const releaseLock = acquireGenerationLock(semType, academicYear, {
+    run: 'Generation job',
+    started_by: user?.user_name,
+    job_id: id
+  })
+  if (!releaseLock) return null
+
+  const job = {
+    id,
+    sem_type: semType,
+    academic_year: academicYear,
+    seed,
+    optimize,
+    repair,
+    algorithm,
+    time_limit_ms: timeLimitMs,
+    section_ids: sectionIds,
+    status: 'queued',
+    current_step: null,
+    steps: generationSteps({ algorithm, optimize, repair, targeted: !!sectionIds })
+      .map(({ step, name }) => ({ step, name, status: 'pending', started_at: null, finished_at: null })),
+    cancel_requested: false,
+    created_by: user?.user_name,
+    user: user && { _id: user._id, user_name: user.user_name, role: user.role }, // For the audit entry (not serialized)
+    created_at: new Date(),
+    started_at: null,
+    finished_at: null,
+    result: null,
+    error: null,
+    logs: [],
+    events: new EventEmitter(),
+    releaseLock
+  }
+  job.events.setMaxListeners(0) // One set of listeners per open progress stream
+
+  jobs.set(job.id, job)
+  Promise.resolve().then(() => runJob(job)) // Starts once the route has answered
+
+  return job
+}
+
+export function getGenerationJob(jobId) {
+  return jobs.get(jobId) || null
+}
+
+// Newest first, optionally only one semester
+export function listGenerationJobs({ semType, academicYear } = {}) {
+  return [...jobs.values()]
+    .filter(job => (!semType || job.sem_type === semType) && (!academicYear || job.academic_year === academicYear))
+    .reverse()
+}
+
+/**
+ * Request cancellation
+ * Returns false if the job had already finished
+ */
+export function cancelGenerationJob(job) {
+  if (FINISHED_STATUSES.includes(job.status)) return false
+
+  job.cancel_requested = true
+  if (job.status === 'queued') {
+    finishSteps(job, 'cancelled')
+    finishJob(job, 'cancelled')
+  } else {
+    setStatus(job, job.status) // Tell subscribers the cancellation is pending
+  }
+  return true
+}
+
+/**
+ * Listen to a job's events: listener(event, data) for 'status', 'step', 'log', 'done'
+ * Returns the unsubscribe function
+ */
+export function subscribeToGenerationJob(job, listener) {
+  const handlers = Object.fromEntries(
+    ['status', 'step', 'log', 'done'].map(event => [event, (data) => listener(event, data)])
+  )
+  for (const [event, handler] of Object.entries(handlers)) job.events.on(event, handler)
+
+  return () => {
+    for (const [event, handler] of Object.entries(handlers)) job.events.off(event, handler)
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * SCHEDULING RULE ENGINE
+ *
+ * Purpose: The department's scheduling rules (models/scheduling_rule_model.js) are
+ * looked up and evaluated here only, so the steps that place things and Step 7 that
+ * checks the result apply the same rule with the same parameters:
+ * - Placing steps ask for the hard rule of a section, subject or teacher (hardRule)
+ *   and reject what would break it (Steps 3, 4, 6 and 6.5, constraint solver)
+ * - Step 7 and the fitness score evaluate finished timetables (evaluateRules):
+ *   hard violations are reported like the other validator results, soft ones add
+ *   their weight to the penalty
+ *
+ * Rule set: the saved rules of a semester type + DEFAULT_RULES for the types without
+ * a department-wide saved rule. The most specific matching rule of a type applies;
+ * a disabled one switches the type off for its scope.
+ *
+ * Targets (what a rule is looked up for):
+ * - Section: { sem_type, sem, section_id } (ruleTarget), + subject_id for a subject
+ * - Teacher: { sem_type, teacher_id } (teacherTarget)
+ */
+
+import SchedulingRule, { RULE_TYPES, RULE_SCOPES, DEFAULT_RULES } from '../models/scheduling_rule_model.js'
+
+/**
+ * Helper: Convert time to minutes since midnight (and back)
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+const idOf = value => (value?._id || value)?.toString()
+
+function specificity(scope = {}) {
+  return Object.entries(RULE_SCOPES).reduce((sum, [field, weight]) => sum + (scope[field] != null ? weight : 0), 0)
+}
+
+function matches(scope = {}, target) {
+  return Object.keys(RULE_SCOPES).every(field =>
+    scope[field] == null || (target[field] != null && scope[field].toString() === target[field].toString())
+  )
+}
+
+// Saved rules + the defaults they do not replace department-wide
+export function buildRuleSet(saved = []) {
+  const replaced = new Set(saved.filter(rule => specificity(rule.scope) === 0).map(rule => rule.rule))
+  return [...saved, ...DEFAULT_RULES.filter(rule => !replaced.has(rule.rule))]
+}
+
+// Rule set of a semester type (saved rules for it or for both)
+export async function loadRuleSet(semType) {
+  const saved = await SchedulingRule.find({ 'scope.sem_type': { $in: [null, semType] } }).lean()
+  return buildRuleSet(saved)
+}
+
+// Rule set of the run's semester type (loaded once per run)
+export async function loadRules(ctx) {
+  if (!ctx.rules) {
+    ctx.rules = await loadRuleSet(ctx.sem_type)
+  }
+  return ctx.rules
+}
+
+export function ruleTarget(tt, extra = {}) {
+  return { sem_type: tt.sem_type, sem: tt.sem, section_id: idOf(tt.section_id), ...extra }
+}
+
+export function teacherTarget(semType, teacherId) {
+  return { sem_type: semType, teacher_id: idOf(teacherId) }
+}
+
+/**
+ * Rule of a type that applies to a target - the most specific match, null when
+ * none matches or that one is disabled
+ */
+export function resolveRule(rules, key, target) {
+  let best = null
+  for (const rule of rules) {
+    if (rule.rule !== key || !matches(rule.scope, target)) continue
+    if (!best || specificity(rule.scope) > specificity(best.scope)) best = rule
+  }
+  return best?.enabled ? best : null
+}
+
+// Rule the placing steps must not break (null: nothing to enforce)
+export function hardRule(rules, key, target) {
+  const rule = resolveRule(rules, key, target)
+  return rule?.kind === 'hard' ? rule : null
+}
+
+export function ruleParam(rule, name) {
+  return rule.params?.[name] ?? RULE_TYPES[rule.rule].params[name].default
+}
+
+// Weight of a soft measure of the fitness score for a target (0 when switched off)
+export function measureWeight(rules, key, target) {
+  return resolveRule(rules, key, target)?.weight || 0
+}
+
+// early_start_days: allowed early-start days of a section (the default when switched off)
+export function maxEarlyStartDays(rules, tt) {
+  const rule = resolveRule(rules, 'early_start_days', ruleTarget(tt))
+  return rule ? ruleParam(rule, 'max_days') : RULE_TYPES.early_start_days.params.max_days.default
+}
+
+// early_start_day_length: latest end ('HH:MM') of a day starting at day_start
+export function earlyStartDayEnd(rule, calendar) {
+  return toTime(toMinutes(calendar.day_end) - ruleParam(rule, 'periods_early') * calendar.period_minutes)
+}
+
+// no_consecutive_labs: lab session right before or after start-end on day (null: none)
+export function adjacentLab(labSlots, day, startTime, endTime) {
+  return labSlots.find(slot => slot.day === day && (slot.end_time === startTime || slot.start_time === endTime)) || null
+}
+
+const hoursOf = slot => (toMinutes(slot.end_time) - toMinutes(slot.start_time)) / 60
+
+// Violation entry of a rule (only soft ones carry a weight into the penalty)
+const violationOf = (rule, fields) => ({
+  rule: rule.rule,
+  kind: rule.kind,
+  weight: rule.kind === 'soft' ? rule.weight : 0,
+  ...fields
+})
+
+/**
+ * Violations of the section rules (labs, day length, subject hours) in one timetable
+ */
+export function evaluateSectionRules(rules, tt, calendar) {
+  const violations = []
+  const report = (rule, fields) => violations.push(violationOf(rule, fields))
+
+  const target = ruleTarget(tt)
+  const section = tt.section_name
+  const theorySlots = tt.theory_slots || []
+  const labSlots = tt.lab_slots || []
+
+  const consecutive = resolveRule(rules, 'no_consecutive_labs', target)
+  const dayLength = resolveRule(rules, 'early_start_day_length', target)
+  const labsPerDay = resolveRule(rules, 'max_labs_per_day', target)
+
+  for (const day of new Set([...theorySlots, ...labSlots].map(slot => slot.day))) {
+    const labs = labSlots.filter(slot => slot.day === day).sort((a, b) => a.start_time.localeCompare(b.start_time))
+
+    if (consecutive) {
+      for (let i = 0; i < labs.length - 1; i++) {
+        if (labs[i].end_time !== labs[i + 1].start_time) continue
+        report(consecutive, { section, day, time: `${labs[i].start_time} - ${labs[i + 1].end_time}`, issue: 'Consecutive lab sessions detected' })
+      }
+    }
+
+    if (labsPerDay && labs.length > ruleParam(labsPerDay, 'max_labs')) {
+      report(labsPerDay, { section, day, issue: `${labs.length} lab sessions (max ${ruleParam(labsPerDay, 'max_labs')})` })
+    }
+
+    if (dayLength) {
+      const classes = [...theorySlots, ...labSlots].filter(slot => slot.day === day)
+      const earliest = classes.map(slot => slot.start_time).sort()[0]
+      const latest = classes.map(slot => slot.end_time).sort().pop()
+      const mustEnd = earlyStartDayEnd(dayLength, calendar)
+      if (earliest === calendar.day_start && latest > mustEnd) {
+        report(dayLength, { section, day, time: `${earliest} - ${latest}`, issue: `Starts at ${earliest}, must end by ${mustEnd}` })
+      }
+    }
+  }
+
+  // Theory hours per subject and day (projects work in long blocks on purpose)
+  const subjectDays = new Map() // "subjectId|day" -> { slot, hours }
+  for (const slot of theorySlots) {
+    if (slot.is_project || !slot.subject_id) continue
+    const key = `${slot.subject_id}|${slot.day}`
+    const entry = subjectDays.get(key) || { slot, hours: 0 }
+    entry.hours += hoursOf(slot)
+    subjectDays.set(key, entry)
+  }
+  for (const { slot, hours } of subjectDays.values()) {
+    const rule = resolveRule(rules, 'max_subject_hours_per_day', ruleTarget(tt, { subject_id: idOf(slot.subject_id) }))
+    if (rule && hours > ruleParam(rule, 'max_hours')) {
+      report(rule, { section, subject: slot.subject_shortform, day: slot.day, issue: `${hours}h of ${slot.subject_shortform} (max ${ruleParam(rule, 'max_hours')}h)` })
+    }
+  }
+
+  return violations
+}
+
+/**
+ * Every teacher's classes across the timetables: teacherId -> { name, sessions: [{ day, start_time, end_time }] }
+ * One session per theory slot and per lab batch the teacher takes
+ */
+export function collectTeacherSessions(timetables) {
+  const byTeacher = new Map()
+  const add = (teacherId, name, { day, start_time, end_time }) => {
+    const id = idOf(teacherId)
+    if (!byTeacher.has(id)) byTeacher.set(id, { name, sessions: [] })
+    byTeacher.get(id).sessions.push({ day, start_time, end_time })
+  }
+
+  for (const tt of timetables) {
+    for (const slot of (tt.theory_slots || [])) {
+      if (slot.teacher_id) add(slot.teacher_id, slot.teacher_name, slot)
+    }
+    for (const labSlot of (tt.lab_slots || [])) {
+      for (const batch of (labSlot.batches || [])) {
+        if (batch.teacher1_id) add(batch.teacher1_id, batch.teacher1_name, labSlot)
+        if (batch.teacher2_id) add(batch.teacher2_id, batch.teacher2_name, labSlot)
+      }
+    }
+  }
+  return byTeacher
+}
+
+/**
+ * Violations of the teacher rules (hours per day) for one teacher's sessions
+ */
+export function evaluateTeacherRules(rules, semType, teacherId, name, sessions) {
+  const rule = resolveRule(rules, 'max_teacher_hours_per_day', teacherTarget(semType, teacherId))
+  if (!rule) return []
+
+  const days = new Map()
+  for (const session of sessions) days.set(session.day, (days.get(session.day) || 0) + hoursOf(session))
+
+  return [...days]
+    .filter(([, hours]) => hours > ruleParam(rule, 'max_hours'))
+    .map(([day, hours]) => violationOf(rule, { teacher: name, day, issue: `${hours}h of classes (max ${ruleParam(rule, 'max_hours')}h)` }))
+}
+
+/**
+ * Evaluate finished timetables against the rule set
+ * Returns [{ rule, kind, weight, section, teacher, subject, day, time, issue }] -
+ * one entry per violation (section/teacher are names, like the Step 7 validator lists)
+ */
+export function evaluateRules(rules, timetables, calendar) {
+  const violations = timetables.flatMap(tt => evaluateSectionRules(rules, tt, calendar))
+
+  const semType = timetables[0]?.sem_type
+  for (const [teacherId, { name, sessions }] of collectTeacherSessions(timetables)) {
+    violations.push(...evaluateTeacherRules(rules, semType, teacherId, name, sessions))
+  }
+
+  return violations
+}
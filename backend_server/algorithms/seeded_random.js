@@ -0,0 +1,44 @@
+/**
+ * Seeded random numbers for timetable generation
+ *
+ * Steps 3-6 break ties with random choices (shuffles, slot scoring). With a seed
+ * they draw from a deterministic generator instead of Math.random, so the same
+ * seed + the same master data regenerates the same timetables.
+ *
+ * Generator: mulberry32 (32-bit state, fast, good enough for shuffling)
+ */
+
+const MAX_SEED = 0xFFFFFFFF
+
+/**
+ * Seed of a run: the requested one, or a fresh random one when none was given
+ * Throws if the requested seed is not an integer from 0 to 4294967295
+ */
+export function resolveSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.floor(Math.random() * (MAX_SEED + 1))
+  }
+
+  const value = Number(seed)
+  if (!Number.isInteger(value) || value < 0 || value > MAX_SEED) {
+    throw new Error(`Invalid seed: ${seed}. Must be an integer from 0 to ${MAX_SEED}.`)
+  }
+  return value
+}
+
+/**
+ * Drop-in replacement for Math.random (returns [0, 1))
+ * No seed → Math.random itself
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random
+
+  let state = seed >>> 0
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
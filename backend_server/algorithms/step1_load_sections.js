@@ -5,10 +5,12 @@
  * 
  * Input: sem_type ('odd' or 'even'), academic_year ('2024-2025')
  * Output: Empty timetable documents with metadata for each section
+ *   (slots locked in the editor are carried over from the previous timetables)
  */
 
 import ISESections from '../models/ise_sections_model.js'
 import Timetable from '../models/timetable_model.js'
+import { loadLockedSlots } from './generation_context.js'
 
 export async function loadSectionsAndInitialize(semType, academicYear) {
   console.log(`\n📋 Step 1: Loading sections for ${semType} semester...`)
@@ -23,7 +25,8 @@ export async function loadSectionsAndInitialize(semType, academicYear) {
     
     console.log(`✅ Found ${sections.length} sections:`, sections.map(s => `${s.sem}${s.section_name}`).join(', '))
     
-    // Clear existing timetables for this semester type and academic year
+    // Clear existing timetables for this semester type and academic year (locked slots stay)
+    const lockedSlots = await loadLockedSlots(semType, academicYear)
     const deleteResult = await Timetable.deleteMany({
       sem_type: semType,
       academic_year: academicYear
@@ -35,6 +38,7 @@ export async function loadSectionsAndInitialize(semType, academicYear) {
     const timetables = []
     
     for (const section of sections) {
+      const locked = lockedSlots.get(section._id.toString())
       const timetableData = {
         section_id: section._id,
         section_name: `${section.sem}${section.section_name}`,
@@ -53,8 +57,8 @@ export async function loadSectionsAndInitialize(semType, academicYear) {
             sessions_with_0_teachers: 0
           }
         },
-        theory_slots: [],
-        lab_slots: [],
+        theory_slots: locked?.theory_slots || [],
+        lab_slots: locked?.lab_slots || [],
         flagged_sessions: []
       }
       
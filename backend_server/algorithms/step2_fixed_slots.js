@@ -5,6 +5,8 @@
  * 
  * Input: sem_type, academic_year
  * Output: Timetables with fixed slots added to theory_slots
+ * 
+ * Slots locked in the editor (slot.locked) survive the flush - Steps 3-6 keep them in place
  */
 
 import Timetable from '../models/timetable_model.js'
@@ -50,8 +52,8 @@ export async function blockFixedSlots(semType, academicYear) {
   
   try {
     // CRITICAL: Clear data from THIS step and ALL future steps (3, 4, 5, 6, 7)
-    // Keep data from Step 1 (section initialization)
-    console.log(`   🗑️  Flushing data from Steps 2-7 (keeping Step 1 data)...`)
+    // Keep data from Step 1 (section initialization) and slots locked in the editor
+    console.log(`   🗑️  Flushing data from Steps 2-7 (keeping Step 1 data and locked slots)...`)
     
     const flushResult = await Timetable.updateMany(
       {
@@ -59,9 +61,12 @@ export async function blockFixedSlots(semType, academicYear) {
         academic_year: academicYear
       },
       {
+        $pull: {
+          // Clear Step 2 fixed slots (re-created below) and unlocked Step 4 theory
+          theory_slots: { $or: [{ locked: { $ne: true } }, { is_fixed_slot: true }] },
+          lab_slots: { locked: { $ne: true } }   // Clear unlocked Step 3 labs
+        },
         $set: {
-          theory_slots: [],        // Clear Step 2 fixed slots and Step 4 theory
-          lab_slots: [],           // Clear Step 3 labs
           'generation_metadata.current_step': 1,
           'generation_metadata.steps_completed': ['load_sections']
         }
@@ -206,12 +211,12 @@ export async function blockFixedSlots(semType, academicYear) {
         }
       }
       
-      // Update timetable with fixed slots
+      // Update timetable with fixed slots (after the locked theory slots kept by the flush)
       await Timetable.updateOne(
         { _id: timetable._id },
         {
           $set: {
-            theory_slots: fixedSlots,
+            theory_slots: [...(timetable.theory_slots || []), ...fixedSlots],
             'generation_metadata.current_step': 2,
             'generation_metadata.steps_completed': ['load_sections', 'block_fixed_slots'],
             'generation_metadata.step2_summary': {
@@ -6,8 +6,15 @@
  * Key Constraints:
  * - Batch Synchronization: All batches of a section MUST be in labs at the SAME time
  * - Batch Rotation (Rule 4.7): Batches rotate through labs using formula: labIndex = (round + batchNum - 1) % totalLabs
- * - 2-hour blocks: Each lab session is exactly 2 hours
- * - No conflicts: Avoid room conflicts (intra-slot + inter-section), fixed slots, and consecutive labs
+ * - Lab windows: Sessions start in the semester's lab slot template (defaults: 5 proven slots)
+ *   and last the longest SyllabusLabs.duration_hours of the semester (2 hours by default)
+ * - No conflicts: Avoid room conflicts (intra-slot + inter-section) and fixed slots
+ * - Scheduling rules (rule_engine.js): no consecutive labs and the labs-per-day limit
+ *   where the section has them as hard rules
+ * - Locked slots (locked: true, set in the editor) survive the flush: a locked lab session keeps
+ *   its time, rooms and teachers and counts as the rotation round its batches are in
+ * - Repair run (warm_start.js): each round tries its baseline day/time first and each
+ *   batch its baseline lab room
  * 
  * Algorithm Revolution (v3.0):
  * - NO DEPENDENCY on Phase 2 room assignments!
@@ -18,26 +25,31 @@
  * 
  * Input: sem_type, academic_year
  * Output: Timetables with lab_slots populated + detailed conflict report
+ *         (+ generation_metadata.unscheduled_items: why each missing lab session was not placed)
  */
 
 import Timetable from '../models/timetable_model.js'
 import ISESections from '../models/ise_sections_model.js'
 import SyllabusLabs from '../models/syllabus_labs_model.js'
 import DeptLabs from '../models/dept_labs_model.js'
+import LabSlotTemplate, { labSessionWindows, templateForSemester } from '../models/lab_slot_template_model.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, loadCalendar, targetSectionFilter, loadKeptTimetables } from './generation_context.js'
+import { unscheduledItem, describeRejections } from './unscheduled_report.js'
+import { baselineOf, baselineFirst, baselineLabBatch } from './warm_start.js'
+import { loadRules, hardRule, ruleTarget, ruleParam, adjacentLab } from './rule_engine.js'
 
 // Constants
-const WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-const DAY_START = '08:00'
-const DAY_END = '17:00'
-const LAB_DURATION = 2 // hours
+const DEFAULT_LAB_DURATION = 2 // hours (SyllabusLabs.duration_hours default)
 
 // NOTE: No fixed lunch break - breaks are flexible (30 min each, max 2 per day)
 // Breaks will be inserted in a separate step after all slots are scheduled
 
-// GLOBAL ROOM TRACKER (prevents all room conflicts)
-// Key format: "roomId_day_startTime_endTime"
-// Value: { sectionId, sectionName, batchName, labName }
-const globalRoomSchedule = new Map()
+// Run state (calendar, lab templates, random source, room tracker) lives in the
+// generation context (ctx) - see generation_context.js
+// ROOM TRACKER ctx.roomSchedule (prevents all room conflicts)
+// Key format: "roomId_day_startTime" (one key per 30-minute segment)
+// Value: { sectionId, sectionName, batchName, labName, startTime, endTime }
 
 /**
  * Helper: Check if two time ranges overlap
@@ -49,9 +61,9 @@ function timesOverlap(start1, end1, start2, end2) {
 /**
  * Helper: Check if time slot is within working hours
  */
-function isValidTimeSlot(startTime, endTime) {
+function isValidTimeSlot(ctx, startTime, endTime) {
   // Must be within working hours
-  if (startTime < DAY_START || endTime > DAY_END) {
+  if (startTime < ctx.calendar.day_start || endTime > ctx.calendar.day_end) {
     return false
   }
   
@@ -60,30 +72,25 @@ function isValidTimeSlot(startTime, endTime) {
 }
 
 /**
- * Helper: Get available 2-hour time slots for a day
+ * Helper: Get available lab time slots of a semester for a day
  * 
- * SIMPLIFIED APPROACH (Nov 13, 2025 - MATCH OLD SUCCESS):
- * Using EXACTLY the 5 slots that achieved 100% success in previous runs
- * 
- * Time Slots (proven pattern):
- * - 08:00-10:00 (standard)
- * - 10:00-12:00 (standard)
- * - 12:00-14:00 (standard)
- * - 14:00-16:00 (standard)
+ * Comes from the semester's lab slot template (models/lab_slot_template_model.js).
+ * Without a template: the 5 slots that achieved 100% success in previous runs
+ * - 08:00-10:00, 10:00-12:00, 12:00-14:00, 14:00-16:00 (standard)
  * - 15:00-17:00 (offset - overlaps 14:00-16:00 but uses different rooms)
  * 
- * Total: 25 combinations (5 slots × 5 days) - PROVEN to schedule all 27 labs
+ * Each slot starts at its window start and lasts durationHours
  */
-function getAvailableTimeSlots() {
-  const slots = [
-    { start: '08:00', end: '10:00' },
-    { start: '10:00', end: '12:00' },
-    { start: '12:00', end: '14:00' },
-    { start: '14:00', end: '16:00' },
-    { start: '15:00', end: '17:00' }
-  ]
-  
-  return slots
+function getAvailableTimeSlots(ctx, sem, durationHours) {
+  return labSessionWindows(templateForSemester(ctx.labTemplates, sem), durationHours)
+}
+
+/**
+ * Helper: Session length of a section's labs
+ * All batches rotate through the labs in the same session, so it must fit the longest lab
+ */
+function getLabSessionHours(labs) {
+  return Math.max(...labs.map(lab => lab.duration_hours || DEFAULT_LAB_DURATION))
 }
 
 /**
@@ -135,12 +142,12 @@ function generateSegmentKeys(roomId, day, startTime, endTime) {
  * 
  * CRITICAL FIX (Nov 12, 2025): Check ALL 30-minute segments
  */
-function isRoomAvailableGlobal(roomId, day, startTime, endTime) {
+function isRoomAvailableGlobal(ctx, roomId, day, startTime, endTime) {
   const segmentKeys = generateSegmentKeys(roomId, day, startTime, endTime)
   
   // Room is available ONLY if ALL segments are free
   for (const key of segmentKeys) {
-    if (globalRoomSchedule.has(key)) {
+    if (ctx.roomSchedule.has(key)) {
       return false  // Conflict found in this segment
     }
   }
@@ -153,12 +160,12 @@ function isRoomAvailableGlobal(roomId, day, startTime, endTime) {
  * 
  * CRITICAL FIX (Nov 12, 2025): Mark ALL 30-minute segments as occupied
  */
-function markRoomAsUsed(roomId, day, startTime, endTime, sectionId, sectionName, batchName, labName) {
+function markRoomAsUsed(ctx, roomId, day, startTime, endTime, sectionId, sectionName, batchName, labName) {
   const segmentKeys = generateSegmentKeys(roomId, day, startTime, endTime)
   
   // Mark ALL segments as occupied
   for (const key of segmentKeys) {
-    globalRoomSchedule.set(key, {
+    ctx.roomSchedule.set(key, {
       sectionId: sectionId.toString(),
       sectionName,
       batchName,
@@ -190,11 +197,11 @@ async function getCompatibleRooms(labId) {
  * - Ensures even distribution across all compatible rooms
  * - Prevents same room from being overused while others sit empty
  */
-async function findAvailableRoom(labId, day, startTime, endTime, usedRoomsInThisSlot = new Set()) {
+async function findAvailableRoom(ctx, labId, day, startTime, endTime, usedRoomsInThisSlot = new Set(), preferredRoomId = null) {
   const compatibleRooms = await getCompatibleRooms(labId)
   
-  // SHUFFLE: Randomize room order to distribute load evenly
-  const shuffledRooms = shuffleArray(compatibleRooms)
+  // SHUFFLE: Randomize room order to distribute load evenly (repair run: baseline room first)
+  const shuffledRooms = baselineFirst(shuffleArray(compatibleRooms, ctx.random), room => room._id.toString() === preferredRoomId)
   
   for (const room of shuffledRooms) {
     const roomId = room._id.toString()
@@ -205,7 +212,7 @@ async function findAvailableRoom(labId, day, startTime, endTime, usedRoomsInThis
     }
     
     // Check global availability (inter-section conflict prevention)
-    if (isRoomAvailableGlobal(roomId, day, startTime, endTime)) {
+    if (isRoomAvailableGlobal(ctx, roomId, day, startTime, endTime)) {
       return room
     }
   }
@@ -213,13 +220,21 @@ async function findAvailableRoom(labId, day, startTime, endTime, usedRoomsInThis
   return null // No available room found
 }
 
+/**
+ * Helper: Rotation round a lab session holds - index of its batch 1 lab in `labs` (-1 if none)
+ */
+function sessionRound(slot, labs) {
+  const firstBatch = (slot.batches || []).find(batch => batch.batch_number === 1) || slot.batches?.[0]
+  return firstBatch ? labs.findIndex(lab => lab._id.toString() === firstBatch.lab_id?.toString()) : -1
+}
+
 /**
  * Helper: Get all day-slot combinations
  * Returns shuffled list to spread labs across the week
  * 
  * SMART SHUFFLE (Nov 13, 2025 - Pattern Analysis Enhancement):
- * - 5 time slots per day × 5 days = 25 total combinations
- * - PROVEN pattern from 100% successful runs
+ * - Template windows per day × working days (default: 5 slots × 5 days = 25 combinations)
+ * - Default slots are the PROVEN pattern from 100% successful runs
  * - Smart shuffling: Prioritize day/time diversity for better distribution
  * 
  * Success Pattern Analysis:
@@ -227,11 +242,11 @@ async function findAvailableRoom(labId, day, startTime, endTime, usedRoomsInThis
  * - 15:00-17:00 slot critical for "escape valve" when standard slots fill
  * - Early morning (08:00) slots should remain available for later sections
  */
-function getAllDaySlotCombinations() {
+function getAllDaySlotCombinations(ctx, sem, durationHours) {
   const combinations = []
   
-  for (const day of WORKING_DAYS) {
-    const slots = getAvailableTimeSlots()
+  for (const day of ctx.calendar.working_days) {
+    const slots = getAvailableTimeSlots(ctx, sem, durationHours)
     for (const slot of slots) {
       combinations.push({ day, ...slot })
     }
@@ -239,7 +254,7 @@ function getAllDaySlotCombinations() {
   
   // SMART SHUFFLE: Interleave days to force diversity
   // Instead of pure random, ensure consecutive picks use different days
-  return smartShuffleWithDiversity(combinations)
+  return smartShuffleWithDiversity(combinations, ctx.random)
 }
 
 /**
@@ -249,7 +264,7 @@ function getAllDaySlotCombinations() {
  * 2. Time slots are distributed (not clustered)
  * 3. 15:00-17:00 "escape valve" slot preserved for critical cases
  */
-function smartShuffleWithDiversity(combinations) {
+function smartShuffleWithDiversity(combinations, random) {
   const shuffled = []
   const remaining = [...combinations]
   
@@ -285,7 +300,7 @@ function smartShuffleWithDiversity(combinations) {
     }
     
     // Pick randomly from preferred options
-    const chosenIndex = preferredIndices[Math.floor(Math.random() * preferredIndices.length)]
+    const chosenIndex = preferredIndices[Math.floor(random() * preferredIndices.length)]
     const chosen = remaining[chosenIndex]
     
     shuffled.push(chosen)
@@ -301,10 +316,10 @@ function smartShuffleWithDiversity(combinations) {
 /**
  * Helper: Shuffle array (Fisher-Yates algorithm)
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   const shuffled = [...array]
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
   }
   return shuffled
@@ -337,7 +352,7 @@ function hasLabConflict(labSlots, day, startTime, endTime) {
 /**
  * Helper: Check if any batch would have consecutive labs on same day
  * 
- * STRICT CONSTRAINT: NO consecutive labs allowed AT ALL
+ * Hard rule no_consecutive_labs (default for every section): NO consecutive labs
  * 
  * Rule: Students should NOT have back-to-back labs (no breaks = too hectic)
  * 
@@ -349,49 +364,168 @@ function hasLabConflict(labSlots, day, startTime, endTime) {
  *   Lab 1: 08:00-10:00
  *   Lab 2: 12:00-14:00  ✅ OK (2-hour gap for break)
  */
-function hasConsecutiveLabConflict(labSlots, day, startTime, endTime, roundsScheduled, totalRounds) {
-  const existingLabsOnDay = labSlots.filter(slot => slot.day === day)
+function hasConsecutiveLabConflict(ctx, tt, labSlots, day, startTime, endTime) {
+  if (!hardRule(ctx.rules, 'no_consecutive_labs', ruleTarget(tt))) return false // Switched off for this section
   
-  // STRICT: Never allow consecutive labs
-  for (const existingSlot of existingLabsOnDay) {
-    // Check if new slot is immediately before or after existing slot
-    if (existingSlot.end_time === startTime || existingSlot.start_time === endTime) {
-      return true // Consecutive labs detected - REJECT this slot
+  // Check if new slot is immediately before or after an existing slot
+  return adjacentLab(labSlots, day, startTime, endTime) !== null
+}
+
+/**
+ * Helper: Can the batches of a round get distinct free compatible rooms at this time?
+ * roomsByBatch: free compatible room ids per batch
+ */
+function hasDistinctRooms(roomsByBatch, used = new Set(), index = 0) {
+  if (index === roomsByBatch.length) return true
+  return roomsByBatch[index].some(roomId => {
+    if (used.has(roomId)) return false
+    used.add(roomId)
+    const found = hasDistinctRooms(roomsByBatch, used, index + 1)
+    used.delete(roomId)
+    return found
+  })
+}
+
+/**
+ * Helper: Explain the rounds of a section that could not be scheduled
+ * Checks every lab window of every working day against the section's state when it
+ * gave up and lists all the rules that reject it (unscheduled_report.js)
+ */
+async function explainUnscheduledRounds(ctx, tt, labs, labSlots, missingRounds, sessionHours) {
+  const NUM_BATCHES = 3
+  const compatibleRooms = new Map() // labId -> rooms
+  for (const lab of labs) {
+    compatibleRooms.set(lab._id.toString(), await getCompatibleRooms(lab._id))
+  }
+
+  const roomHolder = (roomId, day, start, end) => {
+    const key = generateSegmentKeys(roomId, day, start, end).find(k => ctx.roomSchedule.has(k))
+    return key ? ctx.roomSchedule.get(key) : null
+  }
+
+  const items = []
+  for (const round of missingRounds) {
+    const batches = []
+    for (let batchNum = 1; batchNum <= NUM_BATCHES; batchNum++) {
+      const lab = labs[(round + batchNum - 1) % labs.length]
+      batches.push({ batch_name: `${tt.section_name}${batchNum}`, lab })
     }
+
+    const candidates = []
+    for (const day of ctx.calendar.working_days) {
+      for (const { start, end } of getAvailableTimeSlots(ctx, tt.sem, sessionHours)) {
+        const reasons = []
+
+        if (!isValidTimeSlot(ctx, start, end)) {
+          reasons.push({ code: 'outside_hours', detail: `Working hours are ${ctx.calendar.day_start}-${ctx.calendar.day_end}` })
+        }
+
+        const theory = (tt.theory_slots || []).find(slot => slot.day === day && timesOverlap(start, end, slot.start_time, slot.end_time))
+        if (theory) {
+          reasons.push({ code: 'section_busy', detail: `${theory.subject_shortform} ${theory.start_time}-${theory.end_time}${theory.is_fixed_slot ? ' (fixed slot)' : ''}` })
+        }
+        const lab = labSlots.find(slot => slot.day === day && timesOverlap(start, end, slot.start_time, slot.end_time))
+        if (lab) {
+          reasons.push({ code: 'section_busy', detail: `Lab session ${lab.start_time}-${lab.end_time}` })
+        }
+
+        if (hasConsecutiveLabConflict(ctx, tt, labSlots, day, start, end)) {
+          const neighbour = adjacentLab(labSlots, day, start, end)
+          reasons.push({ code: 'consecutive_labs', detail: `Back-to-back with lab session ${neighbour.start_time}-${neighbour.end_time}` })
+        }
+
+        const dailyLimit = dailyLabLimit(ctx, tt)
+        if (violatesDailyLabLimit(ctx, tt, labSlots, day)) {
+          reasons.push({ code: 'daily_lab_limit', detail: `Already ${dailyLimit} lab session(s) on ${day} (max ${dailyLimit})` })
+        }
+
+        const freeRoomsByBatch = batches.map(({ lab: batchLab }) =>
+          compatibleRooms.get(batchLab._id.toString())
+            .filter(room => isRoomAvailableGlobal(ctx, room._id.toString(), day, start, end))
+            .map(room => room._id.toString())
+        )
+        batches.forEach(({ batch_name, lab: batchLab }, i) => {
+          if (freeRoomsByBatch[i].length > 0) return
+          const rooms = compatibleRooms.get(batchLab._id.toString())
+          const shortform = batchLab.lab_shortform || batchLab.lab_code
+          if (rooms.length === 0) {
+            reasons.push({ code: 'no_lab_room', detail: `${batch_name} ${shortform}: no room handles this lab` })
+            return
+          }
+          const holders = rooms.map(room => {
+            const holder = roomHolder(room._id.toString(), day, start, end)
+            return `${room.labRoom_no}${holder ? ` (${holder.batchName} ${holder.labName})` : ''}`
+          })
+          reasons.push({ code: 'no_lab_room', detail: `${batch_name} ${shortform}: all compatible rooms taken - ${holders.join(', ')}` })
+        })
+        if (freeRoomsByBatch.every(rooms => rooms.length > 0) && !hasDistinctRooms(freeRoomsByBatch)) {
+          reasons.push({ code: 'no_lab_room', detail: `Fewer free compatible rooms than batches (${batches.map(b => b.lab.lab_shortform || b.lab.lab_code).join(', ')})` })
+        }
+
+        candidates.push({ day, start_time: start, end_time: end, reasons })
+      }
+    }
+
+    items.push(unscheduledItem({
+      step: 3,
+      item_type: 'lab',
+      label: `${tt.section_name} lab session ${round + 1} (${batches.map(b => `${b.batch_name} ${b.lab.lab_shortform || b.lab.lab_code}`).join(', ')})`,
+      round: round + 1,
+      batches: batches.map(({ batch_name, lab }) => ({ batch_name, lab_shortform: lab.lab_shortform || lab.lab_code }))
+    }, candidates))
   }
-  
-  return false // No consecutive labs - ALLOW
+
+  return items
 }
 
 /**
- * Helper: Check if scheduling a lab on this day would violate daily lab limits
+ * Helper: Lab sessions a section may have per day (null = no limit)
  * 
- * UPDATED CONSTRAINTS (Nov 13, 2025): NO daily limit - only prevent consecutive labs
+ * UPDATED CONSTRAINTS (Nov 13, 2025): NO daily limit by default - only prevent consecutive labs
  * 
- * New Rule:
- *   - NO LIMIT on labs per day for a section
- *   - Labs MUST NOT be consecutive (enforced separately in hasConsecutiveLabConflict)
+ * A department can still set one as a hard max_labs_per_day rule (scheduling rules page)
  * 
- * Rationale:
+ * Rationale for no default limit:
  *   - More flexible scheduling options
  *   - Better room utilization
  *   - Higher success rates
  *   - Students still get breaks between labs (no consecutive constraint prevents exhaustion)
  */
-function violatesDailyLabLimit(labSlots, day, totalLabsNeeded) {
-  // NO DAILY LIMIT - only consecutive labs are prevented
-  return false
+function dailyLabLimit(ctx, tt) {
+  const rule = hardRule(ctx.rules, 'max_labs_per_day', ruleTarget(tt))
+  return rule ? ruleParam(rule, 'max_labs') : null
+}
+
+/**
+ * Helper: Check if scheduling a lab on this day would violate the daily lab limit
+ */
+function violatesDailyLabLimit(ctx, tt, labSlots, day) {
+  const limit = dailyLabLimit(ctx, tt)
+  if (limit === null) return false
+  return labSlots.filter(slot => slot.day === day).length >= limit
 }
 
 /**
  * Main function: Schedule labs for all sections with global conflict prevention
  * INCLUDES: Multi-pass retry system to maximize 3rd/5th semester success
+ * seed: same seed + same data → same lab placement (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
  */
-export async function scheduleLabs(semType, academicYear) {
+export async function scheduleLabs(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed })) {
   try {
     console.log(`\n🧪 Step 3: Scheduling labs for ${semType} semester...`)
     console.log(`📊 Using: Multi-Pass Retry System + Smart Shuffle (Day/Time Diversity)\n`)
     
+    ctx.random = createRandom(seed)
+    if (seed !== undefined) console.log(`🎲 Seed: ${seed}`)
+    
+    const calendar = await loadCalendar(ctx)
+    await loadRules(ctx)
+    console.log(`📅 Calendar: ${calendar.working_days.join(', ')} ${calendar.day_start}-${calendar.day_end}${calendar.is_default ? ' (default)' : ''}`)
+    
+    ctx.labTemplates = await LabSlotTemplate.find({ sem_type: semType }).lean()
+    console.log(`🧩 Lab slot templates: ${ctx.labTemplates.length > 0 ? ctx.labTemplates.map(t => t.sem ? `Sem ${t.sem}` : 'all semesters').join(', ') : 'none (default slots)'}\n`)
+    
     const MAX_ATTEMPTS = 5 // Try up to 5 different random slot orderings (reduced for testing)
     let bestResult = null
     let bestScore = 0
@@ -405,9 +539,9 @@ export async function scheduleLabs(semType, academicYear) {
       // 1. Randomly decide: Process 3rd semester first OR 5th semester first
       // 2. Shuffle sections within each semester (3A/3B/3C and 5A/5B/5C)
       // 3. Always keep 7th semester at the end
-      const process3rdFirst = Math.random() < 0.5  // 50% chance
+      const process3rdFirst = ctx.random() < 0.5  // 50% chance
       
-      const result = await scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst)
+      const result = await scheduleLabs_SingleAttempt(ctx, process3rdFirst)
     
     // Calculate success score (prioritize completing ALL sections)
     const sem3Success = result.labsBySection.filter(s => s.sem === 3 && s.complete).length
@@ -426,7 +560,9 @@ export async function scheduleLabs(semType, academicYear) {
     console.log(`   Total Labs: ${result.totalScheduled}/${result.totalNeeded}`)
     console.log(`   Score: ${score}`)
     
-    if (score > bestScore) {
+    // Repair run: between equally complete attempts, the one closest to the baseline wins
+    const closerToBaseline = bestResult && score === bestScore && ctx.baseline && result.labSessionsKept > bestResult.labSessionsKept
+    if (score > bestScore || closerToBaseline) {
       bestScore = score
       bestResult = result
       console.log(`   ⭐ NEW BEST RESULT!`)
@@ -447,6 +583,9 @@ export async function scheduleLabs(semType, academicYear) {
   if (!bestResult) {
     throw new Error('Failed to schedule labs after all attempts')
   }
+  if (ctx.baseline) {
+    console.log(`🔧 Repair: ${bestResult.labSessionsKept}/${bestResult.totalScheduled} lab sessions kept at their baseline day/time`)
+  }
   
   // Apply best result to database and return proper API response
   const finalResult = await applySchedulingResult(bestResult, semType, academicYear)
@@ -461,9 +600,11 @@ export async function scheduleLabs(semType, academicYear) {
 
 /**
  * Single scheduling attempt with one random slot ordering
+ * @param {object} ctx - Generation context of the run
  * @param {boolean} process3rdFirst - If true, process 3rd sem before 5th sem
  */
-async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst) {
+async function scheduleLabs_SingleAttempt(ctx, process3rdFirst) {
+  const { sem_type: semType } = ctx
   console.log(`\n🧪 Step 3: Scheduling labs for ${semType} semester...`)
   console.log(`📊 Using: In-Memory Global Room Tracking + Better Distribution\n`)
   
@@ -472,17 +613,14 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     // Keep data from Steps 1-2 (section init + fixed slots)
     console.log(`   🗑️  Flushing data from Steps 3-7 (keeping Steps 1-2 data)...`)
     
-    const timetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    })
+    const timetables = await Timetable.find(targetSectionFilter(ctx))
     
     for (const tt of timetables) {
-      tt.lab_slots = []  // Clear Step 3 labs
+      tt.lab_slots = tt.lab_slots.filter(slot => slot.locked === true)  // Clear Step 3 labs (locked ones stay)
       // Keep theory_slots (has Step 2 fixed slots)
-      // But we need to remove any theory from Step 4 (only keep fixed slots from Step 2)
+      // But we need to remove any theory from Step 4 (only keep fixed + locked slots)
       tt.theory_slots = tt.theory_slots.filter(slot => 
-        slot.is_fixed_slot === true  // Keep only Step 2 fixed slots
+        slot.is_fixed_slot === true || slot.locked === true
       )
       tt.breaks = []  // Clear custom breaks (added in Editor or Step 4)
       tt.generation_metadata.current_step = 2
@@ -493,13 +631,25 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     console.log(`   ✅ Flushed ${timetables.length} timetables\n`)
     
     // Clear global room tracker for fresh start
-    globalRoomSchedule.clear()
+    ctx.roomSchedule.clear()
+    
+    // Targeted run: rooms of the sections kept as they are stay taken
+    const keptTimetables = await loadKeptTimetables(ctx)
+    for (const kept of keptTimetables) {
+      for (const slot of kept.lab_slots || []) {
+        for (const batch of slot.batches || []) {
+          if (!batch.lab_room_id) continue
+          markRoomAsUsed(ctx, batch.lab_room_id.toString(), slot.day, slot.start_time, slot.end_time, kept.section_id, kept.section_name, batch.batch_name, batch.lab_shortform)
+        }
+      }
+    }
+    if (keptTimetables.length > 0) {
+      console.log(`   🔒 Kept ${keptTimetables.length} other section(s) fixed: ${ctx.roomSchedule.size} room segments already taken\n`)
+    }
     
-    // Load all timetables from Step 2
-    const reloadedTimetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).populate('section_id', 'section_name sem sem_type').lean()
+    // Load the timetables to schedule from Step 2
+    const reloadedTimetables = await Timetable.find(targetSectionFilter(ctx))
+      .populate('section_id', 'section_name sem sem_type').lean()
     
     if (reloadedTimetables.length === 0) {
       throw new Error('No timetables found. Please run Steps 1-2 first.')
@@ -514,9 +664,18 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
         _id: tt._id,
         section_id: tt.section_id._id,
         section_name: tt.section_name,
+        sem_type: tt.sem_type,
         sem: tt.sem,
         theory_slots: tt.theory_slots || [],
-        lab_slots: [] // Will populate this
+        lab_slots: tt.lab_slots || [] // Locked sessions - the rest is populated below
+      }
+      
+      // Locked lab sessions keep their rooms
+      for (const slot of tt.lab_slots || []) {
+        for (const batch of slot.batches || []) {
+          if (!batch.lab_room_id) continue
+          markRoomAsUsed(ctx, batch.lab_room_id.toString(), slot.day, slot.start_time, slot.end_time, tt.section_id._id, tt.section_name, batch.batch_name, batch.lab_shortform)
+        }
       }
     }
     
@@ -535,9 +694,9 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     // 2. Randomly alternate between 3rd-first and 5th-first processing
     // 3. Always keep 7th semester at the end
     // Analysis: Different processing orders lead to different slot distributions
-    shuffleArray(sem3Ids)
-    shuffleArray(sem5Ids)
-    shuffleArray(sem7Ids)
+    shuffleArray(sem3Ids, ctx.random)
+    shuffleArray(sem5Ids, ctx.random)
+    shuffleArray(sem7Ids, ctx.random)
     
     // SMART ORDERING: Alternate between 3rd-first and 5th-first each attempt
     // Sometimes 3rd sem benefits from first pick, sometimes 5th sem does
@@ -552,6 +711,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     
     let totalLabSessionsScheduled = 0
     let totalBatchesScheduled = 0
+    let labSessionsKept = 0 // Repair run: sessions at their baseline day/time
     const unresolvedScheduling = [] // Track labs that couldn't be scheduled
     
     // RETRY MECHANISM: Track sections that need retry with different slot combinations
@@ -587,17 +747,38 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
       const NUM_BATCHES = 3 // Always 3 batches per section
       const NUM_LABS = labs.length
       const NUM_ROUNDS = NUM_LABS // Need enough rounds for full rotation
+      const SESSION_HOURS = getLabSessionHours(labs)
+      const template = templateForSemester(ctx.labTemplates, sem)
       
       console.log(`      📊 Need to schedule ${NUM_ROUNDS} lab sessions (${NUM_ROUNDS} rounds)`)
       
-      // Log strict constraints (UPDATED Nov 13, 2025 - NO daily limit)
-      console.log(`      📅 Daily Lab Constraint: NO LIMIT (only prevent consecutive labs)`)
-      console.log(`      ⏰ Consecutive Labs: NOT ALLOWED (STRICT - no back-to-back labs)`)
-      console.log(`      🕐 Time Slots: 5 proven 2-hour slots (8am-10am, 10am-12pm, 12pm-2pm, 2pm-4pm, 3pm-5pm)`)
+      // Log the section's lab rules (scheduling rules - by default no daily limit, no consecutive labs)
+      const labLimit = dailyLabLimit(ctx, tt)
+      console.log(`      📅 Daily Lab Constraint: ${labLimit === null ? 'NO LIMIT' : `max ${labLimit} per day`}`)
+      console.log(`      ⏰ Consecutive Labs: ${hardRule(ctx.rules, 'no_consecutive_labs', ruleTarget(tt)) ? 'NOT ALLOWED (no back-to-back labs)' : 'allowed (rule switched off)'}`)
+      console.log(`      🕐 Time Slots: ${SESSION_HOURS}-hour sessions from ${template ? `${template.sem ? `Sem ${template.sem}` : 'all-semester'} template` : '5 proven default slots'}`)
       console.log(`      🔧 Strategy: Smart diversity shuffle (prefers different days/times), 30-min conflict checking`)
       
-      const labSlots = []
-      let roundsScheduled = 0
+      // Locked sessions already hold their rotation round (the lab of batch 1 gives it away)
+      const labSlots = [...tt.lab_slots]
+      const lockedRounds = new Set()
+      for (const slot of labSlots) {
+        const round = sessionRound(slot, labs)
+        if (round >= 0) lockedRounds.add(round)
+      }
+      // Rounds in the order they are filled: locked ones first, then the rest
+      const roundOrder = [...lockedRounds, ...labs.map((lab, round) => round).filter(round => !lockedRounds.has(round))]
+      let roundsScheduled = lockedRounds.size
+      if (lockedRounds.size > 0) {
+        console.log(`      🔒 ${lockedRounds.size} locked lab session(s) kept: round(s) ${[...lockedRounds].map(round => round + 1).join(', ')}`)
+      }
+      
+      // Repair run: "day_start" -> round that had its session there in the baseline
+      const baselineWindows = new Map()
+      for (const slot of baselineOf(ctx, tt)?.lab_slots || []) {
+        const round = sessionRound(slot, labs)
+        if (round >= 0 && !lockedRounds.has(round)) baselineWindows.set(`${slot.day}_${slot.start_time}`, round)
+      }
       
       // DIAGNOSTIC: Track why slots are rejected
       const diagnostics = {
@@ -610,13 +791,20 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
         successful: 0
       }
       
-      // UNIFIED APPROACH: Try ALL 2-hour windows (no standard vs fallback distinction)
-      // This maximizes utilization of entire 8 AM - 5 PM timeframe including 4-5 PM hour
-      const allCombinations = getAllDaySlotCombinations()
+      // UNIFIED APPROACH: Try ALL template windows (no standard vs fallback distinction)
+      // Repair run: the baseline windows come first
+      const allCombinations = baselineFirst(
+        getAllDaySlotCombinations(ctx, sem, SESSION_HOURS),
+        combination => baselineWindows.has(`${combination.day}_${combination.start}`)
+      )
+      
+      if (allCombinations.length === 0) {
+        console.log(`      ⚠️  No lab window of the template is ${SESSION_HOURS} hours long - check the Sem ${sem} lab slot template`)
+      }
       
       console.log(`      🔄 Trying ${allCombinations.length} possible time slot combinations...`)
       
-      // Try to schedule all rounds using ANY available 2-hour window
+      // Try to schedule all rounds using ANY available lab window
       for (const combination of allCombinations) {
         diagnostics.totalCombinationsChecked++
         
@@ -625,7 +813,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
         const { day, start, end } = combination
         
         // Check if valid time slot
-        if (!isValidTimeSlot(start, end)) continue
+        if (!isValidTimeSlot(ctx, start, end)) continue
         
         // Check for theory conflicts
         if (hasTheoryConflict(tt, day, start, end)) {
@@ -639,20 +827,26 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
           continue
         }
         
-        // Check for consecutive lab prohibition (relaxed for final rounds)
-        if (hasConsecutiveLabConflict(labSlots, day, start, end, roundsScheduled, NUM_ROUNDS)) {
+        // Check for consecutive lab prohibition
+        if (hasConsecutiveLabConflict(ctx, tt, labSlots, day, start, end)) {
           diagnostics.rejectedByConsecutiveConflict++
           continue
         }
         
-        // Check for daily lab limit violations
-        // - 3+ labs total: max 2 per day
-        // - 2 labs total: must be on different days
-        if (violatesDailyLabLimit(labSlots, day, NUM_ROUNDS)) {
+        // Check for daily lab limit violations (max_labs_per_day rule)
+        if (violatesDailyLabLimit(ctx, tt, labSlots, day)) {
           diagnostics.rejectedByDailyLimit++
           continue
         }
         
+        // Repair run: a baseline window goes to the round that had it (if that is still open)
+        const baselineRound = baselineWindows.get(`${day}_${start}`)
+        const baselinePosition = baselineRound === undefined ? -1 : roundOrder.indexOf(baselineRound, roundsScheduled)
+        if (baselinePosition > roundsScheduled) {
+          roundOrder.splice(baselinePosition, 1)
+          roundOrder.splice(roundsScheduled, 0, baselineRound)
+        }
+        
         // Try to schedule all 3 batches for this round
         const batches = []
         let allRoomsAvailable = true
@@ -661,11 +855,12 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
         
         for (let batchNum = 1; batchNum <= NUM_BATCHES; batchNum++) {
           // Calculate which lab this batch does in this round (BATCH ROTATION - Rule 4.7)
-          const labIndex = (roundsScheduled + batchNum - 1) % NUM_LABS
+          const labIndex = (roundOrder[roundsScheduled] + batchNum - 1) % NUM_LABS
           const lab = labs[labIndex]
           
-          // DYNAMIC ROOM SELECTION: Find ANY compatible room that's free
-          const availableRoom = await findAvailableRoom(lab._id, day, start, end, usedRoomsInThisSlot)
+          // DYNAMIC ROOM SELECTION: Find ANY compatible room that's free (repair run: baseline room first)
+          const baselineRoomId = baselineLabBatch(ctx, tt, `${sectionName}${batchNum}`, lab._id)?.batch.lab_room_id?.toString()
+          const availableRoom = await findAvailableRoom(ctx, lab._id, day, start, end, usedRoomsInThisSlot, baselineRoomId)
           
           if (!availableRoom) {
             // No available room found - cannot schedule this round at this time
@@ -718,6 +913,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
           // Commit: Mark all rooms as used in global tracker
           for (const roomInfo of tempRoomKeys) {
             markRoomAsUsed(
+              ctx,
               roomInfo.roomId,
               roomInfo.day,
               roomInfo.start,
@@ -735,16 +931,17 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
             day: day,
             start_time: start,
             end_time: end,
-            duration_hours: LAB_DURATION,
+            duration_hours: SESSION_HOURS,
             batches: batches
           })
           
+          if (baselineWindows.get(`${day}_${start}`) === roundOrder[roundsScheduled]) labSessionsKept++
           roundsScheduled++
           totalLabSessionsScheduled++
           totalBatchesScheduled += NUM_BATCHES
           diagnostics.successful++
           
-          console.log(`      ✅ Round ${roundsScheduled}: ${day} ${start}-${end}`)
+          console.log(`      ✅ Round ${roundOrder[roundsScheduled - 1] + 1}: ${day} ${start}-${end}`)
           batches.forEach(b => {
             console.log(`         - ${b.batch_name}: ${b.lab_shortform} in ${b.lab_room_name}`)
           })
@@ -758,7 +955,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
         console.log(`      🚫 ${NUM_ROUNDS - roundsScheduled} labs could not be scheduled due to room/time conflicts`)
         
         // Track unresolved labs for final report
-        for (let missingRound = roundsScheduled; missingRound < NUM_ROUNDS; missingRound++) {
+        for (const missingRound of roundOrder.slice(roundsScheduled)) {
           // Calculate which labs couldn't be scheduled for which batches
           const unresolvedBatches = []
           for (let batchNum = 1; batchNum <= NUM_BATCHES; batchNum++) {
@@ -778,6 +975,10 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
             reason: 'No available time slot or compatible room found'
           })
         }
+        
+        // Why: every candidate window with the rules that reject it
+        tt.unscheduled_items = await explainUnscheduledRounds(ctx, tt, labs, labSlots, roundOrder.slice(roundsScheduled), SESSION_HOURS)
+        tt.unscheduled_items.forEach(item => console.log(`      🔎 ${item.label}: ${describeRejections(item)}`))
       } else {
         console.log(`      ✅ All ${NUM_ROUNDS} rounds successfully scheduled!`)
       }
@@ -788,10 +989,12 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
       console.log(`         ❌ Rejected by theory conflicts: ${diagnostics.rejectedByTheoryConflict} (${(diagnostics.rejectedByTheoryConflict/diagnostics.totalCombinationsChecked*100).toFixed(1)}%)`)
       console.log(`         ❌ Rejected by lab conflicts: ${diagnostics.rejectedByLabConflict} (${(diagnostics.rejectedByLabConflict/diagnostics.totalCombinationsChecked*100).toFixed(1)}%)`)
       console.log(`         ❌ Rejected by consecutive constraint: ${diagnostics.rejectedByConsecutiveConflict} (${(diagnostics.rejectedByConsecutiveConflict/diagnostics.totalCombinationsChecked*100).toFixed(1)}%)`)
-      console.log(`         ❌ Rejected by daily limit: ${diagnostics.rejectedByDailyLimit} (${(diagnostics.rejectedByDailyLimit/diagnostics.totalCombinationsChecked*100).toFixed(1)}%) [DISABLED - no daily limit]`)
+      console.log(`         ❌ Rejected by daily limit: ${diagnostics.rejectedByDailyLimit} (${(diagnostics.rejectedByDailyLimit/diagnostics.totalCombinationsChecked*100).toFixed(1)}%) [${labLimit === null ? 'rule off' : `max ${labLimit} per day`}]`)
       console.log(`         ❌ Rejected by no rooms available: ${diagnostics.rejectedByNoRooms} (${(diagnostics.rejectedByNoRooms/diagnostics.totalCombinationsChecked*100).toFixed(1)}%)`)
       console.log(`         ✅ Successfully scheduled: ${diagnostics.successful}`)
-         console.log(`         📊 Strategy: 5 proven slots (matching old 100% success) with 30-min conflict checking`)      // Store scheduled lab slots in memory
+      console.log(`         📊 Strategy: ${allCombinations.length / ctx.calendar.working_days.length} lab windows per day with 30-min conflict checking`)
+      
+      // Store scheduled lab slots in memory
       tt.lab_slots = labSlots
       
       console.log(`      📊 Total: ${labSlots.length} lab sessions scheduled\n`)
@@ -800,7 +1003,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     console.log(`✅ All sections processed!`)
     console.log(`📊 Total lab sessions: ${totalLabSessionsScheduled}`)
     console.log(`📊 Total batches: ${totalBatchesScheduled}`)
-    console.log(`📊 Global room schedule entries: ${globalRoomSchedule.size}\n`)
+    console.log(`📊 Global room schedule entries: ${ctx.roomSchedule.size}\n`)
     
     // ATOMIC UPDATE: Write all timetables to database at once
     console.log(`💾 Saving all timetables to database...`)
@@ -893,18 +1096,16 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     console.log(`   Global Conflict Prevention: ✅ Active (Multi-segment tracking)`)
     console.log(`   Internal Conflict Prevention: ✅ Active (3 batches use 3 different rooms)`)
     console.log(`   Rule 4.7 (Batch Rotation): ✅ Guaranteed`)
-    console.log(`   Consecutive Lab Prevention: ✅ STRICT (NO back-to-back labs allowed)`)
-    console.log(`   Daily Lab Limits: ✅ NO LIMIT (only consecutive prevention - UPDATED Nov 13, 2025)`)
+    console.log(`   Consecutive Labs / Daily Lab Limits: ✅ Per section scheduling rules`)
     console.log(`   Theory Slot Conflicts: ✅ Prevented`)
-    console.log(`   Time Slots: 5 proven slots per day (25 total combinations - OLD SUCCESS PATTERN)`)
+    console.log(`   Time Slots: Lab slot templates per semester (default: 5 proven slots per day)`)
     console.log(``)
     console.log(`📈 OPTIMIZATION IMPROVEMENTS (Nov 13, 2025):`)
     console.log(`   ✅ Multi-segment room tracking (prevents all overlaps)`)
     console.log(`   ✅ Multi-pass retry system (20 attempts with SMART diversity shuffle)`)
     console.log(`   ✅ Dual randomization: Time slots + Section order (exponential diversity)`)
     console.log(`   ✅ Internal conflict prevention (each batch gets unique room per slot)`)
-    console.log(`   ✅ UNIFIED TIME SLOTS: No fixed/fallback distinction - ALL 2-hour windows equally considered`)
-    console.log(`   ✅ MAXIMIZED UTILIZATION: Uses entire 8 AM - 5 PM timeframe including 4-5 PM hour`)
+    console.log(`   ✅ UNIFIED TIME SLOTS: No fixed/fallback distinction - ALL template windows equally considered`)
     console.log(`   📊 Diagnostic logging (identifies exact failure reasons)`)
     console.log(``)
     
@@ -913,10 +1114,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
     console.log(`${'='.repeat(80)}\n`)
     
     // Fetch updated timetables
-    const updatedTimetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    })
+    const updatedTimetables = await Timetable.find(targetSectionFilter(ctx))
     
     // Return result data for comparison (don't save to DB yet in multi-attempt mode)
     return {
@@ -924,6 +1122,7 @@ async function scheduleLabs_SingleAttempt(semType, academicYear, process3rdFirst
       totalScheduled: totalLabSessionsScheduled,
       totalNeeded: totalExpectedLabs,
       totalBatches: totalBatchesScheduled,
+      labSessionsKept,
       unresolvedScheduling,
       labsBySection: sections.map(ttId => {
         const tt = timetableData[ttId]
@@ -975,7 +1174,8 @@ async function applySchedulingResult(result, semType, academicYear) {
           lab_slots: tt.lab_slots,
           'generation_metadata.current_step': 3,
           'generation_metadata.steps_completed': ['load_sections', 'block_fixed_slots', 'schedule_labs'],
-          'generation_metadata.step3_summary': step3Summary
+          'generation_metadata.step3_summary': step3Summary,
+          'generation_metadata.unscheduled_items': tt.unscheduled_items || []
         }
       },
       { new: true }
@@ -1023,6 +1223,7 @@ async function applySchedulingResult(result, semType, academicYear) {
       batches_scheduled: result.totalBatches,
       unresolved_conflicts: unresolvedScheduling.length,
       unresolved_details: unresolvedScheduling,
+      unscheduled_items: Object.values(timetableData).flatMap(tt => tt.unscheduled_items || []),
       conflict_prevention: {
         global_conflicts: 0,
         internal_conflicts: 0,
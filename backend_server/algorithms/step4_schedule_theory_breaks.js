@@ -7,34 +7,45 @@
  * - Priority order: Regular ISE → Other Dept → Projects
  * - Sort by hrs_per_week (descending) - harder subjects first
  * - Random distribution across week (shuffle days/slots)
- * - Integrated break management (default 11:00-11:30, 13:00-13:30)
+ * - Integrated break management (department calendar breaks, default 11:00-11:30, 13:30-14:00)
+ * - Days, periods and day length come from the department calendar of the academic year
  * - NO classroom assignment (deferred to Step 6)
+ * - Slots locked in the editor (locked: true) stay, block their teachers and count
+ *   towards their subject's hours per week
+ * - Repair run (warm_start.js): a subject tries its baseline split and day/times first
+ * - Scheduling rules (rule_engine.js): the day-length rule and the allowed early-start
+ *   days of each section, hard subject and teacher hours per day
  * 
  * Input: sem_type, academic_year
  * Output: Timetables with theory_slots populated (no classrooms yet)
+ *         (+ generation_metadata.unscheduled_items: why missing theory hours were not placed)
  */
 
 import Timetable from '../models/timetable_model.js'
 import TeacherAssignment from '../models/pre_assign_teacher_model.js'
 import Subject from '../models/subjects_model.js'
+import Teacher from '../models/teachers_models.js'
+import { calendarPeriods } from '../models/department_calendar_model.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, loadCalendar, targetSectionFilter, loadKeptTimetables } from './generation_context.js'
+import { unscheduledItem, describeRejections } from './unscheduled_report.js'
+import { baselineFirst, baselineTheorySessions } from './warm_start.js'
+import { loadRules, hardRule, ruleTarget, teacherTarget, ruleParam, earlyStartDayEnd, maxEarlyStartDays } from './rule_engine.js'
 
-// Constants
-const WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-const DEFAULT_BREAKS = [
-  { start: '11:00', end: '11:30', type: 'morning' },
-  { start: '13:30', end: '14:00', type: 'afternoon' }
-]
-
-// Global teacher tracker (prevents teacher conflicts across sections)
-const globalTeacherSchedule = new Map()
+// Run state lives in the generation context (ctx) - see generation_context.js:
+// - ctx.calendar / ctx.theoryPeriods: working days, periods and breaks of the academic year
+// - ctx.theoryTeacherSchedule: global teacher tracker (prevents teacher conflicts across sections)
+// - ctx.theoryTeacherUnavailability: teacher unavailability windows of the semester type
+// - ctx.random: random source of this step
+// - ctx.rules: scheduling rules of the semester type
 
 /**
  * Helper: Shuffle array for random distribution
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   const shuffled = [...array]
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
   }
   return shuffled
@@ -60,14 +71,63 @@ function timesOverlap(start1, end1, start2, end2) {
 }
 
 /**
- * Helper: Add hours to time string
+ * Helper: Add minutes to time string
  */
-function addHours(timeStr, hours) {
-  const [h, m] = timeStr.split(':').map(Number)
-  const totalMinutes = (h * 60) + m + (hours * 60)
-  const newHours = Math.floor(totalMinutes / 60)
-  const newMinutes = totalMinutes % 60
-  return `${String(newHours).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`
+function addMinutes(timeStr, minutes) {
+  const totalMinutes = timeToMinutes(timeStr) + minutes
+  return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Helper: Add N theory periods (calendar period length) to time string
+ */
+function addPeriods(ctx, timeStr, periods) {
+  return addMinutes(timeStr, periods * ctx.calendar.period_minutes)
+}
+
+/**
+ * Helper: Latest end time for a day of a section whose first class starts at day start
+ * (hard early_start_day_length rule - one period before the end of the day, 16:00
+ * with the default calendar; day end when the section has no such rule)
+ */
+function getEarlyStartDayEnd(ctx, timetable) {
+  const rule = hardRule(ctx.rules, 'early_start_day_length', ruleTarget(timetable))
+  return rule ? earlyStartDayEnd(rule, ctx.calendar) : ctx.calendar.day_end
+}
+
+/**
+ * Helper: Hours of theory a section has of a subject on a day
+ */
+function subjectHoursOnDay(ctx, timetable, subjectId, day) {
+  return (timetable.theory_slots || [])
+    .filter(slot => slot.day === day && slot.subject_id?.toString() === subjectId.toString())
+    .reduce((sum, slot) => sum + (timeToMinutes(slot.end_time) - timeToMinutes(slot.start_time)) / 60, 0)
+}
+
+/**
+ * Helper: Hours a teacher is already booked on a day (global tracker - every section)
+ */
+function teacherHoursOnDay(ctx, teacherId, day) {
+  let minutes = 0
+  for (const [key, booking] of ctx.theoryTeacherSchedule) {
+    if (key.startsWith(`${teacherId}_${day}_`)) minutes += timeToMinutes(booking.endTime) - timeToMinutes(booking.startTime)
+  }
+  return minutes / 60
+}
+
+/**
+ * Helper: Hard hours-per-day limits of a subject of a section and of its teacher
+ * Returns { subjectMax, teacherMax } (null = no limit)
+ */
+function dailyHourLimits(ctx, timetable, subject, teacherId) {
+  const subjectRule = subject.is_project
+    ? null // Projects work in long blocks on purpose
+    : hardRule(ctx.rules, 'max_subject_hours_per_day', ruleTarget(timetable, { subject_id: subject._id.toString() }))
+  const teacherRule = teacherId ? hardRule(ctx.rules, 'max_teacher_hours_per_day', teacherTarget(ctx.sem_type, teacherId)) : null
+  return {
+    subjectMax: subjectRule ? ruleParam(subjectRule, 'max_hours') : null,
+    teacherMax: teacherRule ? ruleParam(teacherRule, 'max_hours') : null
+  }
 }
 
 /**
@@ -93,15 +153,16 @@ function hasTheoryConflict(theorySlots, day, startTime, endTime) {
 /**
  * Helper: Get adjusted breaks for a day based on lab conflicts
  */
-function getAdjustedBreaks(day, labSlots) {
+function getAdjustedBreaks(ctx, day, labSlots) {
   const adjustedBreaks = []
   
-  for (const breakSlot of DEFAULT_BREAKS) {
+  for (const calendarBreak of ctx.calendar.breaks) {
+    const breakSlot = { start: calendarBreak.start_time, end: calendarBreak.end_time, type: calendarBreak.label }
     // Check if any lab overlaps with this break
     if (!hasLabConflict(labSlots, day, breakSlot.start, breakSlot.end)) {
       adjustedBreaks.push(breakSlot)
     } else {
-      console.log(`      ⚠️  ${day}: Default ${breakSlot.type} break conflicts with lab, will adjust`)
+      console.log(`      ⚠️  ${day}: ${breakSlot.type} break conflicts with lab, will adjust`)
       // For now, skip this break (can be enhanced to find alternative)
     }
   }
@@ -111,14 +172,15 @@ function getAdjustedBreaks(day, labSlots) {
 
 /**
  * Helper: Check how many days already have 8:00 AM start for a section
+ * (also used by the fitness score - fitness_score.js)
  */
-function countEarlyStartDays(timetable) {
+export function countEarlyStartDays(calendar, timetable) {
   const earlyStartDays = new Set()
   
   // Check theory slots starting at 8:00
   const theorySlots = timetable.theory_slots || []
   theorySlots.forEach(slot => {
-    if (slot.start_time === '08:00') {
+    if (slot.start_time === calendar.day_start) {
       earlyStartDays.add(slot.day)
     }
   })
@@ -126,7 +188,7 @@ function countEarlyStartDays(timetable) {
   // Check lab slots starting at 8:00
   const labSlots = timetable.lab_slots || []
   labSlots.forEach(slot => {
-    if (slot.start_time === '08:00') {
+    if (slot.start_time === calendar.day_start) {
       earlyStartDays.add(slot.day)
     }
   })
@@ -137,11 +199,11 @@ function countEarlyStartDays(timetable) {
 /**
  * Helper: Check if a day already has 8:00 AM start
  */
-function hasEarlyStart(timetable, day) {
+function hasEarlyStart(ctx, timetable, day) {
   const theorySlots = timetable.theory_slots || []
   const labSlots = timetable.lab_slots || []
-  const hasTheoryEarly = theorySlots.some(slot => slot.day === day && slot.start_time === '08:00')
-  const hasLabEarly = labSlots.some(slot => slot.day === day && slot.start_time === '08:00')
+  const hasTheoryEarly = theorySlots.some(slot => slot.day === day && slot.start_time === ctx.calendar.day_start)
+  const hasLabEarly = labSlots.some(slot => slot.day === day && slot.start_time === ctx.calendar.day_start)
   return hasTheoryEarly || hasLabEarly
 }
 
@@ -177,13 +239,13 @@ function verifyTeacherConflicts(theorySlots) {
 }
 
 /**
- * Helper: Verify day length constraint (8 AM → 4 PM, later → 5 PM)
+ * Helper: Verify day length constraint (8 AM → 4 PM, later → 5 PM with the default rule)
  */
-function verifyDayLengthConstraint(timetable) {
+function verifyDayLengthConstraint(ctx, timetable) {
   const violations = []
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+  const earlyStartDayEnd = getEarlyStartDayEnd(ctx, timetable)
   
-  days.forEach(day => {
+  ctx.calendar.working_days.forEach(day => {
     const allSlots = [
       ...(timetable.theory_slots || []).filter(s => s.day === day),
       ...(timetable.lab_slots || []).filter(s => s.day === day)
@@ -197,13 +259,13 @@ function verifyDayLengthConstraint(timetable) {
     const earliestStart = startTimes[0]
     const latestEnd = endTimes[endTimes.length - 1]
     
-    // If starts at 8:00 AM, must end by 16:00 (4 PM)
-    if (earliestStart === '08:00' && latestEnd > '16:00') {
+    // If starts at day start (8:00 AM), must end early (day-length rule - 16:00 / 4 PM by default)
+    if (earliestStart === ctx.calendar.day_start && latestEnd > earlyStartDayEnd) {
       violations.push({
         day,
         startTime: earliestStart,
         endTime: latestEnd,
-        expectedEnd: '16:00'
+        expectedEnd: earlyStartDayEnd
       })
     }
   })
@@ -215,7 +277,7 @@ function verifyDayLengthConstraint(timetable) {
  * Helper: Calculate gap score for a time slot with early start penalty AND subject diversity
  * Prioritizes slots that minimize gaps, avoid too many early starts, AND promote subject variety
  */
-function calculateGapScore(slotStart, timetable, day, currentSubjectId = null) {
+function calculateGapScore(ctx, slotStart, timetable, day, currentSubjectId = null) {
   const theorySlots = timetable.theory_slots || []
   const labSlots = timetable.lab_slots || []
   
@@ -225,8 +287,8 @@ function calculateGapScore(slotStart, timetable, day, currentSubjectId = null) {
   const hasClassBefore = theorySlots.some(t => t.day === day && t.end_time === slotStart) ||
                         labSlots.some(l => l.day === day && l.end_time === slotStart)
   
-  // Check if there's an adjacent class after this slot (for 1-hour slot)
-  const slotEnd = addHours(slotStart, 1)
+  // Check if there's an adjacent class after this slot (for 1-period slot)
+  const slotEnd = addPeriods(ctx, slotStart, 1)
   const hasClassAfter = theorySlots.some(t => t.day === day && t.start_time === slotEnd) ||
                        labSlots.some(l => l.day === day && l.start_time === slotEnd)
   
@@ -289,15 +351,14 @@ function calculateGapScore(slotStart, timetable, day, currentSubjectId = null) {
   }
   
   // CRITICAL: Add penalty for 8:00 AM slots if too many early start days already
-  const MAX_EARLY_START_DAYS = 3 // Maximum 3 days per week starting at 8:00 AM
-  
-  if (slotStart === '08:00') {
-    const currentEarlyDays = countEarlyStartDays(timetable)
+  if (slotStart === ctx.calendar.day_start) {
+    const currentEarlyDays = countEarlyStartDays(ctx.calendar, timetable)
+    const maxEarlyDays = maxEarlyStartDays(ctx.rules, timetable) // early_start_days rule
     
-    if (currentEarlyDays >= MAX_EARLY_START_DAYS) {
+    if (currentEarlyDays >= maxEarlyDays) {
       // Already have max early days - strongly discourage 8:00 AM slots
       score += 100 // Heavy penalty to avoid 8:00 AM starts
-    } else if (currentEarlyDays >= MAX_EARLY_START_DAYS - 1) {
+    } else if (currentEarlyDays >= maxEarlyDays - 1) {
       // Close to limit - moderate penalty
       score += 20
     } else {
@@ -327,7 +388,7 @@ function timeToMinutes(timeStr) {
  * Ensures we check against ALL existing theory slots (including fixed slots from Step 2)
  * to prevent overlapping with 1.5-hour fixed slots (OEC/PEC/DL-PEC)
  */
-function getAvailableTimeSlots(day, timetable, currentSubjectId = null) {
+function getAvailableTimeSlots(ctx, day, timetable, currentSubjectId = null) {
   const labSlots = timetable.lab_slots || []
   const theorySlots = timetable.theory_slots || []
   
@@ -341,27 +402,17 @@ function getAvailableTimeSlots(day, timetable, currentSubjectId = null) {
   }
   
   // Check if this day starts at 8:00 AM
-  const hasEarlyStartToday = hasEarlyStart(timetable, day)
+  const hasEarlyStartToday = hasEarlyStart(ctx, timetable, day)
   
   // Determine max end time based on day start
-  const maxEndTime = hasEarlyStartToday ? '16:00' : '17:00'
+  const maxEndTime = hasEarlyStartToday ? getEarlyStartDayEnd(ctx, timetable) : ctx.calendar.day_end
   
-  // All possible 1-hour slots (avoiding break times)
-  const allSlots = [
-    { start: '08:00', end: '09:00' },
-    { start: '09:00', end: '10:00' },
-    { start: '10:00', end: '11:00' },
-    // BREAK 1: 11:00-11:30 (default)
-    { start: '11:30', end: '12:30' },
-    { start: '12:30', end: '13:30' },
-    // BREAK 2: 13:30-14:00 (default)
-    { start: '14:00', end: '15:00' },
-    { start: '15:00', end: '16:00' },
-    { start: '16:00', end: '17:00' }  // Only available if day doesn't start at 8 AM
-  ]
+  // All possible 1-period slots (calendar periods already skip the breaks)
+  // Default calendar: 08-09, 09-10, 10-11, 11:30-12:30, 12:30-13:30, 14-15, 15-16, 16-17
+  const allSlots = ctx.theoryPeriods
   
   // Get adjusted breaks for this day
-  const adjustedBreaks = getAdjustedBreaks(day, labSlots)
+  const adjustedBreaks = getAdjustedBreaks(ctx, day, labSlots)
   
   // Filter out unavailable slots and add gap scoring
   const availableSlots = allSlots.filter(slot => {
@@ -394,7 +445,7 @@ function getAvailableTimeSlots(day, timetable, currentSubjectId = null) {
   // Add gap score to each slot (pass subject ID for diversity scoring)
   return availableSlots.map(slot => ({
     ...slot,
-    gapScore: calculateGapScore(slot.start, timetable, day, currentSubjectId)
+    gapScore: calculateGapScore(ctx, slot.start, timetable, day, currentSubjectId)
   }))
 }
 
@@ -402,22 +453,22 @@ function getAvailableTimeSlots(day, timetable, currentSubjectId = null) {
  * Helper: Check if consecutive slots are available for multi-hour session
  * Also respects day length constraint (8 AM start → 4 PM end max)
  */
-function canScheduleConsecutiveSlots(startSlot, hours, availableSlots, timetable, day) {
+function canScheduleConsecutiveSlots(ctx, startSlot, hours, availableSlots, timetable, day) {
   if (hours === 1) return true
   
   // Calculate end time for this session
-  const sessionEndTime = addHours(startSlot.start, hours)
+  const sessionEndTime = addPeriods(ctx, startSlot.start, hours)
   
   // Check day length constraint: if day starts at 8 AM, cannot go past 4 PM
-  const hasEarlyStartToday = hasEarlyStart(timetable, day)
-  if (hasEarlyStartToday && sessionEndTime > '16:00') {
+  const hasEarlyStartToday = hasEarlyStart(ctx, timetable, day)
+  if (hasEarlyStartToday && sessionEndTime > getEarlyStartDayEnd(ctx, timetable)) {
     return false // Would violate 8 AM → 4 PM constraint
   }
   
   // For 2+ hours, check if next slots are also available
   let currentTime = startSlot.start
   for (let i = 0; i < hours; i++) {
-    const nextTime = addHours(currentTime, 1)
+    const nextTime = addPeriods(ctx, currentTime, 1)
     const slotExists = availableSlots.some(s => s.start === currentTime && s.end === nextTime)
     if (!slotExists) return false
     currentTime = nextTime
@@ -518,30 +569,201 @@ function calculateSessionSplits(hrsPerWeek, maxHrsPerDay, isProject = false) {
   return attempts
 }
 
+/**
+ * Helper: Load teacher unavailability windows that apply to this semester type
+ */
+async function loadTeacherUnavailability(ctx) {
+  const semType = ctx.sem_type
+  ctx.theoryTeacherUnavailability.clear()
+
+  const teachers = await Teacher.find({ 'unavailability.0': { $exists: true } })
+    .select('unavailability')
+    .lean()
+
+  for (const teacher of teachers) {
+    const windows = teacher.unavailability.filter(w => !w.sem_type || w.sem_type === semType.toLowerCase())
+    if (windows.length > 0) {
+      ctx.theoryTeacherUnavailability.set(teacher._id.toString(), windows)
+    }
+  }
+
+  return ctx.theoryTeacherUnavailability.size
+}
+
 /**
  * Helper: Check if teacher is busy at given time (global check)
+ * Busy = already teaching at this start time OR the session overlaps an unavailability window
  */
-function isTeacherBusy(teacherId, day, startTime) {
+function isTeacherBusy(ctx, teacherId, day, startTime, endTime) {
   const key = `${teacherId}_${day}_${startTime}`
-  return globalTeacherSchedule.has(key)
+  if (ctx.theoryTeacherSchedule.has(key)) {
+    return true
+  }
+
+  // Later periods of a multi-period session (kept sections block every period)
+  const busyLater = ctx.theoryPeriods.some(p =>
+    p.start > startTime && p.start < endTime && ctx.theoryTeacherSchedule.has(`${teacherId}_${day}_${p.start}`)
+  )
+  if (busyLater) {
+    return true
+  }
+
+  const windows = ctx.theoryTeacherUnavailability.get(teacherId) || []
+  return windows.some(w => w.day === day && timesOverlap(startTime, endTime, w.start_time, w.end_time))
 }
 
 /**
  * Helper: Mark teacher as busy (global tracker)
  */
-function markTeacherBusy(teacherId, day, startTime, endTime) {
+function markTeacherBusy(ctx, teacherId, day, startTime, endTime) {
   const key = `${teacherId}_${day}_${startTime}`
-  globalTeacherSchedule.set(key, { day, startTime, endTime })
+  ctx.theoryTeacherSchedule.set(key, { day, startTime, endTime })
+}
+
+/**
+ * Helper: Mark the teachers of existing sessions as busy - sections a targeted run keeps,
+ * locked slots of the sections it schedules (includeSlot picks the sessions)
+ * Theory and lab sessions block every period they overlap; returns the number of sessions
+ */
+function markSessionTeachers(ctx, timetables, includeSlot = () => true) {
+  let sessions = 0
+  const markSession = (teacherIds, day, startTime, endTime) => {
+    for (const period of ctx.theoryPeriods) {
+      if (!timesOverlap(period.start, period.end, startTime, endTime)) continue
+      teacherIds.forEach(teacherId => markTeacherBusy(ctx, teacherId.toString(), day, period.start, period.end))
+    }
+    sessions++
+  }
+
+  for (const tt of timetables) {
+    for (const slot of (tt.theory_slots || []).filter(includeSlot)) {
+      if (slot.teacher_id) markSession([slot.teacher_id], slot.day, slot.start_time, slot.end_time)
+    }
+    for (const slot of (tt.lab_slots || []).filter(includeSlot)) {
+      for (const batch of slot.batches || []) {
+        const teacherIds = [batch.teacher1_id, batch.teacher2_id].filter(Boolean)
+        if (teacherIds.length > 0) markSession(teacherIds, slot.day, slot.start_time, slot.end_time)
+      }
+    }
+  }
+
+  return sessions
+}
+
+/**
+ * Helper: Explain why a subject is missing hours
+ * Checks every period start of every working day for one more session of sessionHours
+ * against the section's state when the subject was given up, with all the rules that
+ * reject it (unscheduled_report.js)
+ */
+function explainUnscheduledSubject(ctx, timetable, subject, teacher, hoursMissing, sessionHours) {
+  const { day_start: dayStart, day_end: dayEnd, breaks } = ctx.calendar
+  const labSlots = timetable.lab_slots || []
+  const theorySlots = timetable.theory_slots || []
+  const subjectId = subject._id.toString()
+  const maxHrsPerDay = subject.max_hrs_Day || 2
+  const dailyCap = subject.is_project ? Infinity : (subject.hrs_per_week >= 3 && maxHrsPerDay >= 2 ? maxHrsPerDay : 1)
+  const teacherId = subject.requires_teacher_assignment && teacher ? teacher._id.toString() : null
+  const { subjectMax, teacherMax } = dailyHourLimits(ctx, timetable, subject, teacherId)
+  const earlyStartDayEnd = getEarlyStartDayEnd(ctx, timetable)
+  const sessionClockHours = sessionHours * ctx.calendar.period_minutes / 60
+
+  const candidates = []
+  for (const day of ctx.calendar.working_days) {
+    const earlyStartToday = hasEarlyStart(ctx, timetable, day)
+
+    for (const period of ctx.theoryPeriods) {
+      const start = period.start
+      const end = addPeriods(ctx, start, sessionHours)
+      const reasons = []
+
+      if (end > dayEnd) {
+        reasons.push({ code: 'outside_hours', detail: `Would end at ${end}, after ${dayEnd}` })
+      }
+      for (const calendarBreak of breaks) {
+        if (timesOverlap(start, end, calendarBreak.start_time, calendarBreak.end_time)) {
+          reasons.push({ code: 'break', detail: `${calendarBreak.label} ${calendarBreak.start_time}-${calendarBreak.end_time}` })
+        }
+      }
+      if (earlyStartToday && end > earlyStartDayEnd) {
+        reasons.push({ code: 'day_length', detail: `${day} starts at ${dayStart} - must end by ${earlyStartDayEnd}` })
+      }
+
+      const lab = labSlots.find(slot => slot.day === day && timesOverlap(start, end, slot.start_time, slot.end_time))
+      if (lab) {
+        reasons.push({ code: 'section_busy', detail: `Lab session ${lab.start_time}-${lab.end_time}` })
+      }
+      const theory = theorySlots.find(slot => slot.day === day && timesOverlap(start, end, slot.start_time, slot.end_time))
+      if (theory) {
+        reasons.push({ code: 'section_busy', detail: `${theory.subject_shortform} ${theory.start_time}-${theory.end_time}${theory.is_fixed_slot ? ' (fixed slot)' : ''}` })
+      }
+
+      if (teacherId && isTeacherBusy(ctx, teacherId, day, start, end)) {
+        const window = (ctx.theoryTeacherUnavailability.get(teacherId) || [])
+          .find(w => w.day === day && timesOverlap(start, end, w.start_time, w.end_time))
+        const teacherName = teacher.teacher_shortform || teacher.name
+        reasons.push({
+          code: 'teacher_busy',
+          detail: window
+            ? `${teacherName} unavailable ${window.start_time}-${window.end_time}`
+            : `${teacherName} teaches another class at ${start}`
+        })
+      }
+
+      const hoursOnDay = theorySlots
+        .filter(slot => slot.day === day && slot.subject_id?.toString() === subjectId)
+        .reduce((sum, slot) => sum + (slot.duration_hours || 1), 0)
+      if (hoursOnDay > 0 && hoursOnDay + sessionHours > dailyCap) {
+        reasons.push({ code: 'subject_day_limit', detail: `${hoursOnDay} hour(s) on ${day} already (max ${dailyCap})` })
+      } else if (subjectMax !== null && subjectHoursOnDay(ctx, timetable, subjectId, day) + sessionClockHours > subjectMax) {
+        reasons.push({ code: 'subject_day_limit', detail: `${hoursOnDay} hour(s) on ${day} already (scheduling rule: max ${subjectMax})` })
+      }
+
+      if (teacherMax !== null && teacherHoursOnDay(ctx, teacherId, day) + sessionClockHours > teacherMax) {
+        reasons.push({ code: 'teacher_day_limit', detail: `${teacher.teacher_shortform || teacher.name} has ${teacherHoursOnDay(ctx, teacherId, day)}h on ${day} (max ${teacherMax}h)` })
+      }
+
+      candidates.push({ day, start_time: start, end_time: end, reasons })
+    }
+  }
+
+  const shortform = subject.subject_shortform || subject.subject_code
+  return unscheduledItem({
+    step: 4,
+    item_type: 'theory',
+    label: `${timetable.section_name} ${shortform} (${hoursMissing} of ${subject.hrs_per_week} hrs missing)`,
+    subject_id: subject._id,
+    subject_shortform: shortform,
+    teacher_name: teacher ? teacher.name : '[Other Dept]',
+    hours_missing: hoursMissing,
+    session_hours: sessionHours
+  }, candidates)
+}
+
+/**
+ * Helper: Take the hours of slots locked in the editor off their subjects
+ * Fully covered subjects are dropped, partly covered ones only schedule the rest
+ */
+function withoutLockedHours(assignments, lockedHours) {
+  return assignments.flatMap(assignment => {
+    const subject = assignment.subject_id
+    const locked = lockedHours.get(subject._id.toString()) || 0
+    if (locked === 0) return [assignment]
+
+    const remaining = subject.hrs_per_week - locked
+    console.log(`         🔒 ${subject.subject_shortform}: ${locked} hr(s) locked, ${Math.max(remaining, 0)} left to schedule`)
+    return remaining > 0 ? [{ ...assignment, subject_id: { ...subject, hrs_per_week: remaining } }] : []
+  })
 }
 
 /**
  * Main: Schedule a group of subjects (by priority)
  * Implements CASCADE FALLBACK strategy for Regular ISE & Other Dept subjects
  */
-async function scheduleSubjectGroup(subjects, timetable, groupName) {
+async function scheduleSubjectGroup(ctx, subjects, timetable, groupName) {
   if (subjects.length === 0) {
     console.log(`      ℹ️  No ${groupName} subjects to schedule`)
-    return { total: 0, scheduled: 0, failed: 0, details: [] }
+    return { total: 0, scheduled: 0, failed: 0, details: [], unscheduled: [] }
   }
   
   console.log(`\n      📝 Scheduling ${subjects.length} ${groupName} subjects...`)
@@ -552,6 +774,7 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
   let successCount = 0
   let failCount = 0
   const details = []
+  const unscheduled = [] // Why subjects miss hours (unscheduled_report.js)
   
   for (const assignment of subjects) {
     const subject = assignment.subject_id
@@ -559,23 +782,32 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
     const isProject = subject.is_project === true
     
     // Get cascade attempts (for non-projects) or simple split (for projects)
-    const sessionAttempts = calculateSessionSplits(
+    let sessionAttempts = calculateSessionSplits(
       subject.hrs_per_week,
       subject.max_hrs_Day || 2,
       isProject
     )
     
+    // Repair run: sessions go back to the subject's baseline slots first, and the
+    // cascade starts with the split the baseline used
+    const baselineSessions = baselineTheorySessions(ctx, timetable, subject._id)
+    if (!isProject && baselineSessions.length > 0) {
+      const baselineSplit = baselineSessions.map(slot => slot.duration_hours).sort().join(',')
+      sessionAttempts = baselineFirst(sessionAttempts, attempt => [...attempt.sessions].sort().join(',') === baselineSplit)
+    }
+    
     let subjectFullyScheduled = false
     let bestAttemptResult = null
     
     // For projects: Direct scheduling (no cascade)
     if (isProject) {
-      const result = await tryScheduleSessions(
+      const result = await tryScheduleSessions(ctx, 
         sessionAttempts, // Simple array like [2] or [2, 1]
         subject,
         teacher,
         timetable,
-        'no_restrictions'
+        'no_restrictions',
+        baselineSessions
       )
       
       if (result.success && result.scheduledCount === sessionAttempts.length) {
@@ -591,12 +823,13 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
       for (const attempt of sessionAttempts) {
         console.log(`            Attempt ${attempt.priority}: ${attempt.name} → [${attempt.sessions.join(', ')}]`)
         
-        const result = await tryScheduleSessions(
+        const result = await tryScheduleSessions(ctx, 
           attempt.sessions,
           subject,
           teacher,
           timetable,
-          attempt.constraint
+          attempt.constraint,
+          baselineSessions
         )
         
         if (result.success && result.scheduledCount === attempt.sessions.length) {
@@ -622,7 +855,7 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
       // Mark teachers as busy
       bestAttemptResult.slots.forEach(slot => {
         if (slot.teacher_id) {
-          markTeacherBusy(slot.teacher_id.toString(), slot.day, slot.start_time, slot.end_time)
+          markTeacherBusy(ctx, slot.teacher_id.toString(), slot.day, slot.start_time, slot.end_time)
         }
       })
     }
@@ -640,6 +873,14 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
       successCount++
     } else {
       failCount++
+      
+      const scheduledHours = (bestAttemptResult?.slots || []).reduce((sum, slot) => sum + slot.duration_hours, 0)
+      const item = explainUnscheduledSubject(ctx, timetable, subject, teacher,
+        subject.hrs_per_week - scheduledHours,
+        isProject ? sessionAttempts[scheduledSessions] : 1
+      )
+      unscheduled.push(item)
+      console.log(`            🔎 ${describeRejections(item)}`)
     }
     
     details.push({
@@ -658,18 +899,66 @@ async function scheduleSubjectGroup(subjects, timetable, groupName) {
     total: subjects.length,
     scheduled: successCount,
     failed: failCount,
-    details: details
+    details: details,
+    unscheduled
   }
 }
 
 /**
  * Helper: Try to schedule sessions with given constraint
+ * baselineSessions (repair run): the subject's baseline slots - a session takes the
+ * baseline day/time of its length first while that still fits
  */
-async function tryScheduleSessions(sessions, subject, teacher, timetable, constraint) {
+async function tryScheduleSessions(ctx, sessions, subject, teacher, timetable, constraint, baselineSessions = []) {
   const scheduledSlots = []
   const slotSummary = []
   const usedDays = new Set()
   const dayHourCount = new Map() // Track hours per day
+  const unusedBaseline = [...baselineSessions]
+  const teacherId = subject.requires_teacher_assignment && teacher ? teacher._id.toString() : null
+  const { subjectMax, teacherMax } = dailyHourLimits(ctx, timetable, subject, teacherId)
+  const clockHours = periods => periods * ctx.calendar.period_minutes / 60
+  
+  const dayAllowed = (day, sessionHours) => {
+    if (constraint === 'different_days_only' && usedDays.has(day)) {
+      return false // Must use different days
+    }
+    
+    if (constraint === 'max_one_2hr_block') {
+      const hoursOnDay = dayHourCount.get(day) || 0
+      if (sessionHours === 2 && hoursOnDay >= 2) {
+        return false // Already have a 2-hr block on this day
+      }
+      if (hoursOnDay > 0 && sessionHours === 2) {
+        return false // Don't add 2-hr block if day already has sessions
+      }
+    }
+    
+    return true
+  }
+  
+  const slotFits = (day, slot, sessionHours, availableSlots) => {
+    // Check if consecutive slots available
+    if (!canScheduleConsecutiveSlots(ctx, slot, sessionHours, availableSlots, timetable, day)) {
+      return false
+    }
+    
+    // Check teacher conflict
+    if (teacherId && isTeacherBusy(ctx, teacherId, day, slot.start, addPeriods(ctx, slot.start, sessionHours))) {
+      return false
+    }
+    
+    // Hard hours-per-day rules (sessions of this attempt are not in the timetable/tracker yet)
+    const hoursThisAttempt = clockHours((dayHourCount.get(day) || 0) + sessionHours)
+    if (subjectMax !== null && subjectHoursOnDay(ctx, timetable, subject._id, day) + hoursThisAttempt > subjectMax) {
+      return false
+    }
+    if (teacherMax !== null && teacherHoursOnDay(ctx, teacherId, day) + hoursThisAttempt > teacherMax) {
+      return false
+    }
+    
+    return true
+  }
   
   for (const sessionHours of sessions) {
     let sessionScheduled = false
@@ -677,44 +966,42 @@ async function tryScheduleSessions(sessions, subject, teacher, timetable, constr
     let bestDay = null
     let bestScore = Infinity
     
+    // Repair run: baseline day/time of a session this long, if it still fits
+    for (const old of unusedBaseline.filter(old => old.duration_hours === sessionHours)) {
+      if (!dayAllowed(old.day, sessionHours)) continue
+      const endTime = addPeriods(ctx, old.start_time, sessionHours)
+      if (scheduledSlots.some(other => other.day === old.day && timesOverlap(old.start_time, endTime, other.start_time, other.end_time))) continue
+      
+      const availableSlots = getAvailableTimeSlots(ctx, old.day, timetable, subject._id)
+      const slot = availableSlots.find(s => s.start === old.start_time)
+      if (slot && slotFits(old.day, slot, sessionHours, availableSlots)) {
+        bestSlot = slot
+        bestDay = old.day
+        unusedBaseline.splice(unusedBaseline.indexOf(old), 1)
+        break
+      }
+    }
+    
     // Try each day in RANDOM order (prevents deterministic scheduling)
-    const shuffledDays = shuffleArray(WORKING_DAYS)
+    const shuffledDays = bestSlot ? [] : shuffleArray(ctx.calendar.working_days, ctx.random)
     for (const day of shuffledDays) {
       // Apply constraints
-      if (constraint === 'different_days_only' && usedDays.has(day)) {
-        continue // Must use different days
-      }
-      
-      if (constraint === 'max_one_2hr_block') {
-        const hoursOnDay = dayHourCount.get(day) || 0
-        if (sessionHours === 2 && hoursOnDay >= 2) {
-          continue // Already have a 2-hr block on this day
-        }
-        if (hoursOnDay > 0 && sessionHours === 2) {
-          continue // Don't add 2-hr block if day already has sessions
-        }
+      if (!dayAllowed(day, sessionHours)) {
+        continue
       }
       
       // Get available slots
-      const availableSlots = getAvailableTimeSlots(day, timetable, subject._id)
+      const availableSlots = getAvailableTimeSlots(ctx, day, timetable, subject._id)
       const sortedSlots = availableSlots.sort((a, b) => a.gapScore - b.gapScore)
       
       for (const slot of sortedSlots) {
-        // Check if consecutive slots available
-        if (!canScheduleConsecutiveSlots(slot, sessionHours, availableSlots, timetable, day)) {
+        if (!slotFits(day, slot, sessionHours, availableSlots)) {
           continue
         }
         
-        // Check teacher conflict
-        if (subject.requires_teacher_assignment && teacher) {
-          if (isTeacherBusy(teacher._id.toString(), day, slot.start)) {
-            continue
-          }
-        }
-        
         // This slot is valid - add randomness to selection
         // Instead of always picking lowest score, add random factor
-        const randomFactor = Math.random() * 2 // Random value 0-2
+        const randomFactor = ctx.random() * 2 // Random value 0-2
         const adjustedScore = slot.gapScore + randomFactor
         
         if (adjustedScore < bestScore) {
@@ -729,7 +1016,7 @@ async function tryScheduleSessions(sessions, subject, teacher, timetable, constr
     
     // Schedule in best slot found
     if (bestSlot && bestDay) {
-      const endTime = addHours(bestSlot.start, sessionHours)
+      const endTime = addPeriods(ctx, bestSlot.start, sessionHours)
       
       const newSlot = {
         day: bestDay,
@@ -780,21 +1067,22 @@ function convertTo12Hour(time24) {
 }
 /**
  * Main: Schedule theory for all sections
+ * seed: same seed + same data → same theory placement (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
  */
-export async function scheduleTheory(semType, academicYear) {
+export async function scheduleTheory(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed })) {
   console.log(`\n📚 Step 4: Scheduling theory for ${semType} semester...`)
   console.log(`   📊 Strategy: Gap Minimization + Compact Scheduling + Integrated Breaks`)
   console.log(`   🎯 Goal: Minimize empty slots between classes for efficient time usage\n`)
   
+  ctx.random = createRandom(seed)
+  
   try {
     // CRITICAL: Clear data from THIS step and ALL future steps (5, 6, 7)
     // Keep data from Steps 1-3 (section init + fixed slots + labs)
     console.log(`\n   🗑️  Flushing data from Steps 4-7 (keeping Steps 1-3 data)...\n`)
     
-    const timetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    })
+    const timetables = await Timetable.find(targetSectionFilter(ctx))
     
     console.log(`   🔍 BEFORE CLEARING:`)
     for (const tt of timetables) {
@@ -812,9 +1100,9 @@ export async function scheduleTheory(semType, academicYear) {
         console.log(`         Clearing ALL theory_slots and will re-run Step 2...`)
         tt.theory_slots = []  // Clear everything - user should re-run Step 2
       } else {
-        // Keep theory_slots with is_fixed_slot = true (Step 2 fixed slots)
-        // Remove theory_slots without is_fixed_slot (Step 4 scheduled theory)
-        tt.theory_slots = tt.theory_slots.filter(slot => slot.is_fixed_slot === true)
+        // Keep theory_slots with is_fixed_slot = true (Step 2 fixed slots) or locked in the editor
+        // Remove the other theory_slots (Step 4 scheduled theory)
+        tt.theory_slots = tt.theory_slots.filter(slot => slot.is_fixed_slot === true || slot.locked === true)
       }
       
       const fixedAfter = tt.theory_slots.length
@@ -822,7 +1110,8 @@ export async function scheduleTheory(semType, academicYear) {
       
       console.log(`         → Keeping ${fixedAfter} fixed, removing ${removedCount} non-fixed`)
       
-      // Keep lab_slots (Step 3)
+      // Keep lab_slots (Step 3) and their unscheduled report
+      tt.generation_metadata.unscheduled_items = (tt.generation_metadata.unscheduled_items || []).filter(item => item.step !== 4)
       tt.generation_metadata.current_step = 3
       tt.generation_metadata.steps_completed = ['load_sections', 'block_fixed_slots', 'schedule_labs']
       await tt.save()
@@ -832,10 +1121,7 @@ export async function scheduleTheory(semType, academicYear) {
     
     // VERIFY: Re-read from database
     console.log(`\n   🔍 AFTER CLEARING (re-read from DB):`)
-    const verifyTimetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).lean()
+    const verifyTimetables = await Timetable.find(targetSectionFilter(ctx)).lean()
     
     for (const tt of verifyTimetables) {
       const total = tt.theory_slots.length
@@ -854,18 +1140,36 @@ export async function scheduleTheory(semType, academicYear) {
     console.log(`   ✅ Flushed ${timetables.length} timetables (kept fixed slots + labs)\n`)
     
     // Clear global teacher tracker
-    globalTeacherSchedule.clear()
+    ctx.theoryTeacherSchedule.clear()
+    
+    const calendar = await loadCalendar(ctx)
+    ctx.theoryPeriods = calendarPeriods(calendar)
+    await loadRules(ctx)
+    console.log(`   📅 Calendar: ${calendar.working_days.length} days, ${ctx.theoryPeriods.length} periods of ${calendar.period_minutes} min${calendar.is_default ? ' (default)' : ''}`)
+    
+    const teachersWithWindows = await loadTeacherUnavailability(ctx)
+    console.log(`   🚫 Loaded unavailability windows for ${teachersWithWindows} teacher(s)\n`)
+    
+    // Targeted run: teachers of the sections kept as they are stay busy
+    const keptTimetables = await loadKeptTimetables(ctx)
+    if (keptTimetables.length > 0) {
+      const keptSessions = markSessionTeachers(ctx, keptTimetables)
+      console.log(`   🔒 Kept ${keptTimetables.length} other section(s) fixed: ${keptSessions} teacher session(s) blocked\n`)
+    }
     
     // Reload timetables from Step 3
-    const reloadedTimetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).lean()
+    const reloadedTimetables = await Timetable.find(targetSectionFilter(ctx)).lean()
     
     if (reloadedTimetables.length === 0) {
       throw new Error('No timetables found. Please run Steps 1-3 first.')
     }
     
+    // Sessions locked in the editor keep their teachers
+    const lockedSessions = markSessionTeachers(ctx, reloadedTimetables, slot => slot.locked === true)
+    if (lockedSessions > 0) {
+      console.log(`   🔒 ${lockedSessions} locked session(s) keep their teachers\n`)
+    }
+    
     console.log(`   📋 Found ${reloadedTimetables.length} sections to process\n`)
     
     let totalTheorySlotsScheduled = 0
@@ -973,8 +1277,15 @@ export async function scheduleTheory(semType, academicYear) {
         console.log(`         → Fixed subjects: ${fixedSubjectNames}`)
       }
       
+      // Hours locked in the editor count towards their subject - only the rest is scheduled
+      const lockedHours = new Map()
+      for (const slot of tt.theory_slots.filter(slot => slot.locked === true && slot.is_fixed_slot !== true)) {
+        const subjectId = slot.subject_id?.toString()
+        if (subjectId) lockedHours.set(subjectId, (lockedHours.get(subjectId) || 0) + (slot.duration_hours || 1))
+      }
+      
       // FILTER OUT subjects that are already in fixed slots
-      const regularISE_filtered = regularISE.filter(a => {
+      const regularISE_filtered = withoutLockedHours(regularISE.filter(a => {
         const subjectId = a.subject_id?._id?.toString() || a.subject_id?.toString()
         const isAlreadyFixed = fixedSlotSubjectIds.has(subjectId)
         
@@ -983,17 +1294,17 @@ export async function scheduleTheory(semType, academicYear) {
         }
         
         return !isAlreadyFixed
-      })
+      }), lockedHours)
       
-      const otherDept_filtered = otherDept.filter(a => {
+      const otherDept_filtered = withoutLockedHours(otherDept.filter(a => {
         const subjectId = a.subject_id?._id?.toString() || a.subject_id?.toString()
         return !fixedSlotSubjectIds.has(subjectId)
-      })
+      }), lockedHours)
       
-      const projects_filtered = projects.filter(a => {
+      const projects_filtered = withoutLockedHours(projects.filter(a => {
         const subjectId = a.subject_id?._id?.toString() || a.subject_id?.toString()
         return !fixedSlotSubjectIds.has(subjectId)
-      })
+      }), lockedHours)
       
       const totalToSchedule = regularISE_filtered.length + otherDept_filtered.length + projects_filtered.length
       const totalSkipped = allAssignments.length - totalToSchedule
@@ -1050,7 +1361,7 @@ export async function scheduleTheory(semType, academicYear) {
       
       console.log(`      ℹ️  Found ${totalToSchedule} theory subject assignments to schedule`)
       console.log(`      ℹ️  Breakdown: ${regularISE_filtered.length} Regular ISE, ${otherDept_filtered.length} Other Dept, ${projects_filtered.length} Projects`)
-      console.log(`      ⏰ Working Hours: 8:00 AM - 5:00 PM (with breaks at 11:00-11:30 AM, 1:30-2:00 PM)`)
+      console.log(`      ⏰ Working Hours: ${convertTo12Hour(ctx.calendar.day_start)} - ${convertTo12Hour(ctx.calendar.day_end)} (breaks: ${ctx.calendar.breaks.map(b => `${b.start_time}-${b.end_time}`).join(', ') || 'none'})`)
       console.log(`      📊 Using Gap Minimization Strategy (reduces empty slots between classes)\n`)
       
       // Initialize theory_slots array if not exists
@@ -1061,9 +1372,9 @@ export async function scheduleTheory(semType, academicYear) {
       // Schedule in priority order (capture results for summary)
       // USE FILTERED LISTS (excluding subjects already in fixed slots)
       const results = {
-        regularISE: await scheduleSubjectGroup(regularISE_filtered, tt, 'Regular ISE'),
-        otherDept: await scheduleSubjectGroup(otherDept_filtered, tt, 'Other Dept'),
-        projects: await scheduleSubjectGroup(projects_filtered, tt, 'Projects')
+        regularISE: await scheduleSubjectGroup(ctx, regularISE_filtered, tt, 'Regular ISE'),
+        otherDept: await scheduleSubjectGroup(ctx, otherDept_filtered, tt, 'Other Dept'),
+        projects: await scheduleSubjectGroup(ctx, projects_filtered, tt, 'Projects')
       }
       
       // Print comprehensive section summary
@@ -1093,9 +1404,9 @@ export async function scheduleTheory(semType, academicYear) {
       console.log(`         📌 Total Theory Slots: ${tt.theory_slots.length + fixedSlotSubjectIds.size}`)
       
       // Show early start distribution
-      const finalEarlyDays = countEarlyStartDays(tt)
-      const earlyStartDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'].filter(day => 
-        hasEarlyStart(tt, day)
+      const finalEarlyDays = countEarlyStartDays(ctx.calendar, tt)
+      const earlyStartDays = ctx.calendar.working_days.filter(day => 
+        hasEarlyStart(ctx, tt, day)
       )
       console.log(`\n         📌 Early Start (8:00 AM) Distribution: ${finalEarlyDays} days`)
       if (earlyStartDays.length > 0) {
@@ -1118,7 +1429,7 @@ export async function scheduleTheory(semType, academicYear) {
       
       // VERIFICATION: Check day length constraint (8 AM start → 4 PM end)
       console.log(`\n         🔍 Verifying day length constraint...`)
-      const dayLengthViolations = verifyDayLengthConstraint(tt)
+      const dayLengthViolations = verifyDayLengthConstraint(ctx, tt)
       if (dayLengthViolations.length === 0) {
         console.log(`            ✅ All days respect length constraint!`)
         console.log(`               (8 AM start → ends by 4 PM, later start → ends by 5 PM)`)
@@ -1216,7 +1527,13 @@ export async function scheduleTheory(semType, academicYear) {
               'schedule_labs',
               'schedule_theory'
             ],
-            'generation_metadata.theory_scheduling_summary': summaryData
+            'generation_metadata.theory_scheduling_summary': summaryData,
+            'generation_metadata.unscheduled_items': [
+              ...(tt.generation_metadata?.unscheduled_items || []),
+              ...results.regularISE.unscheduled,
+              ...results.otherDept.unscheduled,
+              ...results.projects.unscheduled
+            ]
           }
         }
       )
@@ -1251,10 +1568,7 @@ export async function scheduleTheory(semType, academicYear) {
     
     // Re-verify from database
     console.log(`\n🔍 DATABASE VERIFICATION:`)
-    const finalVerify = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).lean()
+    const finalVerify = await Timetable.find(targetSectionFilter(ctx)).lean()
     
     let totalInDB = 0
     let fixedInDB = 0
@@ -1350,7 +1664,8 @@ export async function scheduleTheory(semType, academicYear) {
         theory_slots_scheduled: totalTheorySlotsScheduled,
         average_per_section: Math.round(totalTheorySlotsScheduled / reloadedTimetables.length),
         ...aggregatedSummary,
-        success_rate: overallSuccessRate
+        success_rate: overallSuccessRate,
+        unscheduled_items: finalVerify.flatMap(tt => (tt.generation_metadata?.unscheduled_items || []).filter(item => item.step === 4))
       }
     }
     
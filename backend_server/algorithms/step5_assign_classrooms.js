@@ -7,6 +7,8 @@
  * 1. FIRST: Fixed slots (OEC/PEC) - highest priority
  * 2. SECOND: Regular theory slots - lower priority
  * 3. SKIP: Project subjects - they don't need classrooms
+ * 4. KEEP: Locked slots (locked in the editor) that already have a classroom
+ * Repair runs: a slot's baseline classroom is tried first (see warm_start.js)
  * 
  * Assignment Logic:
  * - Check ONLY room availability (day/time conflicts)
@@ -19,14 +21,17 @@
 
 import Timetable from '../models/timetable_model.js'
 import Classroom from '../models/dept_class_model.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, targetSectionFilter, loadKeptTimetables } from './generation_context.js'
+import { baselineFirst, baselineClassroom } from './warm_start.js'
 
 /**
  * Helper: Shuffle array for random distribution
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   const shuffled = [...array]
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1))
+    const j = Math.floor(random() * (i + 1))
     ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
   }
   return shuffled
@@ -82,6 +87,13 @@ function buildRoomUsageTracker(timetables) {
   return tracker
 }
 
+/**
+ * Helper: Slot locked in the editor with its classroom - Step 5 leaves it as it is
+ */
+function keepsClassroom(slot) {
+  return slot.locked === true && !!slot.classroom_name
+}
+
 /**
  * Helper: Find first available classroom for a time slot
  * 
@@ -91,8 +103,9 @@ function buildRoomUsageTracker(timetables) {
  * Examples:
  *   - 1-hour slot: checks 10:00 AND 10:30
  *   - 1.5-hour slot: checks 09:30 AND 10:00 AND 10:30
+ * preferredRoomNo: repair runs try the slot's baseline classroom first
  */
-function findAvailableRoom(day, startTime, duration, classrooms, roomUsageTracker) {
+function findAvailableRoom(ctx, day, startTime, duration, classrooms, roomUsageTracker, preferredRoomNo = null) {
   const [startHours, startMinutes] = startTime.split(':').map(Number)
   const startTotalMinutes = startHours * 60 + startMinutes
   
@@ -100,7 +113,7 @@ function findAvailableRoom(day, startTime, duration, classrooms, roomUsageTracke
   const numSegments = Math.ceil(duration * 2) // 1hr=2, 1.5hr=3, 2hr=4, etc.
   
   // RANDOMIZE: Shuffle classrooms to prevent deterministic "first available" selection
-  const shuffledClassrooms = shuffleArray(classrooms)
+  const shuffledClassrooms = baselineFirst(shuffleArray(classrooms, ctx.random), room => room.room_no === preferredRoomNo)
   
   for (const room of shuffledClassrooms) {
     let roomAvailable = true
@@ -131,17 +144,18 @@ function findAvailableRoom(day, startTime, duration, classrooms, roomUsageTracke
 
 /**
  * Main: Assign classrooms to theory slots
+ * seed: same seed + same data → same room choices (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
  */
-export async function assignClassrooms(semType, academicYear) {
+export async function assignClassrooms(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed })) {
   console.log(`\n🏫 Step 5: Assigning classrooms for ${semType} semester...`)
   console.log(`   📊 Strategy: Fixed slots first, then regular slots, skip projects\n`)
   
+  ctx.random = createRandom(seed)
+  
   try {
-    // Load all timetables
-    const timetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).populate('section_id', 'section_name sem')
+    // Load the timetables to assign (every section unless the run targets some)
+    const timetables = await Timetable.find(targetSectionFilter(ctx)).populate('section_id', 'section_name sem')
     
     if (timetables.length === 0) {
       throw new Error('No timetables found. Please run Steps 1-4 first.')
@@ -157,6 +171,7 @@ export async function assignClassrooms(semType, academicYear) {
     let clearedCount = 0
     for (const tt of timetables) {
       for (const slot of tt.theory_slots) {
+        if (keepsClassroom(slot)) continue
         if (slot.classroom_id || slot.classroom_name) {
           slot.classroom_id = null
           slot.classroom_name = null
@@ -177,8 +192,13 @@ export async function assignClassrooms(semType, academicYear) {
     console.log(`   🏛️  Available classrooms: ${classrooms.length} rooms\n`)
     console.log(`   📍 Rooms: ${classrooms.map(r => r.room_no).join(', ')}\n`)
     
-    // Build global room usage tracker (will be empty now after clearing)
-    const roomUsageTracker = new Map()
+    // Build global room usage tracker (empty after clearing, except rooms of locked
+    // slots and of the sections a targeted run keeps as they are)
+    const keptTimetables = await loadKeptTimetables(ctx)
+    const roomUsageTracker = buildRoomUsageTracker([...timetables, ...keptTimetables])
+    if (keptTimetables.length > 0) {
+      console.log(`   🔒 Kept ${keptTimetables.length} other section(s) fixed: ${roomUsageTracker.size} room segments already taken\n`)
+    }
     
     // Statistics
     let fixedSlotsAssigned = 0
@@ -194,17 +214,19 @@ export async function assignClassrooms(semType, academicYear) {
     
     for (const tt of timetables) {
       const fixedSlots = tt.theory_slots.filter(slot => 
-        slot.is_fixed_slot === true && slot.is_project !== true
+        slot.is_fixed_slot === true && slot.is_project !== true && !keepsClassroom(slot)
       )
       
       for (const slot of fixedSlots) {
         // Find available room (pass duration for proper availability check)
         const room = findAvailableRoom(
+          ctx,
           slot.day,
           slot.start_time,
           slot.duration_hours || 1,
           classrooms,
-          roomUsageTracker
+          roomUsageTracker,
+          baselineClassroom(ctx, tt, slot)
         )
         
         if (room) {
@@ -252,61 +274,65 @@ export async function assignClassrooms(semType, academicYear) {
     // ========================================
     console.log(`\n📚 PHASE 2: Assigning classrooms to REGULAR theory slots...\n`)
     
-    for (const tt of timetables) {
-      const regularSlots = tt.theory_slots.filter(slot => 
-        slot.is_fixed_slot === false
+    // Repair run: slots that had a classroom at this day/time go first, so no other slot takes it
+    const regularSlots = baselineFirst(
+      timetables.flatMap(tt => tt.theory_slots
+        .filter(slot => slot.is_fixed_slot === false && !keepsClassroom(slot))
+        .map(slot => ({ tt, slot }))),
+      ({ tt, slot }) => !!baselineClassroom(ctx, tt, slot)
+    )
+    
+    for (const { tt, slot } of regularSlots) {
+      // Skip projects
+      if (slot.is_project === true) {
+        projectsSkipped++
+        console.log(`   ⏭️  [SKIP] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): Project (no classroom needed)`)
+        continue
+      }
+      
+      // Find available room (pass duration for proper availability check)
+      const room = findAvailableRoom(
+        ctx,
+        slot.day,
+        slot.start_time,
+        slot.duration_hours || 1,
+        classrooms,
+        roomUsageTracker,
+        baselineClassroom(ctx, tt, slot)
       )
       
-      for (const slot of regularSlots) {
-        // Skip projects
-        if (slot.is_project === true) {
-          projectsSkipped++
-          console.log(`   ⏭️  [SKIP] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): Project (no classroom needed)`)
-          continue
-        }
+      if (room) {
+        // Assign classroom
+        slot.classroom_id = room._id
+        slot.classroom_name = room.room_no
         
-        // Find available room (pass duration for proper availability check)
-        const room = findAvailableRoom(
-          slot.day,
-          slot.start_time,
-          slot.duration_hours || 1,
-          classrooms,
-          roomUsageTracker
-        )
+        // Mark room as used - track ALL 30-minute segments
+        const duration = slot.duration_hours || 1
+        const [startHours, startMinutes] = slot.start_time.split(':').map(Number)
+        const startTotalMinutes = startHours * 60 + startMinutes
+        const numSegments = Math.ceil(duration * 2)
         
-        if (room) {
-          // Assign classroom
-          slot.classroom_id = room._id
-          slot.classroom_name = room.room_no
-          
-          // Mark room as used - track ALL 30-minute segments
-          const duration = slot.duration_hours || 1
-          const [startHours, startMinutes] = slot.start_time.split(':').map(Number)
-          const startTotalMinutes = startHours * 60 + startMinutes
-          const numSegments = Math.ceil(duration * 2)
+        for (let i = 0; i < numSegments; i++) {
+          const segmentMinutes = startTotalMinutes + (i * 30)
+          const segmentHours = Math.floor(segmentMinutes / 60)
+          const segmentMins = segmentMinutes % 60
+          const segmentTime = `${String(segmentHours).padStart(2, '0')}:${String(segmentMins).padStart(2, '0')}`
           
-          for (let i = 0; i < numSegments; i++) {
-            const segmentMinutes = startTotalMinutes + (i * 30)
-            const segmentHours = Math.floor(segmentMinutes / 60)
-            const segmentMins = segmentMinutes % 60
-            const segmentTime = `${String(segmentHours).padStart(2, '0')}:${String(segmentMins).padStart(2, '0')}`
-            
-            const key = `${slot.day}-${segmentTime}-${room.room_no}`
-            roomUsageTracker.set(key, {
-              sectionName: tt.section_name,
-              subjectShortform: slot.subject_shortform,
-              slotType: 'REGULAR',
-              segmentIndex: i,
-              totalSegments: numSegments
-            })
-          }
-          
-          regularSlotsAssigned++
-          console.log(`   ✅ [REGULAR] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): ${room.room_no}`)
-        } else {
-          regularSlotsUnassigned++
-          console.log(`   ❌ [UNASSIGNED] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): No room available`)
+          const key = `${slot.day}-${segmentTime}-${room.room_no}`
+          roomUsageTracker.set(key, {
+            sectionName: tt.section_name,
+            subjectShortform: slot.subject_shortform,
+            slotType: 'REGULAR',
+            segmentIndex: i,
+            totalSegments: numSegments
+          })
         }
+        
+        regularSlotsAssigned++
+        console.log(`   ✅ [REGULAR] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): ${room.room_no}`)
+      } else {
+        regularSlotsUnassigned++
+        console.log(`   ❌ [UNASSIGNED] ${tt.section_name} - ${slot.subject_shortform} (${slot.day} ${slot.start_time}): No room available`)
       }
     }
     
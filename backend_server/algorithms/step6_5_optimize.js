@@ -0,0 +1,485 @@
+/**
+ * STEP 6.5 (OPTIONAL): Optimize Theory Placement by Local Search
+ *
+ * Purpose: Steps 3-6 are greedy - once Step 4 places a theory session it never moves,
+ * even when moving it would remove a gap or an early start. This step improves the
+ * finished timetables with simulated annealing over the theory sessions of ALL
+ * sections, scored with the soft constraints of the fitness score (fitness_score.js,
+ * weighted by the department's scheduling rules)
+ *
+ * Moves (picked at random):
+ * - Move: one theory session to another start time (any working day) of its section
+ * - Swap: two theory sessions of one section with the same length trade places
+ *
+ * A move is only tried when it keeps everything Steps 3-6 guarantee:
+ * - Section: no overlap with its other classes or labs, consecutive calendar periods
+ *   (no break inside)
+ * - Scheduling rules: no more violations of hard rules than before the move
+ *   (rule_engine.js - day length, subject and teacher hours per day, ...)
+ * - Teacher: not teaching elsewhere (theory or lab, any section), not unavailable
+ * - Classroom: the session keeps its room, which must be free at the new time
+ * Labs, fixed slots (OEC/PEC) and slots locked in the editor never move, so lab
+ * rooms are untouched.
+ * A run targeting some sections (ctx.section_ids) only moves their sessions; the
+ * other sections stay as they are and only act as occupancy.
+ * A repair run (ctx.baseline) adds MOVED_SLOT_PENALTY per session away from its
+ * baseline day/time, so sessions only leave it for a real gain (see warm_start.js).
+ *
+ * Acceptance: equal or better always, worse with probability exp(-Δpenalty / T),
+ * T cooling geometrically; the best state seen is saved.
+ * The penalty is kept per section and per teacher, so a move only re-scores the
+ * sections and teachers it touches. Every YIELD_EVERY iterations the search lets
+ * other requests run and checks options.isCancelled() - a cancelled run saves nothing.
+ *
+ * Input: sem_type, academic_year, seed, options { iterations, isCancelled }
+ * Output: Penalty + fitness before/after and the number of sessions moved
+ */
+
+import Timetable from '../models/timetable_model.js'
+import Teacher from '../models/teachers_models.js'
+import { calendarPeriods } from '../models/department_calendar_model.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, loadCalendar } from './generation_context.js'
+import { scoreTimetables, sectionSoftPenalty, teacherSoftPenalty } from './fitness_score.js'
+import { collectHardViolations } from './step7_validate.js'
+import { MOVED_SLOT_PENALTY, baselinePositions } from './warm_start.js'
+import { loadRules, evaluateSectionRules, evaluateTeacherRules } from './rule_engine.js'
+
+export const DEFAULT_ITERATIONS = 5000
+export const MAX_ITERATIONS = 50000
+
+const START_TEMPERATURE = 10   // Accepts a +10 penalty move ~37% of the time at the start
+const END_TEMPERATURE = 0.05   // Practically greedy at the end
+const YIELD_EVERY = 200        // Iterations between yields to the event loop
+
+/**
+ * Helper: Convert time to minutes since midnight (and back)
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+function overlaps(day1, start1, end1, day2, start2, end2) {
+  return day1 === day2 && start1 < end2 && start2 < end1
+}
+
+/**
+ * Helper: Search state - movable sessions and everything they must not collide with
+ */
+function buildState(timetables, calendar, teacherWindows, isMovable, rules) {
+  const periodEnds = new Map() // period start -> period end (minutes)
+  for (const period of calendarPeriods(calendar)) {
+    periodEnds.set(toMinutes(period.start), toMinutes(period.end))
+  }
+
+  const theory = []   // Every theory slot: { tt, slot }
+  const labs = []     // Every lab slot: { tt, labSlot, teacherIds }
+  const sessions = [] // Movable theory slots: { tt, slot, length }
+
+  // teacherId -> { name, sessions } like collectTeacherSessions (rule_engine.js), but the
+  // sessions are the slots themselves, so they follow every move
+  const teacherSessions = new Map()
+  const addTeacherSession = (teacherId, name, slot) => {
+    const id = teacherId.toString()
+    if (!teacherSessions.has(id)) teacherSessions.set(id, { name, sessions: [] })
+    teacherSessions.get(id).sessions.push(slot)
+  }
+
+  for (const tt of timetables) {
+    for (const slot of (tt.theory_slots || [])) {
+      theory.push({ tt, slot })
+      if (slot.teacher_id) addTeacherSession(slot.teacher_id, slot.teacher_name, slot)
+      if (!slot.is_fixed_slot && slot.locked !== true && isMovable(tt)) {
+        sessions.push({ tt, slot, length: toMinutes(slot.end_time) - toMinutes(slot.start_time) })
+      }
+    }
+    for (const labSlot of (tt.lab_slots || [])) {
+      const teacherIds = new Set()
+      for (const batch of (labSlot.batches || [])) {
+        if (batch.teacher1_id) {
+          teacherIds.add(batch.teacher1_id.toString())
+          addTeacherSession(batch.teacher1_id, batch.teacher1_name, labSlot)
+        }
+        if (batch.teacher2_id) {
+          teacherIds.add(batch.teacher2_id.toString())
+          addTeacherSession(batch.teacher2_id, batch.teacher2_name, labSlot)
+        }
+      }
+      labs.push({ tt, labSlot, teacherIds })
+    }
+  }
+
+  return {
+    calendar,
+    rules,
+    timetables,
+    periodEnds,
+    teacherWindows,
+    theory,
+    labs,
+    sessions,
+    teacherSessions,
+    startsByLength: new Map()
+  }
+}
+
+/**
+ * Helper: Start times (minutes) where a session of `length` minutes fits into
+ * consecutive periods
+ */
+function fittingStarts(state, length) {
+  if (state.startsByLength.has(length)) return state.startsByLength.get(length)
+
+  const starts = []
+  for (const start of state.periodEnds.keys()) {
+    let time = start
+    while (time < start + length && state.periodEnds.has(time)) {
+      time = state.periodEnds.get(time)
+    }
+    if (time === start + length) starts.push(start)
+  }
+  state.startsByLength.set(length, starts)
+  return starts
+}
+
+/**
+ * Helper: Can `session` be held on day start-end? (slots in `ignore` are being moved)
+ */
+function canPlace(state, session, day, start, end, ignore) {
+  const { tt, slot } = session
+  const teacherId = slot.teacher_id?.toString()
+  const classroomId = slot.classroom_id?.toString()
+
+  if (teacherId) {
+    const windows = state.teacherWindows.get(teacherId) || []
+    if (windows.some(w => overlaps(day, start, end, w.day, toMinutes(w.start_time), toMinutes(w.end_time)))) {
+      return false
+    }
+  }
+
+  for (const other of state.theory) {
+    if (ignore.has(other.slot)) continue
+    if (!overlaps(day, start, end, other.slot.day, toMinutes(other.slot.start_time), toMinutes(other.slot.end_time))) continue
+
+    if (other.tt === tt) return false
+    if (teacherId && other.slot.teacher_id?.toString() === teacherId) return false
+    if (classroomId && other.slot.classroom_id?.toString() === classroomId) return false
+  }
+
+  for (const { tt: labTt, labSlot, teacherIds } of state.labs) {
+    if (!overlaps(day, start, end, labSlot.day, toMinutes(labSlot.start_time), toMinutes(labSlot.end_time))) continue
+
+    if (labTt === tt) return false
+    if (teacherId && teacherIds.has(teacherId)) return false
+  }
+
+  return true
+}
+
+const countHard = violations => violations.filter(violation => violation.kind === 'hard').length
+
+/**
+ * Helper: Soft penalty and hard rule violations of the state, cached per section
+ * and per teacher - rescore(moves) only updates what the moved sessions touch
+ * (their sections and teachers)
+ * awayFromBaseline(session): 1 if a repair run's session is away from its baseline, else 0
+ */
+function createScores(state, semType, awayFromBaseline) {
+  const { calendar, rules } = state
+  const sections = new Map() // tt -> { soft, hard }
+  const teachers = new Map() // teacherId -> { soft, hard }
+  const away = new Map()     // session -> 0/1
+
+  const scoreSection = tt => sections.set(tt, {
+    soft: sectionSoftPenalty(tt, calendar, rules),
+    hard: countHard(evaluateSectionRules(rules, tt, calendar))
+  })
+  const scoreTeacher = teacherId => {
+    const { name, sessions } = state.teacherSessions.get(teacherId)
+    teachers.set(teacherId, {
+      soft: teacherSoftPenalty(teacherId, name, sessions, semType, calendar, rules),
+      hard: countHard(evaluateTeacherRules(rules, semType, teacherId, name, sessions))
+    })
+  }
+  const sum = (values, valueOf = value => value) => {
+    let total = 0
+    for (const value of values) total += valueOf(value)
+    return total
+  }
+  const awayCount = () => sum(away.values())
+
+  state.timetables.forEach(scoreSection)
+  state.teacherSessions.forEach((entry, teacherId) => scoreTeacher(teacherId))
+  state.sessions.forEach(session => away.set(session, awayFromBaseline(session)))
+
+  return {
+    penalty: () => sum(sections.values(), score => score.soft) + sum(teachers.values(), score => score.soft) + MOVED_SLOT_PENALTY * awayCount(),
+    hardViolations: () => sum(sections.values(), score => score.hard) + sum(teachers.values(), score => score.hard),
+    awayFromBaseline: awayCount,
+
+    // Re-score after the moves were placed - returns the restore function for their undo
+    rescore(moves) {
+      const tts = new Set(moves.map(move => move.session.tt))
+      const teacherIds = new Set(moves.map(move => move.session.slot.teacher_id?.toString()).filter(Boolean))
+      const saved = {
+        sections: [...tts].map(tt => [tt, sections.get(tt)]),
+        teachers: [...teacherIds].map(teacherId => [teacherId, teachers.get(teacherId)]),
+        away: moves.map(move => [move.session, away.get(move.session)])
+      }
+
+      tts.forEach(scoreSection)
+      teacherIds.forEach(scoreTeacher)
+      moves.forEach(move => away.set(move.session, awayFromBaseline(move.session)))
+
+      return () => {
+        saved.sections.forEach(([tt, score]) => sections.set(tt, score))
+        saved.teachers.forEach(([teacherId, score]) => teachers.set(teacherId, score))
+        saved.away.forEach(([session, value]) => away.set(session, value))
+      }
+    }
+  }
+}
+
+function place(session, { day, start, end }) {
+  session.slot.day = day
+  session.slot.start_time = toTime(start)
+  session.slot.end_time = toTime(end)
+}
+
+function positionOf(session) {
+  return {
+    day: session.slot.day,
+    start: toMinutes(session.slot.start_time),
+    end: toMinutes(session.slot.end_time)
+  }
+}
+
+/**
+ * Helper: Random move or swap - returns [{ session, to }] or null if none was possible
+ */
+function proposeMove(state, random) {
+  const { sessions, calendar } = state
+  const session = sessions[Math.floor(random() * sessions.length)]
+  const from = positionOf(session)
+
+  if (random() < 0.5) {
+    // Same section, same length, different subject (swapping a subject with itself changes nothing)
+    const partners = sessions.filter(other =>
+      other !== session && other.tt === session.tt && other.length === session.length &&
+      other.slot.subject_id?.toString() !== session.slot.subject_id?.toString()
+    )
+    if (partners.length === 0) return null
+
+    const partner = partners[Math.floor(random() * partners.length)]
+    return [
+      { session, to: positionOf(partner) },
+      { session: partner, to: from }
+    ]
+  }
+
+  const day = calendar.working_days[Math.floor(random() * calendar.working_days.length)]
+  const starts = fittingStarts(state, session.length)
+  if (starts.length === 0) return null
+
+  const start = starts[Math.floor(random() * starts.length)]
+  if (day === from.day && start === from.start) return null
+
+  return [{ session, to: { day, start, end: start + session.length } }]
+}
+
+/**
+ * Helper: Apply a proposed move if it breaks nothing - returns the undo function or null
+ * (scores: createScores of the state, re-scored with the move and restored by the undo)
+ */
+function tryApply(state, scores, moves) {
+  const ignore = new Set(moves.map(move => move.session.slot))
+
+  for (const { session, to } of moves) {
+    if (!canPlace(state, session, to.day, to.start, to.end, ignore)) return null
+  }
+
+  const previous = moves.map(move => ({ session: move.session, to: positionOf(move.session) }))
+  const violationsBefore = scores.hardViolations()
+  moves.forEach(move => place(move.session, move.to))
+  const restore = scores.rescore(moves)
+
+  const undo = () => {
+    previous.forEach(move => place(move.session, move.to))
+    restore()
+  }
+
+  if (scores.hardViolations() > violationsBefore) {
+    undo()
+    return null
+  }
+
+  return undo
+}
+
+/**
+ * Helper: Teacher unavailability windows of the semester type (teacherId -> windows)
+ */
+async function loadTeacherWindows(semType) {
+  const teachers = await Teacher.find({ 'unavailability.0': { $exists: true } })
+    .select('unavailability')
+    .lean()
+
+  const windows = new Map()
+  for (const teacher of teachers) {
+    const forSemester = teacher.unavailability.filter(w => !w.sem_type || w.sem_type === semType.toLowerCase())
+    if (forSemester.length > 0) windows.set(teacher._id.toString(), forSemester)
+  }
+  return windows
+}
+
+/**
+ * MAIN FUNCTION: Optimize theory placement
+ * seed: same seed + same data → same moves (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
+ * options.iterations: moves to try (default DEFAULT_ITERATIONS)
+ * options.isCancelled(): checked every YIELD_EVERY iterations - a cancelled run throws
+ *   before anything is saved
+ */
+export async function optimizeTimetables(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed }), options = {}) {
+  const iterations = options.iterations || DEFAULT_ITERATIONS
+
+  console.log(`\n${'='.repeat(80)}`)
+  console.log(`🔁 STEP 6.5: LOCAL SEARCH OPTIMIZATION`)
+  console.log(`   Semester Type: ${semType.toUpperCase()}`)
+  console.log(`   Academic Year: ${academicYear}`)
+  console.log(`   Iterations: ${iterations}`)
+  console.log(`${'='.repeat(80)}\n`)
+
+  ctx.random = createRandom(seed)
+
+  try {
+    const timetables = await Timetable.find({
+      sem_type: semType,
+      academic_year: academicYear
+    }).lean()
+
+    if (timetables.length === 0) {
+      throw new Error('No timetables found. Please run Steps 1-6 first.')
+    }
+
+    // Every section stays in the state as occupancy; only targeted ones move
+    const targets = ctx.section_ids && new Set(ctx.section_ids)
+    const isTarget = tt => !targets || targets.has(tt.section_id.toString())
+
+    const calendar = await loadCalendar(ctx)
+    const rules = await loadRules(ctx)
+    const teacherWindows = await loadTeacherWindows(semType)
+    const state = buildState(timetables, calendar, teacherWindows, isTarget, rules)
+
+    // Repair run: sessions away from their baseline day/time cost MOVED_SLOT_PENALTY each
+    const baseline = ctx.baseline && baselinePositions(ctx)
+    const isAway = ({ tt, slot }) => baseline && !baseline.has(`${tt.section_id}_${slot.subject_id}_${slot.day}_${slot.start_time}`) ? 1 : 0
+    const scores = createScores(state, semType, isAway)
+    const before = scoreTimetables(timetables, await collectHardViolations(timetables, semType, rules, calendar), calendar, rules).run
+    const original = state.sessions.map(positionOf)
+
+    console.log(`   📋 ${state.sessions.length} movable theory sessions in ${timetables.length} sections`)
+    console.log(`   📊 Before: fitness ${before.fitness_score}/100, penalty ${before.penalty}`)
+    const awayBefore = scores.awayFromBaseline()
+    if (baseline) console.log(`   🩹 Repair: ${awayBefore} session(s) away from the baseline`)
+
+    let current = scores.penalty()
+    let best = current
+    let bestPositions = original
+    let accepted = 0
+
+    if (state.sessions.length > 0) {
+      for (let i = 0; i < iterations; i++) {
+        if (i > 0 && i % YIELD_EVERY === 0) {
+          await new Promise(resolve => setImmediate(resolve))
+          if (options.isCancelled?.()) throw new Error('Generation cancelled during Step 6.5')
+        }
+
+        const temperature = START_TEMPERATURE * Math.pow(END_TEMPERATURE / START_TEMPERATURE, i / iterations)
+        const moves = proposeMove(state, ctx.random)
+        if (!moves) continue
+
+        const undo = tryApply(state, scores, moves)
+        if (!undo) continue
+
+        const candidate = scores.penalty()
+        const delta = candidate - current
+
+        if (delta <= 0 || ctx.random() < Math.exp(-delta / temperature)) {
+          current = candidate
+          accepted++
+          if (current < best) {
+            best = current
+            bestPositions = state.sessions.map(positionOf)
+          }
+        } else {
+          undo()
+        }
+      }
+    }
+
+    // Keep the best state seen
+    state.sessions.forEach((session, index) => place(session, bestPositions[index]))
+
+    const after = scoreTimetables(timetables, await collectHardViolations(timetables, semType, rules, calendar), calendar, rules).run
+    const moved = state.sessions.filter((session, index) => {
+      const from = original[index]
+      return session.slot.day !== from.day || toMinutes(session.slot.start_time) !== from.start
+    })
+    const changedTimetables = new Set(moved.map(session => session.tt))
+
+    const summary = {
+      seed,
+      iterations,
+      moves_accepted: accepted,
+      sessions_moved: moved.length,
+      penalty_before: before.penalty,
+      penalty_after: after.penalty,
+      fitness_before: before.fitness_score,
+      fitness_after: after.fitness_score,
+      ...(baseline && { away_from_baseline_before: awayBefore, away_from_baseline_after: state.sessions.reduce((sum, session) => sum + isAway(session), 0) }),
+      optimized_at: new Date()
+    }
+
+    console.log(`\n💾 Saving optimized timetables...`)
+    for (const tt of timetables.filter(isTarget)) {
+      await Timetable.updateOne(
+        { _id: tt._id },
+        {
+          $set: {
+            ...(changedTimetables.has(tt) && { theory_slots: tt.theory_slots }),
+            'generation_metadata.optimization_summary': summary
+          }
+        }
+      )
+    }
+    console.log(`   ✅ ${changedTimetables.size} timetable(s) changed\n`)
+
+    console.log(`${'='.repeat(80)}`)
+    console.log(`✅ STEP 6.5 COMPLETE: ${moved.length} sessions moved (${accepted} moves accepted)`)
+    console.log(`   📊 Fitness ${before.fitness_score} → ${after.fitness_score}/100, penalty ${before.penalty} → ${after.penalty}`)
+    if (baseline) console.log(`   🩹 Away from the baseline: ${summary.away_from_baseline_before} → ${summary.away_from_baseline_after} session(s)`)
+    console.log(`${'='.repeat(80)}\n`)
+
+    return {
+      success: true,
+      message: `Step 6.5 complete: fitness ${before.fitness_score} → ${after.fitness_score}/100 (${moved.length} sessions moved). Run Step 7 to re-validate.`,
+      data: {
+        sections_processed: timetables.filter(isTarget).length,
+        sections_changed: changedTimetables.size,
+        movable_sessions: state.sessions.length,
+        ...summary,
+        hard_violations_before: before.hard_violations,
+        hard_violations_after: after.hard_violations
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error in Step 6.5:', error)
+    throw error
+  }
+}
@@ -12,6 +12,9 @@
  * - Professor (including HOD): Minimal workload (typically 2 labs/week max)
  * - Associate Professor: Moderate workload (typically 4 labs/week max)
  * - Assistant Professor: Flexible workload (can exceed limits to absorb overflow)
+ * Repair runs: a batch's baseline teachers are tried first (see warm_start.js)
+ * Scheduling rules: a teacher never goes over their hard max_teacher_hours_per_day rule
+ * (theory + labs, see rule_engine.js)
  * 
  * Input: sem_type ('odd' or 'even'), academic_year
  * Output: Timetables with teachers assigned + workload report
@@ -19,19 +22,26 @@
 
 import Timetable from '../models/timetable_model.js'
 import Teacher from '../models/teachers_models.js'
+import { createRandom } from './seeded_random.js'
+import { createGenerationContext, targetSectionFilter, loadKeptTimetables } from './generation_context.js'
+import { baselineLabBatch } from './warm_start.js'
+import { loadRules, hardRule, teacherTarget, ruleParam } from './rule_engine.js'
 
-// Global tracking structures
-const globalTeacherSchedule = new Map() // Teacher time slot occupancy
-const teacherBatchCounts = new Map()    // Teacher batch assignment counts
-const unassignedBatches = []            // Batches that couldn't be assigned in Phase 1
+// Tracking structures live in the generation context (ctx) - see generation_context.js:
+// - ctx.labTeacherSchedule: teacher time slot occupancy
+// - ctx.labTeacherBatchCounts: teacher batch assignment counts
+// - ctx.unassignedBatches: batches that couldn't be assigned in Phase 1
+// - ctx.labTeacherUnavailability: teacher unavailability windows for this semester type
+// - ctx.random: random source of this step
+// - ctx.rules: scheduling rules of the semester type
 
 /**
  * Helper: Shuffle array (Fisher-Yates algorithm)
  */
-function shuffleArray(array) {
+function shuffleArray(array, random) {
   const shuffled = [...array]
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
   }
   return shuffled
@@ -60,15 +70,22 @@ function timesOverlap(start1, end1, start2, end2) {
 
 /**
  * Helper: Check if teacher is available at given time
+ * (not teaching elsewhere, not inside one of their unavailability windows and
+ * not over their hard hours-per-day rule with this session)
  */
-function isTeacherAvailable(teacherId, day, startTime, endTime) {
+function isTeacherAvailable(ctx, teacherId, day, startTime, endTime) {
+  const windows = ctx.labTeacherUnavailability.get(teacherId) || []
+  if (windows.some(w => w.day === day && timesOverlap(startTime, endTime, w.start_time, w.end_time))) {
+    return false // Teacher has marked this time as unavailable
+  }
+  
   const scheduleKey = `${teacherId}_${day}`
   
-  if (!globalTeacherSchedule.has(scheduleKey)) {
+  if (!ctx.labTeacherSchedule.has(scheduleKey)) {
     return true // No schedule for this teacher on this day
   }
   
-  const daySchedule = globalTeacherSchedule.get(scheduleKey)
+  const daySchedule = ctx.labTeacherSchedule.get(scheduleKey)
   
   // Check each existing time slot for overlaps
   for (const existingSlot of daySchedule) {
@@ -77,20 +94,28 @@ function isTeacherAvailable(teacherId, day, startTime, endTime) {
     }
   }
   
+  const rule = hardRule(ctx.rules, 'max_teacher_hours_per_day', teacherTarget(ctx.sem_type, teacherId))
+  if (rule) {
+    const minutes = daySchedule.reduce((sum, slot) => sum + toMinutes(slot.end) - toMinutes(slot.start), toMinutes(endTime) - toMinutes(startTime))
+    if (minutes / 60 > ruleParam(rule, 'max_hours')) {
+      return false // Would teach too many hours that day
+    }
+  }
+  
   return true // No conflicts
 }
 
 /**
  * Helper: Mark teacher as busy in global schedule
  */
-function markTeacherBusy(teacherId, day, startTime, endTime, context) {
+function markTeacherBusy(ctx, teacherId, day, startTime, endTime, context) {
   const scheduleKey = `${teacherId}_${day}`
   
-  if (!globalTeacherSchedule.has(scheduleKey)) {
-    globalTeacherSchedule.set(scheduleKey, [])
+  if (!ctx.labTeacherSchedule.has(scheduleKey)) {
+    ctx.labTeacherSchedule.set(scheduleKey, [])
   }
   
-  globalTeacherSchedule.get(scheduleKey).push({
+  ctx.labTeacherSchedule.get(scheduleKey).push({
     start: startTime,
     end: endTime,
     context: context
@@ -100,35 +125,87 @@ function markTeacherBusy(teacherId, day, startTime, endTime, context) {
 /**
  * Helper: Increment teacher batch count
  */
-function incrementTeacherBatchCount(teacherId) {
-  const currentCount = teacherBatchCounts.get(teacherId) || 0
-  teacherBatchCounts.set(teacherId, currentCount + 1)
+function incrementTeacherBatchCount(ctx, teacherId) {
+  const currentCount = ctx.labTeacherBatchCounts.get(teacherId) || 0
+  ctx.labTeacherBatchCounts.set(teacherId, currentCount + 1)
 }
 
 /**
  * Helper: Get teacher batch count
  */
-function getTeacherBatchCount(teacherId) {
-  return teacherBatchCounts.get(teacherId) || 0
+function getTeacherBatchCount(ctx, teacherId) {
+  return ctx.labTeacherBatchCounts.get(teacherId) || 0
+}
+
+/**
+ * Initialize unavailability windows that apply to this semester type
+ */
+function buildTeacherUnavailability(ctx, teachers, semType) {
+  ctx.labTeacherUnavailability.clear()
+  
+  for (const teacher of teachers) {
+    const windows = (teacher.unavailability || []).filter(w => !w.sem_type || w.sem_type === semType.toLowerCase())
+    if (windows.length > 0) {
+      ctx.labTeacherUnavailability.set(teacher._id.toString(), windows)
+    }
+  }
+  
+  console.log(`   ✓ ${ctx.labTeacherUnavailability.size} teachers have unavailability windows`)
 }
 
 /**
  * Initialize global tracking from existing theory assignments
+ * keptTimetables: sections a targeted run keeps as they are - their lab teachers
+ * stay busy and their batches count towards each teacher's workload
+ * Lab slots locked in the editor keep their teachers the same way
  */
-function buildGlobalTeacherSchedule(timetables) {
+function buildGlobalTeacherSchedule(ctx, timetables, keptTimetables = []) {
   console.log('\n📊 Initializing global teacher schedule from theory slots...')
-  globalTeacherSchedule.clear()
-  teacherBatchCounts.clear()
+  ctx.labTeacherSchedule.clear()
+  ctx.labTeacherBatchCounts.clear()
   
   let theorySlotCount = 0
+  let keptBatchCount = 0
+  let lockedBatchCount = 0
   
-  for (const timetable of timetables) {
+  const keptLabSlots = [
+    ...keptTimetables.flatMap(timetable => (timetable.lab_slots || []).map(labSlot => ({ timetable, labSlot, kept: true }))),
+    ...timetables.flatMap(timetable => (timetable.lab_slots || [])
+      .filter(labSlot => labSlot.locked === true)
+      .map(labSlot => ({ timetable, labSlot, kept: false })))
+  ]
+  
+  for (const { timetable, labSlot, kept } of keptLabSlots) {
+    for (const batch of labSlot.batches || []) {
+      for (const teacherId of [batch.teacher1_id, batch.teacher2_id].filter(Boolean)) {
+        markTeacherBusy(
+          ctx,
+          teacherId.toString(),
+          labSlot.day,
+          labSlot.start_time,
+          labSlot.end_time,
+          {
+            type: 'lab',
+            section: timetable.section_name,
+            batch: batch.batch_name,
+            kept
+          }
+        )
+        incrementTeacherBatchCount(ctx, teacherId.toString())
+        if (kept) keptBatchCount++
+        else lockedBatchCount++
+      }
+    }
+  }
+  
+  for (const timetable of [...timetables, ...keptTimetables]) {
     const theorySlots = timetable.theory_slots || []
     
     for (const slot of theorySlots) {
       if (slot.teacher_id) {
         const teacherId = slot.teacher_id.toString()
         markTeacherBusy(
+          ctx,
           teacherId,
           slot.day,
           slot.start_time,
@@ -145,7 +222,13 @@ function buildGlobalTeacherSchedule(timetables) {
   }
   
   console.log(`   ✓ Tracked ${theorySlotCount} theory slot assignments`)
-  console.log(`   ✓ ${globalTeacherSchedule.size} teachers have existing schedules\n`)
+  if (keptTimetables.length > 0) {
+    console.log(`   🔒 Kept ${keptTimetables.length} other section(s) fixed: ${keptBatchCount} lab teacher assignment(s)`)
+  }
+  if (lockedBatchCount > 0) {
+    console.log(`   🔒 Kept ${lockedBatchCount} lab teacher assignment(s) of locked slots`)
+  }
+  console.log(`   ✓ ${ctx.labTeacherSchedule.size} teachers have existing schedules\n`)
 }
 
 /**
@@ -155,10 +238,10 @@ function buildGlobalTeacherSchedule(timetables) {
  * Priority: Professor → Associate Professor → Assistant Professor
  * Within priority: Least-loaded first (for fairness)
  */
-async function phase1StrictAssignment(timetables, teachers, semType) {
+async function phase1StrictAssignment(ctx, timetables, teachers, semType) {
   console.log('🎯 PHASE 1: Strict Hierarchical Assignment\n')
   
-  unassignedBatches.length = 0 // Clear array
+  ctx.unassignedBatches.length = 0 // Clear array
   
   let assignedCount = 0
   let skippedCount = 0
@@ -177,7 +260,8 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
     const section = timetable.section_id || timetable.section_name
     console.log(`   📂 Section ${timetable.section_name}:`)
     
-    const labSlots = timetable.lab_slots || []
+    // Locked slots keep the teachers they already have
+    const labSlots = (timetable.lab_slots || []).filter(labSlot => labSlot.locked !== true)
     
     for (const labSlot of labSlots) {
       const { day, start_time, end_time, batches = [] } = labSlot
@@ -205,6 +289,15 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
           { name: 'Assistant', teachers: qualifiedAssts }
         ]
         
+        // Repair run: the batch's baseline teachers go first (if they still handle this lab)
+        const baselineBatch = baselineLabBatch(ctx, timetable, batch_name, lab_id)?.batch
+        if (baselineBatch) {
+          const baselineIds = [baselineBatch.teacher1_id, baselineBatch.teacher2_id].filter(Boolean).map(id => id.toString())
+          const baselineTeachers = [...qualifiedProfs, ...qualifiedAssocs, ...qualifiedAssts]
+            .filter(t => baselineIds.includes(t._id.toString()))
+          if (baselineTeachers.length > 0) priorityGroups.unshift({ name: 'Baseline', teachers: baselineTeachers })
+        }
+        
         let teacher1Assigned = false
         let teacher2Assigned = false
         let teacher1Id = null
@@ -215,15 +308,15 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
           
           // Sort by current workload (least-loaded first)
           group.teachers.sort((a, b) => {
-            const countA = getTeacherBatchCount(a._id.toString())
-            const countB = getTeacherBatchCount(b._id.toString())
+            const countA = getTeacherBatchCount(ctx, a._id.toString())
+            const countB = getTeacherBatchCount(ctx, b._id.toString())
             return countA - countB
           })
           
           // Add randomization: shuffle teachers with same workload count
           const groupedByCount = {}
           group.teachers.forEach(t => {
-            const count = getTeacherBatchCount(t._id.toString())
+            const count = getTeacherBatchCount(ctx, t._id.toString())
             if (!groupedByCount[count]) groupedByCount[count] = []
             groupedByCount[count].push(t)
           })
@@ -231,7 +324,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
           // Shuffle each workload group and flatten back
           const shuffledTeachers = Object.keys(groupedByCount)
             .sort((a, b) => Number(a) - Number(b))
-            .flatMap(count => shuffleArray(groupedByCount[count]))
+            .flatMap(count => shuffleArray(groupedByCount[count], ctx.random))
           
           for (const teacher of shuffledTeachers) {
             const teacherId = teacher._id.toString()
@@ -241,7 +334,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
               ? teacher.max_lab_assign_even 
               : teacher.max_lab_assign_odd
             
-            const currentCount = getTeacherBatchCount(teacherId)
+            const currentCount = getTeacherBatchCount(ctx, teacherId)
             
             // STRICT CHECK: Don't exceed limit in Phase 1
             if (currentCount >= limit) {
@@ -249,7 +342,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
             }
             
             // Check time availability
-            if (!isTeacherAvailable(teacherId, day, start_time, end_time)) {
+            if (!isTeacherAvailable(ctx, teacherId, day, start_time, end_time)) {
               continue // Try next teacher
             }
             
@@ -260,6 +353,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
             
             // Mark as busy and increment count
             markTeacherBusy(
+              ctx,
               teacherId,
               day,
               start_time,
@@ -271,7 +365,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
                 lab: lab_name
               }
             )
-            incrementTeacherBatchCount(teacherId)
+            incrementTeacherBatchCount(ctx, teacherId)
             
             teacher1Assigned = true
             teacher1Id = teacherId
@@ -288,15 +382,15 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
             
             // Sort by current workload (least-loaded first)
             group.teachers.sort((a, b) => {
-              const countA = getTeacherBatchCount(a._id.toString())
-              const countB = getTeacherBatchCount(b._id.toString())
+              const countA = getTeacherBatchCount(ctx, a._id.toString())
+              const countB = getTeacherBatchCount(ctx, b._id.toString())
               return countA - countB
             })
             
             // Add randomization: shuffle teachers with same workload count
             const groupedByCount = {}
             group.teachers.forEach(t => {
-              const count = getTeacherBatchCount(t._id.toString())
+              const count = getTeacherBatchCount(ctx, t._id.toString())
               if (!groupedByCount[count]) groupedByCount[count] = []
               groupedByCount[count].push(t)
             })
@@ -304,7 +398,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
             // Shuffle each workload group and flatten back
             const shuffledTeachers = Object.keys(groupedByCount)
               .sort((a, b) => Number(a) - Number(b))
-              .flatMap(count => shuffleArray(groupedByCount[count]))
+              .flatMap(count => shuffleArray(groupedByCount[count], ctx.random))
             
             for (const teacher of shuffledTeachers) {
               const teacherId = teacher._id.toString()
@@ -319,7 +413,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
                 ? teacher.max_lab_assign_even 
                 : teacher.max_lab_assign_odd
               
-              const currentCount = getTeacherBatchCount(teacherId)
+              const currentCount = getTeacherBatchCount(ctx, teacherId)
               
               // STRICT CHECK: Don't exceed limit in Phase 1
               if (currentCount >= limit) {
@@ -327,7 +421,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
               }
               
               // Check time availability
-              if (!isTeacherAvailable(teacherId, day, start_time, end_time)) {
+              if (!isTeacherAvailable(ctx, teacherId, day, start_time, end_time)) {
                 continue // Try next teacher
               }
               
@@ -338,6 +432,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
               
               // Mark as busy and increment count
               markTeacherBusy(
+                ctx,
                 teacherId,
                 day,
                 start_time,
@@ -350,7 +445,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
                   role: 'teacher2'
                 }
               )
-              incrementTeacherBatchCount(teacherId)
+              incrementTeacherBatchCount(ctx, teacherId)
               
               teacher2Assigned = true
               assignedCount++
@@ -362,7 +457,7 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
         
         // If couldn't assign BOTH teachers in Phase 1, save for Phase 2
         if (!teacher1Assigned || !teacher2Assigned) {
-          unassignedBatches.push({
+          ctx.unassignedBatches.push({
             timetable: timetable,
             labSlot: labSlot,
             batch: batch,
@@ -395,23 +490,23 @@ async function phase1StrictAssignment(timetables, teachers, semType) {
  * Assigns remaining labs by allowing Assistant Professors to exceed their limits
  * Professors and Associates NEVER exceed
  */
-async function phase2FallbackAssignment(teachers, semType) {
+async function phase2FallbackAssignment(ctx, teachers, semType) {
   console.log('🎯 PHASE 2: Fallback to Assistant Professors\n')
   
-  if (unassignedBatches.length === 0) {
+  if (ctx.unassignedBatches.length === 0) {
     console.log('   ✅ No batches need fallback assignment\n')
     return
   }
   
   const assistants = teachers.filter(t => t.teacher_position === 'Assistant Professor')
   
-  console.log(`   📋 ${unassignedBatches.length} batches to assign`)
+  console.log(`   📋 ${ctx.unassignedBatches.length} batches to assign`)
   console.log(`   👥 ${assistants.length} Assistant Professors available\n`)
   
   let assignedCount = 0
   let failedCount = 0
   
-  for (const item of unassignedBatches) {
+  for (const item of ctx.unassignedBatches) {
     const { timetable, batch, lab_id, day, start_time, end_time, hasTeacher1, hasTeacher2, teacher1Id, semType } = item
     
     // Find qualified Assistant Professors
@@ -427,15 +522,15 @@ async function phase2FallbackAssignment(teachers, semType) {
     
     // Sort by current batch count (least-loaded first)
     qualifiedAssts.sort((a, b) => {
-      const countA = getTeacherBatchCount(a._id.toString())
-      const countB = getTeacherBatchCount(b._id.toString())
+      const countA = getTeacherBatchCount(ctx, a._id.toString())
+      const countB = getTeacherBatchCount(ctx, b._id.toString())
       return countA - countB
     })
     
     // Add randomization: shuffle teachers with same workload count
     const groupedByCount = {}
     qualifiedAssts.forEach(t => {
-      const count = getTeacherBatchCount(t._id.toString())
+      const count = getTeacherBatchCount(ctx, t._id.toString())
       if (!groupedByCount[count]) groupedByCount[count] = []
       groupedByCount[count].push(t)
     })
@@ -443,7 +538,7 @@ async function phase2FallbackAssignment(teachers, semType) {
     // Shuffle each workload group and flatten back
     const shuffledAssts = Object.keys(groupedByCount)
       .sort((a, b) => Number(a) - Number(b))
-      .flatMap(count => shuffleArray(groupedByCount[count]))
+      .flatMap(count => shuffleArray(groupedByCount[count], ctx.random))
     
     let teacher1Assigned = hasTeacher1 || false
     let teacher2Assigned = hasTeacher2 || false
@@ -455,7 +550,7 @@ async function phase2FallbackAssignment(teachers, semType) {
         const teacherId = teacher._id.toString()
         
         // Check time availability
-        if (!isTeacherAvailable(teacherId, day, start_time, end_time)) {
+        if (!isTeacherAvailable(ctx, teacherId, day, start_time, end_time)) {
           continue
         }
         
@@ -466,6 +561,7 @@ async function phase2FallbackAssignment(teachers, semType) {
         
         // Mark as busy and increment count
         markTeacherBusy(
+          ctx,
           teacherId,
           day,
           start_time,
@@ -477,12 +573,12 @@ async function phase2FallbackAssignment(teachers, semType) {
             lab: batch.lab_name
           }
         )
-        incrementTeacherBatchCount(teacherId)
+        incrementTeacherBatchCount(ctx, teacherId)
         
         const limit = semType.toLowerCase() === 'even' 
           ? teacher.max_lab_assign_even 
           : teacher.max_lab_assign_odd
-        const currentCount = getTeacherBatchCount(teacherId)
+        const currentCount = getTeacherBatchCount(ctx, teacherId)
         const overflow = currentCount > limit ? currentCount - limit : 0
         
         teacher1Assigned = true
@@ -503,7 +599,7 @@ async function phase2FallbackAssignment(teachers, semType) {
         }
         
         // Check time availability
-        if (!isTeacherAvailable(teacherId, day, start_time, end_time)) {
+        if (!isTeacherAvailable(ctx, teacherId, day, start_time, end_time)) {
           continue
         }
         
@@ -514,6 +610,7 @@ async function phase2FallbackAssignment(teachers, semType) {
         
         // Mark as busy and increment count
         markTeacherBusy(
+          ctx,
           teacherId,
           day,
           start_time,
@@ -525,12 +622,12 @@ async function phase2FallbackAssignment(teachers, semType) {
             lab: batch.lab_name
           }
         )
-        incrementTeacherBatchCount(teacherId)
+        incrementTeacherBatchCount(ctx, teacherId)
         
         const limit = semType.toLowerCase() === 'even' 
           ? teacher.max_lab_assign_even 
           : teacher.max_lab_assign_odd
-        const currentCount = getTeacherBatchCount(teacherId)
+        const currentCount = getTeacherBatchCount(ctx, teacherId)
         const overflow = currentCount > limit ? currentCount - limit : 0
         
         teacher2Assigned = true
@@ -571,14 +668,14 @@ async function phase2FallbackAssignment(teachers, semType) {
  * Minimizes workload imbalance among Assistant Professors through intelligent reassignment
  * Only rebalances if imbalance > 2 batches
  */
-async function phase3BalanceAssistants(timetables, teachers) {
+async function phase3BalanceAssistants(ctx, timetables, teachers) {
   console.log('🎯 PHASE 3: Balance Assistant Professors\n')
   
   const assistants = teachers.filter(t => t.teacher_position === 'Assistant Professor')
   
   // Get assistants with assignments
   const assignedAssistants = assistants.filter(t => 
-    getTeacherBatchCount(t._id.toString()) > 0
+    getTeacherBatchCount(ctx, t._id.toString()) > 0
   )
   
   if (assignedAssistants.length < 2) {
@@ -587,14 +684,14 @@ async function phase3BalanceAssistants(timetables, teachers) {
   }
   
   // Calculate imbalance
-  const batchCounts = assignedAssistants.map(t => getTeacherBatchCount(t._id.toString()))
+  const batchCounts = assignedAssistants.map(t => getTeacherBatchCount(ctx, t._id.toString()))
   const maxCount = Math.max(...batchCounts)
   const minCount = Math.min(...batchCounts)
   const imbalance = maxCount - minCount
   
   console.log(`   📊 Current Distribution:`)
   assignedAssistants.forEach(t => {
-    const count = getTeacherBatchCount(t._id.toString())
+    const count = getTeacherBatchCount(ctx, t._id.toString())
     console.log(`      ${t.teacher_shortform}: ${count} batches`)
   })
   console.log(`   📉 Imbalance: ${imbalance} batches (max ${maxCount} - min ${minCount})\n`)
@@ -608,10 +705,10 @@ async function phase3BalanceAssistants(timetables, teachers) {
   
   // Identify overloaded and underloaded assistants
   const overloaded = assignedAssistants.filter(t => 
-    getTeacherBatchCount(t._id.toString()) === maxCount
+    getTeacherBatchCount(ctx, t._id.toString()) === maxCount
   )
   const underloaded = assignedAssistants.filter(t => 
-    getTeacherBatchCount(t._id.toString()) === minCount
+    getTeacherBatchCount(ctx, t._id.toString()) === minCount
   )
   
   let rebalancedCount = 0
@@ -626,6 +723,8 @@ async function phase3BalanceAssistants(timetables, teachers) {
     
     for (const timetable of timetables) {
       for (const labSlot of timetable.lab_slots || []) {
+        if (labSlot.locked === true) continue
+        
         for (const batch of labSlot.batches || []) {
           const isTeacher1 = batch.teacher1_id && batch.teacher1_id.toString() === overloadedId
           const isTeacher2 = batch.teacher2_id && batch.teacher2_id.toString() === overloadedId
@@ -675,7 +774,7 @@ async function phase3BalanceAssistants(timetables, teachers) {
         
         // Check 3: Does underloaded teacher have time conflict?
         // Temporarily remove old assignment to check availability
-        const oldSchedule = globalTeacherSchedule.get(`${overloadedId}_${day}`)
+        const oldSchedule = ctx.labTeacherSchedule.get(`${overloadedId}_${day}`)
         if (oldSchedule) {
           const index = oldSchedule.findIndex(slot => 
             slot.start === start_time && slot.end === end_time
@@ -685,11 +784,11 @@ async function phase3BalanceAssistants(timetables, teachers) {
           }
         }
         
-        const hasConflict = !isTeacherAvailable(underloadedId, day, start_time, end_time)
+        const hasConflict = !isTeacherAvailable(ctx, underloadedId, day, start_time, end_time)
         
         // Restore old schedule
         if (oldSchedule && oldSchedule.length === 0) {
-          globalTeacherSchedule.delete(`${overloadedId}_${day}`)
+          ctx.labTeacherSchedule.delete(`${overloadedId}_${day}`)
         }
         
         if (hasConflict) continue
@@ -706,15 +805,15 @@ async function phase3BalanceAssistants(timetables, teachers) {
         }
         
         // Update counts
-        teacherBatchCounts.set(overloadedId, getTeacherBatchCount(overloadedId) - 1)
-        teacherBatchCounts.set(underloadedId, getTeacherBatchCount(underloadedId) + 1)
+        ctx.labTeacherBatchCounts.set(overloadedId, getTeacherBatchCount(ctx, overloadedId) - 1)
+        ctx.labTeacherBatchCounts.set(underloadedId, getTeacherBatchCount(ctx, underloadedId) + 1)
         
         // Update schedule
         const scheduleKey = `${underloadedId}_${day}`
-        if (!globalTeacherSchedule.has(scheduleKey)) {
-          globalTeacherSchedule.set(scheduleKey, [])
+        if (!ctx.labTeacherSchedule.has(scheduleKey)) {
+          ctx.labTeacherSchedule.set(scheduleKey, [])
         }
-        globalTeacherSchedule.get(scheduleKey).push({
+        ctx.labTeacherSchedule.get(scheduleKey).push({
           start: start_time,
           end: end_time,
           context: {
@@ -729,7 +828,7 @@ async function phase3BalanceAssistants(timetables, teachers) {
         console.log(`   ♻️  Reassigned ${timetable.section_name} ${batch.batch_name} (${teacherSlot}) from ${overloadedTeacher.teacher_shortform} to ${underloadedTeacher.teacher_shortform}`)
         
         // Check if balanced enough now
-        const newCounts = assignedAssistants.map(t => getTeacherBatchCount(t._id.toString()))
+        const newCounts = assignedAssistants.map(t => getTeacherBatchCount(ctx, t._id.toString()))
         const newMax = Math.max(...newCounts)
         const newMin = Math.min(...newCounts)
         const newImbalance = newMax - newMin
@@ -743,7 +842,7 @@ async function phase3BalanceAssistants(timetables, teachers) {
       }
       
       // Check if this teacher is no longer overloaded
-      if (getTeacherBatchCount(overloadedId) <= maxCount - 2) {
+      if (getTeacherBatchCount(ctx, overloadedId) <= maxCount - 2) {
         break
       }
     }
@@ -753,7 +852,7 @@ async function phase3BalanceAssistants(timetables, teachers) {
   console.log(`\n   📊 Rebalancing Results:`)
   console.log(`      ♻️  Reassignments: ${rebalancedCount}`)
   
-  const finalCounts = assignedAssistants.map(t => getTeacherBatchCount(t._id.toString()))
+  const finalCounts = assignedAssistants.map(t => getTeacherBatchCount(ctx, t._id.toString()))
   const finalMax = Math.max(...finalCounts)
   const finalMin = Math.min(...finalCounts)
   const finalImbalance = finalMax - finalMin
@@ -770,7 +869,7 @@ async function phase3BalanceAssistants(timetables, teachers) {
 /**
  * Generate Workload Report
  */
-function generateWorkloadReport(teachers, semType) {
+function generateWorkloadReport(ctx, teachers, semType) {
   console.log('📋 WORKLOAD REPORT\n')
   
   const report = []
@@ -778,7 +877,7 @@ function generateWorkloadReport(teachers, semType) {
   // Validation: Check if Professors/Associates exceeded limits
   for (const teacher of teachers) {
     const teacherId = teacher._id.toString()
-    const assigned = getTeacherBatchCount(teacherId)
+    const assigned = getTeacherBatchCount(ctx, teacherId)
     
     if (assigned === 0) continue // Skip teachers with no assignments
     
@@ -860,50 +959,55 @@ function generateWorkloadReport(teachers, semType) {
 
 /**
  * MAIN FUNCTION: Hierarchical Lab Teacher Assignment
+ * seed: same seed + same data → same teacher picks (omit for Math.random)
+ * ctx: generation context of the run (a full run passes its own; fresh one by default)
  */
-export async function assignLabTeachersHierarchical(semType, academicYear) {
+export async function assignLabTeachersHierarchical(semType, academicYear, seed, ctx = createGenerationContext({ semType, academicYear, seed })) {
   console.log(`\n${'='.repeat(80)}`)
   console.log(`👨‍🏫 STEP 6: HIERARCHICAL LAB TEACHER ASSIGNMENT`)
   console.log(`   Semester Type: ${semType.toUpperCase()}`)
   console.log(`   Academic Year: ${academicYear}`)
   console.log(`${'='.repeat(80)}\n`)
   
+  ctx.random = createRandom(seed)
+  
   try {
     // Validate semester type
     if (!['odd', 'even'].includes(semType.toLowerCase())) {
       throw new Error(`Invalid semester type: ${semType}. Must be 'odd' or 'even'.`)
     }
     
-    // STEP 1: Clear previous teacher assignments
+    await loadRules(ctx)
+    
+    // STEP 1: Clear previous teacher assignments (locked slots keep theirs)
     console.log('🧹 Clearing previous teacher assignments...')
     const clearResult = await Timetable.updateMany(
-      { sem_type: semType, academic_year: academicYear },
+      targetSectionFilter(ctx),
       {
         $set: {
-          'lab_slots.$[].batches.$[].teacher1_id': null,
-          'lab_slots.$[].batches.$[].teacher1_name': null,
-          'lab_slots.$[].batches.$[].teacher1_shortform': null,
-          'lab_slots.$[].batches.$[].teacher2_id': null,
-          'lab_slots.$[].batches.$[].teacher2_name': null,
-          'lab_slots.$[].batches.$[].teacher2_shortform': null
+          'lab_slots.$[slot].batches.$[].teacher1_id': null,
+          'lab_slots.$[slot].batches.$[].teacher1_name': null,
+          'lab_slots.$[slot].batches.$[].teacher1_shortform': null,
+          'lab_slots.$[slot].batches.$[].teacher2_id': null,
+          'lab_slots.$[slot].batches.$[].teacher2_name': null,
+          'lab_slots.$[slot].batches.$[].teacher2_shortform': null
         }
-      }
+      },
+      { arrayFilters: [{ 'slot.locked': { $ne: true } }] }
     )
     console.log(`   ✅ Cleared ${clearResult.modifiedCount} timetable(s)\n`)
     
     // STEP 2: Load timetables and teachers
     console.log('📂 Loading data...')
-    const timetables = await Timetable.find({
-      sem_type: semType,
-      academic_year: academicYear
-    }).populate('section_id').lean()
+    const timetables = await Timetable.find(targetSectionFilter(ctx)).populate('section_id').lean()
+    const keptTimetables = await loadKeptTimetables(ctx)
     
     if (timetables.length === 0) {
       throw new Error('No timetables found. Please run Steps 1-5 first.')
     }
     
     const teachers = await Teacher.find({})
-      .select('name teacher_id teacher_shortform teacher_position max_lab_assign_even max_lab_assign_odd canTeach_subjects labs_handled')
+      .select('name teacher_id teacher_shortform teacher_position max_lab_assign_even max_lab_assign_odd canTeach_subjects labs_handled unavailability')
       .lean()
     
     if (teachers.length === 0) {
@@ -921,12 +1025,13 @@ export async function assignLabTeachersHierarchical(semType, academicYear) {
     console.log()
     
     // STEP 3: Initialize global tracking
-    buildGlobalTeacherSchedule(timetables)
+    buildGlobalTeacherSchedule(ctx, timetables, keptTimetables)
+    buildTeacherUnavailability(ctx, teachers, semType)
     
     // STEP 4: THREE-PHASE ASSIGNMENT
-    await phase1StrictAssignment(timetables, teachers, semType)
-    await phase2FallbackAssignment(teachers, semType)
-    await phase3BalanceAssistants(timetables, teachers)
+    await phase1StrictAssignment(ctx, timetables, teachers, semType)
+    await phase2FallbackAssignment(ctx, teachers, semType)
+    await phase3BalanceAssistants(ctx, timetables, teachers)
     
     // STEP 5: Save updated timetables
     console.log('💾 Saving updated timetables...')
@@ -982,7 +1087,7 @@ export async function assignLabTeachersHierarchical(semType, academicYear) {
     console.log(`   ✅ Saved ${timetables.length} timetables\n`)
     
     // STEP 6: Generate and validate workload report
-    const { report, warnings } = generateWorkloadReport(teachers, semType)
+    const { report, warnings } = generateWorkloadReport(ctx, teachers, semType)
     
     // STEP 6.5: Check for incomplete assignments
     let totalBatches = 0
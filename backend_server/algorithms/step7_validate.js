@@ -5,18 +5,27 @@
  * 
  * Validation Checks:
  * - No teacher conflicts (global)
+ * - No teacher scheduled inside their unavailability windows
  * - No classroom conflicts (global)
  * - No lab room conflicts (global)
- * - No consecutive labs for sections
+ * - Hard scheduling rules (rule_engine.js): no consecutive labs for sections
+ *   (consecutive_labs), the department's other hard rules (rule_violations)
  * - Hours per week requirements met
  * - Teacher assignment completeness
  * 
+ * Fitness: scores the run and every section (fitness_score.js) from the
+ * validation results + soft constraints
+ * 
  * Input: sem_type, academic_year
  * Output: Validated timetables with validation report
  */
 
 import Timetable from '../models/timetable_model.js'
 import Subject from '../models/subjects_model.js'
+import Teacher from '../models/teachers_models.js'
+import DepartmentCalendar from '../models/department_calendar_model.js'
+import { scoreTimetables } from './fitness_score.js'
+import { evaluateRules, loadRuleSet } from './rule_engine.js'
 
 /**
  * Helper: Convert time to minutes since midnight
@@ -67,7 +76,7 @@ function generateSegmentKeys(day, startTime, endTime, resourceId) {
 /**
  * Helper: Check for teacher conflicts across all sections
  */
-function validateTeacherConflicts(timetables) {
+export function validateTeacherConflicts(timetables) {
   const teacherSchedule = new Map()
   const conflicts = []
   
@@ -212,7 +221,7 @@ function validateTeacherConflicts(timetables) {
 /**
  * Helper: Check for classroom conflicts across all sections
  */
-function validateClassroomConflicts(timetables) {
+export function validateClassroomConflicts(timetables) {
   const classroomSchedule = new Map()
   const conflicts = []
   
@@ -269,7 +278,7 @@ function validateClassroomConflicts(timetables) {
 /**
  * Helper: Check for lab room conflicts across all sections
  */
-function validateLabRoomConflicts(timetables) {
+export function validateLabRoomConflicts(timetables) {
   const labRoomSchedule = new Map()
   const conflicts = []
   
@@ -326,39 +335,54 @@ function validateLabRoomConflicts(timetables) {
 }
 
 /**
- * Helper: Check for consecutive labs in each section
+ * Helper: Check that no teacher is scheduled inside one of their unavailability windows
  */
-function validateConsecutiveLabs(timetables) {
+export async function validateTeacherUnavailability(timetables, semType) {
+  const teachers = await Teacher.find({ 'unavailability.0': { $exists: true } })
+    .select('name unavailability')
+    .lean()
+  
+  const windowsByTeacher = new Map()
+  for (const teacher of teachers) {
+    const windows = teacher.unavailability.filter(w => !w.sem_type || w.sem_type === semType.toLowerCase())
+    if (windows.length > 0) {
+      windowsByTeacher.set(teacher._id.toString(), windows)
+    }
+  }
+  
   const violations = []
+  if (windowsByTeacher.size === 0) {
+    return violations
+  }
   
-  for (const tt of timetables) {
-    const labsByDay = {}
+  const check = (teacherId, teacherName, day, startTime, endTime, section, subject) => {
+    if (!teacherId) return
     
-    // Group labs by day
-    for (const labSlot of (tt.lab_slots || [])) {
-      if (!labsByDay[labSlot.day]) {
-        labsByDay[labSlot.day] = []
+    for (const window of (windowsByTeacher.get(teacherId.toString()) || [])) {
+      if (window.day === day && timesOverlap(startTime, endTime, window.start_time, window.end_time)) {
+        violations.push({
+          teacher: teacherName,
+          day: day,
+          time: `${startTime}-${endTime}`,
+          unavailable: `${window.start_time}-${window.end_time}`,
+          reason: window.reason || '',
+          section: section,
+          subject: subject
+        })
       }
-      labsByDay[labSlot.day].push(labSlot)
+    }
+  }
+  
+  for (const tt of timetables) {
+    for (const slot of (tt.theory_slots || [])) {
+      check(slot.teacher_id, slot.teacher_name, slot.day, slot.start_time, slot.end_time, tt.section_name, slot.subject_name)
     }
     
-    // Check each day for consecutive labs
-    for (const day in labsByDay) {
-      const labs = labsByDay[day].sort((a, b) => a.start_time.localeCompare(b.start_time))
-      
-      for (let i = 0; i < labs.length - 1; i++) {
-        const current = labs[i]
-        const next = labs[i + 1]
-        
-        // Check if end time of current = start time of next (consecutive)
-        if (current.end_time === next.start_time) {
-          violations.push({
-            section: tt.section_name,
-            day: day,
-            time: `${current.start_time} - ${next.end_time}`,
-            issue: 'Consecutive lab sessions detected'
-          })
-        }
+    for (const labSlot of (tt.lab_slots || [])) {
+      for (const batch of (labSlot.batches || [])) {
+        const section = `${tt.section_name} (${batch.batch_name})`
+        check(batch.teacher1_id, batch.teacher1_name, labSlot.day, labSlot.start_time, labSlot.end_time, section, batch.lab_name)
+        check(batch.teacher2_id, batch.teacher2_name, labSlot.day, labSlot.start_time, labSlot.end_time, section, batch.lab_name)
       }
     }
   }
@@ -366,10 +390,23 @@ function validateConsecutiveLabs(timetables) {
   return violations
 }
 
+/**
+ * Helper: Hard scheduling rules broken by the timetables
+ * Returns { consecutive_labs: [...], rule_violations: [...] } - no back-to-back labs
+ * keeps its own list, the other rules share one
+ */
+export function validateSchedulingRules(timetables, rules, calendar) {
+  const violations = evaluateRules(rules, timetables, calendar).filter(violation => violation.kind === 'hard')
+  return {
+    consecutive_labs: violations.filter(violation => violation.rule === 'no_consecutive_labs'),
+    rule_violations: violations.filter(violation => violation.rule !== 'no_consecutive_labs')
+  }
+}
+
 /**
  * Helper: Check hours per week for each subject against required hours
  */
-async function validateHoursPerWeek(timetables) {
+export async function validateHoursPerWeek(timetables) {
   const issues = []
   
   // Load all subjects for comparison
@@ -434,7 +471,7 @@ async function validateHoursPerWeek(timetables) {
  * - Open Elective Courses (OEC)
  * - Projects (Mini/Major projects)
  */
-async function validateTeacherAssignments(timetables) {
+export async function validateTeacherAssignments(timetables) {
   const issues = []
   
   // First, we need to get all subject IDs from theory slots to check their flags
@@ -522,6 +559,25 @@ async function validateTeacherAssignments(timetables) {
   return issues
 }
 
+/**
+ * Run all validators on in-memory timetables (hard constraints of the fitness score)
+ * rules: rule set of semType (loaded when omitted), calendar: department calendar of the year
+ * Returns { teacher_conflicts: [...], classroom_conflicts: [...], ... } keyed like step7_summary.issues
+ */
+export async function collectHardViolations(timetables, semType, rules, calendar) {
+  const ruleViolations = validateSchedulingRules(timetables, rules || await loadRuleSet(semType), calendar)
+  return {
+    teacher_conflicts: validateTeacherConflicts(timetables),
+    classroom_conflicts: validateClassroomConflicts(timetables),
+    lab_room_conflicts: validateLabRoomConflicts(timetables),
+    consecutive_labs: ruleViolations.consecutive_labs,
+    rule_violations: ruleViolations.rule_violations,
+    hours_per_week: await validateHoursPerWeek(timetables),
+    teacher_assignments: await validateTeacherAssignments(timetables),
+    teacher_unavailability: await validateTeacherUnavailability(timetables, semType)
+  }
+}
+
 /**
  * Main: Validate and finalize all timetables
  */
@@ -579,8 +635,13 @@ export async function validateAndFinalize(semType, academicYear) {
       console.log(`      ✅ No lab room conflicts`)
     }
     
-    console.log(`\n   4️⃣  Checking consecutive labs...`)
-    const consecutiveLabViolations = validateConsecutiveLabs(timetables)
+    console.log(`\n   4️⃣  Checking scheduling rules...`)
+    const calendar = await DepartmentCalendar.forAcademicYear(academicYear)
+    const rules = await loadRuleSet(semType)
+    const {
+      consecutive_labs: consecutiveLabViolations,
+      rule_violations: ruleViolations
+    } = validateSchedulingRules(timetables, rules, calendar)
     if (consecutiveLabViolations.length > 0) {
       console.log(`      ⚠️  Found ${consecutiveLabViolations.length} consecutive lab violations`)
       consecutiveLabViolations.forEach(v => {
@@ -589,6 +650,14 @@ export async function validateAndFinalize(semType, academicYear) {
     } else {
       console.log(`      ✅ No consecutive labs`)
     }
+    if (ruleViolations.length > 0) {
+      console.log(`      ⚠️  Found ${ruleViolations.length} other scheduling rule violations`)
+      ruleViolations.forEach(v => {
+        console.log(`         - [${v.rule}] ${v.section || v.teacher} on ${v.day}: ${v.issue}`)
+      })
+    } else {
+      console.log(`      ✅ No other scheduling rules broken`)
+    }
     
     console.log(`\n   5️⃣  Checking hours per week...`)
     const hoursIssues = await validateHoursPerWeek(timetables)
@@ -615,7 +684,31 @@ export async function validateAndFinalize(semType, academicYear) {
       console.log(`      ✅ All slots have teachers assigned`)
     }
     
-    const totalIssues = teacherConflicts.length + classroomConflicts.length + labRoomConflicts.length + consecutiveLabViolations.length + hoursIssues.length + teacherAssignmentIssues.length
+    console.log(`\n   7️⃣  Checking teacher unavailability windows...`)
+    const unavailabilityViolations = await validateTeacherUnavailability(timetables, semType)
+    if (unavailabilityViolations.length > 0) {
+      console.log(`      ⚠️  Found ${unavailabilityViolations.length} slots inside teacher unavailability windows`)
+      unavailabilityViolations.forEach(v => {
+        console.log(`         - ${v.teacher} at ${v.day} ${v.time} (${v.section}: ${v.subject}) - unavailable ${v.unavailable}${v.reason ? ` (${v.reason})` : ''}`)
+      })
+    } else {
+      console.log(`      ✅ No teacher scheduled while unavailable`)
+    }
+    
+    console.log(`\n   📈 Scoring fitness...`)
+    const fitness = scoreTimetables(timetables, {
+      teacher_conflicts: teacherConflicts,
+      classroom_conflicts: classroomConflicts,
+      lab_room_conflicts: labRoomConflicts,
+      consecutive_labs: consecutiveLabViolations,
+      rule_violations: ruleViolations,
+      hours_per_week: hoursIssues,
+      teacher_assignments: teacherAssignmentIssues,
+      teacher_unavailability: unavailabilityViolations
+    }, calendar, rules)
+    console.log(`      Run fitness: ${fitness.run.fitness_score}/100 (penalty ${fitness.run.penalty}, ${fitness.run.hard_violations} hard violations)`)
+    
+    const totalIssues = teacherConflicts.length + classroomConflicts.length + labRoomConflicts.length + consecutiveLabViolations.length + ruleViolations.length + hoursIssues.length + teacherAssignmentIssues.length + unavailabilityViolations.length
     const validationStatus = totalIssues === 0 ? 'passed' : 'warnings'
     
     // Prepare validation summary for metadata
@@ -628,22 +721,28 @@ export async function validateAndFinalize(semType, academicYear) {
         classroom_conflicts: classroomConflicts.length,
         lab_room_conflicts: labRoomConflicts.length,
         consecutive_labs: consecutiveLabViolations.length,
+        rule_violations: ruleViolations.length,
         hours_per_week: hoursIssues.length,
-        teacher_assignments: teacherAssignmentIssues.length
+        teacher_assignments: teacherAssignmentIssues.length,
+        teacher_unavailability: unavailabilityViolations.length
       },
       details: {
         teacher_conflicts: teacherConflicts,
         classroom_conflicts: classroomConflicts,
         lab_room_conflicts: labRoomConflicts,
         consecutive_lab_violations: consecutiveLabViolations,
+        rule_violations: ruleViolations,
         hours_discrepancies: hoursIssues,
-        teacher_assignment_issues: teacherAssignmentIssues
-      }
+        teacher_assignment_issues: teacherAssignmentIssues,
+        teacher_unavailability_violations: unavailabilityViolations
+      },
+      fitness: fitness.run
     }
     
     // Update metadata - mark as complete
     console.log('\n💾 Saving validation metadata to database...')
     for (const timetable of timetables) {
+      const { fitness_score, ...sectionFitness } = fitness.sections.get(timetable._id.toString())
       const updateResult = await Timetable.updateOne(
         { _id: timetable._id },
         {
@@ -660,17 +759,20 @@ export async function validateAndFinalize(semType, academicYear) {
             ],
             'generation_metadata.is_complete': true,
             'generation_metadata.validation_status': validationStatus,
-            'generation_metadata.step7_summary': validationSummary
+            'generation_metadata.step7_summary': validationSummary,
+            'generation_metadata.fitness_score': fitness_score,
+            'generation_metadata.fitness': sectionFitness
           }
         }
       )
-      console.log(`   ✅ Updated ${timetable.section_name}: matched=${updateResult.matchedCount}, modified=${updateResult.modifiedCount}`)
+      console.log(`   ✅ Updated ${timetable.section_name}: fitness ${fitness_score}/100, matched=${updateResult.matchedCount}, modified=${updateResult.modifiedCount}`)
     }
     console.log(`   ✅ Saved metadata for ${timetables.length} timetables\n`)
     
     console.log(`\n✅ Step 7 Complete!`)
     console.log(`   📊 Validation Status: ${validationStatus.toUpperCase()}`)
     console.log(`   📊 Total Issues: ${totalIssues}`)
+    console.log(`   📊 Fitness Score: ${fitness.run.fitness_score}/100`)
     
     if (totalIssues === 0) {
       console.log(`   🎉 PERFECT TIMETABLE - All validations passed!\n`)
@@ -694,8 +796,10 @@ export async function validateAndFinalize(semType, academicYear) {
           classroom_conflicts: classroomConflicts,
           lab_room_conflicts: labRoomConflicts,
           consecutive_lab_violations: consecutiveLabViolations,
+          rule_violations: ruleViolations,
           hours_discrepancies: hoursIssues,
-          teacher_assignment_issues: teacherAssignmentIssues
+          teacher_assignment_issues: teacherAssignmentIssues,
+          teacher_unavailability_violations: unavailabilityViolations
         },
         timetables: finalTimetables
       }
@@ -23,6 +23,8 @@
  * 6. Assign classrooms to theory slots
  * 7. Validate constraints and finalize
  * 8. Save timetables
+ *
+ * Algorithm 'csp' (csp_solver.js): one constraint solver search replaces Steps 3-6
  */
 
 import ISESections from '../models/ise_sections_model.js'
@@ -40,15 +42,41 @@ import { scheduleLabs } from './step3_schedule_labs_v2.js'
 import { scheduleTheory } from './step4_schedule_theory_breaks.js'
 import { assignClassrooms } from './step5_assign_classrooms.js'
 import { assignLabTeachersHierarchical } from './step6_assign_teachers_hierarchical.js'
+import { optimizeTimetables } from './step6_5_optimize.js'
 import { validateAndFinalize } from './step7_validate.js'
+import { solveTimetables } from './csp_solver.js'
+import { createGenerationContext, loadLockedSlots } from './generation_context.js'
+import { loadBaseline, saveChangeReport } from './warm_start.js'
 
 // Constants
-const WORKING_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-const DAY_START = '08:00'
-const DAY_END = '17:00'
-const LAB_DURATION = 2
+// NOTE: Working days, day start/end and breaks come from the department calendar
+// (models/department_calendar_model.js) - loaded once per run into the generation context
+// Lab windows and lengths come from lab slot templates + SyllabusLabs.duration_hours (Step 3)
 const BREAK_DURATION = 0.5 // 30 minutes
 
+// The steps of a full run, in order (progress reported through hooks.onStep)
+// algorithm: step only runs with that generation algorithm (see generationSteps)
+// allSections: step is skipped by a run that targets some sections only (section_ids)
+export const GENERATION_STEPS = [
+  { step: 1, name: 'Load sections', allSections: true },
+  { step: 2, name: 'Block fixed slots', allSections: true },
+  { step: 3, name: 'Schedule labs', algorithm: 'greedy' },
+  { step: 4, name: 'Schedule theory', algorithm: 'greedy' },
+  { step: 5, name: 'Assign classrooms', algorithm: 'greedy' },
+  { step: 6, name: 'Assign lab teachers', algorithm: 'greedy' },
+  { step: 3, name: 'Solve labs, theory, rooms and teachers', algorithm: 'csp' },
+  { step: 6.5, name: 'Optimize', optional: true }, // Only with options.optimize or options.repair
+  { step: 7, name: 'Validate' }
+]
+
+// Steps a full run with these options goes through
+export function generationSteps({ algorithm = 'greedy', optimize = false, repair = false, targeted = false } = {}) {
+  return GENERATION_STEPS.filter(entry =>
+    (!entry.algorithm || entry.algorithm === algorithm) && (!entry.optional || optimize || repair) &&
+    (!entry.allSections || !targeted)
+  )
+}
+
 /**
  * Time Utility Functions for 12-hour format conversion
  */
@@ -87,78 +115,169 @@ function addMinutes(time24, minutesToAdd) {
 
 /**
  * Main function to generate timetables for all sections
+ * seed: passed to Steps 3-6 and stored in generation_metadata - same seed + same data
+ * regenerates the same timetables (see seeded_random.js)
+ * Steps 3-6 share one generation context (generation_context.js), so runs for
+ * different semesters can go on at the same time without touching each other's state
+ * hooks (optional, used by generation jobs):
+ * - onStep(step): called as each step of GENERATION_STEPS starts
+ * - isCancelled(): checked before each step and inside the long-running searches
+ *   (constraint solver, Step 6.5) - the run then stops with the steps done so far saved
+ * options.optimize: run the local search of Step 6.5 before validating
+ * options.algorithm: 'greedy' (Steps 3-6, default) or 'csp' (constraint solver instead)
+ * options.timeLimitMs: search budget of the constraint solver - a run it cannot solve
+ *   fails with error.status 422 and error.solver (solver summary)
+ * options.sectionIds: only regenerate these sections (greedy only) - Steps 1-2 are
+ *   skipped and Steps 3-6.5 treat every other section as fixed occupancy
+ * options.repair: start from the current timetables and change as little as possible
+ *   (greedy only, see warm_start.js) - Step 6.5 always runs and the result carries
+ *   the change report (repair); fails with error.status 400 if there is nothing to repair
  */
-export async function generateTimetables(semType, academicYear) {
+export async function generateTimetables(semType, academicYear, seed, hooks = {}, options = {}) {
   console.log(`\n🎯 Starting Phase 3: Timetable Generation for ${semType} semester...`)
   console.log(`📅 Academic Year: ${academicYear}`)
+  console.log(`🎲 Seed: ${seed}`)
+  
+  const algorithm = options.algorithm || 'greedy'
+  console.log(`🧠 Algorithm: ${algorithm}`)
   
   const startTime = Date.now()
+  const ctx = createGenerationContext({ semType, academicYear, seed, sectionIds: options.sectionIds })
+  
+  const startStep = (step) => {
+    if (hooks.isCancelled?.()) {
+      throw new Error(`Generation cancelled before Step ${step}`)
+    }
+    hooks.onStep?.(step)
+  }
   
   try {
-    // Step 1: Load all sections for this semester type
-    console.log(`\n📋 Step 1: Loading sections...`)
-    const sections = await ISESections.find({ sem_type: semType }).lean()
-    
-    if (sections.length === 0) {
-      throw new Error(`No sections found for ${semType} semester`)
+    if (options.repair) {
+      // Repair run: remember the current timetables before anything is flushed
+      const baselineCount = await loadBaseline(ctx)
+      if (baselineCount === 0) {
+        const error = new Error('No timetables to repair - generate timetables first')
+        error.status = 400
+        throw error
+      }
+      console.log(`\n🩹 Repair mode: ${baselineCount} timetable(s) loaded as the baseline`)
     }
     
-    console.log(`✅ Found ${sections.length} sections:`, sections.map(s => `${s.sem}${s.section_name}`).join(', '))
+    if (ctx.section_ids) {
+      // Targeted run: the sections' timetables (Steps 1-2) already exist, every other section stays as it is
+      console.log(`\n🎯 Regenerating ${ctx.section_ids.length} section(s) - Steps 1-2 skipped, other sections kept fixed`)
+    } else {
+      // Step 1: Load all sections for this semester type
+      startStep(1)
+      console.log(`\n📋 Step 1: Loading sections...`)
+      const sections = await ISESections.find({ sem_type: semType }).lean()
     
-    // Initialize timetable structure for all sections
-    const timetables = {}
-    for (const section of sections) {
-      console.log(`   Initializing section: ${section.sem}${section.section_name}, ID: ${section._id}`)
-      timetables[section._id.toString()] = {
-        section_id: section._id,
-        section_name: `${section.sem}${section.section_name}`,
-        sem: section.sem,
-        sem_type: section.sem_type,
-        academic_year: academicYear,
-        days: [],  // Initialize empty days array (required by schema)
-        generation_metadata: {
-          generated_at: new Date(),
-          algorithm: 'greedy',
-          teacher_assignment_summary: {
-            total_lab_sessions: 0,
-            sessions_with_2_teachers: 0,
-            sessions_with_1_teacher: 0,
-            sessions_with_0_teachers: 0
-          }
-        },
-        theory_slots: [],
-        lab_slots: [],
-        flagged_sessions: []
+      if (sections.length === 0) {
+        throw new Error(`No sections found for ${semType} semester`)
       }
+    
+      console.log(`✅ Found ${sections.length} sections:`, sections.map(s => `${s.sem}${s.section_name}`).join(', '))
+    
+      // Initialize timetable structure for all sections (slots locked in the editor stay)
+      const lockedSlots = await loadLockedSlots(semType, academicYear)
+      const timetables = {}
+      for (const section of sections) {
+        const locked = lockedSlots.get(section._id.toString())
+        console.log(`   Initializing section: ${section.sem}${section.section_name}, ID: ${section._id}`)
+        timetables[section._id.toString()] = {
+          section_id: section._id,
+          section_name: `${section.sem}${section.section_name}`,
+          sem: section.sem,
+          sem_type: section.sem_type,
+          academic_year: academicYear,
+          days: [],  // Initialize empty days array (required by schema)
+          generation_metadata: {
+            generated_at: new Date(),
+            algorithm,
+            seed,
+            step_seeds: algorithm === 'greedy' ? { step3: seed, step4: seed, step5: seed, step6: seed } : {},
+            teacher_assignment_summary: {
+              total_lab_sessions: 0,
+              sessions_with_2_teachers: 0,
+              sessions_with_1_teacher: 0,
+              sessions_with_0_teachers: 0
+            }
+          },
+          theory_slots: locked?.theory_slots || [],
+          lab_slots: locked?.lab_slots || [],
+          flagged_sessions: []
+        }
+      }
+    
+      // CRITICAL: Save timetables to database after Step 1 (steps 2+ query DB)
+      console.log(`\n💾 Saving timetables after Step 1...`)
+      await saveTimetablesIntermediate(timetables)
+    
+      // Step 2: Block fixed slots (OEC/PEC for Semester 7)
+      startStep(2)
+      console.log(`\n🔒 Step 2: Blocking fixed slots...`)
+      await blockFixedSlots(semType, academicYear)
     }
     
-    // CRITICAL: Save timetables to database after Step 1 (steps 2+ query DB)
-    console.log(`\n💾 Saving timetables after Step 1...`)
-    await saveTimetablesIntermediate(timetables)
+    let step6Result = null
+    let solverResult = null
     
-    // Step 2: Block fixed slots (OEC/PEC for Semester 7)
-    console.log(`\n🔒 Step 2: Blocking fixed slots...`)
-    await blockFixedSlots(semType, academicYear)
+    if (algorithm === 'csp') {
+      // Steps 3-6 in one search: complete timetables or no timetables at all
+      startStep(3)
+      console.log(`\n🧩 Step 3: Solving labs, theory, rooms and teachers (constraint solver)...`)
+      solverResult = await solveTimetables(semType, academicYear, seed, ctx, {
+        timeLimitMs: options.timeLimitMs,
+        isCancelled: hooks.isCancelled
+      })
+      
+      if (!solverResult.success) {
+        const error = new Error(solverResult.data.status === 'cancelled'
+          ? 'Generation cancelled during the constraint solver'
+          : solverResult.message)
+        error.status = 422
+        error.solver = solverResult.data
+        throw error
+      }
+    } else {
+      // Step 3: Schedule labs using batch rotation (includes automatic conflict resolution)
+      startStep(3)
+      console.log(`\n🧪 Step 3: Scheduling labs...`)
+      await scheduleLabs(semType, academicYear, seed, ctx)
+      // NOTE: Step 3.5 (Conflict Resolution) runs automatically inside Step 3
     
-    // Step 3: Schedule labs using batch rotation (includes automatic conflict resolution)
-    console.log(`\n🧪 Step 3: Scheduling labs...`)
-    await scheduleLabs(semType, academicYear)
-    // NOTE: Step 3.5 (Conflict Resolution) runs automatically inside Step 3
+      // Step 4: Schedule theory subjects (queries DB, saves internally)
+      startStep(4)
+      console.log(`\n📚 Step 4: Scheduling theory subjects...`)
+      await scheduleTheory(semType, academicYear, seed, ctx)
     
-    // Step 4: Schedule theory subjects (queries DB, saves internally)
-    console.log(`\n📚 Step 4: Scheduling theory subjects...`)
-    await scheduleTheory(semType, academicYear)
+      // Step 5: Assign classrooms to theory slots
+      startStep(5)
+      console.log(`\n🏫 Step 5: Assigning classrooms...`)
+      await assignClassrooms(semType, academicYear, seed, ctx)
     
-    // Step 5: Assign classrooms to theory slots
-    console.log(`\n🏫 Step 5: Assigning classrooms...`)
-    await assignClassrooms(semType, academicYear)
+      // Step 6: Assign teachers to labs
+      startStep(6)
+      console.log(`\n👨‍🏫 Step 6: Assigning teachers to labs (HIERARCHICAL)...`)
+      step6Result = await assignLabTeachersHierarchical(semType, academicYear, seed, ctx)
+    }
+    
+    // Step 6.5 (optional): Improve theory placement by local search (repair: move sessions back to the baseline)
+    if (options.optimize || options.repair) {
+      startStep(6.5)
+      console.log(`\n🔁 Step 6.5: Optimizing theory placement...`)
+      await optimizeTimetables(semType, academicYear, seed, ctx, { isCancelled: hooks.isCancelled })
+    }
     
-    // Step 6: Assign teachers to labs
-    console.log(`\n👨‍🏫 Step 6: Assigning teachers to labs (HIERARCHICAL)...`)
-    const step6Result = await assignLabTeachersHierarchical(semType, academicYear)
+    // Step 7: Validate, score fitness and mark complete
+    startStep(7)
+    const step7Result = await validateAndFinalize(semType, academicYear)
     
-    // Step 7: Final validation is already done in each step
-    console.log(`\n✅ Step 7: Validation complete`)
+    // Repair run: what changed against the baseline (saved per section)
+    const repairReport = options.repair ? await saveChangeReport(ctx) : null
+    if (repairReport) {
+      console.log(`🩹 Repair: ${repairReport.changed_slots}/${repairReport.baseline_slots} slots changed (${repairReport.moved_slots} moved, ${repairReport.teacher_changes} teacher and ${repairReport.room_changes} room changes)`)
+    }
     
     // Fetch final timetables from database
     const finalTimetables = await Timetable.find({
@@ -172,6 +291,7 @@ export async function generateTimetables(semType, academicYear) {
     console.log(`\n🎉 Timetable generation complete!`)
     console.log(`⏱️  Generation time: ${generationTime}ms`)
     console.log(`📊 Sections processed: ${finalTimetables.length}`)
+    console.log(`📈 Fitness score: ${step7Result.data.fitness.fitness_score}/100`)
     
     return {
       success: true,
@@ -180,6 +300,12 @@ export async function generateTimetables(semType, academicYear) {
       workloadReport: step6Result?.data?.workload_report || {},
       warnings: step6Result?.data?.warnings || [],
       generation_time_ms: generationTime,
+      fitness: step7Result.data.fitness,
+      seed,
+      algorithm,
+      solver: solverResult?.data || null,
+      repair: repairReport,
+      section_ids: ctx.section_ids,
       sections_count: finalTimetables.length
     }
     
@@ -0,0 +1,56 @@
+/**
+ * UNSCHEDULED REPORT
+ *
+ * Purpose: Explain why Step 3 / Step 4 left a lab session or theory hours unscheduled.
+ * For each unscheduled item the step lists EVERY candidate day/time it could have
+ * used, each with all the rules that rejected it. Saved per timetable in
+ * generation_metadata.unscheduled_items (Step 3 writes the lab items, Step 4 the
+ * theory items) and shown on the Generator page.
+ *
+ * Item: {
+ *   step: 3 | 4, item_type: 'lab' | 'theory', label,
+ *   lab: round, batches: [{ batch_name, lab_shortform }]
+ *   theory: subject_id, subject_shortform, teacher_name, hours_missing, session_hours
+ *   candidates: [{ day, start_time, end_time, reasons: [{ code, detail }] }],
+ *   reason_counts: { code: candidates rejected by it }
+ * }
+ */
+
+// Rejection reasons (code -> label)
+export const REJECTION_REASONS = {
+  section_busy: 'Section busy',
+  no_lab_room: 'No compatible free lab room',
+  teacher_busy: 'Teacher busy',
+  consecutive_labs: 'Consecutive-lab rule',
+  daily_lab_limit: 'Daily lab limit',
+  break: 'Break',
+  day_length: 'Day-length rule',
+  subject_day_limit: 'Subject already taught that day',
+  teacher_day_limit: 'Teacher hours-per-day rule',
+  outside_hours: 'Outside working hours'
+}
+
+/**
+ * Build an unscheduled item from its candidates
+ * candidates: [{ day, start_time, end_time, reasons: [{ code, detail }] }]
+ */
+export function unscheduledItem(fields, candidates) {
+  const reasonCounts = {}
+  for (const candidate of candidates) {
+    for (const code of new Set(candidate.reasons.map(reason => reason.code))) {
+      reasonCounts[code] = (reasonCounts[code] || 0) + 1
+    }
+  }
+
+  return { ...fields, candidates, reason_counts: reasonCounts }
+}
+
+/**
+ * Helper: One-line summary for the step logs ("25 candidates: Section busy 12, ...")
+ */
+export function describeRejections(item) {
+  const counts = Object.entries(item.reason_counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `${REJECTION_REASONS[code] || code} ${count}`)
+  return `${item.candidates.length} candidates: ${counts.join(', ') || 'none rejected'}`
+}
@@ -0,0 +1,244 @@
+/**
+ * WARM START (REPAIR MODE)
+ *
+ * Purpose: After a small change (one teacher assignment, one room) a normal run
+ * regenerates everything and students get an entirely new timetable. A repair run
+ * (options.repair) starts from the current timetables instead and only changes
+ * what is necessary:
+ * - The timetables are loaded as the baseline (ctx.baseline) before anything is flushed
+ * - Steps 3-6 try every item's baseline placement first: a lab round's day/time and
+ *   rooms, a subject's session split and day/times, a slot's classroom, a lab batch's
+ *   teachers - anything else only when that no longer fits
+ * - Step 6.5 always runs and adds MOVED_SLOT_PENALTY for every theory session away
+ *   from its baseline day/time, so it only moves sessions for a real gain and moves
+ *   the ones the greedy steps had to shift back where it can
+ * - The change report compares the result with the baseline: every moved slot and
+ *   every teacher or room change, per section and per teacher
+ *
+ * Slots are matched by what they are, not by _id: a theory session by section +
+ * subject (same day/time first), a lab batch by section + batch + lab
+ */
+
+import Timetable from '../models/timetable_model.js'
+import { targetSectionFilter } from './generation_context.js'
+
+// Step 6.5 penalty per theory session away from its baseline day/time (scale of the soft rule weights of fitness_score.js)
+export const MOVED_SLOT_PENALTY = 10
+
+const sectionKey = tt => (tt.section_id?._id || tt.section_id).toString()
+
+// Load the timetables the run starts from into ctx.baseline (sectionId -> timetable); returns the count
+export async function loadBaseline(ctx) {
+  const timetables = await Timetable.find(targetSectionFilter(ctx)).lean()
+  ctx.baseline = new Map(timetables.map(tt => [sectionKey(tt), tt]))
+  return ctx.baseline.size
+}
+
+// Baseline timetable of a section (null outside repair mode and for sections without one)
+export function baselineOf(ctx, tt) {
+  return ctx.baseline?.get(sectionKey(tt)) || null
+}
+
+// Items isBaseline picks first, then the rest - both in their original order
+export function baselineFirst(items, isBaseline) {
+  return [...items.filter(isBaseline), ...items.filter(item => !isBaseline(item))]
+}
+
+// Step 4: a subject's baseline theory sessions (fixed and locked slots stay anyway)
+export function baselineTheorySessions(ctx, tt, subjectId) {
+  return (baselineOf(ctx, tt)?.theory_slots || []).filter(slot =>
+    !slot.is_fixed_slot && slot.locked !== true && slot.subject_id?.toString() === subjectId.toString()
+  )
+}
+
+// Step 5: classroom (room_no) a theory slot had in the baseline at the same day and time
+export function baselineClassroom(ctx, tt, slot) {
+  const match = (baselineOf(ctx, tt)?.theory_slots || []).find(old =>
+    old.subject_id?.toString() === slot.subject_id?.toString() && old.day === slot.day && old.start_time === slot.start_time
+  )
+  return match?.classroom_name || null
+}
+
+// Steps 3 and 6: baseline session and batch of a lab batch (same batch doing the same lab)
+export function baselineLabBatch(ctx, tt, batchName, labId) {
+  for (const labSlot of baselineOf(ctx, tt)?.lab_slots || []) {
+    const batch = (labSlot.batches || []).find(b => b.batch_name === batchName && b.lab_id?.toString() === labId?.toString())
+    if (batch) return { labSlot, batch }
+  }
+  return null
+}
+
+// Step 6.5: "section_subject_day_start" of every baseline theory session
+export function baselinePositions(ctx) {
+  const positions = new Set()
+  for (const [sectionId, tt] of ctx.baseline || []) {
+    for (const slot of tt.theory_slots || []) {
+      positions.add(`${sectionId}_${slot.subject_id}_${slot.day}_${slot.start_time}`)
+    }
+  }
+  return positions
+}
+
+const position = slot => slot && { day: slot.day, start_time: slot.start_time, end_time: slot.end_time }
+const samePosition = (a, b) => a.day === b.day && a.start_time === b.start_time
+
+const theoryTeachers = slot => (slot?.teacher_id && slot.teacher_name ? [slot.teacher_name] : []) // Not '[Other Dept]'
+const labTeachers = batch => [batch?.teacher1_name, batch?.teacher2_name].filter(Boolean)
+const sameTeachers = (a, b) => a.length === b.length && a.every(name => b.includes(name))
+
+/**
+ * Helper: One change entry, or null if nothing changed
+ * before/after: { position, teachers, room } (null = slot added/removed)
+ */
+function describeChange(kind, label, before, after) {
+  const moved = !before || !after || !samePosition(before.position, after.position)
+  const teacherChanged = !before || !after || !sameTeachers(before.teachers, after.teachers)
+  const roomChanged = !!before && !!after && (before.room || null) !== (after.room || null)
+  if (!moved && !teacherChanged && !roomChanged) return null
+
+  return {
+    kind,
+    label,
+    moved,
+    teacher_changed: teacherChanged,
+    room_changed: roomChanged,
+    from: before?.position || null,
+    to: after?.position || null,
+    teachers_before: before?.teachers || [],
+    teachers_after: after?.teachers || [],
+    room_before: before?.room || null,
+    room_after: after?.room || null
+  }
+}
+
+/**
+ * Helper: Changes of one section against its baseline
+ * Theory: per subject, sessions at the same day/time pair up first, the rest in time order
+ */
+function sectionChanges(baseline, tt) {
+  const changes = []
+  const byDayTime = (a, b) => a.day.localeCompare(b.day) || a.start_time.localeCompare(b.start_time)
+
+  const subjects = new Set([...baseline.theory_slots || [], ...tt.theory_slots || []].map(slot => slot.subject_id?.toString()))
+  for (const subjectId of subjects) {
+    const ofSubject = slots => (slots || []).filter(slot => slot.subject_id?.toString() === subjectId)
+    const before = ofSubject(baseline.theory_slots)
+    const after = ofSubject(tt.theory_slots)
+    const pairs = []
+
+    for (const old of [...before]) {
+      const index = after.findIndex(slot => samePosition(slot, old))
+      if (index === -1) continue
+      pairs.push([old, after[index]])
+      after.splice(index, 1)
+      before.splice(before.indexOf(old), 1)
+    }
+    before.sort(byDayTime)
+    after.sort(byDayTime)
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      pairs.push([before[i], after[i]])
+    }
+
+    for (const [old, slot] of pairs) {
+      const label = (slot || old).subject_shortform || (slot || old).subject_name
+      const change = describeChange('theory', label,
+        old && { position: position(old), teachers: theoryTeachers(old), room: old.classroom_name },
+        slot && { position: position(slot), teachers: theoryTeachers(slot), room: slot.classroom_name }
+      )
+      if (change) changes.push(change)
+    }
+  }
+
+  const labBatches = timetable => new Map((timetable.lab_slots || []).flatMap(labSlot =>
+    (labSlot.batches || []).map(batch => [`${batch.batch_name}_${batch.lab_id}`, { labSlot, batch }])
+  ))
+  const before = labBatches(baseline)
+  const after = labBatches(tt)
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const old = before.get(key)
+    const now = after.get(key)
+    const { batch } = now || old
+    const change = describeChange('lab', `${batch.batch_name} ${batch.lab_shortform || batch.lab_name}`,
+      old && { position: position(old.labSlot), teachers: labTeachers(old.batch), room: old.batch.lab_room_name },
+      now && { position: position(now.labSlot), teachers: labTeachers(now.batch), room: now.batch.lab_room_name }
+    )
+    if (change) changes.push(change)
+  }
+
+  return changes
+}
+
+/**
+ * Helper: Per teacher - slots of theirs that moved, and slots they gained or lost
+ */
+function teacherChanges(sections) {
+  const teachers = new Map() // name -> { teacher_name, moved, gained, lost, sections }
+
+  for (const section of sections) {
+    for (const change of section.changes) {
+      for (const name of new Set([...change.teachers_before, ...change.teachers_after])) {
+        if (!teachers.has(name)) teachers.set(name, { teacher_name: name, moved: 0, gained: 0, lost: 0, sections: [] })
+        const entry = teachers.get(name)
+        const had = change.teachers_before.includes(name)
+        const has = change.teachers_after.includes(name)
+
+        if (had && has && change.moved) entry.moved++
+        else if (has && !had) entry.gained++
+        else if (had && !has) entry.lost++
+        else continue
+
+        if (!entry.sections.includes(section.section_name)) entry.sections.push(section.section_name)
+      }
+    }
+  }
+
+  return [...teachers.values()]
+    .filter(entry => entry.moved + entry.gained + entry.lost > 0)
+    .sort((a, b) => (b.moved + b.gained + b.lost) - (a.moved + a.gained + a.lost) || a.teacher_name.localeCompare(b.teacher_name))
+}
+
+/**
+ * Main: Compare the repaired timetables with the baseline and save each section's
+ * changes in generation_metadata.repair_summary
+ * Returns: { baseline_slots, changed_slots, moved_slots, teacher_changes, room_changes, sections, teachers }
+ */
+export async function saveChangeReport(ctx) {
+  const timetables = await Timetable.find(targetSectionFilter(ctx)).lean()
+  const repairedAt = new Date()
+  const sections = []
+  let baselineSlots = 0
+
+  for (const tt of timetables) {
+    const baseline = baselineOf(ctx, tt) || { theory_slots: [], lab_slots: [] }
+    const changes = sectionChanges(baseline, tt)
+    const slots = (baseline.theory_slots || []).length +
+      (baseline.lab_slots || []).reduce((sum, labSlot) => sum + (labSlot.batches || []).length, 0)
+    baselineSlots += slots
+
+    const summary = {
+      repaired_at: repairedAt,
+      baseline_slots: slots,
+      changed_slots: changes.length,
+      moved_slots: changes.filter(change => change.moved).length,
+      teacher_changes: changes.filter(change => change.teacher_changed).length,
+      room_changes: changes.filter(change => change.room_changed).length,
+      changes
+    }
+    sections.push({ section_name: tt.section_name, ...summary })
+
+    await Timetable.updateOne({ _id: tt._id }, { $set: { 'generation_metadata.repair_summary': summary } })
+  }
+
+  sections.sort((a, b) => a.section_name.localeCompare(b.section_name))
+  const total = field => sections.reduce((sum, section) => sum + section[field], 0)
+
+  return {
+    baseline_slots: baselineSlots,
+    changed_slots: total('changed_slots'),
+    moved_slots: total('moved_slots'),
+    teacher_changes: total('teacher_changes'),
+    room_changes: total('room_changes'),
+    sections,
+    teachers: teacherChanges(sections)
+  }
+}
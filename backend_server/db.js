@@ -16,6 +16,7 @@ const conn = async() =>{
 /**
  * Ensures default HOD user exists in database
  * Auto-creates on first run if Controllers collection is empty
+ * Also hashes plain-text passwords and assigns roles to accounts from older versions
  * This is a fallback - users should run seed.js first
  */
 async function ensureDefaultUser() {
@@ -26,14 +27,26 @@ async function ensureDefaultUser() {
       console.log('⚠️  No users found in database');
       console.log('➕ Auto-creating default HOD user...');
       
+      // Password is hashed by the Controller pre-save hook
       await Controller.create({
         user_name: 'HOD',
-        password: 'ise@hod'
+        password: 'ise@hod',
+        role: 'hod'
       });
       
       console.log('✅ Default HOD user created (HOD / ise@hod)');
       console.log('⚠️  Recommendation: Change password after first login\n');
     }
+
+    const promoted = await Controller.assignLegacyRoles();
+    if (promoted > 0) {
+      console.log(`👤 Assigned HOD role to ${promoted} account(s) created before roles existed`);
+    }
+
+    const upgraded = await Controller.hashLegacyPasswords();
+    if (upgraded > 0) {
+      console.log(`🔐 Hashed ${upgraded} plain-text password(s) in Controllers`);
+    }
   } catch (error) {
     console.error('❌ Error checking/creating default user:', error.message);
   }
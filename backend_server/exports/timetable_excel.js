@@ -0,0 +1,223 @@
+import ExcelJS from 'exceljs'
+import {
+  DEPARTMENT_NAME,
+  SLOT_MINUTES,
+  formatTime,
+  blockColumns
+} from './timetable_grid.js'
+
+/**
+ * Timetable Excel Export
+ *
+ * Purpose: One workbook with every generated timetable of a semester
+ * - One sheet per section and one per teacher (grids built by timetable_grid.js)
+ * - Lab blocks are merged across their columns; the cell comment lists
+ *   the batch-wise lab / room / teacher details
+ * - "Workload" sheet: hours and lab batches per teacher against their limit
+ *
+ * Usage:
+ *   const workbook = buildTimetableWorkbook({ sectionPages, teacherPages, workload, subtitle })
+ *   await workbook.xlsx.write(res)
+ */
+
+const FILLS = {
+  theory: 'FFE8F0FE',
+  lab: 'FFE6F4EA',
+  break: 'FFFFF3CD',
+  header: 'FFD9DEE8'
+}
+
+const THIN_BORDER = {
+  top: { style: 'thin', color: { argb: 'FF999999' } },
+  left: { style: 'thin', color: { argb: 'FF999999' } },
+  bottom: { style: 'thin', color: { argb: 'FF999999' } },
+  right: { style: 'thin', color: { argb: 'FF999999' } }
+}
+
+const GRID_FIRST_ROW = 5 // rows 1-3: titles, row 4: time header
+
+const fill = (argb) => ({ type: 'pattern', pattern: 'solid', fgColor: { argb } })
+
+/**
+ * Helper: Excel sheet names are max 31 chars, unique, and cannot contain : \ / ? * [ ]
+ */
+function uniqueSheetName(workbook, name) {
+  const base = name.replace(/[:\\/?*[\]]/g, '-').slice(0, 31)
+  let candidate = base
+  let counter = 2
+
+  while (workbook.getWorksheet(candidate)) {
+    const suffix = ` (${counter++})`
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`
+  }
+
+  return candidate
+}
+
+function addTitleRows(sheet, lastColumn, title, subtitle) {
+  const rows = [
+    { text: DEPARTMENT_NAME, font: { bold: true, size: 14 } },
+    { text: title, font: { bold: true, size: 12 } },
+    { text: subtitle || '', font: { italic: true, size: 10, color: { argb: 'FF666666' } } }
+  ]
+
+  rows.forEach((row, index) => {
+    sheet.mergeCells(index + 1, 1, index + 1, lastColumn)
+    const cell = sheet.getCell(index + 1, 1)
+    cell.value = row.text
+    cell.font = row.font
+    cell.alignment = { horizontal: 'center' }
+  })
+}
+
+/**
+ * Add one weekly grid sheet (section or teacher)
+ * Columns: Day + one per 30-minute slot; blocks are merged across their slots
+ */
+function addGridSheet(workbook, sheetName, page) {
+  const { days, startMinutes, slotCount } = page.grid
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, sheetName), {
+    pageSetup: { orientation: 'landscape', paperSize: 9, fitToPage: true, fitToWidth: 1, fitToHeight: 1 },
+    views: [{ state: 'frozen', xSplit: 1, ySplit: GRID_FIRST_ROW - 1 }]
+  })
+
+  sheet.getColumn(1).width = 12
+  for (let i = 0; i < slotCount; i++) {
+    sheet.getColumn(i + 2).width = 11
+  }
+
+  addTitleRows(sheet, slotCount + 1, page.title, page.subtitle)
+
+  // Time header
+  const headerRow = sheet.getRow(GRID_FIRST_ROW - 1)
+  headerRow.getCell(1).value = 'Day / Time'
+  for (let i = 0; i < slotCount; i++) {
+    const start = startMinutes + i * SLOT_MINUTES
+    headerRow.getCell(i + 2).value = `${formatTime(start)}-${formatTime(start + SLOT_MINUTES)}`
+  }
+  headerRow.eachCell(cell => {
+    cell.font = { bold: true, size: 9 }
+    cell.fill = fill(FILLS.header)
+    cell.border = THIN_BORDER
+    cell.alignment = { horizontal: 'center', vertical: 'middle' }
+  })
+
+  days.forEach((day, dayIndex) => {
+    const rowNumber = GRID_FIRST_ROW + dayIndex
+    const row = sheet.getRow(rowNumber)
+    row.height = 75
+
+    const dayCell = row.getCell(1)
+    dayCell.value = day
+    dayCell.font = { bold: true }
+    dayCell.alignment = { horizontal: 'center', vertical: 'middle' }
+
+    for (let col = 1; col <= slotCount + 1; col++) {
+      row.getCell(col).border = THIN_BORDER
+    }
+
+    const merged = new Set()
+
+    for (const block of page.days[day] || []) {
+      const span = blockColumns(block, page.grid)
+      if (!span) continue
+      const { start, end } = span
+
+      // Overlapping blocks (double bookings) cannot be merged twice - keep the first
+      const columns = Array.from({ length: end - start }, (_, i) => start + i)
+      if (columns.some(col => merged.has(col))) continue
+      columns.forEach(col => merged.add(col))
+
+      const firstColumn = start + 2
+      const lastColumn = end + 1
+      if (lastColumn > firstColumn) {
+        sheet.mergeCells(rowNumber, firstColumn, rowNumber, lastColumn)
+      }
+
+      const cell = row.getCell(firstColumn)
+      cell.value = block.lines.join('\n')
+      cell.fill = fill(FILLS[block.kind])
+      cell.font = { size: 9, italic: block.kind === 'break' }
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+      cell.border = THIN_BORDER
+
+      if (block.details.length > 0) {
+        cell.note = `${block.start_time}-${block.end_time}\n${block.details.join('\n')}`
+      }
+    }
+  })
+
+  return sheet
+}
+
+/**
+ * Faculty workload summary sheet
+ * workload rows: { name, shortform, position, theory_classes, theory_hours,
+ *                  lab_sessions, lab_batches, lab_hours, total_hours, max_lab_batches }
+ */
+function addWorkloadSheet(workbook, workload, subtitle) {
+  const sheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Workload'), {
+    views: [{ state: 'frozen', ySplit: GRID_FIRST_ROW - 1 }]
+  })
+
+  const columns = [
+    { header: 'Teacher', key: 'name', width: 32 },
+    { header: 'Shortform', key: 'shortform', width: 12 },
+    { header: 'Position', key: 'position', width: 22 },
+    { header: 'Theory Classes', key: 'theory_classes', width: 15 },
+    { header: 'Theory Hours', key: 'theory_hours', width: 14 },
+    { header: 'Lab Sessions', key: 'lab_sessions', width: 14 },
+    { header: 'Lab Batches', key: 'lab_batches', width: 13 },
+    { header: 'Max Lab Batches', key: 'max_lab_batches', width: 16 },
+    { header: 'Lab Hours', key: 'lab_hours', width: 12 },
+    { header: 'Total Hours', key: 'total_hours', width: 13 }
+  ]
+
+  columns.forEach((column, index) => {
+    sheet.getColumn(index + 1).width = column.width
+  })
+
+  addTitleRows(sheet, columns.length, 'Faculty Workload Summary', subtitle)
+
+  const headerRow = sheet.getRow(GRID_FIRST_ROW - 1)
+  columns.forEach((column, index) => {
+    const cell = headerRow.getCell(index + 1)
+    cell.value = column.header
+    cell.font = { bold: true }
+    cell.fill = fill(FILLS.header)
+    cell.border = THIN_BORDER
+    cell.alignment = { horizontal: 'center', wrapText: true }
+  })
+
+  workload.forEach((entry, rowIndex) => {
+    const row = sheet.getRow(GRID_FIRST_ROW + rowIndex)
+    columns.forEach((column, index) => {
+      const cell = row.getCell(index + 1)
+      cell.value = entry[column.key] ?? ''
+      cell.border = THIN_BORDER
+    })
+
+    // Highlight teachers above their lab batch limit
+    if (entry.max_lab_batches != null && entry.lab_batches > entry.max_lab_batches) {
+      row.getCell(columns.findIndex(c => c.key === 'lab_batches') + 1).fill = fill('FFF8D7DA')
+    }
+  })
+
+  return sheet
+}
+
+/**
+ * Build the complete workbook
+ * sectionPages / teacherPages: pages from timetable_grid.js (sheet name = page.sheetName)
+ */
+export function buildTimetableWorkbook({ sectionPages, teacherPages, workload, subtitle }) {
+  const workbook = new ExcelJS.Workbook()
+  workbook.creator = DEPARTMENT_NAME
+  workbook.created = new Date()
+
+  addWorkloadSheet(workbook, workload, subtitle)
+  sectionPages.forEach(page => addGridSheet(workbook, page.sheetName, page))
+  teacherPages.forEach(page => addGridSheet(workbook, page.sheetName, page))
+
+  return workbook
+}
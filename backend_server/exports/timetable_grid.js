@@ -0,0 +1,264 @@
+/**
+ * Timetable Grid Builders (shared by the PDF and Excel exports)
+ *
+ * Turns timetables into printable "pages": one weekly grid per section,
+ * teacher, classroom or lab room (working days × 30-minute columns from day start
+ * to day end, both taken from the department calendar of the academic year)
+ *
+ * A page is { title, subtitle, grid, days: { Monday: [block, ...], ... } }
+ * grid is gridLayout(calendar): { days, startMinutes, slotCount }
+ * A block is { start_time, end_time, kind: 'theory' | 'lab' | 'break', lines, details }
+ * - lines:   short text shown inside the cell
+ * - details: full batch-wise information (lab, room, teacher names) for labs
+ */
+
+export const DEPARTMENT_NAME = 'Department of Information Science and Engineering, BIT'
+
+export const SLOT_MINUTES = 30
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
+
+export const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60)
+  const mins = minutes % 60
+  const displayHours = hours > 12 ? hours - 12 : hours
+  return `${displayHours}:${String(mins).padStart(2, '0')}`
+}
+
+/**
+ * Columns of the calendar's day: day start to day end rounded out to whole half hours
+ */
+export function gridLayout(calendar) {
+  const startMinutes = Math.floor(toMinutes(calendar.day_start) / SLOT_MINUTES) * SLOT_MINUTES
+  const endMinutes = Math.ceil(toMinutes(calendar.day_end) / SLOT_MINUTES) * SLOT_MINUTES
+
+  return {
+    days: calendar.working_days,
+    startMinutes,
+    slotCount: (endMinutes - startMinutes) / SLOT_MINUTES
+  }
+}
+
+/**
+ * First and last+1 column a block covers (null if it lies outside the grid)
+ */
+export function blockColumns(block, grid) {
+  const start = Math.max(0, Math.floor((toMinutes(block.start_time) - grid.startMinutes) / SLOT_MINUTES))
+  const end = Math.min(grid.slotCount, Math.ceil((toMinutes(block.end_time) - grid.startMinutes) / SLOT_MINUTES))
+  return start < grid.slotCount && end > start ? { start, end } : null
+}
+
+const emptyDays = (calendar) => Object.fromEntries(calendar.working_days.map(day => [day, []]))
+
+const joinTeachers = (...shortforms) => shortforms.filter(Boolean).join('/')
+
+// Full batch line for lab details, e.g. "5A1: DBMS Lab - Room ISE-LAB1 - Dr. A, Prof. B"
+const describeBatch = (batch) =>
+  `${batch.batch_name}: ${batch.lab_name || batch.lab_shortform}` +
+  ` - Room ${batch.lab_room_name || 'Not Assigned'}` +
+  ` - ${[batch.teacher1_name, batch.teacher2_name].filter(Boolean).join(', ') || 'No teachers'}`
+
+/**
+ * Helper: Add a block to a day, merging it into an existing block that starts
+ * at the same time (e.g. two sections in one lab room, or a double-booked teacher)
+ */
+function addBlock(days, day, block) {
+  if (!days[day]) return
+
+  const existing = days[day].find(b =>
+    b.start_time === block.start_time && b.end_time === block.end_time && b.kind === block.kind
+  )
+
+  if (existing) {
+    existing.lines.push(...block.lines)
+    existing.details.push(...block.details)
+  } else {
+    days[day].push(block)
+  }
+}
+
+/**
+ * Helper: Breaks to print for one day of a section
+ * Mirrors the timetable viewer: calendar breaks, minus those the user removed,
+ * with custom breaks replacing a calendar break at the same time
+ */
+function mergeBreaksForDay(breaks, day, calendar) {
+  const customBreaks = (breaks || []).filter(b => b.day === day && !b.isRemoved)
+  const removedDefaults = (breaks || []).filter(b => b.day === day && b.isDefault && b.isRemoved)
+
+  const merged = calendar.breaks.filter(def =>
+    !removedDefaults.some(removed => removed.start_time === def.start_time && removed.end_time === def.end_time)
+  )
+
+  customBreaks.forEach(custom => {
+    const index = merged.findIndex(def =>
+      def.start_time === custom.start_time && def.end_time === custom.end_time
+    )
+    if (index >= 0) {
+      merged[index] = custom
+    } else {
+      merged.push(custom)
+    }
+  })
+
+  return merged
+}
+
+/**
+ * Build the page for one section timetable
+ * Theory: subject / teacher / classroom - Labs: one line per batch - Breaks fill free slots only
+ */
+export function buildSectionPage(timetable, subtitle, calendar) {
+  const days = emptyDays(calendar)
+
+  for (const slot of timetable.theory_slots || []) {
+    addBlock(days, slot.day, {
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      kind: 'theory',
+      lines: [
+        slot.subject_shortform || slot.subject_name,
+        [slot.teacher_shortform, slot.is_project ? null : slot.classroom_name].filter(Boolean).join(' • ')
+      ].filter(Boolean),
+      details: []
+    })
+  }
+
+  for (const slot of timetable.lab_slots || []) {
+    addBlock(days, slot.day, {
+      start_time: slot.start_time,
+      end_time: slot.end_time,
+      kind: 'lab',
+      lines: (slot.batches || []).map(batch => {
+        const teachers = joinTeachers(batch.teacher1_shortform, batch.teacher2_shortform)
+        return `${batch.batch_name}: ${batch.lab_shortform || batch.lab_name}` +
+          `${batch.lab_room_name ? ` @ ${batch.lab_room_name}` : ''}` +
+          `${teachers ? ` (${teachers})` : ''}`
+      }),
+      details: (slot.batches || []).map(batch => describeBatch(batch))
+    })
+  }
+
+  for (const day of calendar.working_days) {
+    const occupied = days[day].map(b => [toMinutes(b.start_time), toMinutes(b.end_time)])
+
+    mergeBreaksForDay(timetable.breaks, day, calendar).forEach(breakSlot => {
+      const start = toMinutes(breakSlot.start_time)
+      const end = toMinutes(breakSlot.end_time)
+      const overlaps = occupied.some(([s, e]) => start < e && s < end)
+
+      if (!overlaps) {
+        days[day].push({
+          start_time: breakSlot.start_time,
+          end_time: breakSlot.end_time,
+          kind: 'break',
+          lines: [breakSlot.label || 'Break'],
+          details: []
+        })
+      }
+    })
+  }
+
+  return {
+    title: `Section ${timetable.section_name} (Semester ${timetable.sem})`,
+    subtitle,
+    grid: gridLayout(calendar),
+    days
+  }
+}
+
+/**
+ * Build the page for one teacher from buildTeacherSchedule() output
+ */
+export function buildTeacherPage(teacher, schedule, subtitle, calendar) {
+  const days = emptyDays(calendar)
+
+  for (const cls of schedule.theory_classes) {
+    addBlock(days, cls.day, {
+      start_time: cls.start_time,
+      end_time: cls.end_time,
+      kind: 'theory',
+      lines: [
+        `${cls.subject_shortform || cls.subject_name} - ${cls.section_name}`,
+        cls.classroom_name
+      ].filter(Boolean),
+      details: []
+    })
+  }
+
+  for (const lab of schedule.lab_sessions) {
+    addBlock(days, lab.day, {
+      start_time: lab.start_time,
+      end_time: lab.end_time,
+      kind: 'lab',
+      lines: lab.batches.map(batch =>
+        `${batch.batch_name}: ${batch.lab_shortform || batch.lab_name} @ ${batch.lab_room_name}`
+      ),
+      details: lab.batches.map(batch =>
+        `${batch.batch_name}: ${batch.lab_name || batch.lab_shortform} - Room ${batch.lab_room_name} - ${batch.role}`
+      )
+    })
+  }
+
+  return {
+    title: `${teacher.name}${teacher.teacher_shortform ? ` (${teacher.teacher_shortform})` : ''}`,
+    subtitle,
+    grid: gridLayout(calendar),
+    days
+  }
+}
+
+/**
+ * Build the page for one classroom (theory slots held in it, across all sections)
+ */
+export function buildClassroomPage(classroomName, timetables, subtitle, calendar) {
+  const days = emptyDays(calendar)
+
+  for (const timetable of timetables) {
+    for (const slot of timetable.theory_slots || []) {
+      if (slot.classroom_name !== classroomName) continue
+
+      addBlock(days, slot.day, {
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        kind: 'theory',
+        lines: [
+          `${timetable.section_name}: ${slot.subject_shortform || slot.subject_name}`,
+          slot.teacher_shortform
+        ].filter(Boolean),
+        details: []
+      })
+    }
+  }
+
+  return { title: `Classroom ${classroomName}`, subtitle, grid: gridLayout(calendar), days }
+}
+
+/**
+ * Build the page for one lab room (lab batches held in it, across all sections)
+ */
+export function buildLabRoomPage(labRoomNo, timetables, subtitle, calendar) {
+  const days = emptyDays(calendar)
+
+  for (const timetable of timetables) {
+    for (const slot of timetable.lab_slots || []) {
+      for (const batch of slot.batches || []) {
+        if (batch.lab_room_name !== labRoomNo) continue
+
+        const teachers = joinTeachers(batch.teacher1_shortform, batch.teacher2_shortform)
+        addBlock(days, slot.day, {
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          kind: 'lab',
+          lines: [`${batch.batch_name}: ${batch.lab_shortform || batch.lab_name}${teachers ? ` (${teachers})` : ''}`],
+          details: [describeBatch(batch)]
+        })
+      }
+    }
+  }
+
+  return { title: `Lab Room ${labRoomNo}`, subtitle, grid: gridLayout(calendar), days }
+}
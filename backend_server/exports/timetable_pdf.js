@@ -0,0 +1,159 @@
+import PDFDocument from 'pdfkit'
+import {
+  DEPARTMENT_NAME,
+  SLOT_MINUTES,
+  formatTime,
+  blockColumns
+} from './timetable_grid.js'
+
+/**
+ * Timetable PDF Export
+ *
+ * Purpose: Render printable timetables (section / teacher / classroom / lab room)
+ * One page = one weekly grid, built by timetable_grid.js
+ *
+ * Usage:
+ *   const pages = timetables.map(tt => buildSectionPage(tt, subtitle, calendar))
+ *   renderTimetablePdf(pages, res, { title: 'Section Timetables' })
+ */
+
+const COLORS = {
+  theory: '#e8f0fe',
+  lab: '#e6f4ea',
+  break: '#fff3cd',
+  header: '#2c3e50',
+  grid: '#999999',
+  text: '#222222',
+  muted: '#666666'
+}
+
+// A4 landscape
+const PAGE = { width: 841.89, height: 595.28, margin: 28 }
+const DAY_COLUMN_WIDTH = 62
+const HEADER_ROW_HEIGHT = 22
+const GRID_TOP = 92
+const FOOTER_HEIGHT = 22
+
+/**
+ * Helper: Largest font size (7pt down to 4.5pt) at which the lines fit the cell
+ */
+function fitFontSize(doc, text, width, height) {
+  for (let size = 7; size > 4.5; size -= 0.5) {
+    doc.fontSize(size)
+    if (doc.heightOfString(text, { width, align: 'center' }) <= height) return size
+  }
+  return 4.5
+}
+
+function drawHeader(doc, page) {
+  doc.fillColor(COLORS.header).font('Helvetica-Bold').fontSize(14)
+    .text(DEPARTMENT_NAME, PAGE.margin, PAGE.margin, { width: PAGE.width - 2 * PAGE.margin, align: 'center' })
+
+  doc.fontSize(12).text(page.title, { width: PAGE.width - 2 * PAGE.margin, align: 'center' })
+
+  if (page.subtitle) {
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+      .text(page.subtitle, { width: PAGE.width - 2 * PAGE.margin, align: 'center' })
+  }
+}
+
+function drawGrid(doc, page) {
+  const { days, startMinutes, slotCount } = page.grid
+  const left = PAGE.margin
+  const gridWidth = PAGE.width - 2 * PAGE.margin
+  const slotWidth = (gridWidth - DAY_COLUMN_WIDTH) / slotCount
+  const rowHeight = (PAGE.height - GRID_TOP - HEADER_ROW_HEIGHT - PAGE.margin - FOOTER_HEIGHT) / days.length
+
+  doc.lineWidth(0.5).strokeColor(COLORS.grid)
+
+  // Header row: time ranges
+  doc.rect(left, GRID_TOP, DAY_COLUMN_WIDTH, HEADER_ROW_HEIGHT).stroke()
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(7)
+    .text('Day / Time', left, GRID_TOP + 7, { width: DAY_COLUMN_WIDTH, align: 'center' })
+
+  for (let i = 0; i < slotCount; i++) {
+    const x = left + DAY_COLUMN_WIDTH + i * slotWidth
+    const start = startMinutes + i * SLOT_MINUTES
+    doc.rect(x, GRID_TOP, slotWidth, HEADER_ROW_HEIGHT).stroke()
+    doc.font('Helvetica').fontSize(5.5)
+      .text(`${formatTime(start)}-\n${formatTime(start + SLOT_MINUTES)}`, x, GRID_TOP + 4, { width: slotWidth, align: 'center' })
+  }
+
+  days.forEach((day, dayIndex) => {
+    const y = GRID_TOP + HEADER_ROW_HEIGHT + dayIndex * rowHeight
+
+    doc.rect(left, y, DAY_COLUMN_WIDTH, rowHeight).stroke()
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(8)
+      .text(day, left, y + rowHeight / 2 - 4, { width: DAY_COLUMN_WIDTH, align: 'center' })
+
+    // Empty cells first, blocks are drawn over them
+    for (let i = 0; i < slotCount; i++) {
+      doc.rect(left + DAY_COLUMN_WIDTH + i * slotWidth, y, slotWidth, rowHeight).stroke()
+    }
+
+    for (const block of page.days[day] || []) {
+      const columns = blockColumns(block, page.grid)
+      if (!columns) continue
+      const { start, end } = columns
+
+      const x = left + DAY_COLUMN_WIDTH + start * slotWidth
+      const width = (end - start) * slotWidth
+
+      doc.rect(x, y, width, rowHeight).fillAndStroke(COLORS[block.kind], COLORS.grid)
+
+      const text = block.lines.join('\n')
+      const font = block.kind === 'break' ? 'Helvetica-Oblique' : 'Helvetica'
+      doc.font(font)
+      const size = fitFontSize(doc, text, width - 4, rowHeight - 4)
+      const textHeight = Math.min(doc.heightOfString(text, { width: width - 4, align: 'center' }), rowHeight - 4)
+
+      doc.fillColor(COLORS.text).fontSize(size)
+        .text(text, x + 2, y + (rowHeight - textHeight) / 2, {
+          width: width - 4,
+          height: rowHeight - 4,
+          align: 'center',
+          ellipsis: true
+        })
+    }
+  })
+}
+
+/**
+ * Render pages into a PDF and stream it (e.g. into an Express response)
+ * Empty page list still produces a one-page document saying so
+ */
+export function renderTimetablePdf(pages, stream, { title } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: PAGE.margin,
+    bufferPages: true,
+    info: { Title: title || 'Timetable', Author: DEPARTMENT_NAME }
+  })
+
+  doc.pipe(stream)
+
+  if (pages.length === 0) {
+    drawHeader(doc, { title: title || 'Timetable', subtitle: 'No timetables found for the selected filters.' })
+  }
+
+  pages.forEach((page, index) => {
+    if (index > 0) doc.addPage()
+    drawHeader(doc, page)
+    drawGrid(doc, page)
+  })
+
+  // Footer on every page (generation date + page numbers)
+  const generatedOn = `Generated on ${new Date().toLocaleString('en-IN')}`
+  const range = doc.bufferedPageRange()
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i)
+    doc.page.margins.bottom = 0
+    const y = PAGE.height - PAGE.margin - 10
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(7)
+      .text(generatedOn, PAGE.margin, y, { lineBreak: false })
+      .text(`Page ${i + 1} of ${range.count}`, PAGE.width - PAGE.margin - 80, y, { width: 80, align: 'right', lineBreak: false })
+  }
+
+  doc.end()
+}
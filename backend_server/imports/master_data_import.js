@@ -0,0 +1,478 @@
+import { Readable } from 'stream'
+import ExcelJS from 'exceljs'
+import Teacher from '../models/teachers_models.js'
+import Subjects from '../models/subjects_model.js'
+import SyllabusLabs from '../models/syllabus_labs_model.js'
+import ISESection from '../models/ise_sections_model.js'
+import Classroom from '../models/dept_class_model.js'
+import DeptLabs from '../models/dept_labs_model.js'
+
+/**
+ * Master Data Import (Excel / CSV)
+ *
+ * Purpose: Load teachers, subjects, syllabus labs, sections and rooms from one
+ * spreadsheet instead of entering them one by one at the start of a semester
+ *
+ * Flow:
+ * 1. readSpreadsheet()  - workbook (.xlsx, one table per sheet) or a single .csv table
+ * 2. analyzeImport()    - find each table by its header row, coerce + validate every row
+ *                         against the Mongoose schema and existing records (dry run)
+ * 3. commitImport()     - write everything, or nothing: on any failure the rows
+ *                         already written are deleted/restored again
+ *
+ * Table detection: a sheet named after an entity ("Teachers", "Lab Rooms", ...), or
+ * any sheet whose header row has the entity's key columns. This matches the
+ * department's "list info.xlsx" teacher list (NAME = "Dr. Asha T (AT)", POSITION).
+ * A table ends at the first empty row.
+ *
+ * Existing records (same unique key) are updated with the non-empty cells; new ones created.
+ */
+
+const SEM_TYPE_OF = (sem) => (Number(sem) % 2 === 1 ? 'odd' : 'even')
+
+/**
+ * Importable entities, in commit order (labs before the lab rooms that reference them)
+ * columns: field → { type, aliases } (header names are matched case/space-insensitively)
+ */
+export const IMPORT_ENTITIES = {
+  labs: {
+    label: 'Syllabus Labs',
+    Model: SyllabusLabs,
+    sheetNames: ['labs', 'syllabus_labs'],
+    detect: ['lab_code', 'lab_name'],
+    key: ['lab_code', 'lab_sem'],
+    columns: {
+      lab_code: { type: 'string', aliases: ['code'] },
+      lab_name: { type: 'string' },
+      lab_shortform: { type: 'string', aliases: ['shortform', 'short_form'] },
+      lab_sem: { type: 'number', aliases: ['sem', 'semester'] },
+      lab_sem_type: { type: 'string', aliases: ['sem_type'] },
+      credits: { type: 'number' },
+      ideal_teacher_count: { type: 'number' },
+      duration_hours: { type: 'number' }
+    },
+    prepare: (data) => {
+      if (!data.lab_sem_type && data.lab_sem) data.lab_sem_type = SEM_TYPE_OF(data.lab_sem)
+    },
+    describe: (data) => `${data.lab_code || '?'} - ${data.lab_name || ''} (Sem ${data.lab_sem || '?'})`
+  },
+
+  subjects: {
+    label: 'Subjects',
+    Model: Subjects,
+    sheetNames: ['subjects'],
+    detect: ['subject_code', 'subject_name'],
+    key: ['subject_code', 'subject_sem'],
+    columns: {
+      subject_code: { type: 'string', aliases: ['code'] },
+      subject_name: { type: 'string' },
+      subject_shortform: { type: 'string', aliases: ['shortform', 'short_form'] },
+      hrs_per_week: { type: 'number', aliases: ['hours_per_week', 'credits'] },
+      subject_sem: { type: 'number', aliases: ['sem', 'semester'] },
+      subject_sem_type: { type: 'string', aliases: ['sem_type'] },
+      max_hrs_Day: { type: 'number', aliases: ['max_hrs_day', 'max_hours_per_day'] },
+      is_project: { type: 'boolean', aliases: ['project'] },
+      is_non_ise_subject: { type: 'boolean', aliases: ['non_ise', 'other_dept'] },
+      is_open_elective: { type: 'boolean', aliases: ['open_elective', 'oec'] },
+      is_professional_elective: { type: 'boolean', aliases: ['professional_elective', 'pec'] }
+    },
+    prepare: (data) => {
+      if (!data.subject_sem_type && data.subject_sem) data.subject_sem_type = SEM_TYPE_OF(data.subject_sem)
+    },
+    describe: (data) => `${data.subject_code || '?'} - ${data.subject_name || ''} (Sem ${data.subject_sem || '?'})`
+  },
+
+  teachers: {
+    label: 'Teachers',
+    Model: Teacher,
+    sheetNames: ['teachers', 'faculty'],
+    detect: ['name', 'teacher_position'],
+    key: ['teacher_id'],
+    columns: {
+      teacher_id: { type: 'string', aliases: ['id', 'employee_id'] },
+      name: { type: 'string', aliases: ['teacher_name', 'faculty_name'] },
+      teacher_shortform: { type: 'string', aliases: ['shortform', 'short_form'] },
+      teacher_position: { type: 'string', aliases: ['position', 'designation'] },
+      max_lab_assign_odd: { type: 'number' },
+      max_lab_assign_even: { type: 'number' }
+    },
+    // "Dr. Asha T (AT)" → name "Dr. Asha T", shortform "AT"
+    prepare: (data) => {
+      const match = data.name?.match(/^(.*?)\s*\(([^)]+)\)\s*$/)
+      if (match) {
+        data.name = match[1]
+        if (!data.teacher_shortform) data.teacher_shortform = match[2].trim()
+      }
+    },
+    describe: (data) => `${data.name || '?'}${data.teacher_shortform ? ` (${data.teacher_shortform})` : ''}`
+  },
+
+  sections: {
+    label: 'Sections',
+    Model: ISESection,
+    sheetNames: ['sections'],
+    detect: ['section_name', 'sem'],
+    key: ['sem', 'sem_type', 'section_name'],
+    columns: {
+      sem: { type: 'number', aliases: ['semester'] },
+      sem_type: { type: 'string' },
+      section_name: { type: 'string', aliases: ['section'] },
+      split_batches: { type: 'number', aliases: ['batches', 'num_batches'] },
+      total_strength: { type: 'number', aliases: ['strength'] }
+    },
+    prepare: (data) => {
+      if (!data.sem_type && data.sem) data.sem_type = SEM_TYPE_OF(data.sem)
+      if (data.sem && data.section_name && data.split_batches) {
+        data.batch_names = Array.from({ length: data.split_batches }, (_, i) => `${data.sem}${data.section_name}${i + 1}`)
+      }
+    },
+    describe: (data) => `${data.sem || '?'}${data.section_name || '?'}`
+  },
+
+  classrooms: {
+    label: 'Classrooms',
+    Model: Classroom,
+    sheetNames: ['classrooms', 'rooms'],
+    detect: ['room_no'],
+    key: ['room_no'],
+    columns: {
+      room_no: { type: 'string', aliases: ['room', 'classroom'] },
+      capacity: { type: 'number' }
+    },
+    describe: (data) => data.room_no || '?'
+  },
+
+  dept_labs: {
+    label: 'Lab Rooms',
+    Model: DeptLabs,
+    sheetNames: ['lab_rooms', 'dept_labs'],
+    detect: ['labRoom_no'],
+    key: ['labRoom_no'],
+    columns: {
+      labRoom_no: { type: 'string', aliases: ['labroom_no', 'lab_room_no', 'lab_room'] },
+      capacity: { type: 'number' },
+      // Lab codes or shortforms, comma separated (resolved to Syllabus_Labs ids)
+      lab_subjects_handled: { type: 'list', aliases: ['labs_handled', 'labs'] }
+    },
+    describe: (data) => data.labRoom_no || '?'
+  }
+}
+
+const normalizeHeader = (text) => String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+
+// Header name → field, per entity
+function buildHeaderMap(definition) {
+  const map = {}
+  for (const [field, column] of Object.entries(definition.columns)) {
+    map[normalizeHeader(field)] = field
+    for (const alias of column.aliases || []) map[normalizeHeader(alias)] = field
+  }
+  return map
+}
+
+const cellText = (cell) => (cell?.text ?? '').toString().trim()
+
+/**
+ * Read an uploaded .xlsx or .csv file
+ * Returns: [{ name, rows: [[String]] }] - rows[0] is spreadsheet row 1
+ */
+export async function readSpreadsheet(buffer, fileName = '') {
+  const workbook = new ExcelJS.Workbook()
+
+  if (/\.csv$/i.test(fileName)) {
+    await workbook.csv.read(Readable.from(buffer), { sheetName: fileName.replace(/\.csv$/i, '') })
+  } else {
+    await workbook.xlsx.load(buffer)
+  }
+
+  const sheets = []
+  workbook.eachSheet(sheet => {
+    const rows = []
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const row = sheet.getRow(r)
+      const values = []
+      for (let c = 1; c <= sheet.columnCount; c++) values.push(cellText(row.getCell(c)))
+      rows.push(values)
+    }
+    sheets.push({ name: sheet.name, rows })
+  })
+
+  return sheets
+}
+
+/**
+ * Find the entity table in a sheet
+ * Entities named by the sheet are tried first, then all others: the first header
+ * row (within the first 10 rows) containing an entity's detect columns wins
+ */
+function findTable(sheet, entityHint) {
+  const sheetName = normalizeHeader(sheet.name)
+  const named = Object.keys(IMPORT_ENTITIES).filter(entity => IMPORT_ENTITIES[entity].sheetNames.includes(sheetName))
+  const candidateLists = entityHint ? [[entityHint]] : [named, Object.keys(IMPORT_ENTITIES)]
+
+  for (const entities of candidateLists) {
+    for (let r = 0; r < Math.min(sheet.rows.length, 10); r++) {
+      for (const entity of entities) {
+        const headerMap = buildHeaderMap(IMPORT_ENTITIES[entity])
+        const fields = sheet.rows[r].map(text => headerMap[normalizeHeader(text)] || null)
+
+        if (IMPORT_ENTITIES[entity].detect.every(field => fields.includes(field))) {
+          return { entity, headerRow: r, fields }
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Coerce one spreadsheet row into model data (only non-empty cells)
+ * Returns: { data, errors }
+ */
+function coerceRow(values, fields, definition) {
+  const data = {}
+  const errors = []
+
+  fields.forEach((field, index) => {
+    const text = values[index]
+    if (!field || text === undefined || text === '') return
+
+    const { type } = definition.columns[field]
+
+    if (type === 'number') {
+      const number = Number(text)
+      if (Number.isNaN(number)) {
+        errors.push(`${field}: "${text}" is not a number`)
+      } else {
+        data[field] = number
+      }
+    } else if (type === 'boolean') {
+      data[field] = ['yes', 'y', 'true', '1', 'x', '✓'].includes(text.toLowerCase())
+    } else if (type === 'list') {
+      data[field] = text.split(/[,;]/).map(item => item.trim()).filter(Boolean)
+    } else {
+      data[field] = text
+    }
+  })
+
+  return { data, errors }
+}
+
+const keyOf = (definition, data) => definition.key.map(field => String(data[field] ?? '').toLowerCase()).join('|')
+
+/**
+ * Dry run: parse, validate and classify every row
+ * Nothing is written to the database
+ *
+ * Returns: {
+ *   tables: [{ entity, label, sheet, counts: { create, update, error }, rows: [{ row, label, action, errors }] }],
+ *   skipped_sheets: [String],
+ *   summary: { rows, create, update, error },
+ *   can_commit
+ * }
+ * Each row also carries `data` and `existing_id` (used by commitImport, not sent to the client)
+ */
+export async function analyzeImport(sheets, { entity: entityHint } = {}) {
+  const tables = []
+  const skippedSheets = []
+
+  for (const sheet of sheets) {
+    const table = findTable(sheet, entityHint)
+    if (!table) {
+      skippedSheets.push(sheet.name)
+      continue
+    }
+
+    const rows = []
+    for (let r = table.headerRow + 1; r < sheet.rows.length; r++) {
+      const values = sheet.rows[r]
+      if (values.every(text => text === '')) break
+      rows.push({ row: r + 1, values })
+    }
+
+    tables.push({ ...table, sheet: sheet.name, rows })
+  }
+
+  // Existing records per entity, for update-vs-create and uniqueness checks
+  const existing = {}
+  for (const entity of new Set(tables.map(table => table.entity))) {
+    existing[entity] = await IMPORT_ENTITIES[entity].Model.find().lean()
+  }
+
+  const existingLabs = tables.some(table => table.entity === 'dept_labs')
+    ? await SyllabusLabs.find().select('lab_code lab_shortform').lean()
+    : []
+  const importedLabCodes = new Set()
+
+  // Teacher IDs for rows without one: continue after the highest "T<number>"
+  const teacherNumbers = (existing.teachers || [])
+    .map(teacher => Number(String(teacher.teacher_id).replace(/^T/i, '')))
+    .filter(number => !Number.isNaN(number))
+  let nextTeacherNumber = Math.max(0, ...teacherNumbers) + 1
+
+  const results = []
+  const seenKeys = {}
+
+  // Validate in commit order so lab rooms can reference labs from the same file
+  const order = Object.keys(IMPORT_ENTITIES)
+  tables.sort((a, b) => order.indexOf(a.entity) - order.indexOf(b.entity))
+
+  for (const table of tables) {
+    const definition = IMPORT_ENTITIES[table.entity]
+    seenKeys[table.entity] = seenKeys[table.entity] || new Set()
+    const result = {
+      entity: table.entity,
+      label: definition.label,
+      sheet: table.sheet,
+      counts: { create: 0, update: 0, error: 0 },
+      rows: []
+    }
+
+    for (const { row, values } of table.rows) {
+      const { data, errors } = coerceRow(values, table.fields, definition)
+      definition.prepare?.(data)
+
+      let match = null
+
+      if (table.entity === 'teachers') {
+        // Same teacher = same teacher_id, or same shortform when the sheet has no IDs
+        match = (existing.teachers || []).find(teacher =>
+          data.teacher_id
+            ? teacher.teacher_id === data.teacher_id
+            : data.teacher_shortform && teacher.teacher_shortform?.toLowerCase() === data.teacher_shortform.toLowerCase()
+        )
+        if (!data.teacher_id) {
+          data.teacher_id = match ? match.teacher_id : `T${String(nextTeacherNumber++).padStart(3, '0')}`
+        }
+      } else {
+        match = (existing[table.entity] || []).find(doc => keyOf(definition, doc) === keyOf(definition, data))
+      }
+
+      const key = keyOf(definition, data)
+      if (seenKeys[table.entity].has(key)) {
+        errors.push(`Duplicate row: ${definition.key.join(' + ')} already appears earlier in the file`)
+      }
+      seenKeys[table.entity].add(key)
+
+      if (table.entity === 'labs' && data.lab_code) importedLabCodes.add(data.lab_code.toLowerCase())
+
+      if (table.entity === 'dept_labs') {
+        for (const code of data.lab_subjects_handled || []) {
+          const known = importedLabCodes.has(code.toLowerCase()) ||
+            existingLabs.some(lab => [lab.lab_code, lab.lab_shortform].some(value => value?.toLowerCase() === code.toLowerCase()))
+          if (!known) errors.push(`lab_subjects_handled: unknown lab "${code}"`)
+        }
+      }
+
+      // Schema validation (required fields, enums, min/max); updates only need the given cells to be valid
+      const candidate = match ? { ...match, ...data } : { ...data }
+      delete candidate._id
+      if (table.entity === 'dept_labs') candidate.lab_subjects_handled = []
+
+      const validationError = new definition.Model(candidate).validateSync()
+      if (validationError) {
+        errors.push(...Object.values(validationError.errors).map(err => err.message))
+      }
+
+      const action = errors.length > 0 ? 'error' : match ? 'update' : 'create'
+      result.counts[action]++
+      result.rows.push({
+        row,
+        label: definition.describe({ ...match, ...data }),
+        action,
+        errors,
+        data,
+        existing_id: match?._id
+      })
+    }
+
+    results.push(result)
+  }
+
+  const summary = results.reduce((sum, table) => ({
+    rows: sum.rows + table.rows.length,
+    create: sum.create + table.counts.create,
+    update: sum.update + table.counts.update,
+    error: sum.error + table.counts.error
+  }), { rows: 0, create: 0, update: 0, error: 0 })
+
+  return {
+    tables: results,
+    skipped_sheets: skippedSheets,
+    summary,
+    can_commit: summary.rows > 0 && summary.error === 0
+  }
+}
+
+/**
+ * Strip the internal row data before sending a report to the client
+ */
+export function toReport(analysis) {
+  return {
+    ...analysis,
+    tables: analysis.tables.map(table => ({
+      ...table,
+      rows: table.rows.map(({ row, label, action, errors }) => ({ row, label, action, errors }))
+    }))
+  }
+}
+
+/**
+ * Write an analyzed import (all tables must be free of errors)
+ * All or nothing: if any write fails, created documents are deleted and
+ * updated documents are put back as they were before re-throwing
+ * Returns: { created, updated, written: [{ entity, id, label, action }] }
+ */
+export async function commitImport(analysis) {
+  const created = []  // { Model, id }
+  const replaced = [] // { Model, before }
+  const written = []  // { entity, id, label, action }
+
+  try {
+    for (const table of analysis.tables) {
+      const { Model } = IMPORT_ENTITIES[table.entity]
+
+      // Lab codes → ids (labs from this file are already written at this point)
+      const labs = table.entity === 'dept_labs' ? await SyllabusLabs.find().select('lab_code lab_shortform').lean() : []
+
+      for (const row of table.rows) {
+        const data = { ...row.data }
+
+        if (table.entity === 'dept_labs' && data.lab_subjects_handled) {
+          data.lab_subjects_handled = data.lab_subjects_handled.map(code =>
+            labs.find(lab => [lab.lab_code, lab.lab_shortform].some(value => value?.toLowerCase() === code.toLowerCase()))._id
+          )
+        }
+
+        if (row.action === 'update') {
+          const before = await Model.findById(row.existing_id).lean()
+          replaced.push({ Model, before })
+          await Model.findByIdAndUpdate(row.existing_id, data, { runValidators: true })
+          written.push({ entity: table.entity, id: row.existing_id, label: row.label, action: 'update' })
+        } else {
+          const doc = await Model.create(data)
+          created.push({ Model, id: doc._id })
+          written.push({ entity: table.entity, id: doc._id, label: row.label, action: 'create' })
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Import failed, rolling back:', error.message)
+
+    for (const { Model, id } of created.reverse()) {
+      await Model.deleteOne({ _id: id })
+    }
+    for (const { Model, before } of replaced.reverse()) {
+      if (before) await Model.replaceOne({ _id: before._id }, before)
+    }
+
+    throw error
+  }
+
+  return {
+    created: created.length,
+    updated: replaced.length,
+    written
+  }
+}
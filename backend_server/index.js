@@ -13,6 +13,30 @@ import classroomsRoutes from "./routes/classrooms.js"
 import deptLabsRoutes from "./routes/dept-labs.js"
 import teacherAssignmentsRoutes from "./routes/teacher-assignments.js"
 import timetablesRoutes from "./routes/timetables.js" // Phase 3 timetable generation with dynamic room assignment
+import usersRoutes from "./routes/users.js"
+import auditLogsRoutes from "./routes/audit-logs.js"
+import timetableSnapshotsRoutes from "./routes/timetable-snapshots.js"
+import importRoutes from "./routes/import.js"
+import departmentCalendarRoutes from "./routes/department-calendar.js"
+import schedulingRulesRoutes from "./routes/scheduling-rules.js"
+import labSlotTemplatesRoutes from "./routes/lab-slot-templates.js"
+import { requireAuth } from "./middleware/auth.js"
+import { auditTrail } from "./middleware/audit.js"
+
+// Models audited on every mutating request
+import Controller from "./models/controller_model.js"
+import Teacher from "./models/teachers_models.js"
+import Subjects from "./models/subjects_model.js"
+import SyllabusLabs from "./models/syllabus_labs_model.js"
+import ISESections from "./models/ise_sections_model.js"
+import Classroom from "./models/dept_class_model.js"
+import DeptLabs from "./models/dept_labs_model.js"
+import TeacherSubjectAssignment from "./models/pre_assign_teacher_model.js"
+import Timetable from "./models/timetable_model.js"
+import TimetableSnapshot from "./models/timetable_snapshot_model.js"
+import DepartmentCalendar from "./models/department_calendar_model.js"
+import SchedulingRule from "./models/scheduling_rule_model.js"
+import LabSlotTemplate from "./models/lab_slot_template_model.js"
 
 // Connect to MongoDB
 conn();
@@ -34,15 +58,24 @@ app.get('/', (req, res) =>{
 });
 
 // Mount all API routes
+// Auth routes are public (login); every other router requires a valid session token
+// auditTrail records every successful POST/PUT/PATCH/DELETE in the Audit_Logs collection
 app.use('/api/auth', authRoutes)
-app.use('/api/teachers', teachersRoutes)
-app.use('/api/subjects', subjectsRoutes)
-app.use('/api/labs', labsRoutes)
-app.use('/api/sections', sectionsRoutes)
-app.use('/api/classrooms', classroomsRoutes)
-app.use('/api/dept-labs', deptLabsRoutes)
-app.use('/api/teacher-assignments', teacherAssignmentsRoutes)
-app.use('/api/timetables', timetablesRoutes) // Phase 3 timetable generation with dynamic room assignment
+app.use('/api/users', requireAuth, auditTrail(Controller), usersRoutes)
+app.use('/api/teachers', requireAuth, auditTrail(Teacher), teachersRoutes)
+app.use('/api/subjects', requireAuth, auditTrail(Subjects), subjectsRoutes)
+app.use('/api/labs', requireAuth, auditTrail(SyllabusLabs), labsRoutes)
+app.use('/api/sections', requireAuth, auditTrail(ISESections), sectionsRoutes)
+app.use('/api/classrooms', requireAuth, auditTrail(Classroom), classroomsRoutes)
+app.use('/api/dept-labs', requireAuth, auditTrail(DeptLabs), deptLabsRoutes)
+app.use('/api/teacher-assignments', requireAuth, auditTrail(TeacherSubjectAssignment, { ignorePaths: ['/validate'] }), teacherAssignmentsRoutes)
+app.use('/api/timetables', requireAuth, auditTrail(Timetable, { scoped: true, ignorePaths: ['/jobs'] /* a job records its own entry when it ends */ }), timetablesRoutes) // Phase 3 timetable generation with dynamic room assignment
+app.use('/api/timetable-snapshots', requireAuth, auditTrail(TimetableSnapshot, { excludeFields: ['timetables'] }), timetableSnapshotsRoutes)
+app.use('/api/calendar', requireAuth, auditTrail(DepartmentCalendar), departmentCalendarRoutes)
+app.use('/api/scheduling-rules', requireAuth, auditTrail(SchedulingRule), schedulingRulesRoutes)
+app.use('/api/lab-slot-templates', requireAuth, auditTrail(LabSlotTemplate), labSlotTemplatesRoutes)
+app.use('/api/import', requireAuth, auditTrail('MasterDataImport', { ignorePaths: ['/preview'] }), importRoutes)
+app.use('/api/audit-logs', requireAuth, auditLogsRoutes)
 
 // 404 handler for unknown routes
 app.use((req, res) => {
@@ -58,6 +91,10 @@ app.listen(port, ()=>{
   console.log(`📡 Backend API: http://localhost:${port}/`);
   console.log(`🔗 Available routes:`);
   console.log(`   - POST http://localhost:${port}/api/auth/login`);
+  console.log(`   - GET  http://localhost:${port}/api/auth/me`);
+  console.log(`   - GET  http://localhost:${port}/api/users`);
+  console.log(`   - GET  http://localhost:${port}/api/audit-logs`);
+  console.log(`   - GET  http://localhost:${port}/api/timetable-snapshots`);
   console.log(`   - GET  http://localhost:${port}/api/teachers`);
   console.log(`   - GET  http://localhost:${port}/api/subjects`);
   console.log(`   - GET  http://localhost:${port}/api/labs`);
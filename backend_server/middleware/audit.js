@@ -0,0 +1,421 @@
+import mongoose from 'mongoose'
+import AuditLog from '../models/audit_log_model.js'
+
+/**
+ * Audit Trail Middleware
+ *
+ * Mounted per router in index.js:  auditTrail(Teacher), auditTrail(Timetable), ...
+ * For every successful POST/PUT/PATCH/DELETE it writes one AuditLog document:
+ * - Requests on "/:id/..." load the document before and after the handler runs
+ *   and store a field-level diff
+ * - POST "/" creates are detected from the `data._id` in the JSON response
+ * - Anything else (generate, step runs, clear, import) is logged as a bulk action with
+ *   the request parameters; on `scoped` routers the documents of the request's
+ *   sem_type/academic_year are loaded before and after, so the entry keeps
+ *   per-document changes and the affected sections and teachers
+ *
+ * Logging never blocks or fails the request itself.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+// Bookkeeping fields that change on every save and would only add noise to diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'last_modified']
+
+// Turn ObjectIds/Dates into plain JSON and drop anything password-like
+function sanitize(value) {
+  if (value === undefined || value === null) return value ?? null
+  return JSON.parse(JSON.stringify(value), (key, val) => (/password/i.test(key) ? undefined : val))
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Arrays of subdocuments (theory_slots, lab_slots, breaks, ...) are diffed item by item
+function isKeyedArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => isPlainObject(item) && item._id)
+}
+
+/**
+ * Field-level diff between two sanitized documents
+ * Returns: [{ path, before, after }]
+ */
+export function computeDiff(before, after, path = '') {
+  const changes = []
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key)) continue
+      const childPath = path ? `${path}.${key}` : key
+      changes.push(...computeDiff(before[key], after[key], childPath))
+    }
+    return changes
+  }
+
+  if ((isKeyedArray(before) || isKeyedArray(after)) &&
+      (Array.isArray(before) || before == null) && (Array.isArray(after) || after == null)) {
+    const beforeById = new Map((before || []).map(item => [item._id, item]))
+    const afterById = new Map((after || []).map(item => [item._id, item]))
+
+    for (const [id, item] of beforeById) {
+      const itemPath = `${path}[${id}]`
+      if (!afterById.has(id)) {
+        changes.push({ path: itemPath, before: item, after: null })
+      } else {
+        changes.push(...computeDiff(item, afterById.get(id), itemPath))
+      }
+    }
+    for (const [id, item] of afterById) {
+      if (!beforeById.has(id)) {
+        changes.push({ path: `${path}[${id}]`, before: null, after: item })
+      }
+    }
+    return changes
+  }
+
+  if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+    changes.push({ path, before: before ?? null, after: after ?? null })
+  }
+  return changes
+}
+
+// Teachers referenced by a theory slot or by any batch of a lab slot
+function getSlotTeacherIds(slot) {
+  if (!isPlainObject(slot)) return []
+  const ids = [slot.teacher_id]
+  for (const batch of slot.batches || []) {
+    ids.push(batch.teacher1_id, batch.teacher2_id)
+  }
+  return ids.filter(Boolean)
+}
+
+// Every teacher in a timetable's slots
+function getTimetableTeacherIds(doc) {
+  return [...(doc?.theory_slots || []), ...(doc?.lab_slots || [])].flatMap(getSlotTeacherIds)
+}
+
+// Teachers whose timetable is affected by a set of slot-level changes
+function getTeachersFromSlotChanges(changes, before, after) {
+  const ids = []
+  for (const change of changes) {
+    const match = change.path.match(/^(\w+)\[([0-9a-f]{24})\]/)
+    if (!match) continue
+    const [, field, slotId] = match
+    for (const doc of [before, after]) {
+      const slot = (doc?.[field] || []).find(item => item._id === slotId)
+      ids.push(...getSlotTeacherIds(slot))
+    }
+  }
+  return ids
+}
+
+/**
+ * Per-model labels and filter fields (section / teacher / semester)
+ * Each describer receives a sanitized document
+ */
+const DESCRIBERS = {
+  Timetable: (doc) => ({
+    entity_label: doc.section_name,
+    section_id: doc.section_id,
+    section_name: doc.section_name,
+    sem_type: doc.sem_type,
+    academic_year: doc.academic_year
+  }),
+  ISE_Sections: (doc) => ({
+    entity_label: `${doc.sem}${doc.section_name}`,
+    section_id: doc._id,
+    section_name: `${doc.sem}${doc.section_name}`,
+    sem_type: doc.sem_type
+  }),
+  Teacher: (doc) => ({
+    entity_label: `${doc.name} (${doc.teacher_shortform})`,
+    teacher_ids: [doc._id]
+  }),
+  Subjects: (doc) => ({
+    entity_label: `${doc.subject_code} - ${doc.subject_shortform}`,
+    sem_type: doc.subject_sem_type
+  }),
+  Syllabus_Labs: (doc) => ({
+    entity_label: `${doc.lab_code} - ${doc.lab_shortform}`,
+    sem_type: doc.lab_sem_type
+  }),
+  Classroom: (doc) => ({
+    entity_label: doc.room_no
+  }),
+  Dept_Labs: (doc) => ({
+    entity_label: doc.labRoom_no
+  }),
+  Teacher_Subject_Assignment: (doc) => ({
+    entity_label: `${doc.teacher_name} → ${doc.subject_name} (${doc.sem}${doc.section})`,
+    section_name: `${doc.sem}${doc.section}`,
+    teacher_ids: [doc.teacher_id],
+    sem_type: doc.sem_type
+  }),
+  Controller: (doc) => ({
+    entity_label: doc.user_name,
+    teacher_ids: doc.teacher_id ? [doc.teacher_id] : []
+  }),
+  DepartmentCalendar: (doc) => ({
+    entity_label: `Calendar ${doc.academic_year}`,
+    academic_year: doc.academic_year
+  }),
+  LabSlotTemplate: (doc) => ({
+    entity_label: `Lab slots ${doc.sem ? `Sem ${doc.sem}` : `all ${doc.sem_type} semesters`}`,
+    sem_type: doc.sem_type
+  }),
+  TimetableSnapshot: (doc) => ({
+    entity_label: doc.name,
+    sem_type: doc.sem_type,
+    academic_year: doc.academic_year
+  })
+}
+
+function describe(entityType, doc) {
+  const describer = DESCRIBERS[entityType]
+  return doc && describer ? describer(doc) : {}
+}
+
+/**
+ * Per-document changes of a scoped bulk write (e.g. Step 4 for the odd semester)
+ * Documents are matched by section (regeneration recreates timetables with new ids)
+ * Returns: { documents: [{ entity_id, label, section_id, section_name, action, changes }], teacherIds }
+ */
+function diffScope(entityType, beforeDocs, afterDocs) {
+  const keyOf = (doc) => {
+    const { section_id, academic_year } = describe(entityType, doc)
+    return section_id ? `${section_id}|${academic_year}` : String(doc._id)
+  }
+  const beforeByKey = new Map(beforeDocs.map(doc => [keyOf(doc), doc]))
+  const afterByKey = new Map(afterDocs.map(doc => [keyOf(doc), doc]))
+  const documents = []
+  const teacherIds = []
+
+  for (const key of new Set([...beforeByKey.keys(), ...afterByKey.keys()])) {
+    const before = beforeByKey.get(key) || null
+    const after = afterByKey.get(key) || null
+    const action = !before ? 'create' : !after ? 'delete' : 'update'
+    const changes = action === 'update' ? computeDiff(before, after) : []
+    if (action === 'update' && changes.length === 0) continue
+
+    if (entityType === 'Timetable') {
+      teacherIds.push(...(action === 'update'
+        ? getTeachersFromSlotChanges(changes, before, after)
+        : getTimetableTeacherIds(before || after)))
+    }
+
+    const { entity_label, section_id, section_name } = describe(entityType, after || before)
+    documents.push({ entity_id: (after || before)._id, label: entity_label, section_id, section_name, action, changes })
+  }
+
+  return { documents, teacherIds }
+}
+
+/**
+ * Filter fields and changes of a bulk entry
+ * - scopeBefore/scopeAfter: the documents of the sem_type/academic_year before and after
+ *   (one set of changes per document, paths prefixed with its label)
+ * - reported: { sections: [{ id, name }], teacher_ids } from handlers that know what they touched
+ *   (res.locals.auditScope, e.g. the import route)
+ */
+function scopedChanges(entityType, scopeBefore, scopeAfter, reported = {}) {
+  const { documents, teacherIds } = scopeBefore && scopeAfter
+    ? diffScope(entityType, scopeBefore, scopeAfter)
+    : { documents: [], teacherIds: [] }
+
+  const sections = [
+    ...documents.filter(doc => doc.section_id).map(doc => [String(doc.section_id), doc.section_name]),
+    ...(reported.sections || []).map(section => [String(section.id), section.name])
+  ]
+
+  return {
+    section_ids: [...new Set(sections.map(([id]) => id))],
+    section_names: [...new Set(sections.map(([, name]) => name).filter(Boolean))],
+    teacher_ids: [...new Set([...teacherIds, ...(reported.teacher_ids || [])].filter(Boolean).map(String))],
+    changes: documents.flatMap(doc => doc.changes.map(change => ({ ...change, path: `${doc.label}: ${change.path}` }))),
+    documents: documents.length > 0
+      ? documents.map(({ changes, ...doc }) => ({ ...doc, changes: changes.length }))
+      : undefined
+  }
+}
+
+// Documents of a semester (academic_year optional), as the audit log stores them
+export async function loadScopeDocuments(Model, { sem_type, academic_year }, projection = '') {
+  const filter = { sem_type }
+  if (academic_year) filter.academic_year = academic_year
+  return sanitize(await Model.find(filter).select(projection).lean())
+}
+
+/**
+ * Write the bulk entry of a semester-scoped change that outlives its request
+ * (a generation job: POST /jobs answers 202 before anything is written)
+ * before/after: loadScopeDocuments() when the change started and ended
+ */
+export async function recordScopedChange({ Model, user, method, route, sem_type, academic_year, before, after, details }) {
+  const { documents, ...scopeFields } = scopedChanges(Model.modelName, before, after)
+
+  try {
+    await AuditLog.create({
+      user_id: user?._id,
+      user_name: user?.user_name,
+      user_role: user?.role,
+      method,
+      route,
+      entity_type: Model.modelName,
+      action: 'bulk',
+      entity_label: `${method} ${route}`,
+      sem_type,
+      academic_year,
+      ...scopeFields,
+      details: sanitize({ ...details, documents })
+    })
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message)
+  }
+}
+
+/**
+ * Build the AuditLog document for a finished request
+ */
+function buildEntry({ req, res, Model, entityId, before, after, scopeBefore, scopeAfter, responseBody }) {
+  const entityType = typeof Model === 'string' ? Model : Model.modelName
+  const entry = {
+    user_id: req.user?._id,
+    user_name: req.user?.user_name,
+    user_role: req.user?.role,
+    method: req.method,
+    route: req.originalUrl,
+    status_code: res.statusCode,
+    entity_type: entityType
+  }
+
+  // Bulk action: no single document involved
+  if (!entityId) {
+    // Uploaded files (raw Buffer bodies) are not copied into the log
+    const body = Buffer.isBuffer(req.body) ? undefined : req.body
+    const params = { ...req.query, ...body }
+
+    const { documents, ...scopeFields } = scopedChanges(entityType, scopeBefore, scopeAfter, res.locals.auditScope)
+
+    return {
+      ...entry,
+      action: 'bulk',
+      entity_label: `${req.method} ${req.path}`,
+      sem_type: params.sem_type,
+      academic_year: params.academic_year,
+      ...scopeFields,
+      details: sanitize({
+        body,
+        query: req.query,
+        message: responseBody?.message,
+        documents
+      })
+    }
+  }
+
+  const action = !before ? 'create' : !after ? 'delete' : 'update'
+  const changes = computeDiff(before, after)
+
+  // Password hashes are stripped from snapshots - still record that a reset happened
+  if (req.body?.password) {
+    changes.push({ path: 'password', before: null, after: '(changed)' })
+  }
+  const beforeDescription = describe(entityType, before)
+  const afterDescription = describe(entityType, after)
+  const description = { ...beforeDescription, ...afterDescription }
+
+  // Both old and new teacher count (e.g. an assignment moved from one teacher to another)
+  const teacherIds = [
+    ...(beforeDescription.teacher_ids || []),
+    ...(afterDescription.teacher_ids || []),
+    ...(entityType === 'Timetable' ? getTeachersFromSlotChanges(changes, before, after) : [])
+  ].filter(Boolean)
+
+  return {
+    ...entry,
+    ...description,
+    action,
+    entity_id: entityId,
+    teacher_ids: [...new Set(teacherIds.map(String))],
+    changes: action === 'update' ? changes : [],
+    before: action === 'delete' ? before : undefined,
+    after: action === 'create' ? after : undefined
+  }
+}
+
+/**
+ * Express middleware factory: audit all mutating requests of a router
+ * Must run after requireAuth (uses req.user)
+ *
+ * Model may also be a plain entity name (e.g. 'MasterDataImport') for routers
+ * whose requests never target a single document - those are always logged as bulk
+ *
+ * Options:
+ * - ignorePaths: read-only POST endpoints that should not be logged (e.g. '/validate')
+ * - excludeFields: large fields left out of the before/after snapshots (e.g. 'timetables')
+ * - scoped: bulk writes with a sem_type (and academic_year) in the body or query load
+ *   the matching documents before and after, and log the changes of each one
+ */
+export function auditTrail(Model, { ignorePaths = [], excludeFields = [], scoped = false } = {}) {
+  const projection = excludeFields.map(field => `-${field}`).join(' ')
+  const loadDocument = async (id) => sanitize(await Model.findById(id).select(projection).lean())
+
+  // The documents a bulk request works on, or null when it is not scoped to a semester
+  const loadScope = async (req) => {
+    if (!scoped) return null
+    const params = { ...req.query, ...(Buffer.isBuffer(req.body) ? {} : req.body) }
+    return params.sem_type ? loadScopeDocuments(Model, params, projection) : null
+  }
+
+  return async (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method) || ignorePaths.includes(req.path)) {
+      return next()
+    }
+
+    try {
+      // "/:id" or "/:id/anything" → the document being changed
+      const firstSegment = req.path.split('/')[1]
+      let entityId = mongoose.Types.ObjectId.isValid(firstSegment) && firstSegment.length === 24
+        ? firstSegment
+        : null
+
+      const before = entityId ? await loadDocument(entityId) : null
+      const scopeBefore = entityId ? null : await loadScope(req)
+
+      // Capture the JSON response so creates can be linked to the new document
+      let responseBody = null
+      const originalJson = res.json.bind(res)
+      res.json = (body) => {
+        responseBody = body
+        return originalJson(body)
+      }
+
+      res.on('finish', async () => {
+        if (res.statusCode >= 400) return
+
+        try {
+          if (!entityId && req.method === 'POST' && req.path === '/' && responseBody?.data?._id) {
+            entityId = responseBody.data._id.toString()
+          }
+
+          const after = entityId ? await loadDocument(entityId) : null
+          const scopeAfter = scopeBefore ? await loadScope(req) : null
+          const entry = buildEntry({ req, res, Model, entityId, before, after, scopeBefore, scopeAfter, responseBody })
+
+          // Nothing actually changed (e.g. saving an unmodified form)
+          if (entry.action === 'update' && entry.changes.length === 0) return
+
+          await AuditLog.create(entry)
+        } catch (error) {
+          console.error('❌ Failed to write audit log:', error.message)
+        }
+      })
+
+    } catch (error) {
+      console.error('❌ Audit middleware error:', error.message)
+    }
+
+    next()
+  }
+}
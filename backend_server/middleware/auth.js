@@ -0,0 +1,89 @@
+import jwt from 'jsonwebtoken'
+import Controller from '../models/controller_model.js'
+
+/**
+ * Authentication Middleware
+ * - Issues signed JWTs on login
+ * - Rejects API calls without a valid "Authorization: Bearer <token>" header
+ * - Attaches the logged-in Controller to req.user
+ */
+
+const DEFAULT_EXPIRY = '8h' // One working day
+
+// Read lazily so dotenv has loaded before the first request
+function getSecret() {
+  const secret = process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error('JWT_SECRET is not set in .env')
+  }
+  return secret
+}
+
+/**
+ * Sign a session token for a Controller
+ * Returns: { token, expires_at }
+ */
+export function signToken(user) {
+  const token = jwt.sign(
+    { sub: user._id.toString(), user_name: user.user_name },
+    getSecret(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRY }
+  )
+  const { exp } = jwt.decode(token)
+
+  return { token, expires_at: new Date(exp * 1000).toISOString() }
+}
+
+/**
+ * Express middleware: require a valid session token
+ * 401 if the token is missing, invalid, expired or the user no longer exists / is disabled
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    })
+  }
+
+  try {
+    const payload = jwt.verify(token, getSecret())
+    const user = await Controller.findById(payload.sub)
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      })
+    }
+
+    if (!user.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'This account has been disabled'
+      })
+    }
+
+    req.user = user
+    next()
+
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      const expired = error instanceof jwt.TokenExpiredError
+      return res.status(401).json({
+        success: false,
+        message: expired ? 'Session expired, please log in again' : 'Invalid session token'
+      })
+    }
+
+    console.error('Auth middleware error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication',
+      error: error.message
+    })
+  }
+}
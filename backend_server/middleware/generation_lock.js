@@ -0,0 +1,70 @@
+import Timetable from '../models/timetable_model.js'
+import { acquireGenerationLock, getGenerationLock } from '../algorithms/generation_context.js'
+
+/**
+ * Generation Lock Helpers
+ *
+ * Only one run may write a sem_type + academic_year's timetables at a time:
+ * full generation, a single step, a generation job, a lifecycle change (submit,
+ * publish, open draft, archive), a clear or a snapshot restore.
+ * The lock itself lives in algorithms/generation_context.js.
+ */
+
+/**
+ * 409 answer while another run holds a semester's generation lock
+ * data is the lock ({ run, started_by, started_at, job_id? })
+ */
+export function generationLockedResponse(res, sem_type, academic_year, lock) {
+  return res.status(409).json({
+    success: false,
+    message: `The ${sem_type} semester ${academic_year} timetables are busy (${lock.run}${lock.started_by ? `, started by ${lock.started_by}` : ''}). Try again once it has finished.`,
+    data: lock
+  })
+}
+
+/**
+ * Run a handler under the semester's generation lock; the lock is released when the handler returns
+ * Options:
+ * - scopeOf(req): { sem_type, academic_year } of the request, may be async (default: the request body)
+ * - draftOnly: 409 unless the semester's timetables are drafts - checked once the lock is held,
+ *   so a publish cannot slip in between the check and the run
+ */
+export function withGenerationLock(run, handler, { scopeOf = req => req.body, draftOnly = false } = {}) {
+  return async (req, res) => {
+    let release = null
+    try {
+      const { sem_type, academic_year } = (await scopeOf(req)) || {}
+
+      // Missing fields (or unknown timetable): the handler answers 400/404
+      if (!sem_type || !academic_year) return await handler(req, res)
+
+      release = acquireGenerationLock(sem_type, academic_year, { run, started_by: req.user?.user_name })
+      if (!release) {
+        return generationLockedResponse(res, sem_type, academic_year, getGenerationLock(sem_type, academic_year))
+      }
+
+      if (draftOnly) {
+        const locked = await Timetable.findLockedInScope(sem_type, academic_year)
+        if (locked) {
+          return res.status(409).json({
+            success: false,
+            message: `The ${sem_type} semester timetables for ${academic_year} are ${locked.status}. Open a new draft before regenerating.`
+          })
+        }
+      }
+
+      await handler(req, res)
+    } catch (error) {
+      console.error(`Error during ${run}:`, error)
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: `${run} failed`,
+          error: error.message
+        })
+      }
+    } finally {
+      release?.()
+    }
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Role-Based Access Control
+ *
+ * Roles (stored on Controller.role):
+ * - hod:         Full access, including destructive actions (clear timetables, delete master data)
+ * - coordinator: Generates and edits timetables, maintains master data and assignments
+ * - faculty:     Read-only access to timetables and master data
+ *
+ * Routes declare the permission they need with requirePermission('...');
+ * GET routes only need a logged-in user (requireAuth in index.js).
+ */
+
+export const ROLES = ['hod', 'coordinator', 'faculty']
+
+export const PERMISSIONS = {
+  'timetable:generate': ['hod', 'coordinator'], // Full auto + Step 1-7 routes
+  'timetable:edit':     ['hod', 'coordinator'], // Manual slot/classroom edits, submit for review, open new draft
+  'timetable:publish':  ['hod'],                // Publish / archive timetables
+  'timetable:clear':    ['hod'],                // DELETE /api/timetables/clear
+  'timetable:snapshot': ['hod', 'coordinator'], // Save, restore and delete timetable snapshots
+  'master:edit':        ['hod', 'coordinator'], // Create/update teachers, subjects, labs, sections, rooms
+  'master:delete':      ['hod'],                // Delete master data
+  'assignments:edit':   ['hod', 'coordinator'], // Teacher-subject pre-assignments
+  'users:manage':       ['hod'],                // Create/disable logins, reset passwords
+  'audit:view':         ['hod', 'coordinator'], // Browse the change history
+}
+
+// List every permission granted to a role (sent to the frontend on login)
+export function getPermissionsForRole(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role))
+}
+
+/**
+ * Express middleware: require a permission for the logged-in user
+ * Must run after requireAuth (needs req.user)
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const allowedRoles = PERMISSIONS[permission] || []
+
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role (${req.user?.role || 'none'}) is not allowed to perform this action`
+      })
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,68 @@
+import mongoose from "mongoose"
+
+/**
+ * Audit Log Model
+ *
+ * Purpose: Record who changed what, and when, for every mutating API call
+ * One document = one successful POST/PUT/PATCH/DELETE request
+ *
+ * Written by middleware/audit.js (never by route handlers directly)
+ * - Single-entity edits store a field-level diff in `changes`
+ *   (array items with an _id, e.g. theory_slots, are matched by _id)
+ * - Creates/deletes also keep the full before/after snapshot
+ * - Bulk actions (generate, step runs, clear, import) store the request parameters in `details`;
+ *   semester-scoped ones also keep the per-timetable `changes` and the affected sections
+ */
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Who
+    user_id: {type: mongoose.Schema.Types.ObjectId, ref: 'Controller'},
+    user_name: {type: String},
+    user_role: {type: String},
+
+    // Which request
+    method: {type: String, required: true}, // POST, PUT, PATCH, DELETE
+    route: {type: String, required: true},  // e.g. /api/timetables/<id>/update-slots
+    status_code: {type: Number},
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete', 'bulk'],
+      required: true
+    },
+
+    // Which entity
+    entity_type: {type: String, required: true}, // Model name: Timetable, Teacher, Subjects, ...
+    entity_id: {type: mongoose.Schema.Types.ObjectId},
+    entity_label: {type: String}, // Human readable, e.g. "5A", "Dr. Rao (DR)", "CS301"
+
+    // Filter helpers (per section / per teacher / per semester history)
+    section_id: {type: mongoose.Schema.Types.ObjectId, ref: 'ISE_Sections'},
+    section_name: {type: String},
+    section_ids: [{type: mongoose.Schema.Types.ObjectId, ref: 'ISE_Sections'}], // Bulk actions: every section touched
+    section_names: [{type: String}],
+    teacher_ids: [{type: mongoose.Schema.Types.ObjectId, ref: 'Teacher'}],
+    sem_type: {type: String},
+    academic_year: {type: String},
+
+    // What changed
+    changes: [{
+      path: String,  // e.g. "hrs_per_week", "theory_slots[<slot_id>].day"
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+      _id: false
+    }],
+    before: mongoose.Schema.Types.Mixed, // Full snapshot (delete)
+    after: mongoose.Schema.Types.Mixed,  // Full snapshot (create)
+    details: mongoose.Schema.Types.Mixed // Request body/query for bulk actions
+  },
+  { collection: 'Audit_Logs', timestamps: { createdAt: true, updatedAt: false } }
+)
+
+AuditLogSchema.index({ createdAt: -1 })
+AuditLogSchema.index({ entity_type: 1, entity_id: 1, createdAt: -1 })
+AuditLogSchema.index({ section_id: 1, createdAt: -1 })
+AuditLogSchema.index({ section_ids: 1, createdAt: -1 })
+AuditLogSchema.index({ teacher_ids: 1, createdAt: -1 })
+
+export default mongoose.model('AuditLog', AuditLogSchema);
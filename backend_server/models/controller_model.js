@@ -1,13 +1,83 @@
 import mongoose from "mongoose"
+import bcrypt from "bcryptjs"
+import { ROLES } from "../middleware/permissions.js"
+
+const SALT_ROUNDS = 10
 
 // This model maps to your existing 'Controllers' collection
-// Used for admin/HOD login (simple username/password for now)
+// Used for HOD / coordinator / faculty login (passwords are stored as bcrypt hashes)
 const ControllerSchema = new mongoose.Schema(
   {
     user_name: {type: String, required: true, unique: true},
-    password: {type: String, required: true} // Plain text for testing only
+    password: {type: String, required: true}, // bcrypt hash, never plain text
+    role: {type: String, enum: ROLES, required: true, default: 'faculty'}, // See middleware/permissions.js
+    is_active: {type: Boolean, default: true}, // Disabled accounts cannot log in
+    teacher_id: {type: mongoose.Schema.Types.ObjectId, ref: 'Teacher'} // Optional: faculty login linked to their Teacher document ("My Timetable")
   },
   { collection: 'Controllers', timestamps: true }
 )
 
+// One login per teacher (sparse: accounts without a linked teacher are not indexed)
+ControllerSchema.index({ teacher_id: 1 }, { unique: true, sparse: true })
+
+// bcrypt hashes always start with $2a$, $2b$ or $2y$
+function isBcryptHash(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$/.test(value)
+}
+
+// Hash the password whenever it is set or changed
+ControllerSchema.pre('save', async function() {
+  if (!this.isModified('password') || isBcryptHash(this.password)) return
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS)
+})
+
+// Compare a candidate password against the stored hash
+// Legacy plain-text passwords (created before hashing) still match once,
+// and are upgraded to a hash so they are never compared in plain text again
+ControllerSchema.methods.comparePassword = async function(candidate) {
+  if (isBcryptHash(this.password)) {
+    return bcrypt.compare(candidate, this.password)
+  }
+
+  if (this.password !== candidate) return false
+
+  this.markModified('password')
+  await this.save()
+  return true
+}
+
+// Hash any passwords still stored in plain text (accounts created before hashing)
+// Returns: number of accounts upgraded
+ControllerSchema.statics.hashLegacyPasswords = async function() {
+  const users = await this.find()
+  let upgraded = 0
+
+  for (const user of users) {
+    if (isBcryptHash(user.password)) continue
+    user.markModified('password')
+    await user.save()
+    upgraded++
+  }
+
+  return upgraded
+}
+
+// Accounts created before roles existed were all full admins - make them HOD
+// Returns: number of accounts updated
+ControllerSchema.statics.assignLegacyRoles = async function() {
+  const result = await this.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: 'hod' } }
+  )
+  return result.modifiedCount
+}
+
+// Never leak the password hash in API responses
+ControllerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password
+    return ret
+  }
+})
+
 export default mongoose.model('Controller', ControllerSchema);
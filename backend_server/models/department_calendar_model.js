@@ -0,0 +1,140 @@
+import mongoose from "mongoose"
+
+/**
+ * Department Calendar Model
+ *
+ * Purpose: Working week of the department for one academic year
+ * One document = the calendar every generation step, export and grid uses for that year
+ *
+ * - working_days: Monday-Friday by default, Saturday optional
+ * - day_start / day_end: first period starts / last period ends ("08:00" - "17:00")
+ * - period_minutes: length of one theory period (a "1 hour" class = one period)
+ * - breaks: fixed daily breaks; theory periods restart at the end of a break
+ *
+ * Years without a saved calendar use DEFAULT_CALENDAR (the original hard-coded week).
+ */
+
+export const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+export const DEFAULT_CALENDAR = {
+  working_days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  day_start: '08:00',
+  day_end: '17:00',
+  period_minutes: 60,
+  breaks: [
+    { start_time: '11:00', end_time: '11:30', label: 'Break' },
+    { start_time: '13:30', end_time: '14:00', label: 'Lunch' }
+  ]
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+/**
+ * Theory periods of one day: consecutive periods from day_start, restarting after each break
+ * Default calendar: 08-09, 09-10, 10-11, 11:30-12:30, 12:30-13:30, 14-15, 15-16, 16-17
+ */
+export function calendarPeriods(calendar) {
+  const periods = []
+  const dayEnd = toMinutes(calendar.day_end)
+  const breaks = calendar.breaks
+    .map(b => ({ start: toMinutes(b.start_time), end: toMinutes(b.end_time) }))
+    .sort((a, b) => a.start - b.start)
+
+  let start = toMinutes(calendar.day_start)
+  while (start + calendar.period_minutes <= dayEnd) {
+    const end = start + calendar.period_minutes
+    const clash = breaks.find(b => start < b.end && end > b.start)
+
+    if (clash) {
+      start = Math.max(start + 1, clash.end)
+      continue
+    }
+
+    periods.push({ start: toTime(start), end: toTime(end) })
+    start = end
+  }
+
+  return periods
+}
+
+const CalendarBreakSchema = new mongoose.Schema(
+  {
+    start_time: { type: String, required: true, match: TIME_PATTERN },
+    end_time: { type: String, required: true, match: TIME_PATTERN },
+    label: { type: String, trim: true, default: 'Break' }
+  },
+  { _id: false }
+)
+
+const DepartmentCalendarSchema = new mongoose.Schema(
+  {
+    // Academic year (e.g., "2024-25") - one calendar per year
+    academic_year: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    working_days: {
+      type: [{ type: String, enum: WEEK_DAYS }],
+      default: DEFAULT_CALENDAR.working_days,
+      validate: {
+        validator: days => days.length > 0 && new Set(days).size === days.length,
+        message: 'Select at least one working day (each day once)'
+      }
+    },
+    day_start: { type: String, required: true, match: TIME_PATTERN, default: DEFAULT_CALENDAR.day_start },
+    day_end: { type: String, required: true, match: TIME_PATTERN, default: DEFAULT_CALENDAR.day_end },
+    period_minutes: { type: Number, required: true, min: 30, max: 120, default: DEFAULT_CALENDAR.period_minutes },
+    breaks: {
+      type: [CalendarBreakSchema],
+      default: DEFAULT_CALENDAR.breaks,
+      validate: {
+        validator: breaks => breaks.every(b => b.start_time < b.end_time),
+        message: 'Each break must end after it starts'
+      }
+    },
+
+    // Who saved it last
+    updated_by: String
+  },
+  {
+    collection: 'Department_Calendars',
+    timestamps: true
+  }
+)
+
+// Day must be long enough for at least one period, breaks must lie inside the day
+DepartmentCalendarSchema.pre('validate', function() {
+  if (toMinutes(this.day_end) - toMinutes(this.day_start) < this.period_minutes) {
+    this.invalidate('day_end', 'The day must be at least one period long')
+  }
+
+  if (this.breaks.some(b => b.start_time < this.day_start || b.end_time > this.day_end)) {
+    this.invalidate('breaks', 'Breaks must be within the working day')
+  }
+})
+
+/**
+ * Calendar for an academic year as a plain object (defaults when none is saved)
+ * Always has working_days sorted Monday → Saturday and breaks sorted by time
+ */
+DepartmentCalendarSchema.statics.forAcademicYear = async function(academicYear) {
+  const saved = academicYear ? await this.findOne({ academic_year: academicYear }).lean() : null
+  const calendar = saved || { ...DEFAULT_CALENDAR, academic_year: academicYear, is_default: true }
+
+  return {
+    ...calendar,
+    working_days: WEEK_DAYS.filter(day => calendar.working_days.includes(day)),
+    breaks: [...calendar.breaks].sort((a, b) => a.start_time.localeCompare(b.start_time))
+  }
+}
+
+export default mongoose.model('DepartmentCalendar', DepartmentCalendarSchema)
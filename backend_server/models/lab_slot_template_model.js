@@ -0,0 +1,109 @@
+import mongoose from "mongoose"
+
+/**
+ * Lab Slot Template Model
+ *
+ * Purpose: Windows in which Step 3 may place lab sessions, per sem_type and semester
+ * e.g. 7th sem: 09:00-12:00, 14:00-17:00 (3-hour labs)
+ *      3rd sem: 14:00-16:00, 15:00-17:00 (afternoon-only labs)
+ *
+ * - sem: null = every semester of the sem_type without its own template
+ * - A session starts at the start of a window and lasts the longest duration_hours
+ *   of the semester's labs (SyllabusLabs); windows shorter than that are skipped
+ *
+ * Semesters without any template use DEFAULT_LAB_START_TIMES (the original five slots).
+ */
+
+// The five start times that scheduled every lab of the original dataset (08-10, 10-12, 12-14, 14-16, 15-17)
+export const DEFAULT_LAB_START_TIMES = ['08:00', '10:00', '12:00', '14:00', '15:00']
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+/**
+ * Lab sessions of durationHours a template allows: { start, end } per window it fits in
+ * No template → one session at each default start time
+ */
+export function labSessionWindows(template, durationHours) {
+  const duration = Math.round(durationHours * 60)
+
+  if (!template) {
+    return DEFAULT_LAB_START_TIMES.map(start => ({ start, end: toTime(toMinutes(start) + duration) }))
+  }
+
+  return template.slots
+    .filter(slot => toMinutes(slot.end_time) - toMinutes(slot.start_time) >= duration)
+    .map(slot => ({ start: slot.start_time, end: toTime(toMinutes(slot.start_time) + duration) }))
+}
+
+/**
+ * Template Step 3 uses for a semester: its own, else the sem_type-wide one, else null (defaults)
+ * templates: all templates of the sem_type (load once per run)
+ */
+export function templateForSemester(templates, sem) {
+  return templates.find(t => t.sem === sem) || templates.find(t => t.sem == null) || null
+}
+
+const LabWindowSchema = new mongoose.Schema(
+  {
+    start_time: { type: String, required: true, match: TIME_PATTERN },
+    end_time: { type: String, required: true, match: TIME_PATTERN }
+  },
+  { _id: false }
+)
+
+const LabSlotTemplateSchema = new mongoose.Schema(
+  {
+    sem_type: {
+      type: String,
+      required: true,
+      enum: ['odd', 'even']
+    },
+    // Semester (3-8) or null for every semester of the sem_type
+    sem: {
+      type: Number,
+      min: 3,
+      max: 8,
+      default: null
+    },
+    slots: {
+      type: [LabWindowSchema],
+      validate: [
+        {
+          validator: slots => slots.length > 0,
+          message: 'Add at least one lab window'
+        },
+        {
+          validator: slots => slots.every(s => s.start_time < s.end_time),
+          message: 'Each lab window must end after it starts'
+        }
+      ]
+    },
+    notes: { type: String, trim: true },
+
+    // Who saved it last
+    updated_by: String
+  },
+  {
+    collection: 'Lab_Slot_Templates',
+    timestamps: true
+  }
+)
+
+// One template per semester (and one "all semesters" template) per sem_type
+LabSlotTemplateSchema.index({ sem_type: 1, sem: 1 }, { unique: true })
+
+// Odd semesters are 3/5/7, even 4/6/8
+LabSlotTemplateSchema.pre('validate', function() {
+  if (this.sem != null && (this.sem % 2 === 1) !== (this.sem_type === 'odd')) {
+    this.invalidate('sem', `Semester ${this.sem} is not an ${this.sem_type} semester`)
+  }
+})
+
+export default mongoose.model('LabSlotTemplate', LabSlotTemplateSchema)
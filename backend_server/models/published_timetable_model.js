@@ -0,0 +1,53 @@
+import mongoose from "mongoose"
+import { TIMETABLE_FIELDS } from "./timetable_model.js"
+
+/**
+ * Published Timetable Model
+ *
+ * Purpose: Frozen copy of a section's timetable taken when the HOD publishes
+ * One document = one section's timetable in one published version
+ *
+ * - Same fields as Timetable (theory_slots, lab_slots, breaks, ...)
+ * - Viewers (section, teacher, classroom and lab views) read from here, so edits
+ *   to the working copy in Timetables are invisible until the next publish
+ * - Publishing again archives the previous version instead of overwriting it
+ */
+
+const PublishedTimetableSchema = new mongoose.Schema(
+  {
+    ...TIMETABLE_FIELDS,
+
+    // Working copy this was published from
+    source_timetable_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timetable'
+    },
+
+    // 1, 2, 3, ... per sem_type + academic_year
+    version: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['published', 'archived'],
+      default: 'published'
+    },
+    published_at: {
+      type: Date,
+      default: Date.now
+    },
+    published_by: String,
+    publish_note: String
+  },
+  {
+    collection: 'Published_Timetables',
+    timestamps: true
+  }
+)
+
+// Viewers: current published copy of a semester / section
+PublishedTimetableSchema.index({ sem_type: 1, academic_year: 1, status: 1 })
+PublishedTimetableSchema.index({ section_id: 1, sem_type: 1, academic_year: 1, version: -1 })
+
+export default mongoose.model('PublishedTimetable', PublishedTimetableSchema)
@@ -0,0 +1,222 @@
+import mongoose from "mongoose"
+
+/**
+ * Scheduling Rule Model
+ *
+ * Purpose: Department-specific scheduling rules, declared with parameters and a scope
+ * instead of being hard-coded in the steps (evaluated by algorithms/rule_engine.js)
+ *
+ * - rule: one of RULE_TYPES (what is checked and which parameters it takes)
+ * - kind: hard (the steps never break it, Step 7 reports every violation) or
+ *   soft (weight is added to the fitness penalty per violation / measured unit)
+ * - scope: which sections, teachers or subjects it applies to - every field set must
+ *   match, empty scope = everything; the most specific rule of a type wins, so a
+ *   disabled rule for one semester switches a department-wide one off there
+ *
+ * Rule types without a saved department-wide rule use DEFAULT_RULES (the original
+ * hard-coded behaviour).
+ */
+
+// Scope fields, least to most specific (specificity = sum of the weights of the fields set)
+export const RULE_SCOPES = {
+  sem_type: 1,
+  sem: 2,
+  subject_id: 4,
+  teacher_id: 4,
+  section_id: 8
+}
+
+const SECTION_SCOPES = ['sem_type', 'sem', 'section_id']
+const TEACHER_SCOPES = ['sem_type', 'teacher_id']
+
+/**
+ * Rule types - kinds: allowed kinds, scopes: allowed scope fields,
+ * params: integer parameters { min, max, default, label }
+ */
+export const RULE_TYPES = {
+  no_consecutive_labs: {
+    title: 'No back-to-back labs',
+    description: 'A section never has one lab session directly after another (Step 3, constraint solver, Step 7)',
+    kinds: ['hard', 'soft'],
+    scopes: SECTION_SCOPES,
+    params: {}
+  },
+  early_start_day_length: {
+    title: 'Early start, early finish',
+    description: 'A day whose first class starts at day start ends that many periods before day end (Steps 4 and 6.5, constraint solver, Step 7)',
+    kinds: ['hard', 'soft'],
+    scopes: SECTION_SCOPES,
+    params: {
+      periods_early: { min: 0, max: 4, default: 1, label: 'Periods earlier' }
+    }
+  },
+  max_labs_per_day: {
+    title: 'Lab sessions per day',
+    description: 'At most that many lab sessions of a section on one day (Step 3, Step 7)',
+    kinds: ['hard', 'soft'],
+    scopes: SECTION_SCOPES,
+    params: {
+      max_labs: { min: 1, max: 4, default: 2, label: 'Max lab sessions' }
+    }
+  },
+  max_subject_hours_per_day: {
+    title: 'Subject hours per day',
+    description: 'At most that many theory hours of one subject on one day (Steps 4 and 6.5, Step 7)',
+    kinds: ['hard', 'soft'],
+    scopes: [...SECTION_SCOPES, 'subject_id'],
+    params: {
+      max_hours: { min: 1, max: 8, default: 2, label: 'Max hours' }
+    }
+  },
+  max_teacher_hours_per_day: {
+    title: 'Teacher hours per day',
+    description: 'At most that many hours of theory and labs for a teacher on one day (Steps 4, 6 and 6.5, Step 7)',
+    kinds: ['hard', 'soft'],
+    scopes: TEACHER_SCOPES,
+    params: {
+      max_hours: { min: 1, max: 10, default: 6, label: 'Max hours' }
+    }
+  },
+
+  // Soft measures of the fitness score (algorithms/fitness_score.js) - weight per unit
+  gap_hours: {
+    title: 'Gaps in a section\'s day',
+    description: 'Per idle hour between a section\'s classes on a day (calendar breaks are not gaps)',
+    kinds: ['soft'],
+    scopes: SECTION_SCOPES,
+    params: {}
+  },
+  early_start_days: {
+    title: 'Early-start days',
+    description: 'Per day starting at day start beyond the allowed number of days (Step 4 avoids them)',
+    kinds: ['soft'],
+    scopes: SECTION_SCOPES,
+    params: {
+      max_days: { min: 0, max: 6, default: 3, label: 'Allowed days' }
+    }
+  },
+  same_subject_repeats: {
+    title: 'Subject repeated on a day',
+    description: 'Per extra theory session of a subject on a day it is already taught',
+    kinds: ['soft'],
+    scopes: SECTION_SCOPES,
+    params: {}
+  },
+  lab_room_spread: {
+    title: 'Lab held in several rooms',
+    description: 'Per extra lab room one lab of a section is held in beyond the first',
+    kinds: ['soft'],
+    scopes: SECTION_SCOPES,
+    params: {}
+  },
+  teacher_idle_hours: {
+    title: 'Gaps in a teacher\'s day',
+    description: 'Per idle hour between a teacher\'s classes on a day',
+    kinds: ['soft'],
+    scopes: TEACHER_SCOPES,
+    params: {}
+  }
+}
+
+// The rules the steps had hard-coded (weights of the original fitness score)
+export const DEFAULT_RULES = [
+  { rule: 'no_consecutive_labs', kind: 'hard', weight: 0, params: {} },
+  { rule: 'early_start_day_length', kind: 'hard', weight: 0, params: { periods_early: 1 } },
+  { rule: 'gap_hours', kind: 'soft', weight: 2, params: {} },  // Same weight per gap hour as Step 4 slot scoring
+  { rule: 'early_start_days', kind: 'soft', weight: 20, params: { max_days: 3 } },
+  { rule: 'same_subject_repeats', kind: 'soft', weight: 10, params: {} },
+  { rule: 'lab_room_spread', kind: 'soft', weight: 2, params: {} },
+  { rule: 'teacher_idle_hours', kind: 'soft', weight: 1, params: {} }
+].map(rule => ({ ...rule, enabled: true, scope: {}, is_default: true }))
+
+const RuleScopeSchema = new mongoose.Schema(
+  {
+    sem_type: { type: String, enum: ['odd', 'even', null], default: null },
+    sem: { type: Number, min: 1, max: 8, default: null },
+    section_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ISE_Sections', default: null },
+    teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', default: null },
+    subject_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Subjects', default: null }
+  },
+  { _id: false }
+)
+
+const SchedulingRuleSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      required: true,
+      enum: Object.keys(RULE_TYPES)
+    },
+    kind: {
+      type: String,
+      required: true,
+      enum: ['hard', 'soft']
+    },
+    // Penalty per violation / unit (soft rules only)
+    weight: {
+      type: Number,
+      min: 0,
+      max: 1000,
+      default: 0
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    scope: {
+      type: RuleScopeSchema,
+      default: () => ({})
+    },
+    note: {
+      type: String,
+      trim: true
+    },
+
+    // Who saved it last
+    updated_by: String
+  },
+  {
+    collection: 'Scheduling_Rules',
+    timestamps: true,
+    minimize: false
+  }
+)
+
+// One rule of a type per scope
+SchedulingRuleSchema.index(
+  { rule: 1, 'scope.sem_type': 1, 'scope.sem': 1, 'scope.section_id': 1, 'scope.teacher_id': 1, 'scope.subject_id': 1 },
+  { unique: true }
+)
+
+// Kind, scope fields and parameters must fit the rule type
+SchedulingRuleSchema.pre('validate', function() {
+  const type = RULE_TYPES[this.rule]
+  if (!type) return
+
+  if (!type.kinds.includes(this.kind)) {
+    this.invalidate('kind', `${type.title} can only be a ${type.kinds.join(' or ')} rule`)
+  }
+
+  const scopeFields = Object.keys(RULE_SCOPES).filter(field => this.scope?.[field] != null)
+  const unsupported = scopeFields.filter(field => !type.scopes.includes(field))
+  if (unsupported.length > 0) {
+    this.invalidate('scope', `${type.title} cannot be scoped by ${unsupported.join(', ')}`)
+  }
+
+  const params = this.params || {}
+  for (const name of Object.keys(params)) {
+    if (!type.params[name]) this.invalidate('params', `${type.title} has no parameter "${name}"`)
+  }
+  for (const [name, spec] of Object.entries(type.params)) {
+    const value = params[name] ?? spec.default
+    if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+      this.invalidate('params', `${spec.label} must be a whole number from ${spec.min} to ${spec.max}`)
+    }
+  }
+})
+
+export default mongoose.model('SchedulingRule', SchedulingRuleSchema)
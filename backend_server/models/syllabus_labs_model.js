@@ -9,7 +9,7 @@ const syllabus_lab_Schema = new mongoose.Schema(
     lab_sem_type: {type: String, required: true, enum: ['odd', 'even']}, // Match odd/even semester type
     credits: {type: Number, required: true, default: 2}, // Weekly hours needed (always 2hrs per session typically)
     ideal_teacher_count: {type: Number, default: 2}, // Ideal: 2 teachers, but flexible (1 acceptable, 0 flagged)
-    duration_hours: {type: Number, default: 2} // Always 2 hours per lab session
+    duration_hours: {type: Number, default: 2, min: 1, max: 4} // Hours per lab session (Step 3 sizes a section's sessions to its longest lab)
   },
   { collection: 'Syllabus_Labs', timestamps: true }
 )
@@ -46,8 +46,30 @@ const TeacherSchema = new mongoose.Schema(
           default: return 6;
         }
       }
+    },
+
+    // RECURRING UNAVAILABILITY (hard constraint for Steps 4, 6 and 7)
+    // e.g. { day: 'Wednesday', start_time: '14:00', end_time: '17:00', sem_type: 'odd', reason: 'Research day' }
+    // sem_type empty = every semester
+    unavailability: {
+      type: [{
+        day: {
+          type: String,
+          enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+          required: true
+        },
+        start_time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        end_time: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        sem_type: { type: String, enum: ['odd', 'even', null], default: null },
+        reason: { type: String, trim: true }
+      }],
+      default: [],
+      validate: {
+        validator: windows => windows.every(w => w.start_time < w.end_time),
+        message: 'Unavailability end time must be after its start time'
+      }
     }
-    
+
     // NOTE: max_hours_per_week removed - workload is determined by Phase 2 assignments (subjects + labs)
     // Post-generation analytics will calculate actual hours worked per teacher
   },
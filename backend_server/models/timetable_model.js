@@ -16,262 +16,393 @@ import mongoose from "mongoose"
  * - Generated in ONE algorithm run with cross-section conflict checking
  * - No teacher/room/classroom double-booking across sections
  * - Complete information for display and printing
+ *
+ * Lifecycle (same status for every section of a sem_type + academic_year):
+ * - draft:        working copy, generation steps and the editor may change it
+ * - under_review: submitted to the HOD, still editable
+ * - published:    a frozen copy was saved to Published_Timetables (what viewers see);
+ *                 the working copy is read-only until a new draft is opened
+ * - archived:     semester finished, read-only
  */
 
-const TimetableSchema = new mongoose.Schema(
-  {
-    // Section reference
-    section_id: {
+export const TIMETABLE_STATUSES = ['draft', 'under_review', 'published', 'archived']
+
+// Statuses in which the working copy must not be changed
+export const LOCKED_STATUSES = ['published', 'archived']
+
+// Field definitions shared with the published copies (published_timetable_model.js)
+export const TIMETABLE_FIELDS = {
+  // Section reference
+  section_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ISE_Sections',
+    required: true
+  },
+  section_name: {
+    type: String,
+    required: true
+  },
+  
+  // Semester info
+  sem: {
+    type: Number,
+    required: true,
+    min: 3,
+    max: 8
+  },
+  sem_type: {
+    type: String,
+    enum: ['odd', 'even'],
+    required: true
+  },
+  
+  // Academic year (e.g., "2024-25")
+  academic_year: {
+    type: String,
+    required: true
+  },
+  
+  // Generation metadata
+  generation_date: {
+    type: Date,
+    default: Date.now
+  },
+  generation_metadata: {
+    algorithm: {
+      type: String,
+      default: 'greedy'
+    },
+    // Fitness of this section (Step 7, algorithms/fitness_score.js) - 100 is best
+    fitness_score: {
+      type: Number
+    },
+    fitness: {
+      penalty: Number,
+      hard_violations: Number,
+      hard: mongoose.Schema.Types.Mixed,  // violation type -> count
+      soft: mongoose.Schema.Types.Mixed   // soft measure -> value
+    },
+    generation_time_ms: {
+      type: Number
+    },
+    // Seeds of the randomized steps - rerun with the same seed (and data) to reproduce them
+    seed: Number,  // seed of the last full run (POST /generate)
+    step_seeds: {
+      step3: Number,
+      step4: Number,
+      step5: Number,
+      step6: Number
+    },
+    // Last local search run (optional Step 6.5, algorithms/step6_5_optimize.js)
+    optimization_summary: {
+      seed: Number,
+      iterations: Number,
+      moves_accepted: Number,
+      sessions_moved: Number,
+      penalty_before: Number,
+      penalty_after: Number,
+      fitness_before: Number,
+      fitness_after: Number,
+      away_from_baseline_before: Number,  // Repair runs: theory sessions away from the baseline
+      away_from_baseline_after: Number,
+      optimized_at: Date
+    },
+    // Last constraint solver run (algorithm 'csp', algorithms/csp_solver.js)
+    solver_summary: {
+      status: String,         // solved | infeasible | timeout
+      seed: Number,
+      time_limit_ms: Number,
+      time_ms: Number,
+      variables: Number,
+      nodes: Number,
+      backtracks: Number,
+      reason: String,         // Why it is infeasible
+      bottlenecks: [String],  // Items the search failed to place most often
+      solved_at: Date
+    },
+    teacher_assignment_summary: {
+      total_lab_sessions: Number,
+      sessions_with_2_teachers: Number,
+      sessions_with_1_teacher: Number,
+      sessions_with_0_teachers: Number
+    },
+    theory_scheduling_summary: {
+      total_subjects_found: Number,
+      subjects_in_fixed_slots: Number,
+      subjects_to_schedule_step4: Number,
+      regular_ise_found: Number,
+      other_dept_found: Number,
+      projects_found: Number,
+      regular_ise_scheduled: Number,
+      regular_ise_failed: Number,
+      other_dept_scheduled: Number,
+      other_dept_failed: Number,
+      projects_scheduled: Number,
+      projects_failed: Number,
+      total_scheduled: Number,
+      success_rate: String
+    },
+    // Labs (Step 3) and theory hours (Step 4) left unscheduled, with every candidate
+    // time and the rules that rejected it (algorithms/unscheduled_report.js)
+    unscheduled_items: [{
+      step: Number,
+      item_type: { type: String, enum: ['lab', 'theory'] },
+      label: String,
+      round: Number,                // lab: rotation round (1-based)
+      batches: [{ batch_name: String, lab_shortform: String, _id: false }],
+      subject_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Subjects' },
+      subject_shortform: String,
+      teacher_name: String,
+      hours_missing: Number,
+      session_hours: Number,        // Length of the session the candidates were checked for
+      candidates: [{
+        day: String,
+        start_time: String,
+        end_time: String,
+        reasons: [{ code: String, detail: String, _id: false }],
+        _id: false
+      }],
+      reason_counts: mongoose.Schema.Types.Mixed  // reason code -> candidates it rejected
+    }],
+    // Last repair run (algorithms/warm_start.js) - what changed against the timetable it started from
+    repair_summary: {
+      repaired_at: Date,
+      baseline_slots: Number,       // Theory slots + lab batches of the baseline
+      changed_slots: Number,
+      moved_slots: Number,
+      teacher_changes: Number,
+      room_changes: Number,
+      changes: [{
+        kind: { type: String, enum: ['theory', 'lab'] },
+        label: String,
+        moved: Boolean,
+        teacher_changed: Boolean,
+        room_changed: Boolean,
+        from: mongoose.Schema.Types.Mixed,  // { day, start_time, end_time } - null = slot added
+        to: mongoose.Schema.Types.Mixed,    // { day, start_time, end_time } - null = slot removed
+        teachers_before: [String],
+        teachers_after: [String],
+        room_before: String,
+        room_after: String,
+        _id: false
+      }]
+    },
+    step7_summary: {
+      sections_processed: Number,
+      validation_status: String,
+      total_issues: Number,
+      issues: {
+        teacher_conflicts: Number,
+        classroom_conflicts: Number,
+        lab_room_conflicts: Number,
+        consecutive_labs: Number,
+        rule_violations: Number,            // Hard scheduling rules other than no back-to-back labs
+        hours_per_week: Number,
+        teacher_assignments: Number,
+        teacher_unavailability: Number
+      },
+      details: mongoose.Schema.Types.Mixed,  // Store all validation details as flexible object
+      fitness: {                             // Fitness of the whole run
+        fitness_score: Number,
+        penalty: Number,
+        hard_violations: Number,
+        hard: mongoose.Schema.Types.Mixed,
+        soft: mongoose.Schema.Types.Mixed
+      }
+    },
+    is_complete: Boolean,
+    validation_status: String,
+    current_step: Number,
+    steps_completed: [String]
+  },
+  
+  // Theory class slots
+  theory_slots: [{
+    subject_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subjects',
+      required: true
+    },
+    subject_name: String,
+    subject_shortform: String,
+    
+    teacher_id: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'ISE_Sections',
+      ref: 'Teacher'
+    },
+    teacher_name: String,
+    teacher_shortform: String,
+    
+    classroom_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Classroom'
+    },
+    classroom_name: String,
+    
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
       required: true
     },
-    section_name: {
+    start_time: {
       type: String,
       required: true
     },
-    
-    // Semester info
-    sem: {
+    end_time: {
+      type: String,
+      required: true
+    },
+    duration_hours: {
       type: Number,
-      required: true,
-      min: 3,
-      max: 8
+      required: true
+    },
+    is_fixed_slot: {
+      type: Boolean,
+      default: false
     },
-    sem_type: {
+    is_project: {
+      type: Boolean,
+      default: false  // true for projects (Mini/Major) - no classroom needed
+    },
+    locked: {
+      type: Boolean,
+      default: false  // Locked in the editor - regeneration keeps slot, teacher and room
+    }
+  }],
+  
+  // Lab slots (all batches together in time)
+  lab_slots: [{
+    slot_type: {
       type: String,
-      enum: ['odd', 'even'],
-      required: true
+      default: 'multi_batch_lab'
     },
     
-    // Academic year (e.g., "2024-25")
-    academic_year: {
+    day: {
       type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
       required: true
     },
-    
-    // Generation metadata
-    generation_date: {
-      type: Date,
-      default: Date.now
+    start_time: {
+      type: String,
+      required: true
     },
-    generation_metadata: {
-      algorithm: {
-        type: String,
-        default: 'greedy'
-      },
-      fitness_score: {
-        type: Number
-      },
-      generation_time_ms: {
-        type: Number
-      },
-      teacher_assignment_summary: {
-        total_lab_sessions: Number,
-        sessions_with_2_teachers: Number,
-        sessions_with_1_teacher: Number,
-        sessions_with_0_teachers: Number
-      },
-      theory_scheduling_summary: {
-        total_subjects_found: Number,
-        subjects_in_fixed_slots: Number,
-        subjects_to_schedule_step4: Number,
-        regular_ise_found: Number,
-        other_dept_found: Number,
-        projects_found: Number,
-        regular_ise_scheduled: Number,
-        regular_ise_failed: Number,
-        other_dept_scheduled: Number,
-        other_dept_failed: Number,
-        projects_scheduled: Number,
-        projects_failed: Number,
-        total_scheduled: Number,
-        success_rate: String
-      },
-      step7_summary: {
-        sections_processed: Number,
-        validation_status: String,
-        total_issues: Number,
-        issues: {
-          teacher_conflicts: Number,
-          classroom_conflicts: Number,
-          lab_room_conflicts: Number,
-          consecutive_labs: Number,
-          hours_per_week: Number,
-          teacher_assignments: Number
-        },
-        details: mongoose.Schema.Types.Mixed  // Store all validation details as flexible object
-      },
-      is_complete: Boolean,
-      validation_status: String,
-      current_step: Number,
-      steps_completed: [String]
+    end_time: {
+      type: String,
+      required: true
+    },
+    duration_hours: {
+      type: Number,
+      default: 2
+    },
+    locked: {
+      type: Boolean,
+      default: false  // Locked in the editor - regeneration keeps slot, teachers and rooms
     },
     
-    // Theory class slots
-    theory_slots: [{
-      subject_id: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Subjects',
-        required: true
-      },
-      subject_name: String,
-      subject_shortform: String,
+    // All batches of section (batch synchronization)
+    batches: [{
+      batch_number: Number,
+      batch_name: String,
       
-      teacher_id: {
+      lab_id: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Teacher'
+        ref: 'Syllabus_Labs'
       },
-      teacher_name: String,
-      teacher_shortform: String,
+      lab_name: String,
+      lab_shortform: String,
       
-      classroom_id: {
+      lab_room_id: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Classroom'
+        ref: 'Dept_Labs'
       },
-      classroom_name: String,
+      lab_room_name: String,
       
-      day: {
-        type: String,
-        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-        required: true
-      },
-      start_time: {
-        type: String,
-        required: true
-      },
-      end_time: {
-        type: String,
-        required: true
-      },
-      duration_hours: {
-        type: Number,
-        required: true
-      },
-      is_fixed_slot: {
-        type: Boolean,
-        default: false
-      },
-      is_project: {
-        type: Boolean,
-        default: false  // true for projects (Mini/Major) - no classroom needed
-      }
-    }],
-    
-    // Lab slots (all batches together in time)
-    lab_slots: [{
-      slot_type: {
-        type: String,
-        default: 'multi_batch_lab'
+      // Teachers (0-2 allowed)
+      teacher1_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Teacher'
       },
+      teacher1_name: String,
+      teacher1_shortform: String,
       
-      day: {
-        type: String,
-        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-        required: true
-      },
-      start_time: {
-        type: String,
-        required: true
-      },
-      end_time: {
-        type: String,
-        required: true
-      },
-      duration_hours: {
-        type: Number,
-        default: 2
+      teacher2_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Teacher'
       },
+      teacher2_name: String,
+      teacher2_shortform: String,
       
-      // All batches of section (batch synchronization)
-      batches: [{
-        batch_number: Number,
-        batch_name: String,
-        
-        lab_id: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Syllabus_Labs'
-        },
-        lab_name: String,
-        lab_shortform: String,
-        
-        lab_room_id: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Dept_Labs'
-        },
-        lab_room_name: String,
-        
-        // Teachers (0-2 allowed)
-        teacher1_id: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Teacher'
-        },
-        teacher1_name: String,
-        teacher1_shortform: String,
-        
-        teacher2_id: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Teacher'
-        },
-        teacher2_name: String,
-        teacher2_shortform: String,
-        
-        teacher_status: {
-          type: String,
-          enum: ['2_teachers', '1_teacher', 'no_teachers'],
-          default: 'no_teachers'
-        }
-      }]
-    }],
-    
-    // Custom breaks (manually added or default breaks)
-    breaks: [{
-      day: {
-        type: String,
-        enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
-        required: true
-      },
-      start_time: {
-        type: String,
-        required: true
-      },
-      end_time: {
-        type: String,
-        required: true
-      },
-      label: {
-        type: String,
-        default: 'Break'
-      },
-      isDefault: {
-        type: Boolean,
-        default: false
-      },
-      isRemoved: {
-        type: Boolean,
-        default: false
-        // When true, indicates a default break was removed by user
-        // This prevents the default break from reappearing in the grid
-      }
-    }],
-    
-    // Flagged sessions needing admin attention
-    flagged_sessions: [{
-      type: {
-        type: String,
-        enum: ['lab', 'theory']
-      },
-      batch_name: String,
-      subject_or_lab_name: String,
-      day: String,
-      start_time: String,
-      issue: String,
-      severity: {
+      teacher_status: {
         type: String,
-        enum: ['warning', 'error'],
-        default: 'warning'
+        enum: ['2_teachers', '1_teacher', 'no_teachers'],
+        default: 'no_teachers'
       }
     }]
+  }],
+  
+  // Custom breaks (manually added or default breaks)
+  breaks: [{
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      required: true
+    },
+    start_time: {
+      type: String,
+      required: true
+    },
+    end_time: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      default: 'Break'
+    },
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    isRemoved: {
+      type: Boolean,
+      default: false
+      // When true, indicates a default break was removed by user
+      // This prevents the default break from reappearing in the grid
+    }
+  }],
+  
+  // Flagged sessions needing admin attention
+  flagged_sessions: [{
+    type: {
+      type: String,
+      enum: ['lab', 'theory']
+    },
+    batch_name: String,
+    subject_or_lab_name: String,
+    day: String,
+    start_time: String,
+    issue: String,
+    severity: {
+      type: String,
+      enum: ['warning', 'error'],
+      default: 'warning'
+    }
+  }]
+}
+
+const TimetableSchema = new mongoose.Schema(
+  {
+    ...TIMETABLE_FIELDS,
+
+    // Lifecycle
+    status: {
+      type: String,
+      enum: TIMETABLE_STATUSES,
+      default: 'draft'
+    },
+    status_updated_at: Date,
+    status_updated_by: String,
+    published_version: Number // Version number of the last publish (Published_Timetables)
   },
   {
     collection: 'Timetables',
@@ -370,6 +501,24 @@ TimetableSchema.statics.findBySection = function(sectionId, academicYear) {
   })
 }
 
+// First published/archived timetable of a semester (null when the working copy may be changed)
+TimetableSchema.statics.findLockedInScope = function(semType, academicYear) {
+  return this.findOne({
+    sem_type: semType,
+    academic_year: academicYear,
+    status: { $in: LOCKED_STATUSES }
+  }).select('section_name status published_version')
+}
+
+// Remember the seed a step ran with, on every timetable of the semester (step: 3-6)
+// sectionIds: only on these sections' timetables (a run targeting some sections)
+TimetableSchema.statics.recordStepSeed = function(semType, academicYear, step, seed, sectionIds = null) {
+  return this.updateMany(
+    { sem_type: semType, academic_year: academicYear, ...(sectionIds && { section_id: { $in: sectionIds } }) },
+    { $set: { [`generation_metadata.step_seeds.step${step}`]: seed } }
+  )
+}
+
 // Delete all timetables for a semester type (for regeneration)
 TimetableSchema.statics.deleteBySemesterType = function(semType, academicYear) {
   return this.deleteMany({
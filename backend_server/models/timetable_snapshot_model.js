@@ -0,0 +1,70 @@
+import mongoose from "mongoose"
+
+/**
+ * Timetable Snapshot Model
+ *
+ * Purpose: Named, restorable copy of ALL timetables of one sem_type + academic_year
+ * One document = the complete Timetables collection state for that semester at one moment
+ *
+ * Why: Re-running /generate or Step 2 rebuilds timetables in place, so a good
+ * result would otherwise be lost the moment someone experiments.
+ *
+ * - `timetables` holds the raw Timetable documents (same _ids, slots, metadata)
+ * - Restoring replaces the live timetables of that semester with this copy
+ * - Snapshots are never modified by generation steps
+ */
+
+const TimetableSnapshotSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+
+    // Scope (same keys as Timetable)
+    sem_type: {
+      type: String,
+      enum: ['odd', 'even'],
+      required: true
+    },
+    academic_year: {
+      type: String,
+      required: true
+    },
+
+    // Who saved it
+    created_by: {
+      user_id: {type: mongoose.Schema.Types.ObjectId, ref: 'Controller'},
+      user_name: String
+    },
+
+    // Summary shown in the snapshot list (without loading all slots)
+    summary: {
+      sections: [String], // e.g. ["3A", "3B", "5A"]
+      theory_slots: Number,
+      lab_slots: Number,
+      current_step: Number // Generation step the timetables had reached
+    },
+
+    // Full copies of the Timetable documents
+    timetables: [mongoose.Schema.Types.Mixed],
+
+    // Set every time this snapshot is restored
+    last_restored_at: Date,
+    last_restored_by: String
+  },
+  {
+    collection: 'Timetable_Snapshots',
+    timestamps: true
+  }
+)
+
+// Snapshot list for a semester, newest first
+TimetableSnapshotSchema.index({ sem_type: 1, academic_year: 1, createdAt: -1 })
+
+export default mongoose.model('TimetableSnapshot', TimetableSnapshotSchema)
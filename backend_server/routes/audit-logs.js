@@ -0,0 +1,126 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import AuditLog from '../models/audit_log_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+
+const router = express.Router()
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+// GET /api/audit-logs
+// Purpose: Browse the change history (newest first) with filters
+// Query params:
+// - entity_type: Timetable, Teacher, Subjects, ... | action: create/update/delete/bulk
+// - section_id / section_name: history of one section (timetable, section, assignments)
+// - teacher_id: history touching one teacher (teacher record, assignments, their timetable slots)
+// - user_name, sem_type, academic_year
+// - from, to: date range (ISO dates, inclusive)
+// - page (1-based), limit
+// Returns: { data: [...], page, total_pages, total } (full before/after snapshots via /:id)
+router.get('/', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { entity_type, action, section_id, section_name, teacher_id, user_name, sem_type, academic_year, from, to } = req.query
+    const filter = {}
+
+    if (entity_type) filter.entity_type = entity_type
+    if (action) filter.action = action
+    if (sem_type) filter.sem_type = sem_type
+    if (academic_year) filter.academic_year = academic_year
+    if (user_name) filter.user_name = new RegExp(user_name, 'i')
+
+    // Single-entity entries carry section_id/section_name, bulk ones the section_ids/section_names lists
+    const sectionFilters = []
+    if (section_id) {
+      if (!mongoose.Types.ObjectId.isValid(section_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid section_id'
+        })
+      }
+      sectionFilters.push({ $or: [{ section_id }, { section_ids: section_id }] })
+    }
+    if (section_name) sectionFilters.push({ $or: [{ section_name }, { section_names: section_name }] })
+    if (sectionFilters.length > 0) filter.$and = sectionFilters
+
+    if (teacher_id) {
+      if (!mongoose.Types.ObjectId.isValid(teacher_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid teacher_id'
+        })
+      }
+      filter.teacher_ids = teacher_id
+    }
+
+    if (from || to) {
+      filter.createdAt = {}
+      if (from) filter.createdAt.$gte = new Date(from)
+      if (to) {
+        const end = new Date(to)
+        end.setHours(23, 59, 59, 999) // Include the whole "to" day
+        filter.createdAt.$lte = end
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .select('-before -after')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ])
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      page,
+      total_pages: Math.max(Math.ceil(total / limit), 1),
+      data: logs
+    })
+
+  } catch (error) {
+    console.error('Error fetching audit logs:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit logs',
+      error: error.message
+    })
+  }
+})
+
+// GET /api/audit-logs/:id
+// Purpose: Fetch one audit entry including full before/after snapshots
+router.get('/:id', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id).lean()
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: log
+    })
+
+  } catch (error) {
+    console.error('Error fetching audit log entry:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log entry',
+      error: error.message
+    })
+  }
+})
+
+export default router
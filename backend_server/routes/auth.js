@@ -1,12 +1,29 @@
 import express from 'express'
 import Controller from '../models/controller_model.js'
+import { signToken, requireAuth } from '../middleware/auth.js'
+import { getPermissionsForRole } from '../middleware/permissions.js'
 
 const router = express.Router()
 
+// Helper: Build the user object sent to the frontend (never includes the password)
+// Linked teacher details drive the faculty "My Timetable" page
+async function toSessionUser(user) {
+  await user.populate('teacher_id', 'name teacher_shortform')
+
+  return {
+    id: user._id,
+    user_name: user.user_name,
+    role: user.role,
+    permissions: getPermissionsForRole(user.role),
+    teacher_id: user.teacher_id?._id || null,
+    teacher_name: user.teacher_id?.name || null
+  }
+}
+
 // POST /api/auth/login
-// Purpose: Simple login check (no JWT/sessions for now, just testing)
+// Purpose: Verify credentials against the hashed password and issue a session token
 // Body: { user_name: "HOD", password: "ise@hod" }
-// Returns: { success: true, user: {...} } or { success: false, message: "Invalid credentials" }
+// Returns: { success: true, token, expires_at, user: {...} } or { success: false, message: "Invalid credentials" }
 router.post('/login', async (req, res) => {
   try {
     const { user_name, password } = req.body
@@ -30,21 +47,31 @@ router.post('/login', async (req, res) => {
       })
     }
 
-    // Check password (plain text comparison for now)
-    if (user.password !== password) {
+    // Check password against the stored bcrypt hash
+    const passwordMatches = await user.comparePassword(password)
+    if (!passwordMatches) {
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid credentials' 
       })
     }
 
-    // Success - return user data (excluding password)
+    // Disabled accounts keep their data but cannot log in
+    if (!user.is_active) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'This account has been disabled. Contact the HOD.' 
+      })
+    }
+
+    // Success - issue token and return user data (excluding password)
+    const { token, expires_at } = signToken(user)
+
     res.json({ 
       success: true, 
-      user: {
-        id: user._id,
-        user_name: user.user_name
-      }
+      token,
+      expires_at,
+      user: await toSessionUser(user)
     })
 
   } catch (error) {
@@ -56,4 +83,33 @@ router.post('/login', async (req, res) => {
   }
 })
 
+// GET /api/auth/me
+// Purpose: Return the user behind the current session token
+// Headers: Authorization: Bearer <token>
+// Returns: { success: true, user: {...} } or 401 if the token is missing/expired
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    res.json({ 
+      success: true, 
+      user: await toSessionUser(req.user)
+    })
+  } catch (error) {
+    console.error('Error fetching current user:', error)
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error fetching current user' 
+    })
+  }
+})
+
+// POST /api/auth/logout
+// Purpose: End the session (tokens are stateless, the client discards its copy)
+// Returns: { success: true }
+router.post('/logout', (req, res) => {
+  res.json({ 
+    success: true, 
+    message: 'Logged out successfully' 
+  })
+})
+
 export default router
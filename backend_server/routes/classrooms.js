@@ -1,6 +1,7 @@
 import express from 'express'
 import Classroom from '../models/dept_class_model.js'
 import Timetable from '../models/timetable_model.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -169,7 +170,7 @@ router.get('/:id', async (req, res) => {
 // POST /api/classrooms
 // Purpose: Add a new theory classroom
 // Body: { room_no, capacity }
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     const classroom = await Classroom.create(req.body)
 
@@ -198,7 +199,7 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/classrooms/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const classroom = await Classroom.findByIdAndUpdate(
       req.params.id,
@@ -230,7 +231,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/classrooms/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const classroom = await Classroom.findByIdAndDelete(req.params.id)
 
@@ -0,0 +1,164 @@
+import express from 'express'
+import DepartmentCalendar, { DEFAULT_CALENDAR, WEEK_DAYS, calendarPeriods } from '../models/department_calendar_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+
+const router = express.Router()
+
+// Fields a client may set (academic_year only on create)
+const EDITABLE_FIELDS = ['working_days', 'day_start', 'day_end', 'period_minutes', 'breaks']
+
+function pickEditable(body) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+}
+
+// GET /api/calendar
+// Purpose: All saved calendars (newest academic year first) + the defaults used for other years
+router.get('/', async (req, res) => {
+  try {
+    const calendars = await DepartmentCalendar.find().sort({ academic_year: -1 }).lean()
+
+    res.json({
+      success: true,
+      count: calendars.length,
+      data: calendars,
+      defaults: DEFAULT_CALENDAR,
+      week_days: WEEK_DAYS
+    })
+
+  } catch (error) {
+    console.error('Error fetching calendars:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendars',
+      error: error.message
+    })
+  }
+})
+
+// GET /api/calendar/effective?academic_year=2024-25
+// Purpose: The calendar generation, exports and grids use for a year (defaults if none saved)
+// Returns: { ...calendar, is_default, periods: [{ start, end }] }
+// THIS MUST BE BEFORE /:id route to avoid matching "effective" as an ID
+router.get('/effective', async (req, res) => {
+  try {
+    const calendar = await DepartmentCalendar.forAcademicYear(req.query.academic_year)
+
+    res.json({
+      success: true,
+      data: {
+        ...calendar,
+        is_default: calendar.is_default === true,
+        periods: calendarPeriods(calendar)
+      }
+    })
+
+  } catch (error) {
+    console.error('Error fetching calendar:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar',
+      error: error.message
+    })
+  }
+})
+
+// POST /api/calendar
+// Purpose: Save the calendar of an academic year
+// Body: { academic_year, working_days[], day_start, day_end, period_minutes, breaks[{ start_time, end_time, label }] }
+router.post('/', requirePermission('master:edit'), async (req, res) => {
+  try {
+    const calendar = await DepartmentCalendar.create({
+      academic_year: req.body.academic_year,
+      ...pickEditable(req.body),
+      updated_by: req.user?.user_name
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Calendar saved for ${calendar.academic_year}`,
+      data: calendar
+    })
+
+  } catch (error) {
+    console.error('Error creating calendar:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A calendar already exists for this academic year'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error creating calendar',
+      error: error.message
+    })
+  }
+})
+
+// PUT /api/calendar/:id
+// Purpose: Update a saved calendar (academic year cannot change)
+// Body: Any of working_days, day_start, day_end, period_minutes, breaks
+// NOTE: Already generated timetables are not moved - regenerate after changing the calendar
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
+  try {
+    const calendar = await DepartmentCalendar.findById(req.params.id)
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      })
+    }
+
+    // save() (not findByIdAndUpdate) so the whole-document checks in pre('validate') run
+    calendar.set({ ...pickEditable(req.body), updated_by: req.user?.user_name })
+    await calendar.save()
+
+    res.json({
+      success: true,
+      message: `Calendar updated for ${calendar.academic_year}`,
+      data: calendar
+    })
+
+  } catch (error) {
+    console.error('Error updating calendar:', error)
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error updating calendar',
+      error: error.message
+    })
+  }
+})
+
+// DELETE /api/calendar/:id
+// Purpose: Remove a saved calendar - the academic year falls back to the defaults
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
+  try {
+    const calendar = await DepartmentCalendar.findByIdAndDelete(req.params.id)
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `Calendar for ${calendar.academic_year} removed - defaults apply again`,
+      data: calendar
+    })
+
+  } catch (error) {
+    console.error('Error deleting calendar:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting calendar',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -1,5 +1,6 @@
 import express from 'express'
 import DeptLab from '../models/dept_labs_model.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -59,7 +60,7 @@ router.get('/:id', async (req, res) => {
 // Purpose: Add a new lab room
 // Body: { labRoom_no, lab_subjects_handled[], capacity }
 // lab_subjects_handled: array of Syllabus_Labs ObjectIds this room can host
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     const lab = await DeptLab.create(req.body)
 
@@ -89,7 +90,7 @@ router.post('/', async (req, res) => {
 
 // PUT /api/dept-labs/:id
 // Purpose: Update lab room (e.g., add/remove supported labs)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const lab = await DeptLab.findByIdAndUpdate(
       req.params.id,
@@ -121,7 +122,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/dept-labs/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const lab = await DeptLab.findByIdAndDelete(req.params.id)
 
@@ -0,0 +1,132 @@
+import express from 'express'
+import { requirePermission } from '../middleware/permissions.js'
+import {
+  IMPORT_ENTITIES,
+  readSpreadsheet,
+  analyzeImport,
+  commitImport,
+  toReport
+} from '../imports/master_data_import.js'
+
+const router = express.Router()
+
+// The file is sent as the raw request body: Content-Type application/octet-stream, ?file_name=...
+const rawFile = express.raw({ type: () => true, limit: '10mb' })
+
+// Helper: Parse + validate the uploaded file (shared by preview and commit)
+async function analyzeUpload(req) {
+  const { file_name, entity } = req.query
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    const error = new Error('No file uploaded')
+    error.status = 400
+    throw error
+  }
+
+  if (entity && !IMPORT_ENTITIES[entity]) {
+    const error = new Error(`Unknown entity: ${entity}`)
+    error.status = 400
+    throw error
+  }
+
+  let sheets
+  try {
+    sheets = await readSpreadsheet(req.body, file_name)
+  } catch (parseError) {
+    const error = new Error(`Could not read the file as ${/\.csv$/i.test(file_name || '') ? 'CSV' : 'an Excel workbook'}: ${parseError.message}`)
+    error.status = 400
+    throw error
+  }
+
+  return analyzeImport(sheets, { entity })
+}
+
+// GET /api/import
+// Purpose: Importable entities and their accepted column headers (for the import page)
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(IMPORT_ENTITIES).map(([entity, definition]) => ({
+      entity,
+      label: definition.label,
+      sheet_names: definition.sheetNames,
+      key: definition.key,
+      columns: Object.entries(definition.columns).map(([field, column]) => ({
+        field,
+        type: column.type,
+        aliases: column.aliases || []
+      }))
+    }))
+  })
+})
+
+// POST /api/import/preview?file_name=...&entity=...
+// Purpose: Dry run - validate every row and report what would be created/updated
+// Body: the .xlsx / .csv file (raw); entity is only needed for CSVs with unusual headers
+// Returns: { tables: [{ entity, sheet, counts, rows: [{ row, label, action, errors }] }], summary, can_commit }
+// NOTE: Nothing is written (not audited either)
+router.post('/preview', requirePermission('master:edit'), rawFile, async (req, res) => {
+  try {
+    const analysis = await analyzeUpload(req)
+
+    res.json({
+      success: true,
+      data: toReport(analysis)
+    })
+  } catch (error) {
+    console.error('Error previewing import:', error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to preview import',
+      error: error.message
+    })
+  }
+})
+
+// POST /api/import?file_name=...&entity=...
+// Purpose: Import the file - all rows or none
+// Body: the same file as the preview (validated again before writing)
+// Returns: { created, updated } or 400 with the per-row errors
+router.post('/', requirePermission('master:edit'), rawFile, async (req, res) => {
+  try {
+    const analysis = await analyzeUpload(req)
+
+    if (!analysis.can_commit) {
+      return res.status(400).json({
+        success: false,
+        message: analysis.summary.rows === 0
+          ? 'No importable rows found in the file'
+          : `${analysis.summary.error} row(s) have errors - nothing was imported`,
+        data: toReport(analysis)
+      })
+    }
+
+    const { written, ...result } = await commitImport(analysis)
+
+    // Lets the audit entry show up in the per-section and per-teacher history
+    res.locals.auditScope = {
+      sections: written.filter(record => record.entity === 'sections').map(record => ({ id: record.id, name: record.label })),
+      teacher_ids: written.filter(record => record.entity === 'teachers').map(record => record.id)
+    }
+
+    console.log(`📥 Imported master data from ${req.query.file_name || 'upload'}: ${result.created} created, ${result.updated} updated`)
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${analysis.summary.rows} rows (${result.created} created, ${result.updated} updated)`,
+      data: {
+        ...result,
+        tables: analysis.tables.map(table => ({ entity: table.entity, label: table.label, counts: table.counts }))
+      }
+    })
+  } catch (error) {
+    console.error('Error importing master data:', error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Import failed - no changes were kept',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,148 @@
+import express from 'express'
+import LabSlotTemplate, { DEFAULT_LAB_START_TIMES } from '../models/lab_slot_template_model.js'
+import SyllabusLabs from '../models/syllabus_labs_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+
+const router = express.Router()
+
+// Fields a client may set (sem_type and sem only on create)
+const EDITABLE_FIELDS = ['slots', 'notes']
+
+function pickEditable(body) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+}
+
+// GET /api/lab-slot-templates?sem_type=odd
+// Purpose: Saved templates + default start times + session length per semester (longest lab)
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.sem_type ? { sem_type: req.query.sem_type } : {}
+
+    const [templates, labs] = await Promise.all([
+      LabSlotTemplate.find(filter).sort({ sem_type: 1, sem: 1 }).lean(),
+      SyllabusLabs.find(filter.sem_type ? { lab_sem_type: filter.sem_type } : {}, 'lab_sem duration_hours').lean()
+    ])
+
+    // Step 3 runs each section's sessions for its longest lab
+    const sessionHours = {}
+    for (const lab of labs) {
+      sessionHours[lab.lab_sem] = Math.max(sessionHours[lab.lab_sem] || 0, lab.duration_hours || 2)
+    }
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates,
+      default_start_times: DEFAULT_LAB_START_TIMES,
+      session_hours: sessionHours
+    })
+
+  } catch (error) {
+    console.error('Error fetching lab slot templates:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching lab slot templates',
+      error: error.message
+    })
+  }
+})
+
+// POST /api/lab-slot-templates
+// Purpose: Save the lab windows of a semester (sem: null = all semesters of the sem_type)
+// Body: { sem_type, sem, slots[{ start_time, end_time }], notes }
+router.post('/', requirePermission('timetable:generate'), async (req, res) => {
+  try {
+    const template = await LabSlotTemplate.create({
+      sem_type: req.body.sem_type,
+      sem: req.body.sem ?? null,
+      ...pickEditable(req.body),
+      updated_by: req.user?.user_name
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Lab slot template saved',
+      data: template
+    })
+
+  } catch (error) {
+    console.error('Error creating lab slot template:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template already exists for this semester'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error creating lab slot template',
+      error: error.message
+    })
+  }
+})
+
+// PUT /api/lab-slot-templates/:id
+// Purpose: Change the windows of a template (semester cannot change)
+// Body: Any of slots, notes
+router.put('/:id', requirePermission('timetable:generate'), async (req, res) => {
+  try {
+    const template = await LabSlotTemplate.findById(req.params.id)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab slot template not found'
+      })
+    }
+
+    template.set({ ...pickEditable(req.body), updated_by: req.user?.user_name })
+    await template.save()
+
+    res.json({
+      success: true,
+      message: 'Lab slot template updated',
+      data: template
+    })
+
+  } catch (error) {
+    console.error('Error updating lab slot template:', error)
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error updating lab slot template',
+      error: error.message
+    })
+  }
+})
+
+// DELETE /api/lab-slot-templates/:id
+// Purpose: Remove a template - the semester falls back to the sem_type-wide template or the defaults
+router.delete('/:id', requirePermission('timetable:generate'), async (req, res) => {
+  try {
+    const template = await LabSlotTemplate.findByIdAndDelete(req.params.id)
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lab slot template not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Lab slot template removed',
+      data: template
+    })
+
+  } catch (error) {
+    console.error('Error deleting lab slot template:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting lab slot template',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -1,6 +1,7 @@
 import express from 'express'
 import SyllabusLab from '../models/syllabus_labs_model.js'
 import Teacher from '../models/teachers_models.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -86,7 +87,7 @@ router.get('/:id', async (req, res) => {
 // POST /api/labs
 // Purpose: Create a new lab
 // Body: { lab_name, lab_code, lab_sem, lab_sem_type, credits, duration_hours }
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     const lab = await SyllabusLab.create(req.body)
 
@@ -115,7 +116,7 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/labs/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const lab = await SyllabusLab.findByIdAndUpdate(
       req.params.id,
@@ -147,7 +148,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/labs/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const lab = await SyllabusLab.findByIdAndDelete(req.params.id)
 
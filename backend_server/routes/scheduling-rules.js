@@ -0,0 +1,146 @@
+import express from 'express'
+import SchedulingRule, { RULE_TYPES, RULE_SCOPES, DEFAULT_RULES } from '../models/scheduling_rule_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+
+const router = express.Router()
+
+// Fields a client may set
+const EDITABLE_FIELDS = ['rule', 'kind', 'weight', 'enabled', 'params', 'scope', 'note']
+
+function pickEditable(body) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]))
+}
+
+// GET /api/scheduling-rules
+// Purpose: All saved rules + the rule types (parameters, allowed kinds and scopes)
+// and the defaults that apply where no department-wide rule of a type is saved
+router.get('/', async (req, res) => {
+  try {
+    const rules = await SchedulingRule.find().sort({ rule: 1, createdAt: 1 }).lean()
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      rule_types: RULE_TYPES,
+      scopes: Object.keys(RULE_SCOPES),
+      defaults: DEFAULT_RULES
+    })
+
+  } catch (error) {
+    console.error('Error fetching scheduling rules:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scheduling rules',
+      error: error.message
+    })
+  }
+})
+
+// POST /api/scheduling-rules
+// Purpose: Save a rule
+// Body: { rule, kind, weight, enabled, params: { name: value }, scope: { sem_type, sem, section_id, teacher_id, subject_id }, note }
+router.post('/', requirePermission('master:edit'), async (req, res) => {
+  try {
+    const rule = await SchedulingRule.create({
+      ...pickEditable(req.body),
+      updated_by: req.user?.user_name
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `${RULE_TYPES[rule.rule].title} rule saved`,
+      data: rule
+    })
+
+  } catch (error) {
+    console.error('Error creating scheduling rule:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule of this type already exists for this scope - edit that one instead'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error creating scheduling rule',
+      error: error.message
+    })
+  }
+})
+
+// PUT /api/scheduling-rules/:id
+// Purpose: Update a saved rule
+// Body: Any of rule, kind, weight, enabled, params, scope, note
+// NOTE: Already generated timetables are not changed - regenerate (or rerun Step 7) to apply
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
+  try {
+    const rule = await SchedulingRule.findById(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduling rule not found'
+      })
+    }
+
+    // save() (not findByIdAndUpdate) so the whole-document checks in pre('validate') run
+    rule.set({ ...pickEditable(req.body), updated_by: req.user?.user_name })
+    await rule.save()
+
+    res.json({
+      success: true,
+      message: `${RULE_TYPES[rule.rule].title} rule updated`,
+      data: rule
+    })
+
+  } catch (error) {
+    console.error('Error updating scheduling rule:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rule of this type already exists for this scope'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error updating scheduling rule',
+      error: error.message
+    })
+  }
+})
+
+// DELETE /api/scheduling-rules/:id
+// Purpose: Remove a saved rule - a department-wide one falls back to its default
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
+  try {
+    const rule = await SchedulingRule.findByIdAndDelete(req.params.id)
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduling rule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `${RULE_TYPES[rule.rule].title} rule removed`,
+      data: rule
+    })
+
+  } catch (error) {
+    console.error('Error deleting scheduling rule:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting scheduling rule',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -1,5 +1,6 @@
 import express from 'express'
 import ISESection from '../models/ise_sections_model.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -72,7 +73,7 @@ router.get('/:id', async (req, res) => {
 // Purpose: Create a new section
 // Body: { sem, sem_type, section_name, split_batches, batch_names, total_strength }
 // Note: split_batches is always 3 per constraint Q6
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     // Auto-generate batch_names if not provided
     if (!req.body.batch_names && req.body.section_name && req.body.sem) {
@@ -112,7 +113,7 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/sections/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const section = await ISESection.findByIdAndUpdate(
       req.params.id,
@@ -144,7 +145,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/sections/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const section = await ISESection.findByIdAndDelete(req.params.id)
 
@@ -1,5 +1,6 @@
 import express from 'express'
 import Subject from '../models/subjects_model.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -76,7 +77,7 @@ router.get('/:id', async (req, res) => {
 // POST /api/subjects
 // Purpose: Create a new subject
 // Body: { subject_code, subject_name, hrs_per_week, subject_sem, subject_sem_type, max_hrs_Day }
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     const subject = await Subject.create(req.body)
 
@@ -107,7 +108,7 @@ router.post('/', async (req, res) => {
 
 // PUT /api/subjects/:id
 // Purpose: Update an existing subject
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const subject = await Subject.findByIdAndUpdate(
       req.params.id,
@@ -140,7 +141,7 @@ router.put('/:id', async (req, res) => {
 
 // DELETE /api/subjects/:id
 // Purpose: Delete a subject
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const subject = await Subject.findByIdAndDelete(req.params.id)
 
@@ -2,6 +2,7 @@ import express from 'express'
 import TeacherSubjectAssignment from '../models/pre_assign_teacher_model.js'
 import Teacher from '../models/teachers_models.js'
 import Subject from '../models/subjects_model.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -74,7 +75,7 @@ router.get('/:id', async (req, res) => {
 // Purpose: Assign a teacher to a subject for a specific section (Phase 2)
 // Body: { teacher_id, subject_id, sem, sem_type, section }
 // Validation: Teacher must have subject in canTeach_subjects
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('assignments:edit'), async (req, res) => {
   try {
     const { teacher_id, subject_id, sem, sem_type, section } = req.body
 
@@ -170,7 +171,7 @@ router.post('/', async (req, res) => {
 
 // PUT /api/teacher-assignments/:id
 // Purpose: Update assignment (change teacher or add scheduled_slots in Phase 3)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('assignments:edit'), async (req, res) => {
   try {
     console.log('=== PUT UPDATE ASSIGNMENT ===')
     console.log('Assignment ID:', req.params.id)
@@ -262,7 +263,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/teacher-assignments/:id
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('assignments:edit'), async (req, res) => {
   try {
     const assignment = await TeacherSubjectAssignment.findByIdAndDelete(req.params.id)
 
@@ -1,5 +1,6 @@
 import express from 'express'
 import Teacher from '../models/teachers_models.js'
+import { requirePermission } from '../middleware/permissions.js'
 
 const router = express.Router()
 
@@ -69,9 +70,9 @@ router.get('/:id', async (req, res) => {
 
 // POST /api/teachers
 // Purpose: Create a new teacher
-// Body: { name, teacher_id, canTeach_subjects[], labs_handled[], hrs_per_week, teacher_position }
+// Body: { name, teacher_id, canTeach_subjects[], labs_handled[], hrs_per_week, teacher_position, unavailability[] }
 // Returns: Created teacher document
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('master:edit'), async (req, res) => {
   try {
     const teacher = await Teacher.create(req.body)
 
@@ -102,9 +103,9 @@ router.post('/', async (req, res) => {
 
 // PUT /api/teachers/:id
 // Purpose: Update an existing teacher
-// Body: Any fields to update (name, teacher_id, canTeach_subjects, labs_handled, hrs_per_week, teacher_position)
+// Body: Any fields to update (name, teacher_id, canTeach_subjects, labs_handled, hrs_per_week, teacher_position, unavailability)
 // Returns: Updated teacher document
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('master:edit'), async (req, res) => {
   try {
     const teacher = await Teacher.findByIdAndUpdate(
       req.params.id,
@@ -138,7 +139,7 @@ router.put('/:id', async (req, res) => {
 // DELETE /api/teachers/:id
 // Purpose: Delete a teacher
 // Returns: Success message
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('master:delete'), async (req, res) => {
   try {
     const teacher = await Teacher.findByIdAndDelete(req.params.id)
 
@@ -0,0 +1,469 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import Timetable from '../models/timetable_model.js'
+import TimetableSnapshot from '../models/timetable_snapshot_model.js'
+import { WEEK_DAYS } from '../models/department_calendar_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+import { generationLockedResponse } from '../middleware/generation_lock.js'
+import { acquireGenerationLock, getGenerationLock } from '../algorithms/generation_context.js'
+
+const router = express.Router()
+
+/**
+ * Helper: Counts shown in the snapshot list
+ */
+function summarizeTimetables(timetables) {
+  return {
+    sections: timetables.map(tt => tt.section_name).sort(),
+    theory_slots: timetables.reduce((sum, tt) => sum + (tt.theory_slots?.length || 0), 0),
+    lab_slots: timetables.reduce((sum, tt) => sum + (tt.lab_slots?.length || 0), 0),
+    current_step: Math.max(0, ...timetables.map(tt => tt.generation_metadata?.current_step || 0))
+  }
+}
+
+/**
+ * Helper: Comparable description of a slot (ids and bookkeeping fields dropped)
+ */
+function describeSlot(kind, slot) {
+  if (kind === 'theory') {
+    return {
+      end_time: slot.end_time,
+      subject: slot.subject_shortform || slot.subject_name,
+      teacher: slot.teacher_shortform || slot.teacher_name || null,
+      classroom: slot.classroom_name || null
+    }
+  }
+
+  return {
+    end_time: slot.end_time,
+    batches: (slot.batches || [])
+      .map(batch => ({
+        batch: batch.batch_name,
+        lab: batch.lab_shortform || batch.lab_name,
+        lab_room: batch.lab_room_name || null,
+        teachers: [batch.teacher1_shortform || batch.teacher1_name, batch.teacher2_shortform || batch.teacher2_name]
+          .filter(Boolean)
+          .join(', ') || null
+      }))
+      .sort((a, b) => String(a.batch).localeCompare(String(b.batch)))
+  }
+}
+
+/**
+ * Helper: Group a section's slots by position ("<kind>|<day>|<start_time>")
+ */
+function groupSlotsByPosition(timetable) {
+  const groups = new Map()
+
+  for (const [kind, slots] of [['theory', timetable?.theory_slots], ['lab', timetable?.lab_slots]]) {
+    for (const slot of slots || []) {
+      const key = `${kind}|${slot.day}|${slot.start_time}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(describeSlot(kind, slot))
+    }
+  }
+
+  return groups
+}
+
+/**
+ * Helper: Slot-level diff of one section between two versions
+ * A slot is identified by its position (theory/lab + day + start time), so:
+ * - added:    position only used in the newer version
+ * - removed:  position only used in the older version
+ * - modified: same position, different subject/teacher/room/batches
+ * (A class moved to another time shows up as one removed + one added slot)
+ */
+function diffSectionSlots(fromTimetable, toTimetable) {
+  const fromSlots = groupSlotsByPosition(fromTimetable)
+  const toSlots = groupSlotsByPosition(toTimetable)
+  const changes = []
+
+  const positions = new Set([...fromSlots.keys(), ...toSlots.keys()])
+  for (const position of positions) {
+    const [kind, day, start_time] = position.split('|')
+    const before = fromSlots.get(position) || []
+    const after = toSlots.get(position) || []
+
+    const beforeKey = JSON.stringify(before.map(s => JSON.stringify(s)).sort())
+    const afterKey = JSON.stringify(after.map(s => JSON.stringify(s)).sort())
+    if (beforeKey === afterKey) continue
+
+    const change = before.length === 0 ? 'added' : after.length === 0 ? 'removed' : 'modified'
+    const entry = { kind, day, start_time, change, before, after }
+
+    // Name the changed fields when exactly one slot sits at this position in both versions
+    if (change === 'modified' && before.length === 1 && after.length === 1) {
+      entry.fields = Object.keys({ ...before[0], ...after[0] })
+        .filter(field => JSON.stringify(before[0][field]) !== JSON.stringify(after[0][field]))
+    }
+
+    changes.push(entry)
+  }
+
+  changes.sort((a, b) =>
+    WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) || a.start_time.localeCompare(b.start_time)
+  )
+
+  return changes
+}
+
+/**
+ * Helper: Diff every section between two lists of Timetable documents
+ */
+function diffTimetableSets(fromTimetables, toTimetables) {
+  const sectionKey = tt => String(tt.section_id?._id || tt.section_id || tt.section_name)
+  const fromBySection = new Map(fromTimetables.map(tt => [sectionKey(tt), tt]))
+  const toBySection = new Map(toTimetables.map(tt => [sectionKey(tt), tt]))
+
+  const sections = []
+  const totals = { added: 0, removed: 0, modified: 0 }
+
+  for (const key of new Set([...fromBySection.keys(), ...toBySection.keys()])) {
+    const fromTimetable = fromBySection.get(key)
+    const toTimetable = toBySection.get(key)
+    const changes = diffSectionSlots(fromTimetable, toTimetable)
+
+    changes.forEach(change => totals[change.change]++)
+
+    sections.push({
+      section_id: fromTimetable?.section_id || toTimetable?.section_id,
+      section_name: (toTimetable || fromTimetable).section_name,
+      status: !fromTimetable ? 'added' : !toTimetable ? 'removed' : changes.length > 0 ? 'changed' : 'unchanged',
+      changes
+    })
+  }
+
+  sections.sort((a, b) => a.section_name.localeCompare(b.section_name))
+
+  return {
+    sections_changed: sections.filter(s => s.status !== 'unchanged').length,
+    slots_added: totals.added,
+    slots_removed: totals.removed,
+    slots_modified: totals.modified,
+    sections
+  }
+}
+
+/**
+ * Helper: Create a snapshot of the live timetables of a semester
+ * Returns null when there is nothing to save
+ */
+async function createSnapshot({ name, description, sem_type, academic_year, user }) {
+  const timetables = await Timetable.find({ sem_type, academic_year }).lean()
+
+  if (timetables.length === 0) {
+    return null
+  }
+
+  return TimetableSnapshot.create({
+    name,
+    description,
+    sem_type,
+    academic_year,
+    created_by: {
+      user_id: user?._id,
+      user_name: user?.user_name
+    },
+    summary: summarizeTimetables(timetables),
+    timetables
+  })
+}
+
+/**
+ * GET /api/timetable-snapshots
+ * List snapshots (newest first, without the timetable copies)
+ * Query params: sem_type, academic_year
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { sem_type, academic_year } = req.query
+
+    const filter = {}
+    if (sem_type) filter.sem_type = sem_type
+    if (academic_year) filter.academic_year = academic_year
+
+    const snapshots = await TimetableSnapshot.find(filter)
+      .select('-timetables')
+      .sort({ createdAt: -1 })
+      .lean()
+
+    res.json({
+      success: true,
+      count: snapshots.length,
+      data: snapshots
+    })
+
+  } catch (error) {
+    console.error('Error fetching snapshots:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch snapshots',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/timetable-snapshots
+ * Save the current timetables of a semester as a named snapshot
+ * Body: { name, description?, sem_type, academic_year }
+ */
+router.post('/', requirePermission('timetable:snapshot'), async (req, res) => {
+  try {
+    const { name, description, sem_type, academic_year } = req.body
+
+    if (!name?.trim() || !sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, sem_type and academic_year are required'
+      })
+    }
+
+    const snapshot = await createSnapshot({
+      name: name.trim(),
+      description,
+      sem_type,
+      academic_year,
+      user: req.user
+    })
+
+    if (!snapshot) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${sem_type} semester timetables found for ${academic_year} - nothing to save`
+      })
+    }
+
+    const data = snapshot.toObject()
+    delete data.timetables
+
+    res.status(201).json({
+      success: true,
+      message: `Snapshot "${snapshot.name}" saved (${snapshot.summary.sections.length} sections)`,
+      data
+    })
+
+  } catch (error) {
+    console.error('Error creating snapshot:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create snapshot',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetable-snapshots/diff
+ * Slot-level changes between two snapshots
+ * Query params:
+ * - from: older snapshot id
+ * - to:   newer snapshot id, or "current" for the live timetables of the same semester
+ */
+router.get('/diff', async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query
+
+    if (!mongoose.Types.ObjectId.isValid(from) || (to !== 'current' && !mongoose.Types.ObjectId.isValid(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a snapshot id and to a snapshot id or "current"'
+      })
+    }
+
+    const fromSnapshot = await TimetableSnapshot.findById(from).lean()
+    if (!fromSnapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      })
+    }
+
+    let toLabel = 'Current timetables'
+    let toTimetables
+
+    if (to === 'current') {
+      toTimetables = await Timetable.find({
+        sem_type: fromSnapshot.sem_type,
+        academic_year: fromSnapshot.academic_year
+      }).lean()
+    } else {
+      const toSnapshot = await TimetableSnapshot.findById(to).lean()
+      if (!toSnapshot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Snapshot not found'
+        })
+      }
+      toLabel = toSnapshot.name
+      toTimetables = toSnapshot.timetables
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: { id: fromSnapshot._id, name: fromSnapshot.name },
+        to: { id: to, name: toLabel },
+        ...diffTimetableSets(fromSnapshot.timetables, toTimetables)
+      }
+    })
+
+  } catch (error) {
+    console.error('Error comparing snapshots:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare snapshots',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetable-snapshots/:id
+ * Snapshot details (without the timetable copies)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const snapshot = await TimetableSnapshot.findById(req.params.id)
+      .select('-timetables')
+      .lean()
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: snapshot
+    })
+
+  } catch (error) {
+    console.error('Error fetching snapshot:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch snapshot',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/timetable-snapshots/:id/restore
+ * Replace the live timetables of the snapshot's semester with the snapshot copy
+ * (refused while that semester is published/archived - open a new draft first)
+ * Body: { backup: true } - first save the current timetables as "Before restoring ..." (default)
+ */
+router.post('/:id/restore', requirePermission('timetable:snapshot'), async (req, res) => {
+  let releaseLock = null
+  try {
+    const { backup = true } = req.body || {}
+    const snapshot = await TimetableSnapshot.findById(req.params.id)
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      })
+    }
+
+    const { sem_type, academic_year } = snapshot
+
+    // No generation run may write this semester while its timetables are swapped
+    releaseLock = acquireGenerationLock(sem_type, academic_year, { run: 'Snapshot restore', started_by: req.user?.user_name })
+    if (!releaseLock) {
+      return generationLockedResponse(res, sem_type, academic_year, getGenerationLock(sem_type, academic_year))
+    }
+
+    const locked = await Timetable.findLockedInScope(sem_type, academic_year)
+    if (locked) {
+      return res.status(409).json({
+        success: false,
+        message: `The ${sem_type} semester timetables for ${academic_year} are ${locked.status}. Open a new draft before restoring.`
+      })
+    }
+
+    let backupSnapshot = null
+    if (backup) {
+      backupSnapshot = await createSnapshot({
+        name: `Before restoring "${snapshot.name}"`,
+        description: 'Saved automatically before a restore',
+        sem_type,
+        academic_year,
+        user: req.user
+      })
+    }
+
+    // Swap the timetables; put the previous ones back if the insert fails
+    const previousTimetables = await Timetable.find({ sem_type, academic_year }).lean()
+    await Timetable.deleteMany({ sem_type, academic_year })
+
+    try {
+      // A restored version always comes back as an editable draft
+      await Timetable.insertMany(snapshot.timetables.map(timetable => ({ ...timetable, status: 'draft' })))
+    } catch (insertError) {
+      await Timetable.deleteMany({ sem_type, academic_year })
+      await Timetable.insertMany(previousTimetables)
+      throw insertError
+    }
+
+    snapshot.last_restored_at = new Date()
+    snapshot.last_restored_by = req.user?.user_name
+    await snapshot.save()
+
+    console.log(`♻️ Restored snapshot "${snapshot.name}" (${snapshot.timetables.length} timetables, ${sem_type} ${academic_year})`)
+
+    res.json({
+      success: true,
+      message: `Restored "${snapshot.name}" (${snapshot.timetables.length} timetables)`,
+      data: {
+        restored_count: snapshot.timetables.length,
+        backup_snapshot_id: backupSnapshot?._id || null
+      }
+    })
+
+  } catch (error) {
+    console.error('Error restoring snapshot:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore snapshot',
+      error: error.message
+    })
+  } finally {
+    releaseLock?.()
+  }
+})
+
+/**
+ * DELETE /api/timetable-snapshots/:id
+ */
+router.delete('/:id', requirePermission('timetable:snapshot'), async (req, res) => {
+  try {
+    const snapshot = await TimetableSnapshot.findByIdAndDelete(req.params.id)
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Snapshot not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `Snapshot "${snapshot.name}" deleted`
+    })
+
+  } catch (error) {
+    console.error('Error deleting snapshot:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete snapshot',
+      error: error.message
+    })
+  }
+})
+
+export default router
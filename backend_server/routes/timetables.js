@@ -1,6 +1,9 @@
 import express from 'express'
 import mongoose from 'mongoose'
-import Timetable from '../models/timetable_model.js'
+import Timetable, { LOCKED_STATUSES, TIMETABLE_FIELDS } from '../models/timetable_model.js'
+import PublishedTimetable from '../models/published_timetable_model.js'
+import Teacher from '../models/teachers_models.js'
+import DepartmentCalendar, { WEEK_DAYS } from '../models/department_calendar_model.js'
 import { generateTimetables } from '../algorithms/timetable_generator.js'
 import { loadSectionsAndInitialize } from '../algorithms/step1_load_sections.js'
 import { blockFixedSlots } from '../algorithms/step2_fixed_slots.js'
@@ -8,10 +11,343 @@ import { scheduleLabs } from '../algorithms/step3_schedule_labs_v2.js'
 import { scheduleTheory } from '../algorithms/step4_schedule_theory_breaks.js'
 import { assignClassrooms } from '../algorithms/step5_assign_classrooms.js'
 import { assignLabTeachersHierarchical } from '../algorithms/step6_assign_teachers_hierarchical.js'
+import { optimizeTimetables, MAX_ITERATIONS } from '../algorithms/step6_5_optimize.js'
 import { validateAndFinalize } from '../algorithms/step7_validate.js'
+import { ALGORITHMS, MIN_TIME_LIMIT_MS, MAX_TIME_LIMIT_MS } from '../algorithms/csp_solver.js'
+import { analyzeFeasibility } from '../algorithms/feasibility_check.js'
+import { resolveSeed } from '../algorithms/seeded_random.js'
+import { getGenerationLock, findGenerationLock, createGenerationContext } from '../algorithms/generation_context.js'
+import {
+  createGenerationJob,
+  getGenerationJob,
+  listGenerationJobs,
+  cancelGenerationJob,
+  subscribeToGenerationJob,
+  serializeJob
+} from '../algorithms/generation_jobs.js'
+import { requirePermission } from '../middleware/permissions.js'
+import { generationLockedResponse, withGenerationLock } from '../middleware/generation_lock.js'
+import {
+  buildSectionPage,
+  buildTeacherPage,
+  buildClassroomPage,
+  buildLabRoomPage
+} from '../exports/timetable_grid.js'
+import { renderTimetablePdf } from '../exports/timetable_pdf.js'
+import { buildTimetableWorkbook } from '../exports/timetable_excel.js'
 
 const router = express.Router()
 
+/**
+ * Helper: Which copy a read endpoint should use
+ * - source=published: the frozen copy viewers see (Published_Timetables)
+ * - otherwise: the working copy used by the generator and editor (Timetables)
+ * Returns: { Model, filter } - filter must be merged into the query
+ */
+function timetableSource(source) {
+  return source === 'published'
+    ? { Model: PublishedTimetable, filter: { status: 'published' } }
+    : { Model: Timetable, filter: {} }
+}
+
+/**
+ * Middleware: Refuse generation jobs while the semester is published/archived
+ * Viewers keep seeing the published copy, but the working copy must be reopened
+ * as a draft first (POST /open-draft) so a publish is never silently overwritten
+ * (the job checks again once it holds the lock; /generate and /stepN check
+ * under the lock with withGenerationLock's draftOnly)
+ */
+async function requireDraft(req, res, next) {
+  try {
+    const { sem_type, academic_year } = req.body
+
+    if (sem_type && academic_year) {
+      const locked = await Timetable.findLockedInScope(sem_type, academic_year)
+
+      if (locked) {
+        return res.status(409).json({
+          success: false,
+          message: `The ${sem_type} semester timetables for ${academic_year} are ${locked.status}. Open a new draft before regenerating.`
+        })
+      }
+    }
+
+    next()
+  } catch (error) {
+    console.error('Error checking timetable status:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check timetable status',
+      error: error.message
+    })
+  }
+}
+
+/**
+ * Helper: Semester of the timetable a manual edit targets (withGenerationLock scope)
+ * null for an invalid id - the handler answers 404
+ */
+function editedTimetableScope(req) {
+  const { timetableId } = req.params
+  return mongoose.Types.ObjectId.isValid(timetableId)
+    ? Timetable.findById(timetableId).select('sem_type academic_year').lean()
+    : null
+}
+
+/**
+ * Middleware: Resolve the seed of a randomized run (generate, Steps 3-6.5) into req.seed
+ * Body seed is optional - without one a fresh seed is drawn, and it is returned and
+ * stored in generation_metadata so the run can be repeated
+ */
+function resolveRunSeed(req, res, next) {
+  try {
+    req.seed = resolveSeed(req.body.seed)
+    next()
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Middleware: Resolve the generation algorithm of a full run into req.algorithm
+ * ('greedy' by default), the constraint solver's time_limit_ms into req.timeLimitMs
+ * and repair mode (warm start from the current timetables, greedy only) into req.repair
+ */
+function resolveRunAlgorithm(req, res, next) {
+  const { algorithm = 'greedy', time_limit_ms, repair = false } = req.body
+
+  if (!ALGORITHMS.includes(algorithm)) {
+    return res.status(400).json({
+      success: false,
+      message: `algorithm must be one of: ${ALGORITHMS.join(', ')}`
+    })
+  }
+
+  if (time_limit_ms !== undefined && (!Number.isInteger(time_limit_ms) || time_limit_ms < MIN_TIME_LIMIT_MS || time_limit_ms > MAX_TIME_LIMIT_MS)) {
+    return res.status(400).json({
+      success: false,
+      message: `time_limit_ms must be an integer from ${MIN_TIME_LIMIT_MS} to ${MAX_TIME_LIMIT_MS}`
+    })
+  }
+
+  if (typeof repair !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'repair must be a boolean'
+    })
+  }
+
+  if (repair && algorithm !== 'greedy') {
+    return res.status(400).json({
+      success: false,
+      message: 'repair is only supported by the greedy algorithm'
+    })
+  }
+
+  req.algorithm = algorithm
+  req.timeLimitMs = time_limit_ms
+  req.repair = repair
+  next()
+}
+
+/**
+ * Middleware: Resolve the sections a run regenerates (body section_ids) into req.sectionIds
+ * Without section_ids every section is regenerated (req.sectionIds = null). With them,
+ * Steps 3-6.5 rebuild only those sections and keep every other one as fixed occupancy -
+ * their timetables must already exist (Steps 1-2), and only the greedy steps support it
+ */
+async function resolveSectionIds(req, res, next) {
+  const { sem_type, academic_year, section_ids } = req.body
+
+  if (section_ids === undefined || section_ids === null) {
+    req.sectionIds = null
+    return next()
+  }
+
+  if (!Array.isArray(section_ids) || section_ids.length === 0 || !section_ids.every(id => mongoose.isValidObjectId(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'section_ids must be a non-empty array of section ids'
+    })
+  }
+
+  if (req.algorithm && req.algorithm !== 'greedy') {
+    return res.status(400).json({
+      success: false,
+      message: 'section_ids is only supported by the greedy algorithm'
+    })
+  }
+
+  try {
+    const sectionIds = [...new Set(section_ids.map(String))]
+
+    if (sem_type && academic_year) {
+      const existing = await Timetable.find({
+        sem_type,
+        academic_year,
+        section_id: { $in: sectionIds }
+      }).select('section_id').lean()
+      const found = new Set(existing.map(tt => tt.section_id.toString()))
+      const missing = sectionIds.filter(id => !found.has(id))
+
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${sem_type} semester timetable for ${academic_year} exists for section(s) ${missing.join(', ')}. Run Steps 1-2 first.`
+        })
+      }
+    }
+
+    req.sectionIds = sectionIds
+    next()
+  } catch (error) {
+    console.error('Error resolving section_ids:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve section_ids',
+      error: error.message
+    })
+  }
+}
+
+// Generation context of a single step run (Steps 3-6.5), targeting req.sectionIds if set
+function stepContext(req) {
+  const { sem_type, academic_year } = req.body
+  return createGenerationContext({ semType: sem_type, academicYear: academic_year, seed: req.seed, sectionIds: req.sectionIds })
+}
+
+/**
+ * Helper: Collect a teacher's complete schedule across ALL sections
+ * Used by /teacher-schedule/:teacherId (admin view) and /my-schedule (faculty login)
+ * Returns: { schedule: { theory_classes, lab_sessions }, statistics }
+ */
+async function buildTeacherSchedule(teacherId, { sem_type, academic_year, source }) {
+  const { Model, filter } = timetableSource(source)
+
+  // Build filter
+  if (sem_type) filter.sem_type = sem_type
+  if (academic_year) filter.academic_year = academic_year
+  
+  // Fetch all timetables
+  const timetables = await Model.find(filter)
+    .populate('section_id', 'section_name sem sem_type')
+    .lean()
+  
+  console.log(`📊 Found ${timetables.length} timetables for filter:`, filter)
+  
+  return collectTeacherSchedule(timetables, teacherId)
+}
+
+/**
+ * Helper: Pick one teacher's theory classes and lab sessions out of already
+ * loaded timetables (the Excel export runs this once per teacher)
+ * Returns: { schedule: { theory_classes, lab_sessions }, statistics }
+ */
+function collectTeacherSchedule(timetables, teacherId) {
+  // Collect all slots for this teacher
+  const teacherSchedule = {
+    theory_classes: [],
+    lab_sessions: []
+  }
+  
+  for (const timetable of timetables) {
+    // Check theory slots
+    for (const slot of timetable.theory_slots || []) {
+      if (slot.teacher_id && slot.teacher_id.toString() === teacherId) {
+        teacherSchedule.theory_classes.push({
+          timetable_id: timetable._id,
+          section_name: timetable.section_name,
+          sem: timetable.sem,
+          day: slot.day,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          duration_hours: slot.duration_hours || 1,
+          subject_name: slot.subject_name,
+          subject_shortform: slot.subject_shortform,
+          classroom_name: slot.classroom_name || 'Not Assigned',
+          is_fixed_slot: slot.is_fixed_slot || false
+        })
+      }
+    }
+    
+    // Check lab slots
+    for (const labSlot of timetable.lab_slots || []) {
+      for (const batch of labSlot.batches || []) {
+        // Check if teacher1 or teacher2 matches
+        const isTeacher1 = batch.teacher1_id && batch.teacher1_id.toString() === teacherId
+        const isTeacher2 = batch.teacher2_id && batch.teacher2_id.toString() === teacherId
+        
+        if (isTeacher1 || isTeacher2) {
+          // Find if we already added this lab slot
+          const existingSlot = teacherSchedule.lab_sessions.find(
+            ls => ls.timetable_id.toString() === timetable._id.toString() &&
+                  ls.day === labSlot.day &&
+                  ls.start_time === labSlot.start_time
+          )
+          
+          if (existingSlot) {
+            // Add this batch to existing slot
+            existingSlot.batches.push({
+              batch_name: batch.batch_name,
+              lab_name: batch.lab_name,
+              lab_shortform: batch.lab_shortform,
+              lab_room_name: batch.lab_room_name || 'Not Assigned',
+              role: isTeacher1 ? 'Teacher 1' : 'Teacher 2'
+            })
+          } else {
+            // Create new lab session entry
+            teacherSchedule.lab_sessions.push({
+              timetable_id: timetable._id,
+              section_name: timetable.section_name,
+              sem: timetable.sem,
+              day: labSlot.day,
+              start_time: labSlot.start_time,
+              end_time: labSlot.end_time,
+              duration_hours: labSlot.duration_hours || 2,
+              batches: [{
+                batch_name: batch.batch_name,
+                lab_name: batch.lab_name,
+                lab_shortform: batch.lab_shortform,
+                lab_room_name: batch.lab_room_name || 'Not Assigned',
+                role: isTeacher1 ? 'Teacher 1' : 'Teacher 2'
+              }]
+            })
+          }
+        }
+      }
+    }
+  }
+  
+  // Sort by day (calendar week order, Saturday included) and time
+  const sortByDayTime = (a, b) => {
+    if (a.day !== b.day) {
+      return WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day)
+    }
+    return a.start_time.localeCompare(b.start_time)
+  }
+  
+  teacherSchedule.theory_classes.sort(sortByDayTime)
+  teacherSchedule.lab_sessions.sort(sortByDayTime)
+  
+  console.log(`✅ Found ${teacherSchedule.theory_classes.length} theory classes and ${teacherSchedule.lab_sessions.length} lab sessions`)
+  
+  // Calculate statistics
+  const stats = {
+    total_theory_classes: teacherSchedule.theory_classes.length,
+    total_lab_sessions: teacherSchedule.lab_sessions.length,
+    total_sessions: teacherSchedule.theory_classes.length + teacherSchedule.lab_sessions.length,
+    theory_hours: teacherSchedule.theory_classes.reduce((sum, cls) => sum + (cls.duration_hours || 1), 0),
+    lab_hours: teacherSchedule.lab_sessions.reduce((sum, lab) => sum + (lab.duration_hours || 2), 0),
+    total_hours: 0
+  }
+  stats.total_hours = stats.theory_hours + stats.lab_hours
+  
+  return { schedule: teacherSchedule, statistics: stats }
+}
+
 /**
  * GET /api/timetables
  * Fetch timetables with optional filters
@@ -19,18 +355,19 @@ const router = express.Router()
  * - sem_type: 'odd' or 'even'
  * - sem: semester number (3-8)
  * - section_id: specific section ID
+ * - source: 'published' for the frozen copy viewers see (default: working copy)
  */
 router.get('/', async (req, res) => {
   try {
-    const { sem_type, sem, section_id, academic_year } = req.query
+    const { sem_type, sem, section_id, academic_year, source } = req.query
     
-    const filter = {}
+    const { Model, filter } = timetableSource(source)
     if (sem_type) filter.sem_type = sem_type
     if (sem) filter.sem = parseInt(sem)
     if (section_id) filter.section_id = section_id
     if (academic_year) filter.academic_year = academic_year
     
-    const timetables = await Timetable.find(filter)
+    const timetables = await Model.find(filter)
       .populate('section_id', 'section_name sem sem_type num_batches')
       .sort({ sem: 1, section_name: 1 })
       .lean()
@@ -54,6 +391,7 @@ router.get('/', async (req, res) => {
 /**
  * GET /api/timetables/stats
  * Get dashboard statistics for timetables
+ * fitness: latest scored run of each semester type with its section scores
  */
 router.get('/stats', async (req, res) => {
   try {
@@ -73,12 +411,43 @@ router.get('/stats', async (req, res) => {
       .select('section_name sem sem_type generation_date generation_metadata theory_slots lab_slots')
       .lean()
     
+    // Fitness of the latest scored run per semester type (Step 7) + its section scores
+    const fitness = []
+    for (const semType of ['odd', 'even']) {
+      const latest = await Timetable.findOne({
+        sem_type: semType,
+        'generation_metadata.step7_summary.fitness.fitness_score': { $exists: true }
+      })
+        .sort({ generation_date: -1 })
+        .select('academic_year generation_metadata.step7_summary.fitness')
+        .lean()
+      
+      if (!latest) continue
+      
+      const sections = await Timetable.find({ sem_type: semType, academic_year: latest.academic_year })
+        .sort({ 'generation_metadata.fitness_score': 1 })
+        .select('section_name generation_metadata.fitness_score generation_metadata.fitness.hard_violations')
+        .lean()
+      
+      fitness.push({
+        sem_type: semType,
+        academic_year: latest.academic_year,
+        run: latest.generation_metadata.step7_summary.fitness,
+        sections: sections.map(tt => ({
+          section_name: tt.section_name,
+          fitness_score: tt.generation_metadata?.fitness_score ?? null,
+          hard_violations: tt.generation_metadata?.fitness?.hard_violations ?? null
+        }))
+      })
+    }
+    
     res.json({
       success: true,
       totalTimetables,
       oddSemTimetables,
       evenSemTimetables,
-      recentGenerations
+      recentGenerations,
+      fitness
     })
     
   } catch (error) {
@@ -92,141 +461,354 @@ router.get('/stats', async (req, res) => {
 })
 
 /**
- * GET /api/timetables/teacher-schedule/:teacherId
- * Get complete schedule for a specific teacher across ALL sections
- * Shows all theory classes and lab sessions assigned to this teacher
+ * GET /api/timetables/my-schedule
+ * Get the logged-in faculty member's own schedule (theory + lab batches)
+ * Uses the Teacher linked to the login (Controller.teacher_id)
+ * IMPORTANT: This route MUST come BEFORE /:section_id route to avoid path conflicts
+ * Query params: sem_type, academic_year
  */
-router.get('/teacher-schedule/:teacherId', async (req, res) => {
+router.get('/my-schedule', async (req, res) => {
+  try {
+    const { sem_type, academic_year, source } = req.query
+    
+    if (!req.user.teacher_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your login is not linked to a teacher. Ask the HOD to link it under Users.'
+      })
+    }
+    
+    const teacherId = req.user.teacher_id.toString()
+    const { schedule, statistics } = await buildTeacherSchedule(teacherId, { sem_type, academic_year, source })
+    
+    res.json({
+      success: true,
+      teacher_id: teacherId,
+      schedule,
+      statistics
+    })
+    
+  } catch (error) {
+    console.error('Error fetching own schedule:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your schedule',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetables/lifecycle
+ * Draft/review/publish status of a semester and its published versions
+ * IMPORTANT: This route MUST come BEFORE /:section_id route to avoid path conflicts
+ * Query params: sem_type, academic_year
+ */
+router.get('/lifecycle', async (req, res) => {
   try {
-    const { teacherId } = req.params
     const { sem_type, academic_year } = req.query
     
-    console.log('📅 Fetching teacher schedule for:', teacherId)
+    if (!sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'sem_type and academic_year are required'
+      })
+    }
     
-    if (!teacherId) {
+    const workingCopies = await Timetable.find({ sem_type, academic_year })
+      .select('section_name status status_updated_at status_updated_by published_version')
+      .lean()
+    
+    // One entry per published version (newest first)
+    const versions = await PublishedTimetable.aggregate([
+      { $match: { sem_type, academic_year } },
+      { $group: {
+        _id: '$version',
+        status: { $first: '$status' },
+        published_at: { $first: '$published_at' },
+        published_by: { $first: '$published_by' },
+        publish_note: { $first: '$publish_note' },
+        sections: { $push: '$section_name' }
+      } },
+      { $sort: { _id: -1 } }
+    ])
+    
+    const latest = workingCopies.find(tt => tt.status_updated_at) || workingCopies[0]
+    
+    res.json({
+      success: true,
+      data: {
+        status: workingCopies.length > 0 ? (latest.status || 'draft') : null,
+        status_updated_at: latest?.status_updated_at,
+        status_updated_by: latest?.status_updated_by,
+        sections: workingCopies.map(tt => tt.section_name).sort(),
+        published_version: versions.find(v => v.status === 'published')?._id || null,
+        versions: versions.map(({ _id, ...version }) => ({ version: _id, ...version }))
+      }
+    })
+    
+  } catch (error) {
+    console.error('Error fetching timetable lifecycle:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable lifecycle',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetables/feasibility
+ * Readiness of a semester before generation: lab rooms, lab teachers, theory periods
+ * and teacher hours vs demand (see algorithms/feasibility_check.js) - nothing is saved
+ * IMPORTANT: This route MUST come BEFORE /:section_id route to avoid path conflicts
+ * Query params: sem_type, academic_year
+ */
+router.get('/feasibility', async (req, res) => {
+  try {
+    const { sem_type, academic_year } = req.query
+    
+    if (!sem_type || !academic_year) {
       return res.status(400).json({
         success: false,
-        message: 'Teacher ID is required'
+        message: 'sem_type and academic_year are required'
       })
     }
     
-    // Build filter
-    const filter = {}
-    if (sem_type) filter.sem_type = sem_type
-    if (academic_year) filter.academic_year = academic_year
+    const report = await analyzeFeasibility(sem_type, academic_year)
     
-    // Fetch all timetables
-    const timetables = await Timetable.find(filter)
-      .populate('section_id', 'section_name sem sem_type')
-      .lean()
+    res.json({
+      success: true,
+      message: report.ready
+        ? `Ready to generate (${report.warnings} warning${report.warnings === 1 ? '' : 's'})`
+        : `${report.errors} problem${report.errors === 1 ? '' : 's'} will stop generation`,
+      data: report
+    })
     
-    console.log(`📊 Found ${timetables.length} timetables for filter:`, filter)
+  } catch (error) {
+    console.error('Error checking generation feasibility:', error)
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to check generation feasibility',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetables/export.pdf
+ * Download printable timetables as a PDF (one page per timetable)
+ * IMPORTANT: This route MUST come BEFORE /:section_id route to avoid path conflicts
+ * Query params:
+ * - view: 'section' (default), 'teacher', 'classroom' or 'lab_room'
+ * - id: section_id / teacher _id / classroom name / lab room number
+ *       (view=section without id = all sections of the semester in one file)
+ * - sem_type, academic_year, source ('published' for the viewers' copy)
+ */
+router.get('/export.pdf', async (req, res) => {
+  try {
+    const { view = 'section', id, sem_type, academic_year, source } = req.query
     
-    // Collect all slots for this teacher
-    const teacherSchedule = {
-      theory_classes: [],
-      lab_sessions: []
+    if (!sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'sem_type and academic_year are required'
+      })
     }
     
-    for (const timetable of timetables) {
-      // Check theory slots
-      for (const slot of timetable.theory_slots || []) {
-        if (slot.teacher_id && slot.teacher_id.toString() === teacherId) {
-          teacherSchedule.theory_classes.push({
-            timetable_id: timetable._id,
-            section_name: timetable.section_name,
-            sem: timetable.sem,
-            day: slot.day,
-            start_time: slot.start_time,
-            end_time: slot.end_time,
-            duration_hours: slot.duration_hours || 1,
-            subject_name: slot.subject_name,
-            subject_shortform: slot.subject_shortform,
-            classroom_name: slot.classroom_name || 'Not Assigned',
-            is_fixed_slot: slot.is_fixed_slot || false
-          })
-        }
+    if (view !== 'section' && !id) {
+      return res.status(400).json({
+        success: false,
+        message: `id is required for the ${view} view`
+      })
+    }
+    
+    const { Model, filter } = timetableSource(source)
+    filter.sem_type = sem_type
+    filter.academic_year = academic_year
+    
+    const [timetables, calendar] = await Promise.all([
+      Model.find(filter).sort({ sem: 1, section_name: 1 }).lean(),
+      DepartmentCalendar.forAcademicYear(academic_year)
+    ])
+    
+    const version = source === 'published'
+      ? (timetables[0]?.version ? `Published version ${timetables[0].version}` : 'Published')
+      : 'Working draft'
+    const subtitle = `${sem_type === 'odd' ? 'Odd' : 'Even'} Semester • Academic Year ${academic_year} • ${version}`
+    
+    let pages
+    let fileName
+    
+    if (view === 'section') {
+      const selected = id
+        ? timetables.filter(tt => tt.section_id.toString() === id)
+        : timetables
+      
+      if (id && selected.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Timetable not found for this section'
+        })
       }
       
-      // Check lab slots
-      for (const labSlot of timetable.lab_slots || []) {
-        for (const batch of labSlot.batches || []) {
-          // Check if teacher1 or teacher2 matches
-          const isTeacher1 = batch.teacher1_id && batch.teacher1_id.toString() === teacherId
-          const isTeacher2 = batch.teacher2_id && batch.teacher2_id.toString() === teacherId
-          
-          if (isTeacher1 || isTeacher2) {
-            // Find if we already added this lab slot
-            const existingSlot = teacherSchedule.lab_sessions.find(
-              ls => ls.timetable_id.toString() === timetable._id.toString() &&
-                    ls.day === labSlot.day &&
-                    ls.start_time === labSlot.start_time
-            )
-            
-            if (existingSlot) {
-              // Add this batch to existing slot
-              existingSlot.batches.push({
-                batch_name: batch.batch_name,
-                lab_name: batch.lab_name,
-                lab_shortform: batch.lab_shortform,
-                lab_room_name: batch.lab_room_name || 'Not Assigned',
-                role: isTeacher1 ? 'Teacher 1' : 'Teacher 2'
-              })
-            } else {
-              // Create new lab session entry
-              teacherSchedule.lab_sessions.push({
-                timetable_id: timetable._id,
-                section_name: timetable.section_name,
-                sem: timetable.sem,
-                day: labSlot.day,
-                start_time: labSlot.start_time,
-                end_time: labSlot.end_time,
-                duration_hours: labSlot.duration_hours || 2,
-                batches: [{
-                  batch_name: batch.batch_name,
-                  lab_name: batch.lab_name,
-                  lab_shortform: batch.lab_shortform,
-                  lab_room_name: batch.lab_room_name || 'Not Assigned',
-                  role: isTeacher1 ? 'Teacher 1' : 'Teacher 2'
-                }]
-              })
-            }
-          }
-        }
+      pages = selected.map(tt => buildSectionPage(tt, subtitle, calendar))
+      fileName = id ? `timetable-${selected[0].section_name}` : 'timetables-all-sections'
+    } else if (view === 'teacher') {
+      const teacher = await Teacher.findById(id).select('name teacher_shortform').lean()
+      
+      if (!teacher) {
+        return res.status(404).json({
+          success: false,
+          message: 'Teacher not found'
+        })
       }
+      
+      const { schedule } = await buildTeacherSchedule(id, { sem_type, academic_year, source })
+      pages = [buildTeacherPage(teacher, schedule, subtitle, calendar)]
+      fileName = `timetable-${teacher.teacher_shortform || teacher.name}`
+    } else if (view === 'classroom') {
+      pages = [buildClassroomPage(id, timetables, subtitle, calendar)]
+      fileName = `timetable-classroom-${id}`
+    } else if (view === 'lab_room') {
+      pages = [buildLabRoomPage(id, timetables, subtitle, calendar)]
+      fileName = `timetable-lab-${id}`
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown view: ${view}`
+      })
     }
     
-    // Sort by day and time
-    const dayOrder = { Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5 }
+    const safeName = `${fileName}-${sem_type}-${academic_year}`.replace(/[^A-Za-z0-9_-]+/g, '_')
+    
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.pdf"`)
+    renderTimetablePdf(pages, res, { title: 'Timetable' })
+    
+  } catch (error) {
+    console.error('Error exporting timetable PDF:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export timetable PDF',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetables/export.xlsx
+ * Download every timetable of a semester as one Excel workbook
+ * - One sheet per section, one per teacher with classes, and a workload summary
+ * - 2-hour lab blocks are merged cells; their comments list batch lab/room/teachers
+ * IMPORTANT: This route MUST come BEFORE /:section_id route to avoid path conflicts
+ * Query params: sem_type, academic_year, source ('published' for the viewers' copy)
+ */
+router.get('/export.xlsx', async (req, res) => {
+  try {
+    const { sem_type, academic_year, source } = req.query
+    
+    if (!sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'sem_type and academic_year are required'
+      })
+    }
+    
+    const { Model, filter } = timetableSource(source)
+    filter.sem_type = sem_type
+    filter.academic_year = academic_year
+    
+    const [timetables, teachers, calendar] = await Promise.all([
+      Model.find(filter).sort({ sem: 1, section_name: 1 }).lean(),
+      Teacher.find()
+        .select('name teacher_shortform teacher_position max_lab_assign_odd max_lab_assign_even')
+        .sort({ name: 1 })
+        .lean(),
+      DepartmentCalendar.forAcademicYear(academic_year)
+    ])
+    
+    const version = source === 'published'
+      ? (timetables[0]?.version ? `Published version ${timetables[0].version}` : 'Published')
+      : 'Working draft'
+    const subtitle = `${sem_type === 'odd' ? 'Odd' : 'Even'} Semester • Academic Year ${academic_year} • ${version}`
+    
+    const sectionPages = timetables.map(tt => ({
+      ...buildSectionPage(tt, subtitle, calendar),
+      sheetName: tt.section_name
+    }))
+    
+    const teacherPages = []
+    const workload = []
+    
+    for (const teacher of teachers) {
+      const { schedule, statistics } = collectTeacherSchedule(timetables, teacher._id.toString())
+      
+      workload.push({
+        name: teacher.name,
+        shortform: teacher.teacher_shortform,
+        position: teacher.teacher_position,
+        theory_classes: statistics.total_theory_classes,
+        theory_hours: statistics.theory_hours,
+        lab_sessions: statistics.total_lab_sessions,
+        lab_batches: schedule.lab_sessions.reduce((sum, lab) => sum + lab.batches.length, 0),
+        max_lab_batches: sem_type === 'odd' ? teacher.max_lab_assign_odd : teacher.max_lab_assign_even,
+        lab_hours: statistics.lab_hours,
+        total_hours: statistics.total_hours
+      })
+      
+      if (statistics.total_sessions > 0) {
+        teacherPages.push({
+          ...buildTeacherPage(teacher, schedule, subtitle, calendar),
+          sheetName: teacher.teacher_shortform || teacher.name
+        })
+      }
+    }
+    
+    const workbook = buildTimetableWorkbook({ sectionPages, teacherPages, workload, subtitle })
+    const safeName = `timetables-${sem_type}-${academic_year}`.replace(/[^A-Za-z0-9_-]+/g, '_')
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.xlsx"`)
+    await workbook.xlsx.write(res)
+    res.end()
+    
+  } catch (error) {
+    console.error('Error exporting timetable workbook:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export timetable workbook',
+      error: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/timetables/teacher-schedule/:teacherId
+ * Get complete schedule for a specific teacher across ALL sections
+ * Shows all theory classes and lab sessions assigned to this teacher
+ */
+router.get('/teacher-schedule/:teacherId', async (req, res) => {
+  try {
+    const { teacherId } = req.params
+    const { sem_type, academic_year, source } = req.query
+    
+    console.log('📅 Fetching teacher schedule for:', teacherId)
     
-    const sortByDayTime = (a, b) => {
-      if (dayOrder[a.day] !== dayOrder[b.day]) {
-        return dayOrder[a.day] - dayOrder[b.day]
-      }
-      return a.start_time.localeCompare(b.start_time)
+    if (!teacherId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Teacher ID is required'
+      })
     }
     
-    teacherSchedule.theory_classes.sort(sortByDayTime)
-    teacherSchedule.lab_sessions.sort(sortByDayTime)
-    
-    console.log(`✅ Found ${teacherSchedule.theory_classes.length} theory classes and ${teacherSchedule.lab_sessions.length} lab sessions`)
-    
-    // Calculate statistics
-    const stats = {
-      total_theory_classes: teacherSchedule.theory_classes.length,
-      total_lab_sessions: teacherSchedule.lab_sessions.length,
-      total_sessions: teacherSchedule.theory_classes.length + teacherSchedule.lab_sessions.length,
-      theory_hours: teacherSchedule.theory_classes.reduce((sum, cls) => sum + (cls.duration_hours || 1), 0),
-      lab_hours: teacherSchedule.lab_sessions.reduce((sum, lab) => sum + (lab.duration_hours || 2), 0),
-      total_hours: 0
-    }
-    stats.total_hours = stats.theory_hours + stats.lab_hours
+    const { schedule, statistics } = await buildTeacherSchedule(teacherId, { sem_type, academic_year, source })
     
     res.json({
       success: true,
       teacher_id: teacherId,
-      schedule: teacherSchedule,
-      statistics: stats
+      schedule,
+      statistics
     })
     
   } catch (error) {
@@ -506,20 +1088,185 @@ router.get('/available-rooms', async (req, res) => {
   }
 })
 
+/**
+ * Generation jobs: full generation in the background (see algorithms/generation_jobs.js)
+ * NOTE: Must stay above GET /:section_id
+ */
+
+/**
+ * POST /api/timetables/jobs
+ * Start a full generation run - answers at once (202) with the job
+ * 409 while another run holds the semester's generation lock (data.job_id: the job, if it is one)
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, optimize?: boolean,
+ *         algorithm?: 'greedy' | 'csp', time_limit_ms?: number, section_ids?: string[], repair?: boolean }
+ */
+router.post('/jobs', requirePermission('timetable:generate'), requireDraft, resolveRunSeed, resolveRunAlgorithm, resolveSectionIds, (req, res) => {
+  const { sem_type, academic_year } = req.body
+
+  if (!sem_type || !academic_year) {
+    return res.status(400).json({
+      success: false,
+      message: 'sem_type and academic_year are required'
+    })
+  }
+
+  if (!['odd', 'even'].includes(sem_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'sem_type must be "odd" or "even"'
+    })
+  }
+
+  const job = createGenerationJob({
+    semType: sem_type,
+    academicYear: academic_year,
+    seed: req.seed,
+    optimize: req.body.optimize === true,
+    repair: req.repair,
+    algorithm: req.algorithm,
+    timeLimitMs: req.timeLimitMs,
+    sectionIds: req.sectionIds,
+    user: req.user
+  })
+
+  if (!job) {
+    return generationLockedResponse(res, sem_type, academic_year, getGenerationLock(sem_type, academic_year))
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Generation job started',
+    data: serializeJob(job)
+  })
+})
+
+/**
+ * GET /api/timetables/jobs
+ * Recent generation jobs, newest first (without logs)
+ * Query params: sem_type, academic_year (optional)
+ */
+router.get('/jobs', (req, res) => {
+  const jobs = listGenerationJobs({ semType: req.query.sem_type, academicYear: req.query.academic_year })
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    data: jobs.map(job => serializeJob(job))
+  })
+})
+
+/**
+ * GET /api/timetables/jobs/:jobId
+ * Status of one job, its steps and its log lines
+ */
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getGenerationJob(req.params.jobId)
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Generation job not found'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: serializeJob(job, { includeLogs: true })
+  })
+})
+
+/**
+ * GET /api/timetables/jobs/:jobId/events
+ * Server-Sent Events stream of a job:
+ * - 'snapshot' first (the job with its logs so far)
+ * - then 'status', 'step' and 'log' as they happen
+ * - 'done' (the finished job) last, after which the stream closes
+ */
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = getGenerationJob(req.params.jobId)
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Generation job not found'
+    })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+  send('snapshot', serializeJob(job, { includeLogs: true }))
+  if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+    send('done', serializeJob(job))
+    return res.end()
+  }
+
+  // Comment lines keep proxies from closing an idle stream during long steps
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000)
+
+  const unsubscribe = subscribeToGenerationJob(job, (event, data) => {
+    send(event, data)
+    if (event === 'done') res.end()
+  })
+
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+/**
+ * POST /api/timetables/jobs/:jobId/cancel
+ * Cancel a job - a queued job stops at once, a running one after its current step
+ * (timetables keep the steps finished so far)
+ */
+router.post('/jobs/:jobId/cancel', requirePermission('timetable:generate'), (req, res) => {
+  const job = getGenerationJob(req.params.jobId)
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Generation job not found'
+    })
+  }
+
+  if (!cancelGenerationJob(job)) {
+    return res.status(409).json({
+      success: false,
+      message: `Generation job already ${job.status}`,
+      data: serializeJob(job)
+    })
+  }
+
+  res.json({
+    success: true,
+    message: job.status === 'cancelled' ? 'Generation job cancelled' : 'Cancellation requested - the job stops after the current step',
+    data: serializeJob(job)
+  })
+})
+
 /**
  * GET /api/timetables/:section_id
  * Fetch timetable for a specific section
+ * Query params: sem_type, academic_year, source ('published' for the viewers' copy)
  */
 router.get('/:section_id', async (req, res) => {
   try {
     const { section_id } = req.params
-    const { sem_type, academic_year } = req.query
+    const { sem_type, academic_year, source } = req.query
     
-    const filter = { section_id }
+    const { Model, filter } = timetableSource(source)
+    filter.section_id = section_id
     if (sem_type) filter.sem_type = sem_type
     if (academic_year) filter.academic_year = academic_year
     
-    const timetable = await Timetable.findOne(filter)
+    const timetable = await Model.findOne(filter)
       .populate('section_id', 'section_name sem sem_type num_batches')
       .lean()
     
@@ -548,9 +1295,13 @@ router.get('/:section_id', async (req, res) => {
 /**
  * POST /api/timetables/generate
  * Generate timetables for all sections of a semester type (FULL AUTO)
- * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, optimize?: boolean,
+ *         algorithm?: 'greedy' | 'csp', time_limit_ms?: number, section_ids?: string[], repair?: boolean }
+ * section_ids: only regenerate these sections (Steps 3-7), every other section stays fixed
+ * repair: start from the current timetables and change as little as possible (response.repair: change report)
+ * 422 when the constraint solver finds no timetable (data: solver summary)
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requirePermission('timetable:generate'), resolveRunSeed, resolveRunAlgorithm, resolveSectionIds, withGenerationLock('Full generation', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -570,26 +1321,33 @@ router.post('/generate', async (req, res) => {
     
     console.log(`\n🚀 Generating timetables for ${sem_type} semester (FULL AUTO)...`)
     
-    const result = await generateTimetables(sem_type, academic_year)
+    const result = await generateTimetables(sem_type, academic_year, req.seed, {}, {
+      optimize: req.body.optimize === true,
+      repair: req.repair,
+      algorithm: req.algorithm,
+      timeLimitMs: req.timeLimitMs,
+      sectionIds: req.sectionIds
+    })
     
     res.json(result)
     
   } catch (error) {
     console.error('Error generating timetables:', error)
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to generate timetables',
-      error: error.message
+      error: error.message,
+      data: error.solver
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step1
  * Step 1: Load sections and initialize empty timetables
  * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
  */
-router.post('/step1', async (req, res) => {
+router.post('/step1', requirePermission('timetable:generate'), withGenerationLock('Step 1', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -611,14 +1369,14 @@ router.post('/step1', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step2
  * Step 2: Block fixed slots (OEC/PEC for Semester 7)
  * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
  */
-router.post('/step2', async (req, res) => {
+router.post('/step2', requirePermission('timetable:generate'), withGenerationLock('Step 2', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -640,14 +1398,14 @@ router.post('/step2', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step3
  * Step 3: Schedule lab sessions
- * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, section_ids?: string[] }
  */
-router.post('/step3', async (req, res) => {
+router.post('/step3', requirePermission('timetable:generate'), resolveRunSeed, resolveSectionIds, withGenerationLock('Step 3', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -658,8 +1416,9 @@ router.post('/step3', async (req, res) => {
       })
     }
     
-    const result = await scheduleLabs(sem_type, academic_year)
-    res.json(result)
+    const result = await scheduleLabs(sem_type, academic_year, req.seed, stepContext(req))
+    if (result.success) await Timetable.recordStepSeed(sem_type, academic_year, 3, req.seed, req.sectionIds)
+    res.json({ ...result, seed: req.seed })
     
   } catch (error) {
     console.error('Error in Step 3:', error)
@@ -669,14 +1428,14 @@ router.post('/step3', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step3.5
  * Step 3.5: Resolve room conflicts (post-processing validation)
  * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
  */
-router.post('/step3.5', async (req, res) => {
+router.post('/step3.5', requirePermission('timetable:generate'), withGenerationLock('Step 3.5', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -699,14 +1458,14 @@ router.post('/step3.5', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step4
  * Step 4: Schedule theory classes
- * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, section_ids?: string[] }
  */
-router.post('/step4', async (req, res) => {
+router.post('/step4', requirePermission('timetable:generate'), resolveRunSeed, resolveSectionIds, withGenerationLock('Step 4', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -717,8 +1476,9 @@ router.post('/step4', async (req, res) => {
       })
     }
     
-    const result = await scheduleTheory(sem_type, academic_year)
-    res.json(result)
+    const result = await scheduleTheory(sem_type, academic_year, req.seed, stepContext(req))
+    if (result.success) await Timetable.recordStepSeed(sem_type, academic_year, 4, req.seed, req.sectionIds)
+    res.json({ ...result, seed: req.seed })
     
   } catch (error) {
     console.error('Error in Step 4:', error)
@@ -728,14 +1488,14 @@ router.post('/step4', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step5
  * Step 5: Assign classrooms to theory slots (NEW - was Step 6 before)
- * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, section_ids?: string[] }
  */
-router.post('/step5', async (req, res) => {
+router.post('/step5', requirePermission('timetable:generate'), resolveRunSeed, resolveSectionIds, withGenerationLock('Step 5', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -746,8 +1506,9 @@ router.post('/step5', async (req, res) => {
       })
     }
     
-    const result = await assignClassrooms(sem_type, academic_year)
-    res.json(result)
+    const result = await assignClassrooms(sem_type, academic_year, req.seed, stepContext(req))
+    if (result.success) await Timetable.recordStepSeed(sem_type, academic_year, 5, req.seed, req.sectionIds)
+    res.json({ ...result, seed: req.seed })
     
   } catch (error) {
     console.error('Error in Step 5:', error)
@@ -757,14 +1518,14 @@ router.post('/step5', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step6
  * Step 6: Assign teachers to labs using HIERARCHICAL algorithm (respects position & limits)
- * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, section_ids?: string[] }
  */
-router.post('/step6', async (req, res) => {
+router.post('/step6', requirePermission('timetable:generate'), resolveRunSeed, resolveSectionIds, withGenerationLock('Step 6', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -775,8 +1536,9 @@ router.post('/step6', async (req, res) => {
       })
     }
     
-    const result = await assignLabTeachersHierarchical(sem_type, academic_year)
-    res.json(result)
+    const result = await assignLabTeachersHierarchical(sem_type, academic_year, req.seed, stepContext(req))
+    if (result.success) await Timetable.recordStepSeed(sem_type, academic_year, 6, req.seed, req.sectionIds)
+    res.json({ ...result, seed: req.seed })
     
   } catch (error) {
     console.error('Error in Step 6:', error)
@@ -786,14 +1548,51 @@ router.post('/step6', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
+
+/**
+ * POST /api/timetables/step6.5
+ * Step 6.5 (optional): Move/swap theory sessions by local search to improve the fitness score
+ * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025', seed?: number, iterations?: number,
+ *         section_ids?: string[] }
+ */
+router.post('/step6.5', requirePermission('timetable:generate'), resolveRunSeed, resolveSectionIds, withGenerationLock('Step 6.5', async (req, res) => {
+  try {
+    const { sem_type, academic_year, iterations } = req.body
+    
+    if (!sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'sem_type and academic_year are required'
+      })
+    }
+    
+    if (iterations !== undefined && (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS)) {
+      return res.status(400).json({
+        success: false,
+        message: `iterations must be an integer from 1 to ${MAX_ITERATIONS}`
+      })
+    }
+    
+    const result = await optimizeTimetables(sem_type, academic_year, req.seed, stepContext(req), { iterations })
+    res.json({ ...result, seed: req.seed })
+    
+  } catch (error) {
+    console.error('Error in Step 6.5:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to execute Step 6.5',
+      error: error.message
+    })
+  }
+}, { draftOnly: true }))
 
 /**
  * POST /api/timetables/step7
  * Step 7: Validate and finalize (MOVED from Step 6)
  * Body: { sem_type: 'odd' | 'even', academic_year: '2024-2025' }
  */
-router.post('/step7', async (req, res) => {
+router.post('/step7', requirePermission('timetable:generate'), withGenerationLock('Step 7', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.body
     
@@ -815,14 +1614,14 @@ router.post('/step7', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { draftOnly: true }))
 
 /**
  * PATCH /api/timetables/:timetableId/theory-slot/:slotId/classroom
  * Update classroom assignment for a specific theory slot
  * Body: { classroom_id, classroom_name }
  */
-router.patch('/:timetableId/theory-slot/:slotId/classroom', async (req, res) => {
+router.patch('/:timetableId/theory-slot/:slotId/classroom', requirePermission('timetable:edit'), withGenerationLock('Manual edit', async (req, res) => {
   try {
     const { timetableId, slotId } = req.params
     const { classroom_id, classroom_name, current_day, current_start_time } = req.body
@@ -852,6 +1651,13 @@ router.patch('/:timetableId/theory-slot/:slotId/classroom', async (req, res) =>
       })
     }
     
+    if (LOCKED_STATUSES.includes(timetable.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This timetable is ${timetable.status}. Open a new draft to edit it.`
+      })
+    }
+    
     // Find the slot
     const slot = timetable.theory_slots.find(s => s._id.toString() === slotId)
     
@@ -990,17 +1796,250 @@ router.patch('/:timetableId/theory-slot/:slotId/classroom', async (req, res) =>
       error: error.message
     })
   }
-})
+}, { scopeOf: editedTimetableScope }))
+
+/**
+ * Helper: Lock or unlock one theory/lab slot of a timetable
+ * A locked slot keeps its day, time, teachers and room when Steps 2-6 run again
+ * Body: { locked }
+ */
+async function setSlotLock(req, res, field) {
+  try {
+    const { timetableId, slotId } = req.params
+    const { locked } = req.body
+    
+    if (typeof locked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'locked must be true or false'
+      })
+    }
+    
+    const timetable = await Timetable.findById(timetableId)
+    
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timetable not found'
+      })
+    }
+    
+    if (LOCKED_STATUSES.includes(timetable.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This timetable is ${timetable.status}. Open a new draft to edit it.`
+      })
+    }
+    
+    const slot = timetable[field].find(s => s._id.toString() === slotId)
+    
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: field === 'lab_slots' ? 'Lab slot not found' : 'Theory slot not found'
+      })
+    }
+    
+    slot.locked = locked
+    await timetable.save()
+    
+    console.log(`${locked ? '🔒' : '🔓'} [SLOT LOCK] ${timetable.section_name} ${slot.day} ${slot.start_time} ${locked ? 'locked' : 'unlocked'}`)
+    
+    res.json({
+      success: true,
+      message: locked ? 'Slot locked - regeneration keeps it as it is' : 'Slot unlocked',
+      data: { slot_id: slotId, locked }
+    })
+    
+  } catch (error) {
+    console.error('❌ [SLOT LOCK ERROR]', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update slot lock',
+      error: error.message
+    })
+  }
+}
+
+/**
+ * PATCH /api/timetables/:timetableId/theory-slot/:slotId/lock
+ * Lock or unlock a theory slot
+ */
+router.patch('/:timetableId/theory-slot/:slotId/lock', requirePermission('timetable:edit'), withGenerationLock('Manual edit', (req, res) => setSlotLock(req, res, 'theory_slots'), { scopeOf: editedTimetableScope }))
+
+/**
+ * PATCH /api/timetables/:timetableId/lab-slot/:slotId/lock
+ * Lock or unlock a lab slot (all batches of the session)
+ */
+router.patch('/:timetableId/lab-slot/:slotId/lock', requirePermission('timetable:edit'), withGenerationLock('Manual edit', (req, res) => setSlotLock(req, res, 'lab_slots'), { scopeOf: editedTimetableScope }))
+
+/**
+ * Lifecycle transitions (all sections of a sem_type + academic_year change together)
+ * - submit-review: draft → under_review
+ * - publish:       draft/under_review → published (copies the working timetables to Published_Timetables)
+ * - open-draft:    under_review/published/archived → draft (published copy stays visible to viewers)
+ * - archive:       published → archived (published copy is archived too)
+ */
+const LIFECYCLE_TRANSITIONS = {
+  'submit-review': { from: ['draft'], to: 'under_review' },
+  'publish': { from: ['draft', 'under_review'], to: 'published' },
+  'open-draft': { from: ['under_review', 'published', 'archived'], to: 'draft' },
+  'archive': { from: ['published'], to: 'archived' }
+}
+
+/**
+ * Helper: Publish the working copies as a new frozen version
+ * Returns: the new version number
+ */
+async function publishTimetables(timetables, { user, note }) {
+  const { sem_type, academic_year } = timetables[0]
+  
+  const last = await PublishedTimetable.findOne({ sem_type, academic_year })
+    .sort({ version: -1 })
+    .select('version')
+    .lean()
+  const version = (last?.version || 0) + 1
+  
+  // Previous version is kept for history but no longer shown
+  await PublishedTimetable.updateMany(
+    { sem_type, academic_year, status: 'published' },
+    { $set: { status: 'archived' } }
+  )
+  
+  // Copy only the timetable content (not the working copy's lifecycle fields)
+  const pickContent = timetable => Object.fromEntries(
+    Object.keys(TIMETABLE_FIELDS).map(field => [field, timetable[field]])
+  )
+  
+  await PublishedTimetable.insertMany(timetables.map(timetable => ({
+    ...pickContent(timetable),
+    source_timetable_id: timetable._id,
+    version,
+    status: 'published',
+    published_at: new Date(),
+    published_by: user?.user_name,
+    publish_note: note
+  })))
+  
+  return version
+}
+
+/**
+ * Helper: Run one lifecycle transition for a semester
+ * Body: { sem_type, academic_year, note? }
+ */
+async function changeLifecycleStatus(req, res, action) {
+  try {
+    const { sem_type, academic_year, note } = req.body
+    const { from, to } = LIFECYCLE_TRANSITIONS[action]
+    
+    if (!sem_type || !academic_year) {
+      return res.status(400).json({
+        success: false,
+        message: 'sem_type and academic_year are required'
+      })
+    }
+    
+    const timetables = await Timetable.find({ sem_type, academic_year }).lean()
+    
+    if (timetables.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No ${sem_type} semester timetables found for ${academic_year}`
+      })
+    }
+    
+    const currentStatus = timetables[0].status || 'draft'
+    if (!from.includes(currentStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action.replace('-', ' ')}: timetables are currently ${currentStatus.replace('_', ' ')}`
+      })
+    }
+    
+    const update = {
+      status: to,
+      status_updated_at: new Date(),
+      status_updated_by: req.user?.user_name
+    }
+    
+    if (action === 'publish') {
+      update.published_version = await publishTimetables(timetables, { user: req.user, note })
+    }
+    
+    if (action === 'archive') {
+      await PublishedTimetable.updateMany(
+        { sem_type, academic_year, status: 'published' },
+        { $set: { status: 'archived' } }
+      )
+    }
+    
+    await Timetable.updateMany({ sem_type, academic_year }, { $set: update })
+    
+    console.log(`📢 ${sem_type} ${academic_year}: ${currentStatus} → ${to} (${timetables.length} timetables)`)
+    
+    res.json({
+      success: true,
+      message: action === 'publish'
+        ? `Published version ${update.published_version} (${timetables.length} sections)`
+        : `Timetables are now ${to.replace('_', ' ')}`,
+      data: {
+        status: to,
+        previous_status: currentStatus,
+        sections: timetables.length,
+        published_version: update.published_version
+      }
+    })
+    
+  } catch (error) {
+    console.error(`Error during ${action}:`, error)
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${action.replace('-', ' ')} timetables`,
+      error: error.message
+    })
+  }
+}
+
+/**
+ * POST /api/timetables/submit-review
+ * Coordinator hands the draft over to the HOD
+ */
+router.post('/submit-review', requirePermission('timetable:edit'), withGenerationLock('Submit for review', (req, res) => changeLifecycleStatus(req, res, 'submit-review')))
+
+/**
+ * POST /api/timetables/publish
+ * Freeze the working copies as the version viewers see
+ */
+router.post('/publish', requirePermission('timetable:publish'), withGenerationLock('Publish', (req, res) => changeLifecycleStatus(req, res, 'publish')))
+
+/**
+ * POST /api/timetables/open-draft
+ * Make the working copies editable again (viewers keep the published copy)
+ */
+router.post('/open-draft', requirePermission('timetable:edit'), withGenerationLock('Open new draft', (req, res) => changeLifecycleStatus(req, res, 'open-draft')))
+
+/**
+ * POST /api/timetables/archive
+ * End of semester: archive the published version
+ */
+router.post('/archive', requirePermission('timetable:publish'), withGenerationLock('Archive', (req, res) => changeLifecycleStatus(req, res, 'archive')))
 
 /**
  * DELETE /api/timetables/clear
  * Clear timetables for a semester type
  * Query params: sem_type, academic_year
  */
-router.delete('/clear', async (req, res) => {
+router.delete('/clear', requirePermission('timetable:clear'), withGenerationLock('Clear', async (req, res) => {
   try {
     const { sem_type, academic_year } = req.query
     
+    // Partial filter (no lock of its own): refuse while a run works on a matching semester
+    if (!sem_type || !academic_year) {
+      const running = findGenerationLock({ semType: sem_type, academicYear: academic_year })
+      if (running) return generationLockedResponse(res, running.sem_type, running.academic_year, running)
+    }
+    
     const filter = {}
     if (sem_type) filter.sem_type = sem_type
     if (academic_year) filter.academic_year = academic_year
@@ -1021,14 +2060,14 @@ router.delete('/clear', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { scopeOf: req => req.query }))
 
 /**
  * PUT /api/timetables/:timetableId/update-slots
  * Update theory slots and breaks in a timetable (manual editing)
  * Body: { theory_slots, breaks }
  */
-router.put('/:timetableId/update-slots', async (req, res) => {
+router.put('/:timetableId/update-slots', requirePermission('timetable:edit'), withGenerationLock('Manual edit', async (req, res) => {
   try {
     const { timetableId } = req.params
     const { theory_slots, breaks } = req.body
@@ -1045,6 +2084,13 @@ router.put('/:timetableId/update-slots', async (req, res) => {
       })
     }
     
+    if (LOCKED_STATUSES.includes(timetable.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This timetable is ${timetable.status}. Open a new draft to edit it.`
+      })
+    }
+    
     // Update theory slots if provided
     if (theory_slots) {
       timetable.theory_slots = theory_slots
@@ -1077,6 +2123,6 @@ router.put('/:timetableId/update-slots', async (req, res) => {
       error: error.message
     })
   }
-})
+}, { scopeOf: editedTimetableScope }))
 
 export default router
@@ -0,0 +1,313 @@
+import express from 'express'
+import Controller from '../models/controller_model.js'
+import { requirePermission } from '../middleware/permissions.js'
+
+const router = express.Router()
+
+const MIN_PASSWORD_LENGTH = 6
+
+// Helper: Is at least one OTHER active HOD left if this account is demoted/disabled/deleted?
+// Prevents the department from locking itself out of user management
+async function hasOtherActiveHod(excludeId) {
+  const count = await Controller.countDocuments({
+    _id: { $ne: excludeId },
+    role: 'hod',
+    is_active: true
+  })
+  return count > 0
+}
+
+// PUT /api/users/me/password
+// Purpose: Change the logged-in user's own password (any role)
+// Body: { current_password, new_password }
+// Returns: Success message
+// NOTE: Must come BEFORE /:id routes to avoid path conflicts
+router.put('/me/password', async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'current_password and new_password are required'
+      })
+    }
+
+    if (typeof current_password !== 'string' || typeof new_password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'current_password and new_password must be strings'
+      })
+    }
+
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      })
+    }
+
+    const passwordMatches = await req.user.comparePassword(current_password)
+    // 400, not 401: the frontend treats any 401 as an expired session and logs out
+    if (!passwordMatches) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      })
+    }
+
+    req.user.password = new_password // Hashed by pre-save hook
+    await req.user.save()
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    })
+
+  } catch (error) {
+    console.error('Error changing password:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    })
+  }
+})
+
+// GET /api/users
+// Purpose: Fetch all login accounts (HOD only)
+// Query params: ?role=coordinator, ?is_active=true
+// Returns: Array of Controller documents (without password hashes)
+router.get('/', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const filter = {}
+
+    if (req.query.role) filter.role = req.query.role
+    if (req.query.is_active !== undefined) filter.is_active = req.query.is_active === 'true'
+
+    const users = await Controller.find(filter)
+      .populate('teacher_id', 'name teacher_id teacher_shortform')
+      .sort({ user_name: 1 })
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    })
+
+  } catch (error) {
+    console.error('Error fetching users:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    })
+  }
+})
+
+// GET /api/users/:id
+// Purpose: Fetch a single login account (HOD only)
+// Returns: Controller document (without password hash)
+router.get('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await Controller.findById(req.params.id)
+      .populate('teacher_id', 'name teacher_id teacher_shortform')
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: user
+    })
+
+  } catch (error) {
+    console.error('Error fetching user:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    })
+  }
+})
+
+// POST /api/users
+// Purpose: Create a new login account (HOD only)
+// Body: { user_name, password, role, is_active, teacher_id }
+// Returns: Created Controller document
+router.post('/', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { user_name, password, role, is_active, teacher_id } = req.body
+
+    if (!user_name || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'user_name and password are required'
+      })
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      })
+    }
+
+    const user = await Controller.create({
+      user_name,
+      password,
+      role,
+      is_active,
+      teacher_id: teacher_id || undefined
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: user
+    })
+
+  } catch (error) {
+    console.error('Error creating user:', error)
+
+    // Handle duplicate user_name / teacher_id error
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.keyPattern?.teacher_id
+          ? 'This teacher is already linked to another login'
+          : 'Username already exists'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Error creating user',
+      error: error.message
+    })
+  }
+})
+
+// PUT /api/users/:id
+// Purpose: Update a login account - rename, change role, enable/disable, reset password,
+//          link/unlink a teacher (HOD only)
+// Body: Any of { user_name, role, is_active, password, teacher_id } (teacher_id: null to unlink)
+// Returns: Updated Controller document
+router.put('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { user_name, role, is_active, password, teacher_id } = req.body
+
+    const user = await Controller.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    // Don't let the last active HOD demote or disable themselves
+    const losesHodAccess = user.role === 'hod' && user.is_active &&
+      ((role && role !== 'hod') || is_active === false)
+
+    if (losesHodAccess && !(await hasOtherActiveHod(user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one active HOD account must remain'
+      })
+    }
+
+    if (password !== undefined && password !== '') {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        })
+      }
+      user.password = password // Hashed by pre-save hook
+    }
+
+    if (user_name !== undefined) user.user_name = user_name
+    if (role !== undefined) user.role = role
+    if (is_active !== undefined) user.is_active = is_active
+    if (teacher_id !== undefined) user.teacher_id = teacher_id || undefined
+
+    await user.save()
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    })
+
+  } catch (error) {
+    console.error('Error updating user:', error)
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.keyPattern?.teacher_id
+          ? 'This teacher is already linked to another login'
+          : 'Username already exists'
+      })
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    })
+  }
+})
+
+// DELETE /api/users/:id
+// Purpose: Delete a login account (HOD only, cannot delete yourself)
+// Returns: Success message
+router.delete('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      })
+    }
+
+    const user = await Controller.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      })
+    }
+
+    if (user.role === 'hod' && user.is_active && !(await hasOtherActiveHod(user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one active HOD account must remain'
+      })
+    }
+
+    await user.deleteOne()
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: user
+    })
+
+  } catch (error) {
+    console.error('Error deleting user:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting user',
+      error: error.message
+    })
+  }
+})
+
+export default router
@@ -25,6 +25,18 @@ async function seedDatabase() {
     console.log('🔍 Checking for existing HOD user...')
     const existingUser = await Controller.findOne({ user_name: 'HOD' })
     
+    // Accounts created before roles existed become HOD
+    const promoted = await Controller.assignLegacyRoles()
+    if (promoted > 0) {
+      console.log(`👤 Assigned HOD role to ${promoted} existing account(s)\n`)
+    }
+
+    // Hash any passwords left in plain text by older versions
+    const upgraded = await Controller.hashLegacyPasswords()
+    if (upgraded > 0) {
+      console.log(`🔐 Hashed ${upgraded} plain-text password(s)\n`)
+    }
+
     if (existingUser) {
       console.log('⚠️  HOD user already exists in database')
       console.log('   No action needed - you can login with existing credentials\n')
@@ -40,7 +52,8 @@ async function seedDatabase() {
     console.log('➕ Creating default HOD admin user...')
     await Controller.create({
       user_name: 'HOD',
-      password: 'ise@hod'  // Note: Plain text for testing purposes
+      password: 'ise@hod',  // Hashed with bcrypt by the Controller pre-save hook
+      role: 'hod'
     })
 
     console.log('✅ Default HOD user created successfully!\n')
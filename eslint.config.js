@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Express backend: runs on Node, not in the browser
+    files: ['backend_server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -8,6 +8,9 @@ import Labs from './components/Labs'
 import Sections from './components/Sections'
 import Classrooms from './components/Classrooms'
 import DeptLabs from './components/DeptLabs'
+import MasterDataImport from './components/MasterDataImport'
+import DepartmentCalendar from './components/DepartmentCalendar'
+import SchedulingRules from './components/SchedulingRules'
 import TeacherAssignments from './components/TeacherAssignments'
 import TimetableViewer from './components/TimetableViewer'
 import TimetableGenerator from './components/TimetableGenerator'
@@ -15,6 +18,9 @@ import TimetableEditor from './components/TimetableEditor'
 import TeacherTimetableView from './components/TeacherTimetableView'
 import LabsView from './components/LabsView'
 import ClassroomView from './components/ClassroomView'
+import Users from './components/Users'
+import AuditLogs from './components/AuditLogs'
+import ChangePassword from './components/ChangePassword'
 import ProtectedRoute from './components/ProtectedRoute'
 import './App.css'
 
@@ -23,6 +29,7 @@ import './App.css'
  * - Handles routing
  * - Login and Dashboard routes
  * - Protected routes for authenticated users
+ * - Editing routes additionally require a role permission
  */
 function App() {
   return (
@@ -43,25 +50,132 @@ function App() {
           {/* Nested Dashboard Routes */}
           <Route index element={<DashboardHome />} />
           
-          {/* Phase 1: Master Data routes */}
-          <Route path="teachers" element={<Teachers />} />
-          <Route path="subjects" element={<Subjects />} />
-          <Route path="labs" element={<Labs />} />
-          <Route path="sections" element={<Sections />} />
-          <Route path="classrooms" element={<Classrooms />} />
-          <Route path="dept-labs" element={<DeptLabs />} />
+          {/* Phase 1: Master Data routes (editing screens - hidden from faculty) */}
+          <Route 
+            path="teachers" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <Teachers />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="subjects" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <Subjects />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="labs" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <Labs />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="sections" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <Sections />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="classrooms" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <Classrooms />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="dept-labs" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <DeptLabs />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="import" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <MasterDataImport />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="calendar" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <DepartmentCalendar />
+              </ProtectedRoute>
+            }
+          />
+          <Route 
+            path="scheduling-rules" 
+            element={
+              <ProtectedRoute permission="master:edit">
+                <SchedulingRules />
+              </ProtectedRoute>
+            }
+          />
           
           {/* Phase 2: Pre-assignments */}
-          <Route path="teacher-assignments" element={<TeacherAssignments />} />
+          <Route 
+            path="teacher-assignments" 
+            element={
+              <ProtectedRoute permission="assignments:edit">
+                <TeacherAssignments />
+              </ProtectedRoute>
+            }
+          />
           
           {/* Phase 3: Timetable Generation & Viewing (with dynamic room assignment) */}
-          <Route path="generate" element={<TimetableGenerator />} />
+          <Route 
+            path="generate" 
+            element={
+              <ProtectedRoute permission="timetable:generate">
+                <TimetableGenerator />
+              </ProtectedRoute>
+            }
+          />
           <Route path="view" element={<TimetableViewer />} />
-          <Route path="editor" element={<TimetableEditor />} />
+          <Route 
+            path="editor" 
+            element={
+              <ProtectedRoute permission="timetable:edit">
+                <TimetableEditor />
+              </ProtectedRoute>
+            }
+          />
           <Route path="teacher-view" element={<TeacherTimetableView />} />
+          <Route path="my-timetable" element={<TeacherTimetableView ownSchedule />} />
           <Route path="classroom-view" element={<ClassroomView />} />
           <Route path="labs-view" element={<LabsView />} />
           
+          {/* Account management */}
+          <Route 
+            path="users" 
+            element={
+              <ProtectedRoute permission="users:manage">
+                <Users />
+              </ProtectedRoute>
+            }
+          />
+          <Route path="account" element={<ChangePassword />} />
+          <Route 
+            path="audit-log" 
+            element={
+              <ProtectedRoute permission="audit:view">
+                <AuditLogs />
+              </ProtectedRoute>
+            }
+          />
+          
         </Route>
 
         {/* Catch all - redirect to login */}
@@ -0,0 +1,86 @@
+import axios from 'axios'
+
+/**
+ * Session helpers
+ * - Stores the login token issued by /api/auth/login in localStorage
+ * - Attaches it to every axios request as "Authorization: Bearer <token>"
+ * - Logs out automatically when the token expires or the API answers 401
+ */
+
+const TOKEN_KEY = 'token'
+const EXPIRES_KEY = 'tokenExpiresAt'
+const USER_KEY = 'user'
+
+export function saveSession({ token, expires_at, user }) {
+  localStorage.setItem(TOKEN_KEY, token)
+  localStorage.setItem(EXPIRES_KEY, expires_at)
+  localStorage.setItem(USER_KEY, JSON.stringify(user))
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(EXPIRES_KEY)
+  localStorage.removeItem(USER_KEY)
+}
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function getCurrentUser() {
+  return JSON.parse(localStorage.getItem(USER_KEY) || '{}')
+}
+
+// Milliseconds until the token expires (0 if missing or already expired)
+export function getSessionTimeLeft() {
+  const expiresAt = Date.parse(localStorage.getItem(EXPIRES_KEY) || '')
+  if (!getToken() || Number.isNaN(expiresAt)) return 0
+  return Math.max(0, expiresAt - Date.now())
+}
+
+// Display names for Controller roles (see backend middleware/permissions.js)
+export const ROLE_LABELS = {
+  hod: 'HOD',
+  coordinator: 'Timetable Coordinator',
+  faculty: 'Faculty (Read-only)'
+}
+
+// Permissions are computed by the backend from the role and sent on login
+export function hasPermission(permission) {
+  return (getCurrentUser().permissions || []).includes(permission)
+}
+
+export function isAuthenticated() {
+  return getSessionTimeLeft() > 0
+}
+
+// Send the user back to the login page with a reason shown there
+export function redirectToLogin(reason) {
+  clearSession()
+  if (reason) sessionStorage.setItem('logoutReason', reason)
+  if (window.location.pathname !== '/') window.location.assign('/')
+}
+
+/**
+ * Install axios interceptors once at startup (see main.jsx)
+ */
+export function setupAxiosAuth() {
+  axios.interceptors.request.use((config) => {
+    const token = getToken()
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`
+    }
+    return config
+  })
+
+  axios.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      const isLoginRequest = error.config?.url?.includes('/api/auth/login')
+      if (error.response?.status === 401 && !isLoginRequest) {
+        redirectToLogin(error.response.data?.message || 'Session expired, please log in again')
+      }
+      return Promise.reject(error)
+    }
+  )
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+/**
+ * Department calendar helpers
+ * Timetable grids draw their days, hours and breaks from the calendar saved for
+ * the academic year (GET /api/calendar/effective) instead of a hard-coded week.
+ * DEFAULT_CALENDAR mirrors the backend defaults so a grid still renders if the
+ * request fails.
+ */
+
+export const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+export const DEFAULT_CALENDAR = {
+  working_days: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+  day_start: '08:00',
+  day_end: '17:00',
+  period_minutes: 60,
+  breaks: [
+    { start_time: '11:00', end_time: '11:30', label: 'Break' },
+    { start_time: '13:30', end_time: '14:00', label: 'Lunch' }
+  ],
+  is_default: true
+}
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+export const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+
+// Calendar of an academic year - DEFAULT_CALENDAR until (or unless) the server answers
+export function useDepartmentCalendar(academicYear) {
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR)
+
+  useEffect(() => {
+    let cancelled = false
+
+    axios.get('/api/calendar/effective', { params: { academic_year: academicYear } })
+      .then(response => {
+        if (!cancelled && response.data.success) setCalendar(response.data.data)
+      })
+      .catch(err => console.error('Error fetching department calendar:', err))
+
+    return () => { cancelled = true }
+  }, [academicYear])
+
+  return calendar
+}
+
+// Whole hours covering the working day: 08:00-17:00 → ['08:00', '09:00', ..., '16:00']
+export function calendarHours(calendar) {
+  const first = Math.floor(toMinutes(calendar.day_start) / 60)
+  const last = Math.ceil(toMinutes(calendar.day_end) / 60)
+  return Array.from({ length: last - first }, (_, i) => toTime((first + i) * 60))
+}
+
+// 30-minute grid columns covering the working day: 08:00-17:00 → ['08:00', '08:30', ..., '16:30']
+export function calendarHalfHours(calendar) {
+  const first = Math.floor(toMinutes(calendar.day_start) / 30)
+  const last = Math.ceil(toMinutes(calendar.day_end) / 30)
+  return Array.from({ length: last - first }, (_, i) => toTime((first + i) * 30))
+}
+
+// A day whose first class is at day_start must end one period early (same rule as Step 4)
+export function earlyStartDayEnd(calendar) {
+  return toTime(toMinutes(calendar.day_end) - calendar.period_minutes)
+}
@@ -0,0 +1,302 @@
+import { Fragment, useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import './AuditLogs.css'
+
+/**
+ * Audit Log Component
+ * - Browse the history of every timetable edit and master-data change
+ * - Filter by entity, action, section, teacher, user and date range
+ * - Expand a row to see the field-level before/after diff
+ */
+
+const ENTITY_TYPES = [
+  { value: 'Timetable', label: 'Timetables' },
+  { value: 'TimetableSnapshot', label: 'Timetable Snapshots' },
+  { value: 'Teacher', label: 'Teachers' },
+  { value: 'Subjects', label: 'Subjects' },
+  { value: 'Syllabus_Labs', label: 'Syllabus Labs' },
+  { value: 'ISE_Sections', label: 'Sections' },
+  { value: 'Classroom', label: 'Classrooms' },
+  { value: 'Dept_Labs', label: 'Lab Rooms' },
+  { value: 'Teacher_Subject_Assignment', label: 'Subject Assignments' },
+  { value: 'MasterDataImport', label: 'Master Data Imports' },
+  { value: 'DepartmentCalendar', label: 'Department Calendar' },
+  { value: 'LabSlotTemplate', label: 'Lab Slot Templates' },
+  { value: 'Controller', label: 'Users' }
+]
+
+const EMPTY_FILTERS = {
+  entity_type: '',
+  action: '',
+  section_name: '',
+  teacher_id: '',
+  user_name: '',
+  from: '',
+  to: ''
+}
+
+// Short readable value for the diff table
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'object') {
+    // Slots: show the most useful fields first
+    if (value.day && value.start_time) {
+      const name = value.subject_shortform || value.subject_name ||
+        (value.batches ? value.batches.map(b => `${b.batch_name}:${b.lab_shortform}`).join(', ') : value.label || '')
+      return `${name} @ ${value.day} ${value.start_time}-${value.end_time}`
+    }
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+function AuditLogs() {
+  const [logs, setLogs] = useState([])
+  const [sections, setSections] = useState([])
+  const [teachers, setTeachers] = useState([])
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [expandedId, setExpandedId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchFilterOptions()
+  }, [])
+
+  const fetchFilterOptions = async () => {
+    try {
+      const [sectionsRes, teachersRes] = await Promise.all([
+        axios.get('/api/sections'),
+        axios.get('/api/teachers')
+      ])
+      setSections(sectionsRes.data.data || [])
+      setTeachers(teachersRes.data.data || [])
+    } catch (err) {
+      console.error('Error fetching filter options:', err)
+    }
+  }
+
+  const fetchLogs = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      // Only send filters that are set
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      const response = await axios.get('/api/audit-logs', { params: { ...params, page } })
+      setLogs(response.data.data || [])
+      setTotalPages(response.data.total_pages || 1)
+      setTotal(response.data.total || 0)
+    } catch (err) {
+      console.error('Error fetching audit logs:', err)
+      setError(err.response?.data?.message || 'Failed to load audit logs')
+    } finally {
+      setLoading(false)
+    }
+  }, [filters, page])
+
+  useEffect(() => {
+    fetchLogs()
+  }, [fetchLogs])
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target
+    setFilters({ ...filters, [name]: value })
+    setPage(1)
+  }
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS)
+    setPage(1)
+  }
+
+  const entityLabel = (type) => ENTITY_TYPES.find(e => e.value === type)?.label || type
+
+  return (
+    <div className="audit-logs-page">
+      <DepartmentHeader
+        title="Audit Log"
+        subtitle="History of timetable edits and master-data changes"
+      />
+
+      {/* Filters */}
+      <div className="audit-filters">
+        <div className="audit-filter">
+          <label>Entity</label>
+          <select name="entity_type" value={filters.entity_type} onChange={handleFilterChange}>
+            <option value="">All</option>
+            {ENTITY_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="audit-filter">
+          <label>Action</label>
+          <select name="action" value={filters.action} onChange={handleFilterChange}>
+            <option value="">All</option>
+            <option value="create">Create</option>
+            <option value="update">Update</option>
+            <option value="delete">Delete</option>
+            <option value="bulk">Bulk (generate/clear)</option>
+          </select>
+        </div>
+
+        <div className="audit-filter">
+          <label>Section</label>
+          <select name="section_name" value={filters.section_name} onChange={handleFilterChange}>
+            <option value="">All</option>
+            {sections.map(section => (
+              <option key={section._id} value={`${section.sem}${section.section_name}`}>
+                {section.sem}{section.section_name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="audit-filter">
+          <label>Teacher</label>
+          <select name="teacher_id" value={filters.teacher_id} onChange={handleFilterChange}>
+            <option value="">All</option>
+            {teachers.map(teacher => (
+              <option key={teacher._id} value={teacher._id}>
+                {teacher.name} ({teacher.teacher_shortform})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="audit-filter">
+          <label>User</label>
+          <input
+            type="text"
+            name="user_name"
+            value={filters.user_name}
+            onChange={handleFilterChange}
+            placeholder="Username"
+          />
+        </div>
+
+        <div className="audit-filter">
+          <label>From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+        </div>
+
+        <div className="audit-filter">
+          <label>To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+        </div>
+
+        <button className="btn btn-secondary" onClick={resetFilters}>
+          Reset
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Entity</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="5" className="audit-empty">Loading history...</td>
+              </tr>
+            ) : logs.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="audit-empty">No changes recorded for these filters.</td>
+              </tr>
+            ) : (
+              logs.map(log => (
+                <Fragment key={log._id}>
+                  <tr
+                    className="audit-row"
+                    onClick={() => setExpandedId(expandedId === log._id ? null : log._id)}
+                  >
+                    <td>{new Date(log.createdAt).toLocaleString()}</td>
+                    <td>
+                      <strong>{log.user_name || 'Unknown'}</strong>
+                      {log.user_role && <span className="text-muted"> ({log.user_role})</span>}
+                    </td>
+                    <td>
+                      <span className={`audit-action audit-action-${log.action}`}>{log.action}</span>
+                    </td>
+                    <td>
+                      <div>{entityLabel(log.entity_type)}</div>
+                      <small className="text-muted">{log.entity_label}</small>
+                    </td>
+                    <td>
+                      {log.action === 'update'
+                        ? `${log.changes.length} field${log.changes.length === 1 ? '' : 's'}`
+                        : log.action === 'bulk' ? log.details?.message || log.route : '—'}
+                      <span className="audit-expand">{expandedId === log._id ? '▲' : '▼'}</span>
+                    </td>
+                  </tr>
+
+                  {expandedId === log._id && (
+                    <tr className="audit-details-row">
+                      <td colSpan="5">
+                        <div className="audit-route">
+                          <code>{log.method} {log.route}</code>
+                        </div>
+
+                        {log.changes?.length > 0 ? (
+                          <table className="audit-diff">
+                            <thead>
+                              <tr>
+                                <th>Field</th>
+                                <th>Before</th>
+                                <th>After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {log.changes.map((change, idx) => (
+                                <tr key={idx}>
+                                  <td><code>{change.path}</code></td>
+                                  <td className="audit-before">{formatValue(change.before)}</td>
+                                  <td className="audit-after">{formatValue(change.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        ) : (
+                          <pre className="audit-json">
+                            {JSON.stringify(log.details || { action: log.action, entity: log.entity_label }, null, 2)}
+                          </pre>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      <div className="audit-pagination">
+        <button className="btn btn-secondary" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+          ◀ Previous
+        </button>
+        <span>Page {page} of {totalPages} • {total} entries</span>
+        <button className="btn btn-secondary" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+          Next ▶
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default AuditLogs
@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import { getCurrentUser, ROLE_LABELS } from '../auth'
+import './ChangePassword.css'
+
+/**
+ * Change Password Component
+ * - Available to every logged-in role
+ * - Verifies the current password before setting a new one
+ */
+function ChangePassword() {
+  const [formData, setFormData] = useState({
+    current_password: '',
+    new_password: '',
+    confirm_password: ''
+  })
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const user = getCurrentUser()
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: value })
+    setError('')
+    setSuccess('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (formData.new_password !== formData.confirm_password) {
+      setError('New password and confirmation do not match')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await axios.put('/api/users/me/password', {
+        current_password: formData.current_password,
+        new_password: formData.new_password
+      })
+      setSuccess(response.data.message)
+      setFormData({ current_password: '', new_password: '', confirm_password: '' })
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change password')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="change-password-page">
+      <DepartmentHeader
+        title="My Account"
+        subtitle={`${user.user_name || 'User'} • ${ROLE_LABELS[user.role] || 'User'}`}
+      />
+
+      <div className="form-container change-password-card">
+        <h3>🔑 Change Password</h3>
+
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Current Password *</label>
+            <input
+              type="password"
+              name="current_password"
+              value={formData.current_password}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>New Password *</label>
+            <input
+              type="password"
+              name="new_password"
+              value={formData.new_password}
+              onChange={handleInputChange}
+              placeholder="At least 6 characters"
+              minLength="6"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Confirm New Password *</label>
+            <input
+              type="password"
+              name="confirm_password"
+              value={formData.confirm_password}
+              onChange={handleInputChange}
+              minLength="6"
+              required
+            />
+          </div>
+
+          {error && <div className="alert alert-danger">{error}</div>}
+          {success && <div className="alert alert-success">✅ {success}</div>}
+
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ChangePassword
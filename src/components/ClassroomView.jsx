@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { hasPermission } from '../auth'
+import { downloadFile, downloadErrorMessage } from '../download'
+import { useDepartmentCalendar, calendarHours, toMinutes, WEEK_DAYS } from '../calendar'
 import './ClassroomView.css'
 
 /**
@@ -18,18 +21,20 @@ function ClassroomView() {
   const [selectedClassroom, setSelectedClassroom] = useState(null)
   const [semType, setSemType] = useState('odd')
   const [academicYear, setAcademicYear] = useState('2025-2026')
+  const [source, setSource] = useState('published') // 'published' copy or working 'draft'
   const [schedule, setSchedule] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [exporting, setExporting] = useState(false)
 
-  const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-  const TIME_SLOTS = [
-    '08:00', '09:00', '10:00', '11:00', '12:00',
-    '13:00', '14:00', '15:00', '16:00'
-  ]
+  // Days and hour columns come from the department calendar of the academic year
+  const calendar = useDepartmentCalendar(academicYear)
+  const DAYS = calendar.working_days
+  const TIME_SLOTS = calendarHours(calendar)
   const SLOTS_PER_HOUR = 2
   const SLOT_DURATION_MINUTES = 60 / SLOTS_PER_HOUR
-  const GRID_START_HOUR = 8
+  const GRID_START_MINUTES = toMinutes(TIME_SLOTS[0])
+  const DAY_HOURS = (toMinutes(calendar.day_end) - toMinutes(calendar.day_start)) / 60
 
   // Helper: Format time slot with end time (1-hour blocks) - Compact format
   const formatTimeSlot = (startTime24) => {
@@ -59,7 +64,7 @@ function ClassroomView() {
       setError(null)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedClassroom, semType, academicYear])
+  }, [selectedClassroom, semType, academicYear, source])
 
   const fetchClassrooms = async () => {
     try {
@@ -93,7 +98,8 @@ function ClassroomView() {
       const response = await axios.get('http://localhost:5000/api/timetables', {
         params: {
           sem_type: semType,
-          academic_year: academicYear
+          academic_year: academicYear,
+          source
         }
       })
 
@@ -124,10 +130,9 @@ function ClassroomView() {
         }
 
         // Sort by day and time
-        const dayOrder = { Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5 }
         classroomSchedule.sort((a, b) => {
-          if (dayOrder[a.day] !== dayOrder[b.day]) {
-            return dayOrder[a.day] - dayOrder[b.day]
+          if (a.day !== b.day) {
+            return WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day)
           }
           return a.start_time.localeCompare(b.start_time)
         })
@@ -159,8 +164,7 @@ function ClassroomView() {
     const hour = parseInt(hourStr)
     const minutes = parseInt(minuteStr)
     const totalMinutes = hour * 60 + minutes
-    const startMinutes = GRID_START_HOUR * 60
-    const offset = Math.max(0, totalMinutes - startMinutes)
+    const offset = Math.max(0, totalMinutes - GRID_START_MINUTES)
     return Math.round(offset / SLOT_DURATION_MINUTES)
   }
 
@@ -177,7 +181,7 @@ function ClassroomView() {
     })
 
     schedule.forEach(cls => {
-      grid[cls.day].push(cls)
+      grid[cls.day]?.push(cls) // skip days no longer in the calendar
     })
 
     // Sort each day by start time
@@ -203,20 +207,37 @@ function ClassroomView() {
       utilizationByDay[day] = {
         classes: dayClasses.length,
         hours: dayHours,
-        percentage: Math.round((dayHours / 9) * 100) // 9 hours available (8 AM - 5 PM)
+        percentage: Math.round((dayHours / DAY_HOURS) * 100) // share of the calendar's working day
       }
     })
 
     return {
       totalClasses,
       totalHours,
-      averagePerDay: (totalClasses / 5).toFixed(1),
+      averagePerDay: (totalClasses / DAYS.length).toFixed(1),
       utilizationByDay
     }
   }
 
   const statistics = schedule.length > 0 ? calculateStatistics() : null
 
+  const handleDownloadPdf = async () => {
+    setExporting(true)
+    try {
+      await downloadFile('/api/timetables/export.pdf', {
+        view: 'classroom',
+        id: selectedClassroom,
+        sem_type: semType,
+        academic_year: academicYear,
+        source
+      }, 'classroom-timetable.pdf')
+    } catch (err) {
+      alert(`❌ ${await downloadErrorMessage(err, 'Failed to export PDF')}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   return (
     <div className="classroom-view-container">
       <DepartmentHeader 
@@ -269,6 +290,30 @@ function ClassroomView() {
           </select>
         </div>
 
+        {hasPermission('timetable:edit') && (
+          <div className="classroom-control-item">
+            <label>Version:</label>
+            <select
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="classroom-control-dropdown"
+            >
+              <option value="published">📢 Published</option>
+              <option value="draft">📝 Working draft</option>
+            </select>
+          </div>
+        )}
+
+        {selectedClassroom && (
+          <button
+            className="classroom-export-btn"
+            onClick={handleDownloadPdf}
+            disabled={exporting}
+          >
+            {exporting ? '⏳ Exporting...' : '📄 Download PDF'}
+          </button>
+        )}
+
         {loading && (
           <div className="classroom-loading-badge">
             Loading...
@@ -286,7 +331,10 @@ function ClassroomView() {
       {/* Schedule Display - Grid View */}
       {schedule.length > 0 && (
         <div className="classroom-schedule-panel">
-          <div className="classroom-timetable-grid">
+          <div
+            className="classroom-timetable-grid"
+            style={{ '--classroom-total-columns': TIME_SLOTS.length * SLOTS_PER_HOUR }}
+          >
             {/* Header Row with Time Slots */}
             <div className="classroom-grid-header">
               <div className="classroom-corner-label">Day/Time</div>
@@ -1,12 +1,17 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Outlet, NavLink, useNavigate } from 'react-router-dom'
+import axios from 'axios'
+import { getCurrentUser, clearSession, getSessionTimeLeft, redirectToLogin, hasPermission, ROLE_LABELS } from '../auth'
 import './Dashboard.css'
 
+// Largest delay setTimeout accepts (2^31 - 1 ms, about 24.8 days)
+const MAX_TIMEOUT_MS = 2147483647
+
 /**
  * Dashboard Layout Component
- * - Sidebar navigation
+ * - Sidebar navigation (editing pages hidden for roles without permission)
  * - User info display
- * - Logout functionality
+ * - Logout functionality (manual and on session expiry)
  * - Nested routes via <Outlet />
  */
 function Dashboard() {
@@ -14,11 +19,31 @@ function Dashboard() {
   const navigate = useNavigate()
 
   // Get user from localStorage
-  const user = JSON.parse(localStorage.getItem('user') || '{}')
+  const user = getCurrentUser()
+
+  // Log out automatically when the session token expires
+  // (long sessions are waited out in steps - setTimeout fires at once past MAX_TIMEOUT_MS)
+  useEffect(() => {
+    let timer
+    const schedule = () => {
+      const timeLeft = getSessionTimeLeft()
+      if (timeLeft > MAX_TIMEOUT_MS) {
+        timer = setTimeout(schedule, MAX_TIMEOUT_MS)
+      } else {
+        timer = setTimeout(() => redirectToLogin('Session expired, please log in again'), timeLeft)
+      }
+    }
+    schedule()
+    return () => clearTimeout(timer)
+  }, [])
 
-  const handleLogout = () => {
-    localStorage.removeItem('user')
-    localStorage.removeItem('isAuthenticated')
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout')
+    } catch {
+      // Token may already be invalid - logging out locally is enough
+    }
+    clearSession()
     navigate('/')
   }
 
@@ -44,66 +69,98 @@ function Dashboard() {
           {sidebarOpen && (
             <div className="user-details">
               <p className="user-name">{user.user_name || 'User'}</p>
-              <p className="user-role">Administrator</p>
+              <p className="user-role">{ROLE_LABELS[user.role] || 'User'}</p>
             </div>
           )}
         </div>
 
         <nav className="sidebar-nav">
+          {user.teacher_id && (
+            <div className="nav-section">
+              <p className="nav-title">{sidebarOpen ? 'My Schedule' : 'ME'}</p>
+              <NavLink to="/dashboard/my-timetable" className="nav-link">
+                <span className="nav-icon">📅</span>
+                {sidebarOpen && <span>My Timetable</span>}
+              </NavLink>
+            </div>
+          )}
+
           <div className="nav-section">
             <p className="nav-title">{sidebarOpen ? 'Phase 1: Master Data' : 'P1'}</p>
             <NavLink to="/dashboard" end className="nav-link">
               <span className="nav-icon">🏠</span>
               {sidebarOpen && <span>Home</span>}
             </NavLink>
-            <NavLink to="/dashboard/teachers" className="nav-link">
-              <span className="nav-icon">👨‍🏫</span>
-              {sidebarOpen && <span>Teachers</span>}
-            </NavLink>
-            <NavLink to="/dashboard/subjects" className="nav-link">
-              <span className="nav-icon">📚</span>
-              {sidebarOpen && <span>Subjects</span>}
-            </NavLink>
-            <NavLink to="/dashboard/labs" className="nav-link">
-              <span className="nav-icon">🔬</span>
-              {sidebarOpen && <span>Labs</span>}
-            </NavLink>
-            <NavLink to="/dashboard/sections" className="nav-link">
-              <span className="nav-icon">👥</span>
-              {sidebarOpen && <span>Sections</span>}
-            </NavLink>
-            <NavLink to="/dashboard/classrooms" className="nav-link">
-              <span className="nav-icon">🏫</span>
-              {sidebarOpen && <span>Classrooms</span>}
-            </NavLink>
-            <NavLink to="/dashboard/dept-labs" className="nav-link">
-              <span className="nav-icon">🧪</span>
-              {sidebarOpen && <span>Lab Rooms</span>}
-            </NavLink>
+            {hasPermission('master:edit') && (
+              <>
+                <NavLink to="/dashboard/teachers" className="nav-link">
+                  <span className="nav-icon">👨‍🏫</span>
+                  {sidebarOpen && <span>Teachers</span>}
+                </NavLink>
+                <NavLink to="/dashboard/subjects" className="nav-link">
+                  <span className="nav-icon">📚</span>
+                  {sidebarOpen && <span>Subjects</span>}
+                </NavLink>
+                <NavLink to="/dashboard/labs" className="nav-link">
+                  <span className="nav-icon">🔬</span>
+                  {sidebarOpen && <span>Labs</span>}
+                </NavLink>
+                <NavLink to="/dashboard/sections" className="nav-link">
+                  <span className="nav-icon">👥</span>
+                  {sidebarOpen && <span>Sections</span>}
+                </NavLink>
+                <NavLink to="/dashboard/classrooms" className="nav-link">
+                  <span className="nav-icon">🏫</span>
+                  {sidebarOpen && <span>Classrooms</span>}
+                </NavLink>
+                <NavLink to="/dashboard/dept-labs" className="nav-link">
+                  <span className="nav-icon">🧪</span>
+                  {sidebarOpen && <span>Lab Rooms</span>}
+                </NavLink>
+                <NavLink to="/dashboard/import" className="nav-link">
+                  <span className="nav-icon">📥</span>
+                  {sidebarOpen && <span>Import Data</span>}
+                </NavLink>
+                <NavLink to="/dashboard/calendar" className="nav-link">
+                  <span className="nav-icon">🗓️</span>
+                  {sidebarOpen && <span>Calendar</span>}
+                </NavLink>
+                <NavLink to="/dashboard/scheduling-rules" className="nav-link">
+                  <span className="nav-icon">📏</span>
+                  {sidebarOpen && <span>Scheduling Rules</span>}
+                </NavLink>
+              </>
+            )}
           </div>
 
-          <div className="nav-section">
-            <p className="nav-title">{sidebarOpen ? 'Phase 2: Pre-Assignments' : 'P2'}</p>
-            <NavLink to="/dashboard/teacher-assignments" className="nav-link">
-              <span className="nav-icon">📝</span>
-              {sidebarOpen && <span>Subject Assign</span>}
-            </NavLink>
-          </div>
+          {hasPermission('assignments:edit') && (
+            <div className="nav-section">
+              <p className="nav-title">{sidebarOpen ? 'Phase 2: Pre-Assignments' : 'P2'}</p>
+              <NavLink to="/dashboard/teacher-assignments" className="nav-link">
+                <span className="nav-icon">📝</span>
+                {sidebarOpen && <span>Subject Assign</span>}
+              </NavLink>
+            </div>
+          )}
 
           <div className="nav-section">
             <p className="nav-title">{sidebarOpen ? 'Phase 3: Generate' : 'P3'}</p>
-            <NavLink to="/dashboard/generate" className="nav-link">
-              <span className="nav-icon">⚡</span>
-              {sidebarOpen && <span>Generate TT</span>}
-            </NavLink>
+            {hasPermission('timetable:generate') && (
+              <NavLink to="/dashboard/generate" className="nav-link">
+                <span className="nav-icon">⚡</span>
+                {sidebarOpen && <span>Generate TT</span>}
+              </NavLink>
+            )}
             <NavLink to="/dashboard/view" className="nav-link">
               <span className="nav-icon">👁️</span>
               {sidebarOpen && <span>View TT</span>}
             </NavLink>
-            <NavLink to="/dashboard/editor" className="nav-link">
-              <span className="nav-icon">✏️</span>
-              {sidebarOpen && <span>Edit TT</span>}
-            </NavLink>
+            {hasPermission('timetable:edit') && (
+              <NavLink to="/dashboard/editor" className="nav-link">
+                <span className="nav-icon">✏️</span>
+                {sidebarOpen && <span>Edit TT</span>}
+              </NavLink>
+            )}
             <NavLink to="/dashboard/teacher-view" className="nav-link">
               <span className="nav-icon">👨‍🏫</span>
               {sidebarOpen && <span>Teacher View</span>}
@@ -117,6 +174,26 @@ function Dashboard() {
               {sidebarOpen && <span>Classroom View</span>}
             </NavLink>
           </div>
+
+          <div className="nav-section">
+            <p className="nav-title">{sidebarOpen ? 'Account' : 'AC'}</p>
+            {hasPermission('users:manage') && (
+              <NavLink to="/dashboard/users" className="nav-link">
+                <span className="nav-icon">👥</span>
+                {sidebarOpen && <span>Users</span>}
+              </NavLink>
+            )}
+            {hasPermission('audit:view') && (
+              <NavLink to="/dashboard/audit-log" className="nav-link">
+                <span className="nav-icon">📜</span>
+                {sidebarOpen && <span>Audit Log</span>}
+              </NavLink>
+            )}
+            <NavLink to="/dashboard/account" className="nav-link">
+              <span className="nav-icon">🔑</span>
+              {sidebarOpen && <span>Change Password</span>}
+            </NavLink>
+          </div>
         </nav>
 
         <button className="logout-btn" onClick={handleLogout}>
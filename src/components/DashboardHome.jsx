@@ -1,11 +1,20 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
+import { WEEK_DAYS, useDepartmentCalendar } from '../calendar'
 import './DashboardHome.css'
 
+// "Monday - Friday" for a run of consecutive days, otherwise the days listed
+const formatWorkingDays = (days) => {
+  const indexes = days.map(day => WEEK_DAYS.indexOf(day))
+  const consecutive = indexes.every((index, i) => i === 0 || index === indexes[i - 1] + 1)
+  return consecutive && days.length > 2 ? `${days[0]} - ${days[days.length - 1]}` : days.join(', ')
+}
+
 /**
  * Dashboard Home/Overview Component
  * - Shows count of all master data
  * - Quick stats for Phase 1 completion
+ * - Fitness score of the latest generated run per semester type
  * - Links to add new data
  */
 function DashboardHome() {
@@ -24,9 +33,14 @@ function DashboardHome() {
     oddSemTimetables: 0,
     evenSemTimetables: 0,
     recentGenerations: [],
+    fitness: [],
     loading: true
   })
 
+  // Working week of the latest scored year (the pages' default year until a run exists)
+  const calendarYear = timetableStats.fitness[0]?.academic_year || '2025-2026'
+  const calendar = useDepartmentCalendar(calendarYear)
+
   useEffect(() => {
     fetchStats()
     fetchTimetableStats()
@@ -76,6 +90,7 @@ function DashboardHome() {
         oddSemTimetables: response.data.oddSemTimetables || 0,
         evenSemTimetables: response.data.evenSemTimetables || 0,
         recentGenerations: response.data.recentGenerations || [],
+        fitness: response.data.fitness || [],
         loading: false
       })
     } catch (error) {
@@ -157,6 +172,37 @@ function DashboardHome() {
       <div className="section">
         
         <div className="overview-grid">
+          <div className="overview-card">
+            <div className="overview-header">
+              <h3>Timetable Quality</h3>
+            </div>
+            <div className="overview-content">
+              {timetableStats.fitness.length === 0 ? (
+                <div className="overview-item">
+                  <span className="label">Fitness Score:</span>
+                  <span className="value">Not scored yet (run Step 7)</span>
+                </div>
+              ) : timetableStats.fitness.map(entry => (
+                <div key={entry.sem_type}>
+                  <div className="overview-item">
+                    <span className="label">{entry.sem_type === 'odd' ? 'Odd' : 'Even'} Sem {entry.academic_year}:</span>
+                    <span className={`value ${entry.run.hard_violations === 0 ? 'success' : ''}`}>
+                      {entry.run.fitness_score}/100 ({entry.run.hard_violations} hard violations)
+                    </span>
+                  </div>
+                  {entry.sections.length > 0 && (
+                    <div className="overview-item">
+                      <span className="label">Weakest Section:</span>
+                      <span className="value">
+                        {entry.sections[0].section_name} ({entry.sections[0].fitness_score ?? '—'}/100)
+                      </span>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
           <div className="overview-card">
             <div className="overview-header">
               <h3>Algorithm Performance</h3>
@@ -200,7 +246,9 @@ function DashboardHome() {
               </div>
               <div className="overview-item">
                 <span className="label">Working Days:</span>
-                <span className="value">Monday - Friday (8AM - 5PM)</span>
+                <span className="value">
+                  {formatWorkingDays(calendar.working_days)} ({calendar.day_start} - {calendar.day_end})
+                </span>
               </div>
             </div>
           </div>
@@ -0,0 +1,263 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import { hasPermission } from '../auth'
+import { DEFAULT_CALENDAR, WEEK_DAYS } from '../calendar'
+import './DepartmentCalendar.css'
+
+/**
+ * Department Calendar Page
+ * - Working days (Saturday optional), day start/end, period length and daily breaks
+ * - One calendar per academic year; years without one use the defaults
+ * - Generation, exports and all timetable grids read the calendar of their year
+ */
+
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{4}$/
+
+const toFormData = (calendar) => ({
+  working_days: [...calendar.working_days],
+  day_start: calendar.day_start,
+  day_end: calendar.day_end,
+  period_minutes: calendar.period_minutes,
+  breaks: calendar.breaks.map(b => ({ ...b }))
+})
+
+function DepartmentCalendar() {
+  const [academicYear, setAcademicYear] = useState('2025-2026')
+  const [calendar, setCalendar] = useState(null) // effective calendar from the server
+  const [formData, setFormData] = useState(toFormData(DEFAULT_CALENDAR))
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const fetchCalendar = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/calendar/effective', {
+        params: { academic_year: academicYear }
+      })
+      setCalendar(response.data.data)
+      setFormData(toFormData(response.data.data))
+    } catch (err) {
+      console.error('Error fetching calendar:', err)
+      setError('Failed to load the calendar')
+    } finally {
+      setLoading(false)
+    }
+  }, [academicYear])
+
+  // Only load complete years - not every keystroke while "2025-2026" is being typed
+  useEffect(() => {
+    if (ACADEMIC_YEAR_PATTERN.test(academicYear)) fetchCalendar()
+  }, [academicYear, fetchCalendar])
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target
+    setFormData({ ...formData, [name]: name === 'period_minutes' ? Number(value) : value })
+  }
+
+  const toggleDay = (day) => {
+    const working_days = formData.working_days.includes(day)
+      ? formData.working_days.filter(d => d !== day)
+      : WEEK_DAYS.filter(d => d === day || formData.working_days.includes(d))
+    setFormData({ ...formData, working_days })
+  }
+
+  const addBreak = () => {
+    setFormData({
+      ...formData,
+      breaks: [...formData.breaks, { start_time: '', end_time: '', label: 'Break' }]
+    })
+  }
+
+  const updateBreak = (index, field, value) => {
+    setFormData({
+      ...formData,
+      breaks: formData.breaks.map((b, i) => (i === index ? { ...b, [field]: value } : b))
+    })
+  }
+
+  const removeBreak = (index) => {
+    setFormData({ ...formData, breaks: formData.breaks.filter((_, i) => i !== index) })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    if (formData.working_days.length === 0) {
+      setError('Select at least one working day')
+      return
+    }
+    if (formData.day_start >= formData.day_end) {
+      setError('The day must end after it starts')
+      return
+    }
+    if (formData.breaks.some(b => !b.start_time || !b.end_time || b.start_time >= b.end_time)) {
+      setError('Each break needs a start and an end time, and must end after it starts')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = calendar?.is_default
+        ? await axios.post('/api/calendar', { academic_year: academicYear, ...formData })
+        : await axios.put(`/api/calendar/${calendar._id}`, formData)
+      setSuccess(response.data.message)
+      fetchCalendar()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the calendar')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReset = async () => {
+    if (!window.confirm(`Remove the calendar of ${academicYear}? The default week applies again.`)) return
+
+    setError('')
+    setSuccess('')
+    try {
+      const response = await axios.delete(`/api/calendar/${calendar._id}`)
+      setSuccess(response.data.message)
+      fetchCalendar()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove the calendar')
+    }
+  }
+
+  const formatTime = (time24) => {
+    const [hours, minutes] = time24.split(':').map(Number)
+    const period = hours >= 12 ? 'PM' : 'AM'
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${period}`
+  }
+
+  return (
+    <div className="calendar-page">
+      <DepartmentHeader
+        title="Department Calendar"
+        subtitle="Working days, hours, period length and breaks used for timetable generation"
+      />
+
+      <div className="calendar-card">
+        <div className="calendar-field">
+          <label>Academic Year</label>
+          <input
+            type="text"
+            value={academicYear}
+            onChange={(e) => setAcademicYear(e.target.value)}
+            placeholder="e.g., 2025-2026"
+          />
+        </div>
+        {calendar && (
+          <p className="calendar-muted">
+            {calendar.is_default
+              ? '📋 No calendar saved for this year - the default week is used.'
+              : `✅ Saved calendar${calendar.updated_by ? ` (last updated by ${calendar.updated_by})` : ''}.`}
+            {' '}Regenerate timetables after changing the calendar.
+          </p>
+        )}
+      </div>
+
+      {error && <div className="calendar-error">{error}</div>}
+      {success && <div className="calendar-success">✅ {success}</div>}
+
+      {loading ? (
+        <div className="calendar-card calendar-muted">Loading calendar...</div>
+      ) : (
+        <form className="calendar-card" onSubmit={handleSubmit}>
+          <h3>Working Days</h3>
+          <div className="calendar-days">
+            {WEEK_DAYS.map(day => (
+              <label key={day} className="calendar-day">
+                <input
+                  type="checkbox"
+                  checked={formData.working_days.includes(day)}
+                  onChange={() => toggleDay(day)}
+                />
+                {day}
+              </label>
+            ))}
+          </div>
+
+          <h3>Hours</h3>
+          <div className="calendar-controls">
+            <div className="calendar-field">
+              <label>Day Starts</label>
+              <input type="time" name="day_start" value={formData.day_start} onChange={handleInputChange} required />
+            </div>
+            <div className="calendar-field">
+              <label>Day Ends</label>
+              <input type="time" name="day_end" value={formData.day_end} onChange={handleInputChange} required />
+            </div>
+            <div className="calendar-field">
+              <label>Period Length (minutes)</label>
+              <input
+                type="number"
+                name="period_minutes"
+                min="30"
+                max="120"
+                step="5"
+                value={formData.period_minutes}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+          </div>
+
+          <h3>Daily Breaks</h3>
+          {formData.breaks.length === 0 && (
+            <p className="calendar-muted">No breaks - periods run back to back.</p>
+          )}
+          {formData.breaks.map((b, index) => (
+            <div key={index} className="calendar-break-row">
+              <input type="time" value={b.start_time} onChange={(e) => updateBreak(index, 'start_time', e.target.value)} />
+              <span>to</span>
+              <input type="time" value={b.end_time} onChange={(e) => updateBreak(index, 'end_time', e.target.value)} />
+              <input
+                type="text"
+                value={b.label}
+                onChange={(e) => updateBreak(index, 'label', e.target.value)}
+                placeholder="Label (e.g., Lunch)"
+              />
+              <button type="button" className="btn btn-danger calendar-small-btn" onClick={() => removeBreak(index)}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn btn-secondary calendar-small-btn" onClick={addBreak}>
+            + Add Break
+          </button>
+
+          {calendar?.periods && (
+            <>
+              <h3>Theory Periods <span className="calendar-muted">(as last saved)</span></h3>
+              <div className="calendar-periods">
+                {calendar.periods.map(p => (
+                  <span key={p.start} className="calendar-period">
+                    {formatTime(p.start)} - {formatTime(p.end)}
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div className="calendar-actions">
+            {calendar && !calendar.is_default && hasPermission('master:delete') && (
+              <button type="button" className="btn btn-secondary" onClick={handleReset}>
+                Reset to Defaults
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Calendar'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default DepartmentCalendar
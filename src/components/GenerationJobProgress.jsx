@@ -0,0 +1,188 @@
+import { useState, useEffect, useRef } from 'react'
+import axios from 'axios'
+import { hasPermission } from '../auth'
+import { streamEvents } from '../eventStream'
+import './GenerationJobProgress.css'
+
+/**
+ * Generation Job Progress (used on the Timetable Generator page)
+ * - Live timeline of a background generation job (POST /api/timetables/jobs)
+ * - Follows GET /api/timetables/jobs/:id/events: step changes + the steps' log lines
+ * - Cancel stops a job that has not started yet at once, a running one after its current step
+ * - onFinished(job) is called once the job is completed, failed or cancelled
+ */
+
+const STEP_ICONS = {
+  pending: '⚪',
+  running: '⏳',
+  completed: '✅',
+  failed: '❌',
+  cancelled: '⛔',
+  skipped: '⏭️'
+}
+
+const STATUS_LABELS = {
+  queued: '🕒 Starting',
+  running: '⚙️ Running',
+  completed: '✅ Completed',
+  failed: '❌ Failed',
+  cancelled: '⛔ Cancelled'
+}
+
+const MAX_VISIBLE_LOG_LINES = 1000 // The full log stays on the server (GET /jobs/:id)
+const LOG_FLUSH_MS = 250           // Steps print bursts of lines - render them in batches
+
+const formatDuration = (from, to) => {
+  if (!from) return ''
+  const seconds = Math.round((new Date(to || Date.now()) - new Date(from)) / 1000)
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`
+}
+
+function GenerationJobProgress({ jobId, onFinished }) {
+  const [job, setJob] = useState(null)
+  const [logs, setLogs] = useState([])
+  const [showLog, setShowLog] = useState(true)
+  const [error, setError] = useState('')
+  const pendingLogs = useRef([])
+  const logRef = useRef(null)
+  const onFinishedRef = useRef(onFinished)
+
+  useEffect(() => {
+    onFinishedRef.current = onFinished
+  }, [onFinished])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    pendingLogs.current = []
+    setJob(null)
+    setLogs([])
+    setError('')
+
+    const flush = setInterval(() => {
+      if (pendingLogs.current.length === 0) return
+      const lines = pendingLogs.current
+      pendingLogs.current = []
+      setLogs(prev => [...prev, ...lines].slice(-MAX_VISIBLE_LOG_LINES))
+    }, LOG_FLUSH_MS)
+
+    streamEvents(`/api/timetables/jobs/${jobId}/events`, (event, data) => {
+      if (event === 'snapshot') {
+        setJob(data)
+        setLogs((data.logs || []).slice(-MAX_VISIBLE_LOG_LINES))
+      } else if (event === 'status') {
+        setJob(prev => prev && { ...prev, ...data })
+      } else if (event === 'step') {
+        setJob(prev => prev && {
+          ...prev,
+          current_step: data.status === 'running' ? data.step : prev.current_step,
+          steps: prev.steps.map(entry => (entry.step === data.step ? data : entry))
+        })
+      } else if (event === 'log') {
+        pendingLogs.current.push(data)
+      } else if (event === 'done') {
+        setJob(data)
+        onFinishedRef.current?.(data)
+      }
+    }, controller.signal).catch(err => {
+      console.error('Error following generation job:', err)
+      setError(err.message || 'Lost connection to the generation job')
+    })
+
+    return () => {
+      controller.abort()
+      clearInterval(flush)
+    }
+  }, [jobId])
+
+  // Keep the newest line in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight
+  }, [logs, showLog])
+
+  const handleCancel = async () => {
+    if (!confirm('Cancel this generation? A running step finishes first; finished steps are kept.')) return
+
+    try {
+      const response = await axios.post(`/api/timetables/jobs/${jobId}/cancel`)
+      setJob(prev => prev && { ...prev, cancel_requested: true })
+      alert(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel the generation job')
+    }
+  }
+
+  if (!job) {
+    return (
+      <div className="job-progress-section">
+        {error ? <div className="job-progress-error">{error}</div> : <p className="job-progress-muted">Connecting to generation job...</p>}
+      </div>
+    )
+  }
+
+  const active = job.status === 'queued' || job.status === 'running'
+
+  return (
+    <div className={`job-progress-section job-${job.status}`}>
+      <div className="job-progress-header">
+        <div>
+          <h3>⚡ Generation Job - {job.sem_type} semester {job.academic_year}</h3>
+          <p className="job-progress-muted">
+            {STATUS_LABELS[job.status]}
+            {job.cancel_requested && active && ' • cancelling after the current step'}
+            {' • '}seed #{job.seed}
+            {job.created_by && ` • started by ${job.created_by}`}
+            {job.started_at && ` • ${formatDuration(job.started_at, job.finished_at)}`}
+          </p>
+        </div>
+        {active && hasPermission('timetable:generate') && (
+          <button className="job-progress-btn danger" onClick={handleCancel} disabled={job.cancel_requested}>
+            {job.cancel_requested ? '⏳ Cancelling...' : '✕ Cancel'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="job-progress-error">{error}</div>}
+      {job.error && <div className="job-progress-error">❌ {job.error}</div>}
+
+      <ol className="job-progress-steps">
+        {job.steps.map(entry => (
+          <li key={entry.step} className={`job-progress-step ${entry.status}`}>
+            <span className="job-progress-icon">{STEP_ICONS[entry.status]}</span>
+            <span className="job-progress-step-name">Step {entry.step}: {entry.name}</span>
+            {entry.started_at && (
+              <span className="job-progress-muted">{formatDuration(entry.started_at, entry.finished_at)}</span>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {job.result?.sections_count != null && (
+        <p className="job-progress-result">
+          ✅ {job.result.sections_count} sections generated in {(job.result.generation_time_ms / 1000).toFixed(1)}s
+          {job.result.fitness && ` • 📈 fitness ${job.result.fitness.fitness_score}/100`}
+          {job.result.warnings?.length > 0 && ` • ⚠️ ${job.result.warnings.length} warning(s)`}
+        </p>
+      )}
+      {job.result?.solver && (
+        <p className="job-progress-muted">
+          🧩 Constraint solver: {job.result.solver.status} • {job.result.solver.variables} variables • {job.result.solver.nodes} nodes • {job.result.solver.backtracks} backtracks • {(job.result.solver.time_ms / 1000).toFixed(1)}s
+          {job.result.solver.bottlenecks?.length > 0 && ` • hardest: ${job.result.solver.bottlenecks.join('; ')}`}
+        </p>
+      )}
+
+      <button className="job-progress-btn secondary" onClick={() => setShowLog(!showLog)}>
+        {showLog ? '▾ Hide log' : `▸ Show log (${logs.length} lines)`}
+      </button>
+      {showLog && (
+        <div className="job-progress-log" ref={logRef}>
+          {logs.length === 0 && <div className="job-progress-muted">No output yet</div>}
+          {logs.map((line, index) => (
+            <div key={index} className={`job-progress-log-line ${line.level}`}>{line.message}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GenerationJobProgress
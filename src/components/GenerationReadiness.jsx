@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import './GenerationReadiness.css'
+
+/**
+ * Generation Readiness Panel (used on the Timetable Generator page)
+ * Checks the semester's master data before anything runs: lab rooms and teachers per lab,
+ * lab room capacity, theory periods per section, teacher hours, teacher lab limits
+ * (GET /api/timetables/feasibility - read-only)
+ */
+
+const STATUS_ICONS = {
+  ok: '✅',
+  warning: '⚠️',
+  error: '❌'
+}
+
+function GenerationReadiness({ semType, academicYear }) {
+  const [report, setReport] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchReport = useCallback(async () => {
+    setChecking(true)
+    setError('')
+    try {
+      const response = await axios.get('/api/timetables/feasibility', {
+        params: {
+          sem_type: semType,
+          academic_year: academicYear
+        }
+      })
+      setReport(response.data.data)
+    } catch (err) {
+      console.error('Error checking generation feasibility:', err)
+      setReport(null)
+      setError(err.response?.data?.message || 'Failed to check generation feasibility')
+    } finally {
+      setChecking(false)
+    }
+  }, [semType, academicYear])
+
+  useEffect(() => {
+    fetchReport()
+  }, [fetchReport])
+
+  const status = report ? (report.errors > 0 ? 'error' : report.warnings > 0 ? 'warning' : 'ok') : 'unknown'
+
+  return (
+    <div className={`readiness-section readiness-${status}`}>
+      <div className="readiness-header">
+        <div>
+          <h3>🩺 Readiness Check</h3>
+          <p className="readiness-description">
+            {!report && !error && 'Checking lab rooms, teachers and periods against what this semester needs...'}
+            {report && report.errors > 0 && `${report.errors} problem(s) will stop generation - fix the master data first.`}
+            {report && report.errors === 0 && report.warnings > 0 && `Ready to generate, with ${report.warnings} warning(s).`}
+            {report && report.errors === 0 && report.warnings === 0 && 'Ready to generate - enough rooms, teachers and periods.'}
+          </p>
+          {report && (
+            <p className="readiness-meta">
+              {report.sections} sections • checked {new Date(report.checked_at).toLocaleTimeString()}
+            </p>
+          )}
+        </div>
+        <button className="readiness-btn" onClick={fetchReport} disabled={checking}>
+          {checking ? '⏳ Checking...' : '🔄 Re-check'}
+        </button>
+      </div>
+
+      {error && <div className="readiness-error">{error}</div>}
+
+      {report && (
+        <ul className="readiness-checks">
+          {report.checks.map(check => (
+            <li key={check.key} className={`readiness-check check-${check.status}`}>
+              <div className="readiness-check-title">
+                <span>{STATUS_ICONS[check.status]} <strong>{check.title}</strong></span>
+                <span className="readiness-meta">{check.summary}</span>
+              </div>
+              {check.issues.length > 0 && (
+                <details open={check.status === 'error'}>
+                  <summary>{check.issues.length} issue(s)</summary>
+                  <ul className="readiness-issues">
+                    {check.issues.map((issue, index) => (
+                      <li key={index} className={`issue-${issue.severity}`}>
+                        {STATUS_ICONS[issue.severity]} {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default GenerationReadiness
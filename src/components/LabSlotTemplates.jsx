@@ -0,0 +1,245 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import { hasPermission } from '../auth'
+import './LabSlotTemplates.css'
+
+/**
+ * Lab Slot Templates (used on the Timetable Generator page)
+ * - Windows in which Step 3 may place lab sessions, per semester of the selected sem_type
+ * - "All semesters" template applies to semesters without their own
+ * - Semesters without any template use the default slots
+ * - Session length = the semester's longest lab (Labs page → duration)
+ */
+
+const SEMESTERS = {
+  odd: [3, 5, 7],
+  even: [4, 6, 8]
+}
+
+// Where a semester's windows come from
+const SOURCE_LABELS = {
+  own: 'own template',
+  all: 'all-semester template',
+  default: 'default slots'
+}
+
+const addHours = (time, hours) => {
+  const [h, m] = time.split(':').map(Number)
+  const total = h * 60 + m + hours * 60
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
+
+function LabSlotTemplates({ semType, disabled }) {
+  const [templates, setTemplates] = useState([])
+  const [defaultStartTimes, setDefaultStartTimes] = useState([])
+  const [sessionHours, setSessionHours] = useState({})
+  const [editing, setEditing] = useState(null) // { sem, template, slots, notes } while the editor is open
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const canEdit = hasPermission('timetable:generate')
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/lab-slot-templates', {
+        params: { sem_type: semType }
+      })
+      setTemplates(response.data.data || [])
+      setDefaultStartTimes(response.data.default_start_times || [])
+      setSessionHours(response.data.session_hours || {})
+    } catch (err) {
+      console.error('Error fetching lab slot templates:', err)
+    }
+  }, [semType])
+
+  useEffect(() => {
+    fetchTemplates()
+    setEditing(null)
+    setError('')
+  }, [fetchTemplates])
+
+  const ownTemplate = (sem) => templates.find(t => (t.sem ?? null) === sem)
+
+  // Windows Step 3 uses for a semester and where they come from
+  const effectiveWindows = (sem) => {
+    const template = ownTemplate(sem) || (sem !== null ? ownTemplate(null) : null)
+    if (template) {
+      return {
+        source: template.sem ? 'own' : 'all',
+        windows: template.slots.map(s => `${s.start_time}-${s.end_time}`)
+      }
+    }
+    const hours = (sem !== null && sessionHours[sem]) || 2
+    return {
+      source: 'default',
+      windows: defaultStartTimes.map(start => `${start}-${addHours(start, hours)}`)
+    }
+  }
+
+  const openEditor = (sem) => {
+    const template = ownTemplate(sem)
+    const hours = (sem !== null && sessionHours[sem]) || 2
+    setEditing({
+      sem,
+      template,
+      slots: template
+        ? template.slots.map(s => ({ ...s }))
+        : defaultStartTimes.map(start => ({ start_time: start, end_time: addHours(start, hours) })),
+      notes: template?.notes || ''
+    })
+    setError('')
+  }
+
+  const updateWindow = (index, field, value) => {
+    setEditing({
+      ...editing,
+      slots: editing.slots.map((s, i) => (i === index ? { ...s, [field]: value } : s))
+    })
+  }
+
+  const addWindow = () => {
+    setEditing({ ...editing, slots: [...editing.slots, { start_time: '', end_time: '' }] })
+  }
+
+  const removeWindow = (index) => {
+    setEditing({ ...editing, slots: editing.slots.filter((_, i) => i !== index) })
+  }
+
+  const handleSave = async () => {
+    if (editing.slots.length === 0) {
+      setError('Add at least one lab window')
+      return
+    }
+    if (editing.slots.some(s => !s.start_time || !s.end_time || s.start_time >= s.end_time)) {
+      setError('Each lab window needs a start and an end time, and must end after it starts')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      const body = { slots: editing.slots, notes: editing.notes }
+      if (editing.template) {
+        await axios.put(`/api/lab-slot-templates/${editing.template._id}`, body)
+      } else {
+        await axios.post('/api/lab-slot-templates', { sem_type: semType, sem: editing.sem, ...body })
+      }
+      setEditing(null)
+      fetchTemplates()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save lab slot template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReset = async (sem) => {
+    const template = ownTemplate(sem)
+    const label = sem === null ? `all ${semType} semesters` : `Semester ${sem}`
+    if (!confirm(`Remove the lab slot template of ${label}?`)) return
+
+    try {
+      await axios.delete(`/api/lab-slot-templates/${template._id}`)
+      if (editing?.sem === sem) setEditing(null)
+      fetchTemplates()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove lab slot template')
+    }
+  }
+
+  return (
+    <div className="lab-templates-section">
+      <h3>🧩 Lab Slot Templates</h3>
+      <p className="lab-templates-description">
+        Windows in which Step 3 may place lab sessions for each {semType} semester. A session starts at the
+        start of a window and lasts as long as the semester's longest lab - windows shorter than that are skipped.
+      </p>
+
+      {error && <div className="lab-templates-error">{error}</div>}
+
+      <table className="lab-templates-table">
+        <thead>
+          <tr>
+            <th>Semester</th>
+            <th>Session</th>
+            <th>Lab Windows</th>
+            {canEdit && <th>Actions</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {[null, ...SEMESTERS[semType]].map(sem => {
+            const { source, windows } = effectiveWindows(sem)
+            return (
+              <tr key={sem ?? 'all'}>
+                <td><strong>{sem === null ? 'All semesters' : `Sem ${sem}`}</strong></td>
+                <td>{sem === null ? '—' : `${sessionHours[sem] || 2}h`}</td>
+                <td>
+                  <div className="lab-template-windows">
+                    {windows.map(window => (
+                      <span key={window} className="lab-template-window">{window}</span>
+                    ))}
+                  </div>
+                  <span className={`lab-template-source ${source}`}>{SOURCE_LABELS[source]}</span>
+                  {ownTemplate(sem)?.notes && <span className="lab-template-notes"> • {ownTemplate(sem).notes}</span>}
+                </td>
+                {canEdit && (
+                  <td>
+                    <div className="lab-template-actions">
+                      <button className="lab-template-btn" onClick={() => openEditor(sem)} disabled={disabled}>
+                        ✏️ Edit
+                      </button>
+                      {ownTemplate(sem) && (
+                        <button className="lab-template-btn secondary" onClick={() => handleReset(sem)} disabled={disabled}>
+                          ↺ Reset
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                )}
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      {editing && (
+        <div className="lab-template-editor">
+          <h4>
+            {editing.sem === null ? `All ${semType} semesters` : `Semester ${editing.sem}`}
+            {editing.sem !== null && ` - ${sessionHours[editing.sem] || 2}-hour sessions`}
+          </h4>
+          {editing.slots.map((slot, index) => (
+            <div key={index} className="lab-template-row">
+              <input type="time" value={slot.start_time} onChange={(e) => updateWindow(index, 'start_time', e.target.value)} />
+              <span>to</span>
+              <input type="time" value={slot.end_time} onChange={(e) => updateWindow(index, 'end_time', e.target.value)} />
+              <button type="button" className="lab-template-btn danger" onClick={() => removeWindow(index)}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button type="button" className="lab-template-btn secondary" onClick={addWindow}>
+            + Add Window
+          </button>
+          <input
+            type="text"
+            className="lab-template-notes-input"
+            value={editing.notes}
+            onChange={(e) => setEditing({ ...editing, notes: e.target.value })}
+            placeholder="Notes (optional), e.g. Afternoon labs only"
+          />
+          <div className="lab-template-actions">
+            <button className="lab-template-btn secondary" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+            <button className="lab-template-btn" onClick={handleSave} disabled={saving || disabled}>
+              {saving ? '⏳ Saving...' : '💾 Save Template'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default LabSlotTemplates
@@ -6,7 +6,7 @@ import './Labs.css'
 /**
  * Labs Management Component
  * - Manage lab subjects
- * - Fixed 2-hour duration
+ * - Session duration (2 hours by default, e.g. 3 for project labs)
  * - Requires two teachers
  * - Filter by semester and type
  */
@@ -98,7 +98,7 @@ function Labs() {
       lab_name: lab.lab_name,
       lab_shortform: lab.lab_shortform,
       lab_sem: lab.lab_sem,
-      duration_hours: lab.duration_hours,
+      duration_hours: lab.duration_hours || 2,
       requires_two_teachers: lab.requires_two_teachers
     })
     setShowModal(true)
@@ -152,7 +152,7 @@ function Labs() {
     <div className="labs-page">
       <DepartmentHeader 
         title="Labs Management" 
-        subtitle="Manage laboratory subjects (2-hour duration, 2 teachers required)"
+        subtitle="Manage laboratory subjects (2-hour sessions by default, 2 teachers required)"
       />
       
       <div className="page-header">
@@ -209,6 +209,7 @@ function Labs() {
               <th>Lab Name</th>
               <th>Semester</th>
               <th>Type</th>
+              <th>Duration</th>
               <th>Handled By</th>
               <th>Actions</th>
             </tr>
@@ -216,7 +217,7 @@ function Labs() {
           <tbody>
             {filteredLabs.length === 0 ? (
               <tr>
-                <td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>
+                <td colSpan="7" style={{ textAlign: 'center', padding: '40px' }}>
                   {labs.length === 0 
                     ? 'No labs added yet. Click "Add Lab" to get started.'
                     : 'No labs match the selected filters.'}
@@ -233,6 +234,7 @@ function Labs() {
                       {lab.lab_sem_type}
                     </span>
                   </td>
+                  <td>{lab.duration_hours || 2}h</td>
                   <td>
                     <div className="teachers-list">
                       {lab.handled_by && lab.handled_by.length > 0 ? (
@@ -339,10 +341,25 @@ function Labs() {
                 </div>
               </div>
 
-              <div className="info-box">
-                <div className="info-item">
-                  <strong>⏱️ Duration:</strong> Fixed at 2 hours (standard lab session)
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Session Duration *</label>
+                  <select
+                    name="duration_hours"
+                    value={formData.duration_hours}
+                    onChange={(e) => setFormData({ ...formData, duration_hours: Number(e.target.value) })}
+                    required
+                  >
+                    <option value={1}>1 hour</option>
+                    <option value={2}>2 hours (standard)</option>
+                    <option value={3}>3 hours</option>
+                    <option value={4}>4 hours</option>
+                  </select>
+                  <small className="form-hint">Lab windows come from the semester's lab slot template</small>
                 </div>
+              </div>
+
+              <div className="info-box">
                 <div className="info-item">
                   <strong>👥 Teachers:</strong> Requires 2 teachers per session
                 </div>
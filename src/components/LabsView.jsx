@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { hasPermission } from '../auth'
+import { downloadFile, downloadErrorMessage } from '../download'
+import { useDepartmentCalendar, calendarHours, toMinutes, toTime } from '../calendar'
 import './LabsView.css'
 
 /**
@@ -17,22 +20,16 @@ function LabsView() {
   const [error, setError] = useState('')
   const [semType, setSemType] = useState('odd')
   const [academicYear, setAcademicYear] = useState('2025-2026')
+  const [source, setSource] = useState('published') // 'published' copy or working 'draft'
   const [selectedLabRoom, setSelectedLabRoom] = useState(null)
+  const [exporting, setExporting] = useState(false)
 
-  const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
+  // Days and hours come from the department calendar of the academic year
+  const calendar = useDepartmentCalendar(academicYear)
+  const DAYS = calendar.working_days
 
   // 1-hour segments for clearer visibility (shows actual occupancy per hour)
-  const TIME_SLOTS = [
-    '08:00-09:00',
-    '09:00-10:00',
-    '10:00-11:00',
-    '11:00-12:00',
-    '12:00-13:00',
-    '13:00-14:00',
-    '14:00-15:00',
-    '15:00-16:00',
-    '16:00-17:00'
-  ]
+  const TIME_SLOTS = calendarHours(calendar).map(hour => `${hour}-${toTime(toMinutes(hour) + 60)}`)
 
   // Helper: Convert 24-hour time to 12-hour format
   const convertTo12Hour = (time24) => {
@@ -56,7 +53,7 @@ function LabsView() {
     if (selectedLabRoom) {
       fetchTimetables()
     }
-  }, [semType, academicYear, selectedLabRoom])
+  }, [semType, academicYear, selectedLabRoom, source])
 
   const fetchLabRooms = async () => {
     try {
@@ -86,7 +83,8 @@ function LabsView() {
       const response = await axios.get('/api/timetables', {
         params: {
           sem_type: semType,
-          academic_year: academicYear
+          academic_year: academicYear,
+          source
         }
       })
 
@@ -102,7 +100,7 @@ function LabsView() {
   }
 
   // Build lab occupancy map for selected lab room only
-  // Groups by 2-hour blocks (since all labs are 2 hours)
+  // Groups by session (2 hours unless the lab's duration_hours says otherwise)
   const buildLabOccupancy = () => {
     if (!selectedLabRoom) return {}
 
@@ -124,7 +122,7 @@ function LabsView() {
       const labSlots = tt.lab_slots || []
 
       labSlots.forEach(slot => {
-        const { day, start_time, end_time, batches } = slot
+        const { day, start_time, end_time, batches, duration_hours } = slot
 
         if (!batches || batches.length === 0) return
 
@@ -132,8 +130,11 @@ function LabsView() {
           const batchRoomNo = batch.lab_room_name
 
           if (batchRoomNo === roomNo) {
-            // Find the 1-hour slot that matches the start time
-            const matchingSlot = TIME_SLOTS.find(hourSlot => hourSlot.startsWith(start_time))
+            // Find the 1-hour slot the session starts in
+            const matchingSlot = TIME_SLOTS.find(hourSlot => {
+              const [hourStart, hourEnd] = hourSlot.split('-')
+              return start_time >= hourStart && start_time < hourEnd
+            })
 
             if (matchingSlot && occupancy[roomNo][day] && occupancy[roomNo][day][matchingSlot]) {
               occupancy[roomNo][day][matchingSlot].push({
@@ -143,7 +144,7 @@ function LabsView() {
                 sessionTime: `${start_time}-${end_time}`,
                 teacher1: batch.teacher1_shortform || batch.teacher1_name || null,
                 teacher2: batch.teacher2_shortform || batch.teacher2_name || null,
-                duration: 2 // All labs are 2 hours
+                duration: Math.ceil(duration_hours || 2) // hour columns the session spans
               })
             }
           }
@@ -188,6 +189,23 @@ function LabsView() {
     ? ((stats.occupiedSlots / stats.totalSlots) * 100).toFixed(1)
     : 0
 
+  const handleDownloadPdf = async () => {
+    setExporting(true)
+    try {
+      await downloadFile('/api/timetables/export.pdf', {
+        view: 'lab_room',
+        id: selectedLabRoom.labRoom_no,
+        sem_type: semType,
+        academic_year: academicYear,
+        source
+      }, 'lab-timetable.pdf')
+    } catch (err) {
+      alert(`❌ ${await downloadErrorMessage(err, 'Failed to export PDF')}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   return (
     <div className="labs-view">
       <DepartmentHeader
@@ -252,6 +270,32 @@ function LabsView() {
             <option value="2029-2030">2029-2030</option>
           </select>
         </div>
+
+        {hasPermission('timetable:edit') && (
+          <div className="labs-control-group">
+            <label>Version:</label>
+            <select
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="labs-control-select"
+            >
+              <option value="published">📢 Published</option>
+              <option value="draft">📝 Working draft</option>
+            </select>
+          </div>
+        )}
+
+        {selectedLabRoom && (
+          <div className="labs-control-group">
+            <button
+              className="labs-toggle-btn"
+              onClick={handleDownloadPdf}
+              disabled={exporting}
+            >
+              {exporting ? '⏳ Exporting...' : '📄 Download PDF'}
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Error/Loading */}
@@ -269,7 +313,7 @@ function LabsView() {
         <div className="lab-schedule-section">
           <h2>🗓 {selectedLabRoom.labRoom_no}</h2>
 
-          <div className="lab-schedule-grid">
+          <div className="lab-schedule-grid" style={{ '--labs-hour-columns': TIME_SLOTS.length }}>
             {/* Header Row */}
             <div className="schedule-header">
               <div className="corner-cell">D/T</div>
@@ -287,18 +331,18 @@ function LabsView() {
                     const occupants = labOccupancy[selectedLabRoom.labRoom_no]?.[day]?.[slot] || []
                     const isEmpty = occupants.length === 0
 
-                    // Check if previous slot has 2-hour session that spans into this slot
-                    if (slotIdx > 0) {
-                      const prevSlot = TIME_SLOTS[slotIdx - 1]
+                    // Check if an earlier session spans into this slot
+                    const coveredByEarlier = TIME_SLOTS.slice(0, slotIdx).some((prevSlot, prevIdx) => {
                       const prevOccupants = labOccupancy[selectedLabRoom.labRoom_no]?.[day]?.[prevSlot] || []
-                      if (prevOccupants.length > 0 && prevOccupants[0].duration === 2) {
-                        // This slot is covered by previous 2-hour session, skip rendering
-                        return null
-                      }
+                      return prevOccupants.length > 0 && prevIdx + prevOccupants[0].duration > slotIdx
+                    })
+                    if (coveredByEarlier) {
+                      // This slot is covered by an earlier multi-hour session, skip rendering
+                      return null
                     }
 
-                    // If this slot has a 2-hour session, span 2 columns (grid-based)
-                    const spanCount = (!isEmpty && occupants[0]?.duration === 2) ? 2 : 1
+                    // A multi-hour session spans one column per hour (grid-based)
+                    const spanCount = isEmpty ? 1 : Math.min(occupants[0].duration, TIME_SLOTS.length - slotIdx)
                     const gridStart = slotIdx + 1
                     const gridEnd = gridStart + spanCount
 
@@ -1,20 +1,26 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import axios from 'axios'
+import { saveSession } from '../auth'
 import './Login.css'
 
 /**
  * Login Component
  * - Handles HOD/Admin authentication
  * - Uses Controllers collection for credentials
- * - No JWT yet (testing phase)
+ * - Stores the session token returned by the API
  */
 function Login() {
   const [credentials, setCredentials] = useState({
     user_name: '',
     password: ''
   })
-  const [error, setError] = useState('')
+  // Show why the user was logged out (expired session, revoked token)
+  const [error, setError] = useState(() => {
+    const reason = sessionStorage.getItem('logoutReason') || ''
+    sessionStorage.removeItem('logoutReason')
+    return reason
+  })
   const [loading, setLoading] = useState(false)
   const navigate = useNavigate()
 
@@ -35,12 +41,12 @@ function Login() {
       const response = await axios.post('/api/auth/login', credentials)
       
       if (response.data.success) {
-        // Store user info in localStorage (temporary, will use JWT later)
-        localStorage.setItem('user', JSON.stringify(response.data.user))
-        localStorage.setItem('isAuthenticated', 'true')
+        // Store token, expiry and user info for the session
+        saveSession(response.data)
         
-        // Navigate to dashboard
-        navigate('/dashboard')
+        // Faculty linked to a teacher land directly on their own timetable
+        const { role, teacher_id } = response.data.user
+        navigate(role === 'faculty' && teacher_id ? '/dashboard/my-timetable' : '/dashboard')
       }
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed. Please try again.')
@@ -76,7 +82,7 @@ function Login() {
           <div className="form-group">
             <label htmlFor="password">Password</label>
             <input
-              type="text"
+              type="password"
               id="password"
               name="password"
               value={credentials.password}
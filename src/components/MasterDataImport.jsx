@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import './MasterDataImport.css'
+
+/**
+ * Master Data Import Page
+ * - Upload an Excel workbook (one sheet per table, e.g. "list info.xlsx") or a CSV
+ * - Preview: dry run with the action (create / update) and errors for every row
+ * - Import: writes all rows or none (only offered when the preview has no errors)
+ */
+
+const ACTION_LABELS = {
+  create: '➕ Create',
+  update: '✏️ Update',
+  error: '❌ Error'
+}
+
+function MasterDataImport() {
+  const [entities, setEntities] = useState([])
+  const [file, setFile] = useState(null)
+  const [entity, setEntity] = useState('')
+  const [preview, setPreview] = useState(null)
+  const [errorsOnly, setErrorsOnly] = useState(false)
+  const [working, setWorking] = useState(null) // 'preview' | 'import' while a request runs
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  useEffect(() => {
+    fetchEntities()
+  }, [])
+
+  const fetchEntities = async () => {
+    try {
+      const response = await axios.get('/api/import')
+      setEntities(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching import columns:', err)
+    }
+  }
+
+  const upload = (url) => axios.post(url, file, {
+    params: {
+      file_name: file.name,
+      entity: entity || undefined
+    },
+    headers: { 'Content-Type': 'application/octet-stream' }
+  })
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null)
+    setPreview(null)
+    setError('')
+    setSuccess('')
+  }
+
+  const handlePreview = async () => {
+    setWorking('preview')
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await upload('/api/import/preview')
+      setPreview(response.data.data)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to read the file')
+      setPreview(null)
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  const handleImport = async () => {
+    if (!confirm(`📥 Import ${preview.summary.rows} rows?\n\n${preview.summary.create} will be created and ${preview.summary.update} updated.`)) {
+      return
+    }
+
+    setWorking('import')
+    setError('')
+
+    try {
+      const response = await upload('/api/import')
+      setSuccess(response.data.message)
+      setPreview(null)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Import failed')
+      if (err.response?.data?.data) setPreview(err.response.data.data)
+    } finally {
+      setWorking(null)
+    }
+  }
+
+  return (
+    <div className="import-page">
+      <DepartmentHeader
+        title="Import Master Data"
+        subtitle="Load teachers, subjects, labs, sections and rooms from Excel or CSV"
+      />
+
+      <div className="import-card">
+        <div className="import-controls">
+          <div className="import-field">
+            <label>Spreadsheet (.xlsx or .csv)</label>
+            <input type="file" accept=".xlsx,.csv" onChange={handleFileChange} disabled={working !== null} />
+          </div>
+
+          <div className="import-field">
+            <label>Table type</label>
+            <select value={entity} onChange={(e) => { setEntity(e.target.value); setPreview(null) }} disabled={working !== null}>
+              <option value="">Detect from sheet names / headers</option>
+              {entities.map(item => (
+                <option key={item.entity} value={item.entity}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <button className="import-btn secondary" onClick={handlePreview} disabled={!file || working !== null}>
+            {working === 'preview' ? '⏳ Reading...' : '🔍 Preview'}
+          </button>
+          <button className="import-btn" onClick={handleImport} disabled={!preview?.can_commit || working !== null}>
+            {working === 'import' ? '⏳ Importing...' : '📥 Import'}
+          </button>
+        </div>
+
+        <details className="import-help">
+          <summary>Accepted columns</summary>
+          <p>
+            Each sheet is matched by its name (e.g. "Teachers", "Lab Rooms") or by its header row.
+            A table ends at the first empty row. Existing records with the same key are updated with the
+            non-empty cells; teachers without an ID are matched by shortform or get the next T-number.
+            Teacher names like "Dr. Asha T (AT)" are split into name and shortform.
+          </p>
+          {entities.map(item => (
+            <div key={item.entity} className="import-help-entity">
+              <strong>{item.label}</strong> <span className="import-muted">(key: {item.key.join(' + ')})</span>
+              <div className="import-help-columns">
+                {item.columns.map(column => (
+                  <code key={column.field} title={column.aliases.length ? `Also: ${column.aliases.join(', ')}` : undefined}>
+                    {column.field}
+                  </code>
+                ))}
+              </div>
+            </div>
+          ))}
+        </details>
+      </div>
+
+      {error && <div className="import-error">{error}</div>}
+      {success && <div className="import-success">✅ {success}</div>}
+
+      {preview && (
+        <div className="import-card">
+          <div className="import-summary">
+            <strong>{preview.summary.rows}</strong> rows •{' '}
+            <span className="import-action-create">{preview.summary.create} to create</span> •{' '}
+            <span className="import-action-update">{preview.summary.update} to update</span> •{' '}
+            <span className="import-action-error">{preview.summary.error} with errors</span>
+            <label className="import-errors-only">
+              <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} />
+              Only rows with errors
+            </label>
+          </div>
+
+          {preview.summary.error > 0 && (
+            <p className="import-muted">Fix the rows marked ❌ in the spreadsheet and preview again - nothing is imported while any row has errors.</p>
+          )}
+          {preview.skipped_sheets.length > 0 && (
+            <p className="import-muted">Sheets without a recognised table (ignored): {preview.skipped_sheets.join(', ')}</p>
+          )}
+
+          {preview.tables.map(table => (
+            <div key={`${table.sheet}-${table.entity}`} className="import-table">
+              <h3>
+                {table.label} <span className="import-muted">from sheet "{table.sheet}"</span>
+              </h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Record</th>
+                    <th>Action</th>
+                    <th>Errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.rows.filter(row => !errorsOnly || row.action === 'error').map(row => (
+                    <tr key={row.row} className={`import-row-${row.action}`}>
+                      <td>{row.row}</td>
+                      <td>{row.label}</td>
+                      <td className={`import-action-${row.action}`}>{ACTION_LABELS[row.action]}</td>
+                      <td>
+                        {row.errors.length === 0 ? '—' : (
+                          <ul>
+                            {row.errors.map((message, idx) => <li key={idx}>{message}</li>)}
+                          </ul>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MasterDataImport
@@ -1,17 +1,22 @@
 import { Navigate } from 'react-router-dom'
+import { isAuthenticated, clearSession, hasPermission } from '../auth'
 
 /**
  * Protected Route Component
- * - Checks if user is authenticated
+ * - Checks for a session token that has not expired
  * - Redirects to login if not
+ * - Optional `permission` prop: redirects to the dashboard if the role lacks it
  */
-function ProtectedRoute({ children }) {
-  const isAuthenticated = localStorage.getItem('isAuthenticated') === 'true'
-
-  if (!isAuthenticated) {
+function ProtectedRoute({ children, permission }) {
+  if (!isAuthenticated()) {
+    clearSession()
     return <Navigate to="/" replace />
   }
 
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/dashboard" replace />
+  }
+
   return children
 }
 
@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import './RepairReport.css'
+
+/**
+ * Repair Report (used on the Timetable Generator page)
+ * What the last repair run changed against the timetables it started from - moved slots,
+ * teacher and room changes - per section and per teacher (generation_metadata.repair_summary,
+ * see backend_server/algorithms/warm_start.js)
+ */
+
+const formatPosition = (position) => position ? `${position.day} ${position.start_time}-${position.end_time}` : '—'
+
+// Per teacher: slots of theirs that moved, and slots they gained or lost
+function teacherTotals(sections) {
+  const teachers = new Map()
+
+  for (const section of sections) {
+    for (const change of section.changes) {
+      for (const name of new Set([...change.teachers_before, ...change.teachers_after])) {
+        if (!teachers.has(name)) teachers.set(name, { name, moved: 0, gained: 0, lost: 0 })
+        const entry = teachers.get(name)
+        const had = change.teachers_before.includes(name)
+        const has = change.teachers_after.includes(name)
+
+        if (had && has && change.moved) entry.moved++
+        else if (has && !had) entry.gained++
+        else if (had && !has) entry.lost++
+      }
+    }
+  }
+
+  return [...teachers.values()]
+    .filter(entry => entry.moved + entry.gained + entry.lost > 0)
+    .sort((a, b) => (b.moved + b.gained + b.lost) - (a.moved + a.gained + a.lost) || a.name.localeCompare(b.name))
+}
+
+function RepairSection({ section }) {
+  const [open, setOpen] = useState(false)
+
+  return (
+    <li className="repair-item">
+      <button className="repair-toggle" onClick={() => setOpen(!open)} disabled={section.changes.length === 0}>
+        <span>{section.changes.length > 0 ? (open ? '▾' : '▸') : '✓'} <strong>{section.section_name}</strong></span>
+        <span className="repair-muted">
+          {section.changes.length === 0
+            ? 'unchanged'
+            : `${section.changed_slots}/${section.baseline_slots} changed • ${section.moved_slots} moved • ${section.teacher_changes} teacher • ${section.room_changes} room`}
+        </span>
+      </button>
+
+      {open && (
+        <table className="repair-changes">
+          <thead>
+            <tr>
+              <th>Slot</th>
+              <th>Time</th>
+              <th>Teachers</th>
+              <th>Room</th>
+            </tr>
+          </thead>
+          <tbody>
+            {section.changes.map((change, index) => (
+              <tr key={index}>
+                <td>{change.kind === 'lab' ? '🧪' : '📖'} {change.label}</td>
+                <td className={change.moved ? 'repair-changed' : ''}>
+                  {change.moved ? `${formatPosition(change.from)} → ${formatPosition(change.to)}` : formatPosition(change.to)}
+                </td>
+                <td className={change.teacher_changed ? 'repair-changed' : ''}>
+                  {change.teacher_changed
+                    ? `${change.teachers_before.join(', ') || '—'} → ${change.teachers_after.join(', ') || '—'}`
+                    : change.teachers_after.join(', ') || '—'}
+                </td>
+                <td className={change.room_changed ? 'repair-changed' : ''}>
+                  {change.room_changed ? `${change.room_before || '—'} → ${change.room_after || '—'}` : change.room_after || '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </li>
+  )
+}
+
+function RepairReport({ sections }) {
+  if (!sections || sections.length === 0) return null
+
+  const total = field => sections.reduce((sum, section) => sum + section[field], 0)
+  const teachers = teacherTotals(sections)
+  const repairedAt = sections.reduce((latest, section) => section.repaired_at > latest ? section.repaired_at : latest, '')
+
+  return (
+    <div className="repair-section">
+      <h3>🩹 Repair Changes</h3>
+      <p className="repair-description">
+        {total('changed_slots')} of {total('baseline_slots')} slots changed against the timetables the repair run started from
+        ({total('moved_slots')} moved, {total('teacher_changes')} teacher and {total('room_changes')} room changes).
+      </p>
+      <p className="repair-muted">Repaired {new Date(repairedAt).toLocaleString()}</p>
+
+      <h4>By section</h4>
+      <ul className="repair-list">
+        {sections.map(section => <RepairSection key={section.section_name} section={section} />)}
+      </ul>
+
+      {teachers.length > 0 && (
+        <>
+          <h4>By teacher</h4>
+          <table className="repair-changes">
+            <thead>
+              <tr>
+                <th>Teacher</th>
+                <th>Moved</th>
+                <th>Gained</th>
+                <th>Lost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teachers.map(teacher => (
+                <tr key={teacher.name}>
+                  <td>{teacher.name}</td>
+                  <td>{teacher.moved}</td>
+                  <td>{teacher.gained}</td>
+                  <td>{teacher.lost}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default RepairReport
@@ -0,0 +1,441 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import { hasPermission } from '../auth'
+import './SchedulingRules.css'
+
+/**
+ * Scheduling Rules Page
+ * - Department-specific rules the generator applies (backend_server/algorithms/rule_engine.js)
+ * - Hard rules are never broken by the steps and reported by Step 7; soft rules add
+ *   their weight to the fitness penalty
+ * - A rule applies to everything or to a semester type, semester, section, teacher or
+ *   subject - the most specific rule of a type wins, so a disabled one switches a type off
+ * - Types without a saved department-wide rule use the defaults
+ */
+
+const SEMESTERS = [3, 4, 5, 6, 7, 8]
+
+const emptyForm = (ruleTypes, type = Object.keys(ruleTypes)[0]) => {
+  const spec = ruleTypes[type]
+  return {
+    rule: type,
+    kind: spec?.kinds[0] || 'hard',
+    weight: 10,
+    enabled: true,
+    params: Object.fromEntries(Object.entries(spec?.params || {}).map(([name, param]) => [name, param.default])),
+    scope: {},
+    note: ''
+  }
+}
+
+const toFormData = (rule) => ({
+  rule: rule.rule,
+  kind: rule.kind,
+  weight: rule.weight,
+  enabled: rule.enabled,
+  params: { ...rule.params },
+  scope: Object.fromEntries(Object.entries(rule.scope || {}).filter(([, value]) => value != null)),
+  note: rule.note || ''
+})
+
+function SchedulingRules() {
+  const [rules, setRules] = useState([])
+  const [ruleTypes, setRuleTypes] = useState({})
+  const [defaults, setDefaults] = useState([])
+  const [sections, setSections] = useState([])
+  const [teachers, setTeachers] = useState([])
+  const [subjects, setSubjects] = useState([])
+  const [editing, setEditing] = useState(null) // { id, form } while the form is open (id null = new rule)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const canEdit = hasPermission('master:edit')
+  const canDelete = hasPermission('master:delete')
+
+  useEffect(() => {
+    fetchRules()
+    fetchScopeOptions()
+  }, [])
+
+  const fetchRules = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/scheduling-rules')
+      setRules(response.data.data || [])
+      setRuleTypes(response.data.rule_types || {})
+      setDefaults(response.data.defaults || [])
+    } catch (err) {
+      console.error('Error fetching scheduling rules:', err)
+      setError('Failed to load the scheduling rules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchScopeOptions = async () => {
+    try {
+      const [sectionsRes, teachersRes, subjectsRes] = await Promise.all([
+        axios.get('/api/sections'),
+        axios.get('/api/teachers'),
+        axios.get('/api/subjects')
+      ])
+      setSections(sectionsRes.data.data || [])
+      setTeachers(teachersRes.data.data || [])
+      setSubjects(subjectsRes.data.data || [])
+    } catch (err) {
+      console.error('Error fetching scope options:', err)
+    }
+  }
+
+  const describeScope = (scope = {}) => {
+    const parts = []
+    if (scope.sem_type) parts.push(`${scope.sem_type} semesters`)
+    if (scope.sem) parts.push(`Sem ${scope.sem}`)
+    if (scope.section_id) {
+      const section = sections.find(s => s._id === scope.section_id)
+      parts.push(section ? `Section ${section.sem}${section.section_name}` : 'One section')
+    }
+    if (scope.teacher_id) parts.push(teachers.find(t => t._id === scope.teacher_id)?.name || 'One teacher')
+    if (scope.subject_id) {
+      const subject = subjects.find(s => s._id === scope.subject_id)
+      parts.push(subject ? subject.subject_shortform || subject.subject_code : 'One subject')
+    }
+    return parts.length > 0 ? parts.join(' • ') : 'Whole department'
+  }
+
+  const describeParams = (rule) => {
+    const spec = ruleTypes[rule.rule]
+    if (!spec) return ''
+    return Object.entries(spec.params)
+      .map(([name, param]) => `${param.label}: ${rule.params?.[name] ?? param.default}`)
+      .join(', ')
+  }
+
+  const describeKind = (rule) => rule.kind === 'soft' ? `Soft (weight ${rule.weight})` : 'Hard'
+
+  // Rule a type uses department-wide: a saved one without scope, else its default (null = off)
+  const departmentRule = (type) =>
+    rules.find(rule => rule.rule === type && Object.values(rule.scope || {}).every(value => value == null)) ||
+    defaults.find(rule => rule.rule === type) ||
+    null
+
+  const openEditor = (rule = null) => {
+    setError('')
+    setSuccess('')
+    setEditing({ id: rule?._id || null, form: rule ? toFormData(rule) : emptyForm(ruleTypes) })
+  }
+
+  const updateForm = (changes) => setEditing({ ...editing, form: { ...editing.form, ...changes } })
+
+  const changeType = (type) => setEditing({ ...editing, form: { ...emptyForm(ruleTypes, type), note: editing.form.note } })
+
+  const updateScope = (field, value) => {
+    const scope = { ...editing.form.scope }
+    if (value === '') delete scope[field]
+    else scope[field] = field === 'sem' ? Number(value) : value
+    updateForm({ scope })
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    const { form } = editing
+    const spec = ruleTypes[form.rule]
+    const scope = Object.fromEntries(Object.keys(form.scope).filter(field => spec.scopes.includes(field)).map(field => [field, form.scope[field]]))
+    const payload = {
+      ...form,
+      weight: form.kind === 'soft' ? Number(form.weight) : 0,
+      params: Object.fromEntries(Object.keys(spec.params).map(name => [name, Number(form.params[name])])),
+      // Every scope field is sent so an edit can clear one
+      scope: { sem_type: null, sem: null, section_id: null, teacher_id: null, subject_id: null, ...scope }
+    }
+
+    setSaving(true)
+    try {
+      const response = editing.id
+        ? await axios.put(`/api/scheduling-rules/${editing.id}`, payload)
+        : await axios.post('/api/scheduling-rules', payload)
+      setSuccess(response.data.message)
+      setEditing(null)
+      fetchRules()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the rule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleEnabled = async (rule) => {
+    setError('')
+    setSuccess('')
+    try {
+      const response = await axios.put(`/api/scheduling-rules/${rule._id}`, { enabled: !rule.enabled })
+      setSuccess(response.data.message)
+      fetchRules()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update the rule')
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Remove this ${ruleTypes[rule.rule]?.title || rule.rule} rule (${describeScope(rule.scope)})?`)) return
+
+    setError('')
+    setSuccess('')
+    try {
+      const response = await axios.delete(`/api/scheduling-rules/${rule._id}`)
+      setSuccess(response.data.message)
+      fetchRules()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove the rule')
+    }
+  }
+
+  const form = editing?.form
+  const formSpec = form && ruleTypes[form.rule]
+
+  return (
+    <div className="rules-page">
+      <DepartmentHeader
+        title="Scheduling Rules"
+        subtitle="Department rules the timetable generator enforces (hard) or prefers (soft)"
+      />
+
+      {error && <div className="rules-error">{error}</div>}
+      {success && <div className="rules-success">✅ {success}</div>}
+
+      {loading ? (
+        <div className="rules-card rules-muted">Loading rules...</div>
+      ) : (
+        <>
+          <div className="rules-card">
+            <h3>Rule Types</h3>
+            <p className="rules-muted">
+              What applies department-wide. Saved rules for a semester, section, teacher or subject take precedence there.
+              Regenerate timetables (or rerun Step 7) after changing rules.
+            </p>
+            <table className="rules-table">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Department-wide</th>
+                  <th>Parameters</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(ruleTypes).map(([type, spec]) => {
+                  const rule = departmentRule(type)
+                  return (
+                    <tr key={type}>
+                      <td>
+                        <strong>{spec.title}</strong>
+                        <div className="rules-muted">{spec.description}</div>
+                      </td>
+                      <td>
+                        {rule && rule.enabled ? describeKind(rule) : 'Off'}
+                        {rule?.is_default && <span className="rules-badge">default</span>}
+                      </td>
+                      <td>{rule && rule.enabled ? describeParams(rule) || '—' : '—'}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="rules-card">
+            <div className="rules-card-header">
+              <h3>Saved Rules</h3>
+              {canEdit && !editing && (
+                <button className="btn btn-primary" onClick={() => openEditor()}>+ Add Rule</button>
+              )}
+            </div>
+            {rules.length === 0 ? (
+              <p className="rules-muted">No rules saved - the defaults apply.</p>
+            ) : (
+              <table className="rules-table">
+                <thead>
+                  <tr>
+                    <th>Rule</th>
+                    <th>Applies to</th>
+                    <th>Kind</th>
+                    <th>Parameters</th>
+                    <th>Enabled</th>
+                    {(canEdit || canDelete) && <th></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.map(rule => (
+                    <tr key={rule._id} className={rule.enabled ? '' : 'rules-disabled'}>
+                      <td>
+                        {ruleTypes[rule.rule]?.title || rule.rule}
+                        {rule.note && <div className="rules-muted">{rule.note}</div>}
+                      </td>
+                      <td>{describeScope(rule.scope)}</td>
+                      <td>{describeKind(rule)}</td>
+                      <td>{describeParams(rule) || '—'}</td>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={rule.enabled}
+                          onChange={() => toggleEnabled(rule)}
+                          disabled={!canEdit}
+                          title={rule.enabled ? 'Switch off (also switches the type off for this scope)' : 'Switch on'}
+                        />
+                      </td>
+                      {(canEdit || canDelete) && (
+                        <td className="rules-row-actions">
+                          {canEdit && (
+                            <button className="btn btn-secondary rules-small-btn" onClick={() => openEditor(rule)}>Edit</button>
+                          )}
+                          {canDelete && (
+                            <button className="btn btn-danger rules-small-btn" onClick={() => handleDelete(rule)}>✕</button>
+                          )}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {editing && formSpec && (
+            <form className="rules-card" onSubmit={handleSave}>
+              <h3>{editing.id ? 'Edit Rule' : 'New Rule'}</h3>
+              <div className="rules-controls">
+                <div className="rules-field">
+                  <label>Rule</label>
+                  <select value={form.rule} onChange={(e) => changeType(e.target.value)} disabled={!!editing.id}>
+                    {Object.entries(ruleTypes).map(([type, spec]) => (
+                      <option key={type} value={type}>{spec.title}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="rules-field">
+                  <label>Kind</label>
+                  <select value={form.kind} onChange={(e) => updateForm({ kind: e.target.value })}>
+                    {formSpec.kinds.map(kind => (
+                      <option key={kind} value={kind}>{kind === 'hard' ? 'Hard (never broken)' : 'Soft (penalty)'}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.kind === 'soft' && (
+                  <div className="rules-field">
+                    <label>Weight</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1000"
+                      value={form.weight}
+                      onChange={(e) => updateForm({ weight: e.target.value })}
+                      required
+                    />
+                  </div>
+                )}
+                {Object.entries(formSpec.params).map(([name, param]) => (
+                  <div key={name} className="rules-field">
+                    <label>{param.label}</label>
+                    <input
+                      type="number"
+                      min={param.min}
+                      max={param.max}
+                      value={form.params[name] ?? param.default}
+                      onChange={(e) => updateForm({ params: { ...form.params, [name]: e.target.value } })}
+                      required
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="rules-muted">{formSpec.description}</p>
+
+              <h3>Applies to <span className="rules-muted">(leave empty for the whole department)</span></h3>
+              <div className="rules-controls">
+                {formSpec.scopes.includes('sem_type') && (
+                  <div className="rules-field">
+                    <label>Semester Type</label>
+                    <select value={form.scope.sem_type || ''} onChange={(e) => updateScope('sem_type', e.target.value)}>
+                      <option value="">Any</option>
+                      <option value="odd">Odd</option>
+                      <option value="even">Even</option>
+                    </select>
+                  </div>
+                )}
+                {formSpec.scopes.includes('sem') && (
+                  <div className="rules-field">
+                    <label>Semester</label>
+                    <select value={form.scope.sem || ''} onChange={(e) => updateScope('sem', e.target.value)}>
+                      <option value="">Any</option>
+                      {SEMESTERS.map(sem => <option key={sem} value={sem}>Sem {sem}</option>)}
+                    </select>
+                  </div>
+                )}
+                {formSpec.scopes.includes('section_id') && (
+                  <div className="rules-field">
+                    <label>Section</label>
+                    <select value={form.scope.section_id || ''} onChange={(e) => updateScope('section_id', e.target.value)}>
+                      <option value="">Any</option>
+                      {sections
+                        .filter(s => (!form.scope.sem || s.sem === form.scope.sem) && (!form.scope.sem_type || s.sem_type === form.scope.sem_type))
+                        .map(s => <option key={s._id} value={s._id}>{s.sem}{s.section_name}</option>)}
+                    </select>
+                  </div>
+                )}
+                {formSpec.scopes.includes('teacher_id') && (
+                  <div className="rules-field">
+                    <label>Teacher</label>
+                    <select value={form.scope.teacher_id || ''} onChange={(e) => updateScope('teacher_id', e.target.value)}>
+                      <option value="">Any</option>
+                      {teachers.map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+                    </select>
+                  </div>
+                )}
+                {formSpec.scopes.includes('subject_id') && (
+                  <div className="rules-field">
+                    <label>Subject</label>
+                    <select value={form.scope.subject_id || ''} onChange={(e) => updateScope('subject_id', e.target.value)}>
+                      <option value="">Any</option>
+                      {subjects
+                        .filter(s => !form.scope.sem || s.subject_sem === form.scope.sem)
+                        .map(s => <option key={s._id} value={s._id}>{s.subject_shortform || s.subject_code} (Sem {s.subject_sem})</option>)}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="rules-controls">
+                <div className="rules-field rules-note">
+                  <label>Note</label>
+                  <input
+                    type="text"
+                    value={form.note}
+                    onChange={(e) => updateForm({ note: e.target.value })}
+                    placeholder="Why the department has this rule (optional)"
+                  />
+                </div>
+                <label className="rules-checkbox">
+                  <input type="checkbox" checked={form.enabled} onChange={(e) => updateForm({ enabled: e.target.checked })} />
+                  Enabled
+                </label>
+              </div>
+
+              <div className="rules-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SchedulingRules
@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { getCurrentUser, hasPermission } from '../auth'
+import { downloadFile, downloadErrorMessage } from '../download'
+import { useDepartmentCalendar, calendarHours, toMinutes } from '../calendar'
 import './TeacherTimetableView.css'
 
 /**
@@ -12,26 +15,31 @@ import './TeacherTimetableView.css'
  * - Statistics (total hours, sessions, etc.)
  * 
  * Organized in a weekly grid view for easy visualization
+ * 
+ * ownSchedule mode ("My Timetable"): for faculty logins linked to a Teacher,
+ * skips the teacher picker and loads /api/timetables/my-schedule
  */
-function TeacherTimetableView() {
+function TeacherTimetableView({ ownSchedule = false }) {
+  const currentUser = getCurrentUser()
   const [teachers, setTeachers] = useState([])
-  const [selectedTeacher, setSelectedTeacher] = useState(null)
+  const [selectedTeacher, setSelectedTeacher] = useState(ownSchedule ? currentUser.teacher_id : null)
   const [semType, setSemType] = useState('odd')
   const [academicYear, setAcademicYear] = useState('2025-2026')
+  const [source, setSource] = useState('published') // 'published' copy or working 'draft'
   const [schedule, setSchedule] = useState(null)
   const [statistics, setStatistics] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
+  const [exporting, setExporting] = useState(false)
 
-  const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-  const TIME_SLOTS = [
-    '08:00', '09:00', '10:00', '11:00', '12:00',
-    '13:00', '14:00', '15:00', '16:00'
-  ]
+  // Days and hour columns come from the department calendar of the academic year
+  const calendar = useDepartmentCalendar(academicYear)
+  const DAYS = calendar.working_days
+  const TIME_SLOTS = calendarHours(calendar)
   const SLOTS_PER_HOUR = 2
   const SLOT_DURATION_MINUTES = 60 / SLOTS_PER_HOUR
-  const GRID_START_HOUR = 8
+  const GRID_START_MINUTES = toMinutes(TIME_SLOTS[0])
 
   // Helper: Format time slot with end time (1-hour blocks) - Compact format
   const formatTimeSlot = (startTime24) => {
@@ -47,10 +55,10 @@ function TeacherTimetableView() {
     return `${formatHour(hours)}-${formatHour(endHours)}`
   }
 
-  // Fetch all teachers
+  // Fetch all teachers (not needed when showing the logged-in teacher's own schedule)
   useEffect(() => {
-    fetchTeachers()
-  }, [])
+    if (!ownSchedule) fetchTeachers()
+  }, [ownSchedule])
 
   // Auto-fetch schedule when teacher, semType, or academicYear changes
   useEffect(() => {
@@ -63,7 +71,7 @@ function TeacherTimetableView() {
       setError(null)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedTeacher, semType, academicYear])
+  }, [selectedTeacher, semType, academicYear, source])
 
   const fetchTeachers = async () => {
     try {
@@ -94,12 +102,16 @@ function TeacherTimetableView() {
     console.log('📋 Filters:', { semType, academicYear })
 
     try {
+      const scheduleUrl = ownSchedule
+        ? 'http://localhost:5000/api/timetables/my-schedule'
+        : `http://localhost:5000/api/timetables/teacher-schedule/${selectedTeacher}`
       const response = await axios.get(
-        `http://localhost:5000/api/timetables/teacher-schedule/${selectedTeacher}`,
+        scheduleUrl,
         {
           params: {
             sem_type: semType,
-            academic_year: academicYear
+            academic_year: academicYear,
+            source
           }
         }
       )
@@ -136,8 +148,7 @@ function TeacherTimetableView() {
     const hour = parseInt(hourStr)
     const minutes = parseInt(minuteStr)
     const totalMinutes = hour * 60 + minutes
-    const startMinutes = GRID_START_HOUR * 60
-    const offset = Math.max(0, totalMinutes - startMinutes)
+    const offset = Math.max(0, totalMinutes - GRID_START_MINUTES)
     return Math.round(offset / SLOT_DURATION_MINUTES)
   }
 
@@ -157,6 +168,7 @@ function TeacherTimetableView() {
 
     // Add theory classes
     schedule.theory_classes.forEach(cls => {
+      if (!grid[cls.day]) return // day no longer in the calendar
       grid[cls.day].push({
         type: 'theory',
         ...cls
@@ -165,6 +177,7 @@ function TeacherTimetableView() {
 
     // Add lab sessions
     schedule.lab_sessions.forEach(lab => {
+      if (!grid[lab.day]) return
       grid[lab.day].push({
         type: 'lab',
         ...lab
@@ -183,15 +196,35 @@ function TeacherTimetableView() {
 
   // Get selected teacher name
   const getTeacherName = () => {
+    if (ownSchedule) return currentUser.teacher_name || 'You'
     const teacher = teachers.find(t => t._id === selectedTeacher)
     return teacher ? teacher.name : 'Unknown Teacher'
   }
 
+  const handleDownloadPdf = async () => {
+    setExporting(true)
+    try {
+      await downloadFile('/api/timetables/export.pdf', {
+        view: 'teacher',
+        id: selectedTeacher,
+        sem_type: semType,
+        academic_year: academicYear,
+        source
+      }, 'teacher-timetable.pdf')
+    } catch (err) {
+      alert(`❌ ${await downloadErrorMessage(err, 'Failed to export PDF')}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   return (
     <div className="teacher-timetable-view">
       <DepartmentHeader 
-        title="Teacher's Timetable View" 
-        subtitle="View individual teacher schedules across all sections"
+        title={ownSchedule ? 'My Timetable' : "Teacher's Timetable View"} 
+        subtitle={ownSchedule
+          ? `Weekly schedule for ${currentUser.teacher_name || currentUser.user_name} across all sections`
+          : 'View individual teacher schedules across all sections'}
       />
       
       <div className="teacher-page-header">
@@ -200,21 +233,23 @@ function TeacherTimetableView() {
 
       {/* Controls */}
       <div className="teacher-controls-section">
-        <div className="teacher-control-group">
-          <label>Select Teacher:</label>
-          <select
-            value={selectedTeacher || ''}
-            onChange={(e) => setSelectedTeacher(e.target.value)}
-            className="teacher-control-select"
-          >
-            <option value="">-- Choose Teacher --</option>
-            {teachers.map(teacher => (
-              <option key={teacher._id} value={teacher._id}>
-                {teacher.name} {teacher.teacher_shortform ? `(${teacher.teacher_shortform})` : ''}
-              </option>
-            ))}
-          </select>
-        </div>
+        {!ownSchedule && (
+          <div className="teacher-control-group">
+            <label>Select Teacher:</label>
+            <select
+              value={selectedTeacher || ''}
+              onChange={(e) => setSelectedTeacher(e.target.value)}
+              className="teacher-control-select"
+            >
+              <option value="">-- Choose Teacher --</option>
+              {teachers.map(teacher => (
+                <option key={teacher._id} value={teacher._id}>
+                  {teacher.name} {teacher.teacher_shortform ? `(${teacher.teacher_shortform})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
 
         <div className="teacher-control-group">
           <label>Semester Type:</label>
@@ -243,6 +278,20 @@ function TeacherTimetableView() {
           </select>
         </div>
 
+        {hasPermission('timetable:edit') && (
+          <div className="teacher-control-group">
+            <label>Version:</label>
+            <select
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              className="teacher-control-select"
+            >
+              <option value="published">📢 Published</option>
+              <option value="draft">📝 Working draft</option>
+            </select>
+          </div>
+        )}
+
         {schedule && (
           <div className="teacher-view-mode-toggle">
             <button
@@ -257,6 +306,13 @@ function TeacherTimetableView() {
             >
               List View
             </button>
+            <button
+              className="teacher-toggle-btn"
+              onClick={handleDownloadPdf}
+              disabled={exporting}
+            >
+              {exporting ? '⏳ Exporting...' : '📄 Download PDF'}
+            </button>
           </div>
         )}
 
@@ -277,7 +333,10 @@ function TeacherTimetableView() {
       {/* Schedule Display - Grid View */}
       {schedule && viewMode === 'grid' && (
         <div className="schedule-section">
-          <div className="timetable-grid">
+          <div
+            className="timetable-grid"
+            style={{ '--total-time-columns': TIME_SLOTS.length * SLOTS_PER_HOUR }}
+          >
             {/* Header Row with Time Slots */}
             <div className="grid-header">
               <div className="corner-cell">Day/Time</div>
@@ -450,7 +509,11 @@ function TeacherTimetableView() {
       {!loading && !schedule && !error && !selectedTeacher && (
         <div className="empty-state">
           <div className="empty-icon">👨‍🏫</div>
-          <p>Select a teacher from the dropdown to view their weekly timetable</p>
+          <p>
+            {ownSchedule
+              ? 'Your login is not linked to a teacher yet. Ask the HOD to link it under Users.'
+              : 'Select a teacher from the dropdown to view their weekly timetable'}
+          </p>
         </div>
       )}
     </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { WEEK_DAYS } from '../calendar'
 import './Teachers.css'
 
 /**
@@ -10,7 +11,9 @@ import './Teachers.css'
  * - Edit existing teachers
  * - Delete teachers
  * - Multi-select for subjects and labs they can teach/handle
+ * - Recurring unavailable times (never scheduled there by the generator)
  */
+
 function Teachers() {
   const [teachers, setTeachers] = useState([])
   const [subjects, setSubjects] = useState([])
@@ -27,7 +30,8 @@ function Teachers() {
     labs_handled: [],
     teacher_position: '',
     max_lab_assign_even: '',
-    max_lab_assign_odd: ''
+    max_lab_assign_odd: '',
+    unavailability: []
   })
   const [error, setError] = useState('')
 
@@ -111,6 +115,27 @@ function Teachers() {
     })
   }
 
+  const addUnavailability = () => {
+    setFormData(prev => ({
+      ...prev,
+      unavailability: [...prev.unavailability, { day: 'Monday', start_time: '14:00', end_time: '17:00', sem_type: '', reason: '' }]
+    }))
+  }
+
+  const updateUnavailability = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      unavailability: prev.unavailability.map((w, i) => (i === index ? { ...w, [field]: value } : w))
+    }))
+  }
+
+  const removeUnavailability = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      unavailability: prev.unavailability.filter((_, i) => i !== index)
+    }))
+  }
+
   const groupBySemester = (items, semesterKey) => {
     const grouped = {}
     items.forEach(item => {
@@ -134,7 +159,8 @@ function Teachers() {
       labs_handled: [],
       teacher_position: '',
       max_lab_assign_even: '',
-      max_lab_assign_odd: ''
+      max_lab_assign_odd: '',
+      unavailability: []
     })
     setShowModal(true)
     setError('')
@@ -151,7 +177,14 @@ function Teachers() {
       labs_handled: teacher.labs_handled?.map(l => l._id || l) || [],
       teacher_position: teacher.teacher_position,
       max_lab_assign_even: teacher.max_lab_assign_even || '',
-      max_lab_assign_odd: teacher.max_lab_assign_odd || ''
+      max_lab_assign_odd: teacher.max_lab_assign_odd || '',
+      unavailability: (teacher.unavailability || []).map(w => ({
+        day: w.day,
+        start_time: w.start_time,
+        end_time: w.end_time,
+        sem_type: w.sem_type || '',
+        reason: w.reason || ''
+      }))
     })
     setShowModal(true)
     setError('')
@@ -161,11 +194,21 @@ function Teachers() {
     e.preventDefault()
     setError('')
 
+    if (formData.unavailability.some(w => w.start_time >= w.end_time)) {
+      setError('Each unavailable time must end after it starts')
+      return
+    }
+
+    const payload = {
+      ...formData,
+      unavailability: formData.unavailability.map(w => ({ ...w, sem_type: w.sem_type || null }))
+    }
+
     try {
       if (editMode) {
-        await axios.put(`/api/teachers/${currentTeacher._id}`, formData)
+        await axios.put(`/api/teachers/${currentTeacher._id}`, payload)
       } else {
-        await axios.post('/api/teachers', formData)
+        await axios.post('/api/teachers', payload)
       }
       fetchData()
       setShowModal(false)
@@ -218,13 +261,14 @@ function Teachers() {
               <th>Max Labs (Odd)</th>
               <th>Can Teach</th>
               <th>Labs Handled</th>
+              <th>Unavailable</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {teachers.length === 0 ? (
               <tr>
-                <td colSpan="8" style={{ textAlign: 'center', padding: '40px' }}>
+                <td colSpan="9" style={{ textAlign: 'center', padding: '40px' }}>
                   No teachers added yet. Click "Add Teacher" to get started.
                 </td>
               </tr>
@@ -275,6 +319,20 @@ function Teachers() {
                       <span className="text-muted">None</span>
                     )}
                   </td>
+                  <td>
+                    {teacher.unavailability?.length > 0 ? (
+                      <div className="unavailability-list">
+                        {teacher.unavailability.map((w, index) => (
+                          <span key={w._id || index} className="unavailability-tag" title={w.reason || undefined}>
+                            {w.day.slice(0, 3)} {w.start_time}-{w.end_time}
+                            {w.sem_type && ` (${w.sem_type})`}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-muted">None</span>
+                    )}
+                  </td>
                   <td>
                     <div className="action-buttons">
                       <button 
@@ -491,6 +549,58 @@ function Teachers() {
                 </div>
               </div>
 
+              <div className="form-group">
+                <label>Unavailable Times</label>
+                <div className="unavailability-editor">
+                  {formData.unavailability.length === 0 && (
+                    <p className="text-muted">No restrictions - the teacher can be scheduled at any time.</p>
+                  )}
+                  {formData.unavailability.map((w, index) => (
+                    <div key={index} className="unavailability-row">
+                      <select value={w.day} onChange={(e) => updateUnavailability(index, 'day', e.target.value)}>
+                        {WEEK_DAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                      </select>
+                      <input
+                        type="time"
+                        value={w.start_time}
+                        onChange={(e) => updateUnavailability(index, 'start_time', e.target.value)}
+                        required
+                      />
+                      <span>to</span>
+                      <input
+                        type="time"
+                        value={w.end_time}
+                        onChange={(e) => updateUnavailability(index, 'end_time', e.target.value)}
+                        required
+                      />
+                      <select value={w.sem_type} onChange={(e) => updateUnavailability(index, 'sem_type', e.target.value)}>
+                        <option value="">Every semester</option>
+                        <option value="odd">Odd semester only</option>
+                        <option value="even">Even semester only</option>
+                      </select>
+                      <input
+                        type="text"
+                        value={w.reason}
+                        onChange={(e) => updateUnavailability(index, 'reason', e.target.value)}
+                        placeholder="Reason (optional)"
+                      />
+                      <button
+                        type="button"
+                        className="btn-icon btn-delete"
+                        onClick={() => removeUnavailability(index)}
+                        title="Remove"
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  ))}
+                  <button type="button" className="btn btn-secondary" onClick={addUnavailability}>
+                    + Add Unavailable Time
+                  </button>
+                </div>
+                <small className="form-hint">Theory classes and labs are never scheduled for this teacher during these times</small>
+              </div>
+
               {error && (
                 <div className="alert alert-danger">{error}</div>
               )}
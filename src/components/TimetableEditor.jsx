@@ -3,6 +3,7 @@ import { DndContext, DragOverlay, closestCenter, PointerSensor, useSensor, useSe
 import { restrictToWindowEdges } from '@dnd-kit/modifiers'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { useDepartmentCalendar, calendarHalfHours, earlyStartDayEnd, toMinutes, toTime } from '../calendar'
 import './TimetableEditor.css'
 
 /**
@@ -40,6 +41,10 @@ import './TimetableEditor.css'
  * - Lab sessions: Not clickable (rooms assigned in Step 3)
  * - Fixed slots: CLICKABLE - can change classroom with conflict detection ✨
  * - Theory slots: CLICKABLE - can change classroom with conflict detection
+ * 
+ * Slot Locks (📍 Lock button):
+ * - Theory and lab slots can be locked - regenerating (Steps 2-6) keeps a locked slot's
+ *   time, teachers and room and schedules everything else around it
  */
 
 // Draggable Slot Component
@@ -202,24 +207,6 @@ function TimetableEditor() {
     })
   )
 
-  // Time slots: 8:00 AM to 4:30 PM in 30-minute intervals
-  // Note: Last slot (4:30 PM) represents 4:30-5:00 PM (working hours end at 5:00 PM)
-  const timeSlots = [
-    '8:00 AM - 8:30 AM', '8:30 AM - 9:00 AM', '9:00 AM - 9:30 AM', '9:30 AM - 10:00 AM',
-    '10:00 AM - 10:30 AM', '10:30 AM - 11:00 AM', '11:00 AM - 11:30 AM', '11:30 AM - 12:00 PM',
-    '12:00 PM - 12:30 PM', '12:30 PM - 1:00 PM', '1:00 PM - 1:30 PM', '1:30 PM - 2:00 PM',
-    '2:00 PM - 2:30 PM', '2:30 PM - 3:00 PM', '3:00 PM - 3:30 PM', '3:30 PM - 4:00 PM',
-    '4:00 PM - 4:30 PM', '4:30 PM - 5:00 PM'
-  ]
-
-  const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-
-  // Default break times (11:00-11:30 AM and 1:30-2:00 PM)
-  const defaultBreakTimes = [
-    { start: '11:00', end: '11:30' },
-    { start: '13:30', end: '14:00' }
-  ]
-
   // Helper: Convert 24-hour to 12-hour format
   const convertTo12Hour = (time24) => {
     const [hours, minutes] = time24.split(':').map(Number)
@@ -228,6 +215,19 @@ function TimetableEditor() {
     return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`
   }
 
+  // Days, 30-minute columns and default breaks come from the department calendar
+  // of the timetable's academic year (default: Mon-Fri, 8:00 AM - 5:00 PM)
+  const calendar = useDepartmentCalendar(timetable?.academic_year)
+  const gridTimes = calendarHalfHours(calendar)
+  const timeSlots = gridTimes.map(start =>
+    `${convertTo12Hour(start)} - ${convertTo12Hour(toTime(toMinutes(start) + 30))}`
+  )
+
+  const weekDays = calendar.working_days
+
+  // Default break times (default calendar: 11:00-11:30 AM and 1:30-2:00 PM)
+  const defaultBreakTimes = calendar.breaks.map(b => ({ start: b.start_time, end: b.end_time }))
+
   // Helper: Convert 12-hour to 24-hour format
   const convertTo24Hour = (time12) => {
     const match = time12.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i)
@@ -247,10 +247,7 @@ function TimetableEditor() {
 
   // Helper: Calculate time slot index
   const getTimeSlotIndex = (time) => {
-    const [hours, minutes] = time.split(':').map(Number)
-    const startHour = 8
-    const totalMinutes = (hours - startHour) * 60 + minutes
-    return Math.floor(totalMinutes / 30)
+    return Math.floor((toMinutes(time) - toMinutes(gridTimes[0])) / 30)
   }
 
   // Helper: Calculate span (number of 30-min slots)
@@ -912,7 +909,7 @@ function TimetableEditor() {
     }
 
     // Check 4: Break time conflict (if moving TO a default break time that hasn't been removed)
-    const isDefaultBreakTime = (newStartTime === '11:00' || newStartTime === '13:30')
+    const isDefaultBreakTime = defaultBreakTimes.some(b => b.start === newStartTime)
 
     // Check if this default break was explicitly removed by the user
     const defaultBreakWasRemoved = (timetable.breaks || []).some(b =>
@@ -933,15 +930,16 @@ function TimetableEditor() {
       console.log('   ✅ [BREAK REMOVED] Default break was removed - slot is free!')
     }
 
-    // Check 5: Day length constraint (8 AM start → 4 PM end)
+    // Check 5: Day length constraint (day_start start → one period before day_end)
     const hasEarlyStart = [...(timetable.theory_slots || []), ...(timetable.lab_slots || [])].some(s =>
-      s.day === newDay && s.start_time === '08:00'
+      s.day === newDay && s.start_time === calendar.day_start
     )
+    const earlyStartEnd = earlyStartDayEnd(calendar)
 
-    if (hasEarlyStart && newEndTime > '16:00') {
+    if (hasEarlyStart && newEndTime > earlyStartEnd) {
       conflicts.push({
         type: 'day_length',
-        message: `❌ Day Length Violation: ${newDay} starts at 8:00 AM, cannot extend past 4:00 PM (new slot ends at ${convertTo12Hour(newEndTime)})`
+        message: `❌ Day Length Violation: ${newDay} starts at ${convertTo12Hour(calendar.day_start)}, cannot extend past ${convertTo12Hour(earlyStartEnd)} (new slot ends at ${convertTo12Hour(newEndTime)})`
       })
     }
 
@@ -1225,6 +1223,24 @@ function TimetableEditor() {
     }
   }
 
+  // Published/archived timetables are read-only: reopen the whole semester as a draft
+  // (viewers keep seeing the published copy until the HOD publishes again)
+  const openNewDraft = async () => {
+    if (!confirm(`Open a new draft of the ${timetable.sem_type} semester timetables for ${timetable.academic_year}?\n\nViewers keep seeing the published version until it is published again.`)) {
+      return
+    }
+
+    try {
+      await axios.post('/api/timetables/open-draft', {
+        sem_type: timetable.sem_type,
+        academic_year: timetable.academic_year
+      })
+      fetchTimetable(selectedSection)
+    } catch (err) {
+      alert('❌ ' + (err.response?.data?.message || 'Failed to open a new draft'))
+    }
+  }
+
   // Delete a break
   const deleteBreak = (day, startTime) => {
     console.log('🗑️ [DELETE BREAK] Attempting to remove break:', { day, startTime })
@@ -1587,6 +1603,36 @@ function TimetableEditor() {
     }
   }
 
+  // Lock/unlock a theory or lab slot - regeneration (Steps 2-6) keeps locked slots as they are
+  const handleToggleSlotLock = async (slot, kind) => {
+    const field = kind === 'lab' ? 'lab_slots' : 'theory_slots'
+    const locked = !slot.locked
+
+    try {
+      const response = await axios.patch(
+        `/api/timetables/${timetable._id}/${kind}-slot/${slot._id}/lock`,
+        { locked }
+      )
+
+      if (response.data.success) {
+        console.log(`${locked ? '🔒' : '🔓'} [SLOT LOCK] ${slot.day} ${slot.start_time} ${locked ? 'locked' : 'unlocked'}`)
+
+        // Backend already saved the flag - only mirror it in local state
+        updateTimetableState(prev => ({
+          ...prev,
+          [field]: prev[field].map(s => s._id === slot._id ? { ...s, locked } : s)
+        }))
+      } else {
+        setError(response.data.message || 'Failed to update slot lock')
+      }
+    } catch (err) {
+      console.error('❌ [SLOT LOCK ERROR]', err)
+      const errorMsg = 'Failed to update slot lock: ' + (err.response?.data?.message || err.message)
+      alert('❌ ' + errorMsg)
+      setError(errorMsg)
+    }
+  }
+
   // Close room modal
   const closeRoomModal = () => {
     setShowRoomModal(false)
@@ -1916,7 +1962,7 @@ function TimetableEditor() {
         const span = getTimeSpan(slot.start_time, slot.end_time)
 
         // Only add if not overlapping with breaks
-        if (cells[startIndex].type === 'empty' || cells[startIndex].type === 'break') {
+        if (cells[startIndex]?.type === 'empty' || cells[startIndex]?.type === 'break') {
           cells[startIndex] = {
             type: slot.is_fixed_slot ? 'fixed' : 'theory',
             span,
@@ -1937,7 +1983,7 @@ function TimetableEditor() {
         const span = getTimeSpan(slot.start_time, slot.end_time)
 
         // Only add if not overlapping
-        if (cells[startIndex].type === 'empty' || cells[startIndex].type === 'break') {
+        if (cells[startIndex]?.type === 'empty' || cells[startIndex]?.type === 'break') {
           cells[startIndex] = {
             type: 'lab',
             span,
@@ -2060,6 +2106,21 @@ function TimetableEditor() {
           <span className="slot-time">{convertTo12Hour(slot.start_time)} - {convertTo12Hour(slot.end_time)}</span>
         </div>
 
+        {/* Locked slots keep their time, teachers and room when Steps 2-6 run again (fixed slots are always kept) */}
+        {(cell.type === 'theory' || cell.type === 'lab') && (
+          ['published', 'archived'].includes(timetable.status) ? (
+            slot.locked && <span className="slot-lock-btn locked">📌 Locked</span>
+          ) : (
+            <button
+              className={`slot-lock-btn ${slot.locked ? 'locked' : ''}`}
+              onClick={() => handleToggleSlotLock(slot, cell.type)}
+              title={slot.locked ? 'Unlock - regeneration may move this slot' : 'Lock - regeneration keeps this slot, its teachers and room'}
+            >
+              {slot.locked ? '📌 Locked' : '📍 Lock'}
+            </button>
+          )
+        )}
+
         {/* Show clickable classroom badge if step >= 5 and classroom assigned */}
         {/* ALLOWS classroom editing for BOTH regular theory AND fixed slots (time remains fixed for fixed slots) */}
         {classroomsAssigned && (cell.type === 'theory' || cell.type === 'fixed') && slot.classroom_name && !slot.is_project && (
@@ -2111,6 +2172,9 @@ function TimetableEditor() {
     )
   }
 
+  const isPublishedLocked = ['published', 'archived'].includes(timetable?.status)
+  const editingLocked = timetable?.generation_metadata?.current_step >= 6 || isPublishedLocked
+
   return (
     <div className="timetable-editor">
       <DepartmentHeader
@@ -2120,7 +2184,13 @@ function TimetableEditor() {
 
       <div className="editor-header">
         {/* Instructions */}
-        {timetable && timetable.generation_metadata?.current_step >= 6 ? (
+        {isPublishedLocked ? (
+          <p className="warning-message">
+            🔒 <strong>{timetable.status === 'published' ? 'Published' : 'Archived'}:</strong> This timetable is frozen
+            {timetable.published_version ? ` (version ${timetable.published_version})` : ''} and cannot be edited.{' '}
+            <button className="btn-feature" onClick={openNewDraft}>📝 Open New Draft</button>
+          </p>
+        ) : timetable && timetable.generation_metadata?.current_step >= 6 ? (
           <p className="warning-message">
             🔒 <strong>Editing Locked:</strong> Teacher assignments have been made (Step 6 completed). 
             Manual edits could create teacher conflicts and workload imbalances. 
@@ -2222,7 +2292,7 @@ function TimetableEditor() {
             >
               📋 Unscheduled ({unscheduledSubjects.length})
             </button>
-            {timetable && timetable.generation_metadata?.current_step >= 5 && (
+            {timetable && timetable.generation_metadata?.current_step >= 5 && !isPublishedLocked && (
               <button
                 className={`btn-feature ${addBreakMode ? 'active' : ''}`}
                 onClick={() => setAddBreakMode(!addBreakMode)}
@@ -2275,8 +2345,8 @@ function TimetableEditor() {
 
       {timetable && (
         <>
-          {timetable.generation_metadata?.current_step >= 6 ? (
-            // Editing locked after Step 6 - show static grid
+          {editingLocked ? (
+            // Editing locked after Step 6 (or published/archived) - show static grid
             <div className="editor-grid">
               <table className="editor-timetable-grid">
                 <thead>
@@ -2,6 +2,14 @@ import { useState, useEffect, useCallback } from 'react'
 import axios from 'axios'
 import { useNavigate, useLocation } from 'react-router-dom'
 import DepartmentHeader from './DepartmentHeader'
+import TimetableSnapshots from './TimetableSnapshots'
+import TimetableLifecycle from './TimetableLifecycle'
+import LabSlotTemplates from './LabSlotTemplates'
+import GenerationJobProgress from './GenerationJobProgress'
+import UnscheduledReport from './UnscheduledReport'
+import RepairReport from './RepairReport'
+import GenerationReadiness from './GenerationReadiness'
+import { hasPermission } from '../auth'
 import './TimetableGenerator.css'
 
 function TimetableGenerator() {
@@ -11,6 +19,18 @@ function TimetableGenerator() {
   const [currentStep, setCurrentStep] = useState(null)
   const [result, setResult] = useState(null)
   const [error, setError] = useState('')
+  const [lifecycleStatus, setLifecycleStatus] = useState(null)
+  const [seed, setSeed] = useState('') // optional - empty = server draws a fresh seed
+  const [runSeeds, setRunSeeds] = useState({}) // seeds Steps 3-6 last ran with: { step3: 123, ... }
+  const [jobId, setJobId] = useState(null) // background Full Auto run shown in the progress panel
+  const [optimize, setOptimize] = useState(false) // Full Auto: run the Step 6.5 local search
+  const [repair, setRepair] = useState(false) // Full Auto: warm start from the current timetables, change as little as possible
+  const [algorithm, setAlgorithm] = useState('greedy') // Full Auto: 'greedy' (Steps 3-6) or 'csp' (constraint solver)
+  const [timeLimit, setTimeLimit] = useState('60') // Constraint solver budget in seconds
+  const [unscheduledItems, setUnscheduledItems] = useState([]) // Step 3/4 items they could not place, with reasons
+  const [repairSections, setRepairSections] = useState([]) // Last repair run's changes per section
+  const [sections, setSections] = useState([]) // Sections with a timetable: { id, name }
+  const [targetSections, setTargetSections] = useState([]) // Section ids Steps 3-6.5 / Full Auto regenerate (empty = all)
   const [stepResults, setStepResults] = useState({
     step1: null,
     step2: null,
@@ -23,6 +43,9 @@ function TimetableGenerator() {
   const navigate = useNavigate()
   const location = useLocation()
 
+  // Published/archived timetables must be reopened as a draft before regenerating
+  const isLocked = ['published', 'archived'].includes(lifecycleStatus)
+
   // Fetch existing timetables to check which steps were completed
   const fetchExistingStepStatus = useCallback(async () => {
     try {
@@ -46,6 +69,19 @@ function TimetableGenerator() {
           metadata
         })
 
+        setRunSeeds(metadata?.step_seeds || {})
+        setUnscheduledItems(response.data.data.flatMap(tt => tt.generation_metadata?.unscheduled_items || []))
+        setRepairSections(response.data.data
+          .filter(tt => tt.generation_metadata?.repair_summary?.repaired_at)
+          .map(tt => ({ section_name: tt.section_name, ...tt.generation_metadata.repair_summary }))
+          .sort((a, b) => a.section_name.localeCompare(b.section_name)))
+
+        const sectionList = response.data.data
+          .map(tt => ({ id: tt.section_id?._id || tt.section_id, name: tt.section_name }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+        setSections(sectionList)
+        setTargetSections(prev => prev.filter(id => sectionList.some(section => section.id === id)))
+
         // Reconstruct step results based on metadata
         const reconstructedResults = {}
 
@@ -254,6 +290,15 @@ function TimetableGenerator() {
           console.log('✅ [STEP 6 RESULT] Created step6 result:', reconstructedResults.step6)
         }
 
+        // Step 6.5 (optional): Local search optimization
+        if (metadata?.current_step >= 6 && metadata.optimization_summary?.optimized_at) {
+          reconstructedResults.step6_5 = {
+            success: true,
+            message: 'Optimization completed',
+            data: metadata.optimization_summary
+          }
+        }
+
         // Step 7: Validate
         console.log('🔍 [STEP 7 DEBUG] Checking Step 7 metadata:', {
           current_step: metadata?.current_step,
@@ -266,7 +311,13 @@ function TimetableGenerator() {
           reconstructedResults.step7 = {
             success: true,
             message: 'Validation completed',
-            data: metadata.step7_summary,
+            data: {
+              ...metadata.step7_summary,
+              // Per-section fitness (weakest first)
+              sections_fitness: response.data.data
+                .map(tt => ({ section_name: tt.section_name, fitness_score: tt.generation_metadata?.fitness_score }))
+                .sort((a, b) => (a.fitness_score ?? 0) - (b.fitness_score ?? 0))
+            },
             details: metadata.step7_summary.details || {} // Extract details from metadata
           }
           console.log('✅ [STEP 7 RESULT] Created step7 result with details:', {
@@ -289,8 +340,10 @@ function TimetableGenerator() {
                 classroom_conflicts: 0,
                 lab_room_conflicts: 0,
                 consecutive_labs: 0,
+                rule_violations: 0,
                 hours_per_week: 0,
-                teacher_assignments: 0
+                teacher_assignments: 0,
+                teacher_unavailability: 0
               },
               legacy: true
             }
@@ -311,6 +364,11 @@ function TimetableGenerator() {
           step6: null,
           step7: null
         })
+        setRunSeeds({})
+        setUnscheduledItems([])
+        setRepairSections([])
+        setSections([])
+        setTargetSections([])
         console.log('ℹ️ [LOAD STATUS] No existing timetables found')
       }
     } catch (err) {
@@ -325,6 +383,24 @@ function TimetableGenerator() {
     fetchExistingStepStatus()
   }, [fetchExistingStepStatus, location.pathname])
 
+  // Pick up a Full Auto run still queued/running for this semester (e.g. after a page reload)
+  useEffect(() => {
+    let cancelled = false
+    setJobId(null)
+
+    axios.get('/api/timetables/jobs', { params: { sem_type: semType, academic_year: academicYear } })
+      .then(response => {
+        const active = (response.data.data || []).find(job => ['queued', 'running'].includes(job.status))
+        if (!cancelled && active) {
+          setJobId(active.id)
+          setGenerating(true)
+        }
+      })
+      .catch(err => console.error('Error fetching generation jobs:', err))
+
+    return () => { cancelled = true }
+  }, [semType, academicYear])
+
   // Refresh data when window regains focus (user navigates back from another tab)
   useEffect(() => {
     const handleFocus = () => {
@@ -344,15 +420,20 @@ function TimetableGenerator() {
     setGenerating(true)
     setCurrentStep(stepNumber)
     setError('')
+    setJobId(null)
     setResult(null)
     
+    // Result key: step1 ... step6, step6_5, step7
+    const stepKey = `step${String(stepNumber).replace('.', '_')}`
+
     // Clear future steps when running a step
     setStepResults(prev => {
       const newResults = { ...prev }
       // Clear all steps after the current one
-      for (let i = stepNumber + 1; i <= 7; i++) {
+      for (let i = Math.floor(stepNumber) + 1; i <= 7; i++) {
         delete newResults[`step${i}`]
       }
+      if (stepNumber < 6.5) delete newResults.step6_5
       console.log(`🧹 [STEP ${stepNumber}] Cleared future steps ${stepNumber + 1} to 7`)
       return newResults
     })
@@ -360,10 +441,34 @@ function TimetableGenerator() {
     try {
       const response = await axios.post(`/api/timetables/step${stepNumber}`, {
         sem_type: semType,
-        academic_year: academicYear
+        academic_year: academicYear,
+        ...seedPayload(),
+        ...(stepNumber >= 3 && stepNumber < 7 && sectionPayload())
       })
 
       if (response.data.success) {
+        // Steps 3-6 return the seed they ran with; later steps' seeds no longer apply
+        // (Step 6.5 shows its seed in its own result)
+        if (stepNumber <= 6) {
+          setRunSeeds(prev => {
+            const seeds = { ...prev }
+            for (let i = stepNumber; i <= 6; i++) delete seeds[`step${i}`]
+            if (response.data.seed !== undefined) seeds[`step${stepNumber}`] = response.data.seed
+            return seeds
+          })
+        }
+
+        // Steps 1-4 replace the unscheduled report from their step onwards
+        // (a run targeting some sections only returns theirs - reload the whole report)
+        if (stepNumber >= 3 && stepNumber <= 4 && targetSections.length > 0) {
+          reloadUnscheduledItems()
+        } else if (stepNumber <= 4) {
+          setUnscheduledItems(prev => [
+            ...prev.filter(item => item.step < stepNumber),
+            ...(stepNumber >= 3 ? response.data.data?.unscheduled_items || [] : [])
+          ])
+        }
+
         // Store the result with details
         const stepResult = {
           ...response.data,
@@ -375,7 +480,7 @@ function TimetableGenerator() {
         
         setStepResults(prev => ({
           ...prev,
-          [`step${stepNumber}`]: stepResult
+          [stepKey]: stepResult
         }))
         setResult(response.data.data)
         
@@ -455,7 +560,7 @@ function TimetableGenerator() {
           if (totalScheduled < totalToSchedule) {
             alertMessage += `⚠️ NOTICE:\n`
             alertMessage += `   ${totalToSchedule - totalScheduled} subject(s) could not be scheduled\n`
-            alertMessage += `   Check the detailed report in Timetable Viewer\n\n`
+            alertMessage += `   See "Unscheduled Items" below for why each one was rejected\n\n`
           }
           
           alertMessage += `💡 View detailed per-section statistics in Timetable Viewer!\n`
@@ -506,8 +611,35 @@ function TimetableGenerator() {
     }
   }
 
+  // Body field for the optional seed input (same seed + same data = same timetables)
+  const seedPayload = () => (seed.trim() === '' ? {} : { seed: Number(seed) })
+
+  // Body field for the section picker - the other sections stay as they are
+  const sectionPayload = () => (targetSections.length > 0 ? { section_ids: targetSections } : {})
+
+  const toggleTargetSection = (sectionId) => {
+    setTargetSections(prev => prev.includes(sectionId) ? prev.filter(id => id !== sectionId) : [...prev, sectionId])
+  }
+
+  const reloadUnscheduledItems = async () => {
+    try {
+      const response = await axios.get('/api/timetables', {
+        params: { sem_type: semType, academic_year: academicYear }
+      })
+      setUnscheduledItems(response.data.data.flatMap(tt => tt.generation_metadata?.unscheduled_items || []))
+    } catch (err) {
+      console.error('Error reloading unscheduled items:', err)
+    }
+  }
+
   const handleGenerate = async () => {
-    if (!confirm(`⚠️ WARNING: Full Auto Generation will clear existing timetables and run ALL steps.\n\nAre you sure you want to continue?`)) {
+    const targetNames = sections.filter(section => targetSections.includes(section.id)).map(section => section.name)
+    const warning = repair && algorithm === 'greedy'
+      ? `🩹 Repair mode will rebuild ${targetNames.length > 0 ? targetNames.join(', ') : 'all sections'} starting from the current timetables, changing as few slots as possible. The changes are listed afterwards.`
+      : targetNames.length > 0
+        ? `⚠️ WARNING: Full Auto Generation will regenerate ${targetNames.join(', ')} (Steps 3-7) and keep every other section as it is.`
+        : `⚠️ WARNING: Full Auto Generation will clear existing timetables and run ALL steps.`
+    if (!confirm(`${warning}\n\nAre you sure you want to continue?`)) {
       return
     }
 
@@ -515,25 +647,41 @@ function TimetableGenerator() {
     setError('')
     setResult(null)
 
+    // Runs as a background job - progress and the end result come from the job panel
     try {
-      const response = await axios.post('/api/timetables/generate', {
+      const response = await axios.post('/api/timetables/jobs', {
         sem_type: semType,
-        academic_year: academicYear
+        academic_year: academicYear,
+        optimize,
+        repair: repair && algorithm === 'greedy',
+        algorithm,
+        ...(algorithm === 'csp' && { time_limit_ms: Math.round(Number(timeLimit) * 1000) }),
+        ...seedPayload(),
+        ...sectionPayload()
       })
-
-      if (response.data.success) {
-        setResult(response.data.data)
+      setJobId(response.data.data.id)
+    } catch (err) {
+      console.error('Error starting generation job:', err)
+      const runningJobId = err.response?.status === 409 && err.response.data.data?.job_id
+      if (runningJobId) {
+        setJobId(runningJobId) // A job is already generating this semester - follow that run
       } else {
-        setError(response.data.message || 'Generation failed')
+        setError(err.response?.data?.message || 'Failed to start timetable generation')
+        setGenerating(false)
       }
-    } catch (err) {
-      console.error('Error generating timetables:', err)
-      setError(err.response?.data?.message || 'Failed to generate timetables')
-    } finally {
-      setGenerating(false)
     }
   }
 
+  const handleJobFinished = useCallback((job) => {
+    setGenerating(false)
+    if (job.status === 'completed' && job.algorithm !== 'csp') {
+      setRunSeeds({ step3: job.seed, step4: job.seed, step5: job.seed, step6: job.seed })
+    } else if (job.status === 'failed') {
+      setError(job.error || 'Generation failed')
+    }
+    fetchExistingStepStatus()
+  }, [fetchExistingStepStatus])
+
   const handleClearTimetables = async () => {
     if (!confirm(`Are you sure you want to clear all ${semType} semester timetables?`)) {
       return
@@ -560,6 +708,10 @@ function TimetableGenerator() {
           step6: null,
           step7: null
         })
+        setUnscheduledItems([])
+        setRepairSections([])
+        setSections([])
+        setTargetSections([])
       }
     } catch (err) {
       console.error('Error clearing timetables:', err)
@@ -615,6 +767,104 @@ function TimetableGenerator() {
           </select>
         </div>
 
+        <div className="control-group">
+          <label htmlFor="generation-seed">Seed (optional):</label>
+          <input
+            id="generation-seed"
+            type="number"
+            min="0"
+            step="1"
+            className="seed-input"
+            value={seed}
+            onChange={(e) => setSeed(e.target.value)}
+            placeholder="Random"
+            disabled={generating}
+          />
+          {Object.keys(runSeeds).length > 0 && (
+            <small className="seed-hint">
+              Last run: {[3, 4, 5, 6].filter(n => runSeeds[`step${n}`] != null).map(n => `Step ${n} #${runSeeds[`step${n}`]}`).join(' · ')}
+            </small>
+          )}
+        </div>
+
+        <div className="control-group">
+          <label className="optimize-toggle">
+            <input
+              type="checkbox"
+              checked={optimize}
+              onChange={(e) => setOptimize(e.target.checked)}
+              disabled={generating}
+            />
+            Optimize (Step 6.5) in Full Auto
+          </label>
+        </div>
+
+        <div className="control-group">
+          <label className="optimize-toggle" title="Start from the current timetables and change as few slots as possible (greedy only)">
+            <input
+              type="checkbox"
+              checked={repair}
+              onChange={(e) => setRepair(e.target.checked)}
+              disabled={generating || algorithm !== 'greedy'}
+            />
+            Repair mode (keep the current timetable where possible)
+          </label>
+        </div>
+
+        <div className="control-group">
+          <label htmlFor="generation-algorithm">Full Auto algorithm:</label>
+          <select
+            id="generation-algorithm"
+            value={algorithm}
+            onChange={(e) => setAlgorithm(e.target.value)}
+            disabled={generating}
+          >
+            <option value="greedy">Greedy (Steps 3-6)</option>
+            <option value="csp">Constraint solver</option>
+          </select>
+          {algorithm === 'csp' && (
+            <>
+              <input
+                id="solver-time-limit"
+                type="number"
+                min="1"
+                max="600"
+                step="1"
+                className="seed-input"
+                value={timeLimit}
+                onChange={(e) => setTimeLimit(e.target.value)}
+                disabled={generating}
+                title="Time limit of the search"
+              />
+              <small className="seed-hint">seconds</small>
+            </>
+          )}
+        </div>
+
+        {sections.length > 0 && (
+          <div className="control-group">
+            <label>Regenerate sections:</label>
+            <div className="section-picker">
+              {sections.map(section => (
+                <label key={section.id} className="optimize-toggle">
+                  <input
+                    type="checkbox"
+                    checked={targetSections.includes(section.id)}
+                    onChange={() => toggleTargetSection(section.id)}
+                    disabled={generating}
+                  />
+                  {section.name}
+                </label>
+              ))}
+            </div>
+            <small className="seed-hint">
+              {targetSections.length === 0
+                ? 'None checked: Steps 3-6.5 and Full Auto regenerate every section'
+                : `Steps 3-6.5 and Full Auto only rebuild ${targetSections.length} section(s) - the others stay fixed${algorithm === 'csp' ? ' (greedy only)' : ''}`}
+            </small>
+          </div>
+        )}
+
         <div className="action-buttons">
           <button
             className="view-btn"
@@ -623,22 +873,49 @@ function TimetableGenerator() {
             👁️ View Timetables
           </button>
 
-          <button
-            className="clear-btn"
-            onClick={handleClearTimetables}
-            disabled={generating}
-          >
-            🗑️ Clear All
-          </button>
+          {hasPermission('timetable:clear') && (
+            <button
+              className="clear-btn"
+              onClick={handleClearTimetables}
+              disabled={generating}
+            >
+              🗑️ Clear All
+            </button>
+          )}
         </div>
       </div>
 
+      {/* Draft → review → publish */}
+      <TimetableLifecycle
+        semType={semType}
+        academicYear={academicYear}
+        disabled={generating}
+        onStatusChange={setLifecycleStatus}
+      />
+
+      {/* Where Step 3 may place labs */}
+      <LabSlotTemplates
+        semType={semType}
+        disabled={generating || isLocked}
+      />
+
+      {/* Enough rooms, teachers and periods? (before anything runs) */}
+      <GenerationReadiness
+        semType={semType}
+        academicYear={academicYear}
+      />
+
       {/* Step-by-Step Generation */}
       <div className="phased-generation">
         <h3>📋 Step-by-Step Generation (Recommended)</h3>
         <p className="phased-description">
           Execute each step individually to verify and control the timetable generation process.
         </p>
+        {isLocked && (
+          <p className="locked-notice">
+            🔒 These timetables are {lifecycleStatus}. Open a new draft above to regenerate them.
+          </p>
+        )}
 
         <div className="steps-container">
           <div className="step-card">
@@ -650,7 +927,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(1, 'Step 1: Load Sections')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 1 ? '⏳ Running...' : '▶️ Run Step 1'}
             </button>
@@ -670,7 +947,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(2, 'Step 2: Block Fixed Slots')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 2 ? '⏳ Running...' : '▶️ Run Step 2'}
             </button>
@@ -690,7 +967,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(3, 'Step 3: Schedule Labs')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 3 ? '⏳ Running...' : '▶️ Run Step 3'}
             </button>
@@ -715,7 +992,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(4, 'Step 4: Schedule Theory + Breaks')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 4 ? '⏳ Running...' : '▶️ Run Step 4'}
             </button>
@@ -736,7 +1013,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(5, 'Step 5: Assign Classrooms')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 5 ? '⏳ Running...' : '▶️ Run Step 5'}
             </button>
@@ -770,7 +1047,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(6, 'Step 6: Assign Teachers')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 6 ? '⏳ Running...' : '▶️ Run Step 6'}
             </button>
@@ -807,6 +1084,44 @@ function TimetableGenerator() {
             )}
           </div>
 
+          <div className="step-card optional">
+            <div className="step-header">
+              <span className="step-number">6.5</span>
+              <h4>Optimize (Optional)</h4>
+            </div>
+            <p>Move and swap theory classes to cut gaps and early starts - no new conflicts</p>
+            <button
+              className="step-btn"
+              onClick={() => handleStepExecution(6.5, 'Step 6.5: Optimize')}
+              disabled={generating || isLocked}
+            >
+              {generating && currentStep === 6.5 ? '⏳ Running...' : '▶️ Run Step 6.5'}
+            </button>
+            {stepResults.step6_5?.data && (
+              <div className="step-result">
+                <div className="result-header">✅ Optimization Complete</div>
+                <div className="result-details">
+                  <div className="result-item success">
+                    <span className="label">📈 Fitness:</span>
+                    <span className="value">{stepResults.step6_5.data.fitness_before} → {stepResults.step6_5.data.fitness_after}</span>
+                  </div>
+                  <div className="result-item">
+                    <span className="label">Penalty:</span>
+                    <span className="value">{stepResults.step6_5.data.penalty_before} → {stepResults.step6_5.data.penalty_after}</span>
+                  </div>
+                  <div className="result-item">
+                    <span className="label">Sessions Moved:</span>
+                    <span className="value">{stepResults.step6_5.data.sessions_moved}</span>
+                  </div>
+                  <div className="result-item">
+                    <span className="label">Seed:</span>
+                    <span className="value">#{stepResults.step6_5.data.seed}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+
           <div className="step-card">
             <div className="step-header">
               <span className="step-number">7</span>
@@ -816,7 +1131,7 @@ function TimetableGenerator() {
             <button
               className="step-btn"
               onClick={() => handleStepExecution(7, 'Step 7: Validate')}
-              disabled={generating}
+              disabled={generating || isLocked}
             >
               {generating && currentStep === 7 ? '⏳ Running...' : '▶️ Run Step 7'}
             </button>
@@ -847,6 +1162,33 @@ function TimetableGenerator() {
                       <div className="validation-summary">
                         Total Issues: {stepResults.step7.data.total_issues}
                       </div>
+                      {stepResults.step7.data.fitness && (
+                        <div className="fitness-summary">
+                          <div className="fitness-score">
+                            📈 Fitness Score: <strong>{stepResults.step7.data.fitness.fitness_score}</strong>/100
+                          </div>
+                          <div className="fitness-breakdown">
+                            {stepResults.step7.data.fitness.hard_violations} hard violation(s)
+                            {' • '}{stepResults.step7.data.fitness.soft.gap_hours}h gaps
+                            {' • '}{stepResults.step7.data.fitness.soft.early_start_days} extra early starts
+                            {' • '}{stepResults.step7.data.fitness.soft.same_subject_repeats} same-day repeats
+                            {' • '}{stepResults.step7.data.fitness.soft.teacher_idle_hours}h teacher idle
+                            {' • '}{stepResults.step7.data.fitness.soft.lab_room_spread} extra lab rooms
+                            {stepResults.step7.data.fitness.soft.rule_violations > 0 && (
+                              <>{' • '}{stepResults.step7.data.fitness.soft.rule_violations} soft rule violation(s)</>
+                            )}
+                          </div>
+                          {stepResults.step7.data.sections_fitness?.length > 0 && (
+                            <div className="fitness-sections">
+                              {stepResults.step7.data.sections_fitness.map(section => (
+                                <span key={section.section_name} className="fitness-chip">
+                                  {section.section_name}: {section.fitness_score ?? '—'}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      )}
                       {stepResults.step7.data.total_issues > 0 && stepResults.step7.data.issues && (
                         <div className="issue-breakdown">
                           {stepResults.step7.data.issues.teacher_conflicts > 0 && (
@@ -861,9 +1203,41 @@ function TimetableGenerator() {
                           {stepResults.step7.data.issues.consecutive_labs > 0 && (
                             <div className="issue-item">⚠️ Consecutive Labs: {stepResults.step7.data.issues.consecutive_labs}</div>
                           )}
+                          {stepResults.step7.data.issues.rule_violations > 0 && (
+                            <div className="issue-item-expandable">
+                              <div className="issue-title">⚠️ Scheduling Rules Broken: {stepResults.step7.data.issues.rule_violations}</div>
+                              {stepResults.step7.details?.rule_violations?.length > 0 && (
+                                <div className="issue-details-list">
+                                  {stepResults.step7.details.rule_violations.map((issue, idx) => (
+                                    <div key={idx} className="issue-detail-item">
+                                      <strong>{issue.section || issue.teacher}:</strong> {issue.issue}
+                                      <br />
+                                      <span className="issue-time">{issue.day}{issue.time ? ` ${issue.time}` : ''} - {issue.rule}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
                           {stepResults.step7.data.issues.hours_per_week > 0 && (
                             <div className="issue-item">⚠️ Hour Discrepancies: {stepResults.step7.data.issues.hours_per_week}</div>
                           )}
+                          {stepResults.step7.data.issues.teacher_unavailability > 0 && (
+                            <div className="issue-item-expandable">
+                              <div className="issue-title">❌ Teacher Unavailable: {stepResults.step7.data.issues.teacher_unavailability}</div>
+                              {stepResults.step7.details?.teacher_unavailability_violations?.length > 0 && (
+                                <div className="issue-details-list">
+                                  {stepResults.step7.details.teacher_unavailability_violations.map((issue, idx) => (
+                                    <div key={idx} className="issue-detail-item">
+                                      <strong>{issue.teacher}:</strong> unavailable {issue.day} {issue.unavailable}{issue.reason ? ` (${issue.reason})` : ''}
+                                      <br />
+                                      <span className="issue-time">{issue.time} - {issue.section}: {issue.subject}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
                           {stepResults.step7.data.issues.teacher_assignments > 0 && (
                             <div className="issue-item-expandable">
                               <div className="issue-title">⚠️ Incomplete Assignments: {stepResults.step7.data.issues.teacher_assignments}</div>
@@ -901,25 +1275,40 @@ function TimetableGenerator() {
         </div>
       </div>
 
+      <UnscheduledReport items={unscheduledItems} />
+
+      <RepairReport sections={repairSections} />
+
       {/* Full Auto Generation */}
       <div className="full-auto-section">
         <h3>⚡ Full Auto Generation (Advanced)</h3>
         <p className="auto-description">
           Run all steps automatically in one go. Use this when you're confident about all settings.
+          The run continues in the background - you can leave this page and follow it again later.
         </p>
 
         <div className="action-buttons">
           <button
             className="generate-btn"
             onClick={handleGenerate}
-            disabled={generating}
+            disabled={generating || isLocked}
           >
             {generating ? '⏳ Generating All Steps...' : '⚡ Generate All (Steps 1-6)'}
           </button>
         </div>
       </div>
 
-      {generating && (
+      {jobId && <GenerationJobProgress jobId={jobId} onFinished={handleJobFinished} />}
+
+      {/* Saved versions: snapshot, compare, restore */}
+      <TimetableSnapshots
+        semType={semType}
+        academicYear={academicYear}
+        disabled={generating}
+        onRestored={fetchExistingStepStatus}
+      />
+
+      {generating && !jobId && (
         <div className="generating-status">
           <div className="spinner"></div>
           <p>Generating timetables for {semType} semester...</p>
@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import { hasPermission } from '../auth'
+import './TimetableLifecycle.css'
+
+/**
+ * Timetable Lifecycle Panel (used on the Timetable Generator page)
+ * draft → under review → published → archived
+ * - Coordinators submit a draft for review and open new drafts
+ * - The HOD publishes (viewers switch to the new frozen copy) and archives
+ * - onStatusChange(status) lets the page disable generation while published/archived
+ */
+
+const STATUS_LABELS = {
+  draft: '📝 Draft',
+  under_review: '🔎 Under Review',
+  published: '📢 Published',
+  archived: '🗄️ Archived'
+}
+
+function TimetableLifecycle({ semType, academicYear, disabled, onStatusChange }) {
+  const [lifecycle, setLifecycle] = useState(null)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchLifecycle = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/timetables/lifecycle', {
+        params: {
+          sem_type: semType,
+          academic_year: academicYear
+        }
+      })
+      setLifecycle(response.data.data)
+      onStatusChange?.(response.data.data.status)
+    } catch (err) {
+      console.error('Error fetching timetable lifecycle:', err)
+    }
+  }, [semType, academicYear, onStatusChange])
+
+  useEffect(() => {
+    setError('')
+    fetchLifecycle()
+  }, [fetchLifecycle])
+
+  const runAction = async (action, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) return
+
+    setWorking(true)
+    setError('')
+
+    try {
+      const response = await axios.post(`/api/timetables/${action}`, {
+        sem_type: semType,
+        academic_year: academicYear
+      })
+      alert(`✅ ${response.data.message}`)
+      fetchLifecycle()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update timetable status')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  if (!lifecycle || !lifecycle.status) {
+    return null
+  }
+
+  const { status, published_version, versions } = lifecycle
+  const currentVersion = versions.find(v => v.version === published_version)
+  const busy = disabled || working
+
+  return (
+    <div className={`lifecycle-section lifecycle-${status}`}>
+      <div className="lifecycle-header">
+        <div>
+          <h3>Status: <span className={`lifecycle-badge badge-${status}`}>{STATUS_LABELS[status]}</span></h3>
+          <p className="lifecycle-description">
+            {status === 'draft' && 'Working copy - generation steps and the editor can change it.'}
+            {status === 'under_review' && 'Submitted for HOD review - still editable until published.'}
+            {status === 'published' && 'Frozen - viewers see the published copy. Open a new draft to regenerate or edit.'}
+            {status === 'archived' && 'Semester archived - read-only. Open a new draft to work on it again.'}
+          </p>
+          {lifecycle.status_updated_by && (
+            <p className="lifecycle-meta">
+              Last changed by {lifecycle.status_updated_by}
+              {lifecycle.status_updated_at && ` on ${new Date(lifecycle.status_updated_at).toLocaleString()}`}
+            </p>
+          )}
+          <p className="lifecycle-meta">
+            {currentVersion
+              ? `Viewers see version ${currentVersion.version}, published ${new Date(currentVersion.published_at).toLocaleString()}${currentVersion.published_by ? ` by ${currentVersion.published_by}` : ''}`
+              : 'Nothing published yet - viewers show no timetable for this semester.'}
+          </p>
+        </div>
+
+        <div className="lifecycle-actions">
+          {status === 'draft' && hasPermission('timetable:edit') && (
+            <button className="lifecycle-btn" onClick={() => runAction('submit-review')} disabled={busy}>
+              🔎 Submit for Review
+            </button>
+          )}
+          {['draft', 'under_review'].includes(status) && hasPermission('timetable:publish') && (
+            <button
+              className="lifecycle-btn publish"
+              onClick={() => runAction('publish', `📢 Publish the ${semType} semester timetables for ${academicYear}?\n\nAll viewers will switch to this version and the working copy becomes read-only.`)}
+              disabled={busy}
+            >
+              📢 Publish
+            </button>
+          )}
+          {status !== 'draft' && hasPermission('timetable:edit') && (
+            <button className="lifecycle-btn secondary" onClick={() => runAction('open-draft')} disabled={busy}>
+              📝 Open New Draft
+            </button>
+          )}
+          {status === 'published' && hasPermission('timetable:publish') && (
+            <button
+              className="lifecycle-btn secondary"
+              onClick={() => runAction('archive', `🗄️ Archive the ${semType} semester timetables for ${academicYear}?\n\nViewers will no longer show this semester.`)}
+              disabled={busy}
+            >
+              🗄️ Archive
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="lifecycle-error">{error}</div>}
+
+      {versions.length > 0 && (
+        <details className="lifecycle-versions">
+          <summary>Published versions ({versions.length})</summary>
+          <ul>
+            {versions.map(version => (
+              <li key={version.version}>
+                <strong>v{version.version}</strong> - {new Date(version.published_at).toLocaleString()}
+                {version.published_by && ` by ${version.published_by}`}
+                {` • ${version.sections.length} sections • `}
+                <span className={`lifecycle-badge badge-${version.status}`}>{STATUS_LABELS[version.status]}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default TimetableLifecycle
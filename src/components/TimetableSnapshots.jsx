@@ -0,0 +1,290 @@
+import { useState, useEffect, useCallback } from 'react'
+import axios from 'axios'
+import { hasPermission } from '../auth'
+import './TimetableSnapshots.css'
+
+/**
+ * Timetable Snapshots (used on the Timetable Generator page)
+ * - Save the current timetables of the selected semester under a name
+ * - Compare a snapshot with another snapshot or with the current timetables
+ * - One-click restore (the current state is backed up automatically first)
+ */
+
+const describeSlots = (kind, slots) => {
+  if (slots.length === 0) return '—'
+  return slots.map(slot => {
+    if (kind === 'theory') {
+      return [slot.subject, slot.teacher, slot.classroom].filter(Boolean).join(' • ')
+    }
+    return slot.batches
+      .map(batch => `${batch.batch}: ${batch.lab}${batch.lab_room ? ` @ ${batch.lab_room}` : ''}${batch.teachers ? ` (${batch.teachers})` : ''}`)
+      .join(' | ')
+  }).join(' / ')
+}
+
+function TimetableSnapshots({ semType, academicYear, disabled, onRestored }) {
+  const [snapshots, setSnapshots] = useState([])
+  const [name, setName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [restoringId, setRestoringId] = useState(null)
+  const [compareFrom, setCompareFrom] = useState('')
+  const [compareTo, setCompareTo] = useState('current')
+  const [diff, setDiff] = useState(null)
+  const [comparing, setComparing] = useState(false)
+  const [error, setError] = useState('')
+
+  const canManage = hasPermission('timetable:snapshot')
+
+  const fetchSnapshots = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/timetable-snapshots', {
+        params: {
+          sem_type: semType,
+          academic_year: academicYear
+        }
+      })
+      setSnapshots(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching snapshots:', err)
+    }
+  }, [semType, academicYear])
+
+  useEffect(() => {
+    fetchSnapshots()
+    setDiff(null)
+    setCompareFrom('')
+    setCompareTo('current')
+  }, [fetchSnapshots])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+
+    try {
+      await axios.post('/api/timetable-snapshots', {
+        name,
+        sem_type: semType,
+        academic_year: academicYear
+      })
+      setName('')
+      fetchSnapshots()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save snapshot')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRestore = async (snapshot) => {
+    if (!confirm(`♻️ Restore "${snapshot.name}"?\n\nAll current ${semType} semester timetables for ${academicYear} will be replaced. The current state is saved as a snapshot first.`)) {
+      return
+    }
+
+    setRestoringId(snapshot._id)
+    setError('')
+
+    try {
+      const response = await axios.post(`/api/timetable-snapshots/${snapshot._id}/restore`, { backup: true })
+      alert(`✅ ${response.data.message}`)
+      setDiff(null)
+      fetchSnapshots()
+      onRestored?.()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore snapshot')
+    } finally {
+      setRestoringId(null)
+    }
+  }
+
+  const handleDelete = async (snapshot) => {
+    if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return
+
+    try {
+      await axios.delete(`/api/timetable-snapshots/${snapshot._id}`)
+      if (compareFrom === snapshot._id || compareTo === snapshot._id) setDiff(null)
+      fetchSnapshots()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete snapshot')
+    }
+  }
+
+  const handleCompare = async () => {
+    setComparing(true)
+    setError('')
+
+    try {
+      const response = await axios.get('/api/timetable-snapshots/diff', {
+        params: { from: compareFrom, to: compareTo }
+      })
+      setDiff(response.data.data)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to compare snapshots')
+    } finally {
+      setComparing(false)
+    }
+  }
+
+  return (
+    <div className="snapshots-section">
+      <h3>🗂️ Saved Versions</h3>
+      <p className="snapshots-description">
+        Save the current {semType} semester timetables before experimenting, compare versions slot by slot,
+        and restore a good version with one click.
+      </p>
+
+      {canManage && (
+        <form className="snapshot-save-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Snapshot name, e.g. Before swapping DBMS labs"
+            disabled={disabled || saving}
+            required
+          />
+          <button type="submit" className="snapshot-btn" disabled={disabled || saving || !name.trim()}>
+            {saving ? '⏳ Saving...' : '💾 Save Snapshot'}
+          </button>
+        </form>
+      )}
+
+      {error && <div className="snapshot-error">{error}</div>}
+
+      {snapshots.length === 0 ? (
+        <p className="snapshots-empty">No snapshots saved for {semType} semester {academicYear} yet.</p>
+      ) : (
+        <div className="snapshot-list">
+          {snapshots.map(snapshot => (
+            <div key={snapshot._id} className="snapshot-item">
+              <div className="snapshot-info">
+                <div className="snapshot-name">{snapshot.name}</div>
+                <div className="snapshot-meta">
+                  {new Date(snapshot.createdAt).toLocaleString()}
+                  {snapshot.created_by?.user_name && ` • by ${snapshot.created_by.user_name}`}
+                  {` • ${snapshot.summary?.sections?.length || 0} sections`}
+                  {` • ${snapshot.summary?.theory_slots || 0} theory / ${snapshot.summary?.lab_slots || 0} lab slots`}
+                  {snapshot.summary?.current_step > 0 && ` • up to Step ${snapshot.summary.current_step}`}
+                </div>
+                {snapshot.last_restored_at && (
+                  <div className="snapshot-meta">
+                    ♻️ Last restored {new Date(snapshot.last_restored_at).toLocaleString()}
+                    {snapshot.last_restored_by && ` by ${snapshot.last_restored_by}`}
+                  </div>
+                )}
+              </div>
+
+              <div className="snapshot-actions">
+                <button
+                  className="snapshot-btn secondary"
+                  onClick={() => { setCompareFrom(snapshot._id); setDiff(null) }}
+                  disabled={disabled}
+                >
+                  🔍 Compare
+                </button>
+                {canManage && (
+                  <button
+                    className="snapshot-btn"
+                    onClick={() => handleRestore(snapshot)}
+                    disabled={disabled || restoringId !== null}
+                  >
+                    {restoringId === snapshot._id ? '⏳ Restoring...' : '♻️ Restore'}
+                  </button>
+                )}
+                {canManage && (
+                  <button
+                    className="snapshot-btn danger"
+                    onClick={() => handleDelete(snapshot)}
+                    disabled={disabled}
+                  >
+                    🗑️
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Compare two versions */}
+      {compareFrom && (
+        <div className="snapshot-compare">
+          <div className="snapshot-compare-controls">
+            <label>Compare</label>
+            <select value={compareFrom} onChange={(e) => { setCompareFrom(e.target.value); setDiff(null) }}>
+              {snapshots.map(snapshot => (
+                <option key={snapshot._id} value={snapshot._id}>{snapshot.name}</option>
+              ))}
+            </select>
+            <label>with</label>
+            <select value={compareTo} onChange={(e) => { setCompareTo(e.target.value); setDiff(null) }}>
+              <option value="current">Current timetables</option>
+              {snapshots.filter(s => s._id !== compareFrom).map(snapshot => (
+                <option key={snapshot._id} value={snapshot._id}>{snapshot.name}</option>
+              ))}
+            </select>
+            <button className="snapshot-btn" onClick={handleCompare} disabled={comparing}>
+              {comparing ? '⏳ Comparing...' : '🔍 Show Changes'}
+            </button>
+            <button className="snapshot-btn secondary" onClick={() => { setCompareFrom(''); setDiff(null) }}>
+              Close
+            </button>
+          </div>
+
+          {diff && (
+            <div className="snapshot-diff">
+              <div className="snapshot-diff-summary">
+                <strong>{diff.from.name}</strong> → <strong>{diff.to.name}</strong>:{' '}
+                {diff.sections_changed} section(s) changed •{' '}
+                <span className="diff-added">+{diff.slots_added} added</span> •{' '}
+                <span className="diff-removed">−{diff.slots_removed} removed</span> •{' '}
+                <span className="diff-modified">~{diff.slots_modified} modified</span>
+              </div>
+
+              {diff.sections_changed === 0 && (
+                <p className="snapshots-empty">Both versions are identical.</p>
+              )}
+
+              {diff.sections.filter(section => section.status !== 'unchanged').map(section => (
+                <div key={section.section_name} className="snapshot-diff-section">
+                  <h4>
+                    Section {section.section_name}
+                    {section.status === 'added' && <span className="diff-added"> (new section)</span>}
+                    {section.status === 'removed' && <span className="diff-removed"> (section removed)</span>}
+                  </h4>
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Slot</th>
+                        <th>Type</th>
+                        <th>Before</th>
+                        <th>After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {section.changes.map((change, idx) => (
+                        <tr key={idx} className={`diff-row-${change.change}`}>
+                          <td>{change.day} {change.start_time}</td>
+                          <td>
+                            {change.kind === 'lab' ? '🧪 Lab' : '📚 Theory'}
+                            {change.fields?.length > 0 && (
+                              <div className="diff-fields">{change.fields.join(', ')} changed</div>
+                            )}
+                          </td>
+                          <td>{describeSlots(change.kind, change.before)}</td>
+                          <td>{describeSlots(change.kind, change.after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TimetableSnapshots
@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react'
 import axios from 'axios'
 import DepartmentHeader from './DepartmentHeader'
+import { hasPermission } from '../auth'
+import { downloadFile, downloadErrorMessage } from '../download'
+import { useDepartmentCalendar, calendarHalfHours, toMinutes, toTime } from '../calendar'
 import './TimetableViewer.css'
 
 function TimetableViewer() {
@@ -11,20 +14,9 @@ function TimetableViewer() {
   const [error, setError] = useState('')
   const [semType, setSemType] = useState('odd')
   const [academicYear, setAcademicYear] = useState('2025-2026')
+  const [source, setSource] = useState('published') // 'published' copy or working 'draft'
   const [theorySummaryExpanded, setTheorySummaryExpanded] = useState(false)
-
-  // Time slots: 8:00 AM to 4:30 PM in 30-minute intervals
-  // Note: Last slot (4:30 PM) represents 4:30-5:00 PM (working hours end at 5:00 PM)
-  const timeSlots = [
-    '8:00 AM - 8:30 AM', '8:30 AM - 9:00 AM', '9:00 AM - 9:30 AM', '9:30 AM - 10:00 AM',
-    '10:00 AM - 10:30 AM', '10:30 AM - 11:00 AM', '11:00 AM - 11:30 AM', '11:30 AM - 12:00 PM',
-    '12:00 PM - 12:30 PM', '12:30 PM - 1:00 PM', '1:00 PM - 1:30 PM', '1:30 PM - 2:00 PM',
-    '2:00 PM - 2:30 PM', '2:30 PM - 3:00 PM', '3:00 PM - 3:30 PM', '3:30 PM - 4:00 PM',
-    '4:00 PM - 4:30 PM', '4:30 PM - 5:00 PM'
-  ]
-
-  const weekDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday']
-  const weekDaysShort = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']
+  const [exporting, setExporting] = useState(false)
 
   // Helper: Convert 24-hour to 12-hour format
   const convertTo12Hour = (time24) => {
@@ -34,12 +26,20 @@ function TimetableViewer() {
     return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`
   }
 
+  // Days, 30-minute columns and default breaks come from the department calendar
+  // Default calendar: Mon-Fri, 8:00 AM - 5:00 PM (last column 4:30-5:00 PM)
+  const calendar = useDepartmentCalendar(academicYear)
+  const gridTimes = calendarHalfHours(calendar)
+  const timeSlots = gridTimes.map(start =>
+    `${convertTo12Hour(start)} - ${convertTo12Hour(toTime(toMinutes(start) + 30))}`
+  )
+
+  const weekDays = calendar.working_days
+  const weekDaysShort = weekDays.map(day => day.substring(0, 3))
+
   // Helper: Calculate time slot index
   const getTimeSlotIndex = (time) => {
-    const [hours, minutes] = time.split(':').map(Number)
-    const startHour = 8
-    const totalMinutes = (hours - startHour) * 60 + minutes
-    return Math.floor(totalMinutes / 30)
+    return Math.floor((toMinutes(time) - toMinutes(gridTimes[0])) / 30)
   }
 
   // Helper: Calculate span (number of 30-min slots)
@@ -87,12 +87,12 @@ function TimetableViewer() {
     fetchSections()
   }, [semType])
 
-  // Refetch timetable when academic year changes
+  // Refetch timetable when academic year or version changes
   useEffect(() => {
     if (selectedSection) {
       fetchTimetable(selectedSection)
     }
-  }, [academicYear])
+  }, [academicYear, source])
 
   const fetchSections = async () => {
     try {
@@ -118,7 +118,8 @@ function TimetableViewer() {
       const response = await axios.get(`/api/timetables/${sectionId}`, {
         params: { 
           sem_type: semType,
-          academic_year: academicYear
+          academic_year: academicYear,
+          source
         }
       })
 
@@ -167,7 +168,9 @@ function TimetableViewer() {
     } catch (err) {
       console.error('Error fetching timetable:', err)
       if (err.response?.status === 404) {
-        setError('No timetable generated yet for this section')
+        setError(source === 'published'
+          ? 'No published timetable yet for this section'
+          : 'No timetable generated yet for this section')
       } else {
         setError('Failed to fetch timetable')
       }
@@ -218,6 +221,7 @@ function TimetableViewer() {
       if (slot.day === day) {
         const startIndex = getTimeSlotIndex(slot.start_time)
         const span = getTimeSpan(slot.start_time, slot.end_time)
+        if (startIndex < 0 || startIndex >= cells.length) return // outside the calendar's day
 
         console.log(`      ✅ Theory: ${slot.subject_shortform} at ${slot.start_time}-${slot.end_time} (index ${startIndex}, span ${span})`)
 
@@ -240,6 +244,7 @@ function TimetableViewer() {
       if (slot.day === day) {
         const startIndex = getTimeSlotIndex(slot.start_time)
         const span = getTimeSpan(slot.start_time, slot.end_time)
+        if (startIndex < 0 || startIndex >= cells.length) return // outside the calendar's day
 
         console.log(`      ✅ Lab: Session at ${slot.start_time}-${slot.end_time} (index ${startIndex}, span ${span})`)
 
@@ -263,19 +268,14 @@ function TimetableViewer() {
     console.log(`      • timetable.breaks length: ${timetable.breaks?.length || 0}`)
     console.log(`      • timetable.breaks content:`, timetable.breaks)
 
-    // Default breaks for all days
-    const defaultBreaks = [
-      { day: 'Monday', start_time: '11:00', end_time: '11:30', label: 'Default', isDefault: true },
-      { day: 'Monday', start_time: '13:30', end_time: '14:00', label: 'Default', isDefault: true },
-      { day: 'Tuesday', start_time: '11:00', end_time: '11:30', label: 'Default', isDefault: true },
-      { day: 'Tuesday', start_time: '13:30', end_time: '14:00', label: 'Default', isDefault: true },
-      { day: 'Wednesday', start_time: '11:00', end_time: '11:30', label: 'Default', isDefault: true },
-      { day: 'Wednesday', start_time: '13:30', end_time: '14:00', label: 'Default', isDefault: true },
-      { day: 'Thursday', start_time: '11:00', end_time: '11:30', label: 'Default', isDefault: true },
-      { day: 'Thursday', start_time: '13:30', end_time: '14:00', label: 'Default', isDefault: true },
-      { day: 'Friday', start_time: '11:00', end_time: '11:30', label: 'Default', isDefault: true },
-      { day: 'Friday', start_time: '13:30', end_time: '14:00', label: 'Default', isDefault: true }
-    ]
+    // Default breaks for all days (the calendar's daily breaks)
+    const defaultBreaks = weekDays.flatMap(weekDay => calendar.breaks.map(b => ({
+      day: weekDay,
+      start_time: b.start_time,
+      end_time: b.end_time,
+      label: 'Default',
+      isDefault: true
+    })))
 
     // Get custom breaks for this day from database (exclude removed markers)
     const customBreaksForDay = (timetable.breaks || []).filter(b => b.day === day && !b.isRemoved)
@@ -479,6 +479,40 @@ function TimetableViewer() {
     return null
   }
 
+  // Whole semester as one Excel workbook (sections, teachers, workload)
+  const handleDownloadExcel = async () => {
+    setExporting(true)
+    try {
+      await downloadFile('/api/timetables/export.xlsx', {
+        sem_type: semType,
+        academic_year: academicYear,
+        source
+      }, 'timetables.xlsx')
+    } catch (err) {
+      alert(`❌ ${await downloadErrorMessage(err, 'Failed to export Excel workbook')}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  // Download the selected section (or every section of the semester) as a PDF
+  const handleDownloadPdf = async (allSections) => {
+    setExporting(true)
+    try {
+      await downloadFile('/api/timetables/export.pdf', {
+        view: 'section',
+        id: allSections ? undefined : selectedSection,
+        sem_type: semType,
+        academic_year: academicYear,
+        source
+      }, 'timetable.pdf')
+    } catch (err) {
+      alert(`❌ ${await downloadErrorMessage(err, 'Failed to export PDF')}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   return (
     <div className="timetable-viewer">
       <DepartmentHeader
@@ -547,6 +581,46 @@ function TimetableViewer() {
               <option value="2029-2030">2029-2030</option>
             </select>
           </div>
+
+          {hasPermission('timetable:edit') && (
+            <div className="viewer-control-group">
+              <label htmlFor="source-select">Version:</label>
+              <select
+                id="source-select"
+                value={source}
+                onChange={(e) => setSource(e.target.value)}
+              >
+                <option value="published">📢 Published</option>
+                <option value="draft">📝 Working draft</option>
+              </select>
+            </div>
+          )}
+
+          <div className="viewer-control-group">
+            <div className="viewer-button-group">
+              <button
+                className="viewer-toggle-btn"
+                onClick={() => handleDownloadPdf(false)}
+                disabled={!timetable || exporting}
+              >
+                📄 Download PDF
+              </button>
+              <button
+                className="viewer-toggle-btn"
+                onClick={() => handleDownloadPdf(true)}
+                disabled={exporting}
+              >
+                {exporting ? '⏳ Exporting...' : '📚 All Sections PDF'}
+              </button>
+              <button
+                className="viewer-toggle-btn"
+                onClick={handleDownloadExcel}
+                disabled={exporting}
+              >
+                📊 Excel Workbook
+              </button>
+            </div>
+          </div>
         </div>
 
         {timetable && timetable.generation_metadata?.theory_scheduling_summary && (
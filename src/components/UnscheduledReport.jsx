@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import './UnscheduledReport.css'
+
+/**
+ * Unscheduled Report (used on the Timetable Generator page)
+ * Labs (Step 3) and theory hours (Step 4) the steps could not place, each with every
+ * candidate day/time and the rules that rejected it (generation_metadata.unscheduled_items)
+ */
+
+// Same codes as backend_server/algorithms/unscheduled_report.js
+const REASON_LABELS = {
+  section_busy: 'Section busy',
+  no_lab_room: 'No compatible free lab room',
+  teacher_busy: 'Teacher busy',
+  consecutive_labs: 'Consecutive-lab rule',
+  daily_lab_limit: 'Daily lab limit',
+  break: 'Break',
+  day_length: 'Day-length rule',
+  subject_day_limit: 'Subject already taught that day',
+  teacher_day_limit: 'Teacher hours-per-day rule',
+  outside_hours: 'Outside working hours'
+}
+
+function UnscheduledItem({ item }) {
+  const [open, setOpen] = useState(false)
+  const counts = Object.entries(item.reason_counts || {}).sort((a, b) => b[1] - a[1])
+
+  return (
+    <li className="unscheduled-item">
+      <button className="unscheduled-toggle" onClick={() => setOpen(!open)}>
+        <span>{open ? '▾' : '▸'} <strong>Step {item.step}:</strong> {item.label}</span>
+        <span className="unscheduled-muted">{item.candidates.length} candidates</span>
+      </button>
+      <div className="unscheduled-counts">
+        {counts.map(([code, count]) => (
+          <span key={code} className={`unscheduled-reason reason-${code}`}>
+            {REASON_LABELS[code] || code}: {count}
+          </span>
+        ))}
+      </div>
+
+      {open && (
+        <table className="unscheduled-candidates">
+          <thead>
+            <tr>
+              <th>Day</th>
+              <th>Time</th>
+              <th>Rejected by</th>
+            </tr>
+          </thead>
+          <tbody>
+            {item.candidates.map((candidate, index) => (
+              <tr key={index}>
+                <td>{candidate.day}</td>
+                <td>{candidate.start_time}-{candidate.end_time}</td>
+                <td>
+                  {candidate.reasons.length === 0 && <span className="unscheduled-muted">Free when checked</span>}
+                  {candidate.reasons.map((reason, i) => (
+                    <div key={i}>
+                      <span className={`unscheduled-reason reason-${reason.code}`}>{REASON_LABELS[reason.code] || reason.code}</span>
+                      {reason.detail && <span className="unscheduled-muted"> {reason.detail}</span>}
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </li>
+  )
+}
+
+function UnscheduledReport({ items }) {
+  if (!items || items.length === 0) return null
+
+  return (
+    <div className="unscheduled-section">
+      <h3>🔎 Unscheduled Items ({items.length})</h3>
+      <p className="unscheduled-description">
+        Every day/time each item could have used, with the rules that rejected it when the step gave up on it.
+      </p>
+      <ul className="unscheduled-list">
+        {items.map((item, index) => <UnscheduledItem key={index} item={item} />)}
+      </ul>
+    </div>
+  )
+}
+
+export default UnscheduledReport
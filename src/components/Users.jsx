@@ -0,0 +1,348 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import DepartmentHeader from './DepartmentHeader'
+import { getCurrentUser, ROLE_LABELS } from '../auth'
+import './Users.css'
+
+/**
+ * User Management Component (HOD only)
+ * - List all login accounts (Controllers collection)
+ * - Add/Edit/Delete accounts, change roles
+ * - Enable/Disable accounts and reset passwords
+ * - Link faculty logins to their Teacher record ("My Timetable")
+ */
+function Users() {
+  const [users, setUsers] = useState([])
+  const [teachers, setTeachers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showModal, setShowModal] = useState(false)
+  const [editMode, setEditMode] = useState(false)
+  const [currentUser, setCurrentUser] = useState(null)
+  const [formData, setFormData] = useState({
+    user_name: '',
+    password: '',
+    role: 'coordinator',
+    is_active: true,
+    teacher_id: ''
+  })
+  const [error, setError] = useState('')
+
+  const loggedInUser = getCurrentUser()
+
+  useEffect(() => {
+    fetchUsers()
+    fetchTeachers()
+  }, [])
+
+  const fetchUsers = async () => {
+    try {
+      const response = await axios.get('/api/users')
+      setUsers(response.data.data || [])
+      setLoading(false)
+    } catch (err) {
+      console.error('Error fetching users:', err)
+      setError('Failed to load users')
+      setLoading(false)
+    }
+  }
+
+  const fetchTeachers = async () => {
+    try {
+      const response = await axios.get('/api/teachers')
+      setTeachers(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching teachers:', err)
+    }
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value })
+  }
+
+  const openAddModal = () => {
+    setEditMode(false)
+    setCurrentUser(null)
+    setFormData({
+      user_name: '',
+      password: '',
+      role: 'coordinator',
+      is_active: true,
+      teacher_id: ''
+    })
+    setShowModal(true)
+    setError('')
+  }
+
+  const openEditModal = (user) => {
+    setEditMode(true)
+    setCurrentUser(user)
+    setFormData({
+      user_name: user.user_name,
+      password: '',
+      role: user.role,
+      is_active: user.is_active,
+      teacher_id: user.teacher_id?._id || ''
+    })
+    setShowModal(true)
+    setError('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    try {
+      const payload = {
+        user_name: formData.user_name.trim(),
+        role: formData.role,
+        is_active: formData.is_active,
+        teacher_id: formData.teacher_id || null
+      }
+
+      // Password is required for new users, optional (reset) when editing
+      if (formData.password) {
+        payload.password = formData.password
+      }
+
+      if (editMode) {
+        await axios.put(`/api/users/${currentUser._id}`, payload)
+      } else {
+        await axios.post('/api/users', payload)
+      }
+
+      fetchUsers()
+      setShowModal(false)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Operation failed')
+    }
+  }
+
+  const handleToggleActive = async (user) => {
+    const action = user.is_active ? 'disable' : 'enable'
+    if (!window.confirm(`Are you sure you want to ${action} ${user.user_name}?`)) return
+
+    try {
+      await axios.put(`/api/users/${user._id}`, { is_active: !user.is_active })
+      fetchUsers()
+    } catch (err) {
+      alert(err.response?.data?.message || `Failed to ${action} user`)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this user?')) return
+
+    try {
+      await axios.delete(`/api/users/${id}`)
+      fetchUsers()
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to delete user')
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading users...</div>
+  }
+
+  return (
+    <div className="users-page">
+      <DepartmentHeader
+        title="User Management"
+        subtitle="Create and manage HOD, coordinator and faculty logins"
+      />
+
+      <div className="page-header">
+        <div></div>
+        <button className="btn btn-primary" onClick={openAddModal}>
+          + Add User
+        </button>
+      </div>
+
+      {error && !showModal && (
+        <div className="alert alert-danger">{error}</div>
+      )}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Role</th>
+              <th>Linked Teacher</th>
+              <th>Status</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.length === 0 ? (
+              <tr>
+                <td colSpan="6" style={{ textAlign: 'center', padding: '40px' }}>
+                  No users found. Click "Add User" to get started.
+                </td>
+              </tr>
+            ) : (
+              users.map(user => {
+                const isSelf = user._id === loggedInUser.id
+
+                return (
+                  <tr key={user._id} className={user.is_active ? '' : 'user-disabled'}>
+                    <td>
+                      <strong className="user-name-cell">{user.user_name}</strong>
+                      {isSelf && <span className="text-muted"> (you)</span>}
+                    </td>
+                    <td>
+                      <span className={`badge badge-role-${user.role}`}>
+                        {ROLE_LABELS[user.role] || user.role}
+                      </span>
+                    </td>
+                    <td>
+                      {user.teacher_id ? (
+                        <span>{user.teacher_id.name} ({user.teacher_id.teacher_shortform})</span>
+                      ) : (
+                        <span className="text-muted">None</span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`status-pill ${user.is_active ? 'status-active' : 'status-disabled'}`}>
+                        {user.is_active ? 'Active' : 'Disabled'}
+                      </span>
+                    </td>
+                    <td>
+                      {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : (
+                        <span className="text-muted">Unknown</span>
+                      )}
+                    </td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          className="btn-icon btn-edit"
+                          onClick={() => openEditModal(user)}
+                          title="Edit / Reset Password"
+                        >
+                          ✏️
+                        </button>
+                        {!isSelf && (
+                          <button
+                            className="btn-icon btn-edit"
+                            onClick={() => handleToggleActive(user)}
+                            title={user.is_active ? 'Disable' : 'Enable'}
+                          >
+                            {user.is_active ? '🚫' : '✅'}
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <button
+                            className="btn-icon btn-delete"
+                            onClick={() => handleDelete(user._id)}
+                            title="Delete"
+                          >
+                            🗑️
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Add/Edit Modal */}
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>{editMode ? 'Edit User' : 'Add New User'}</h2>
+              <button className="modal-close" onClick={() => setShowModal(false)}>×</button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label>Username *</label>
+                <input
+                  type="text"
+                  name="user_name"
+                  value={formData.user_name}
+                  onChange={handleInputChange}
+                  placeholder="e.g., coordinator_2025"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label>{editMode ? 'New Password (leave blank to keep current)' : 'Password *'}</label>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  placeholder="At least 6 characters"
+                  minLength="6"
+                  required={!editMode}
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Role *</label>
+                <select name="role" value={formData.role} onChange={handleInputChange}>
+                  <option value="hod">{ROLE_LABELS.hod}</option>
+                  <option value="coordinator">{ROLE_LABELS.coordinator}</option>
+                  <option value="faculty">{ROLE_LABELS.faculty}</option>
+                </select>
+                <small className="form-hint">
+                  HOD: full access • Coordinator: generate/edit timetables and master data • Faculty: view only
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label>Linked Teacher</label>
+                <select name="teacher_id" value={formData.teacher_id} onChange={handleInputChange}>
+                  <option value="">-- Not linked --</option>
+                  {teachers.map(teacher => (
+                    <option key={teacher._id} value={teacher._id}>
+                      {teacher.name} ({teacher.teacher_shortform})
+                    </option>
+                  ))}
+                </select>
+                <small className="form-hint">
+                  Faculty logins linked to a teacher open directly on their own weekly timetable
+                </small>
+              </div>
+
+              <div className="form-group checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    name="is_active"
+                    checked={formData.is_active}
+                    onChange={handleInputChange}
+                  />
+                  Account active (disabled accounts cannot log in)
+                </label>
+              </div>
+
+              {error && (
+                <div className="alert alert-danger">{error}</div>
+              )}
+
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {editMode ? 'Update User' : 'Add User'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Users
@@ -0,0 +1,38 @@
+import axios from 'axios'
+
+/**
+ * File download helper
+ * Export endpoints need the login token, so a plain <a href> would be rejected.
+ * Fetches the file through axios (token interceptor) and saves it under the
+ * name from the server's Content-Disposition header.
+ */
+
+export async function downloadFile(url, params, fallbackName) {
+  const response = await axios.get(url, { params, responseType: 'blob' })
+
+  const disposition = response.headers['content-disposition'] || ''
+  const match = disposition.match(/filename="?([^";]+)"?/)
+  const fileName = match ? match[1] : fallbackName
+
+  const objectUrl = URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(objectUrl)
+}
+
+// Error responses arrive as blobs too - read the JSON message out of them
+export async function downloadErrorMessage(err, fallback) {
+  const data = err.response?.data
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback
+    } catch {
+      return fallback
+    }
+  }
+  return data?.message || fallback
+}
@@ -0,0 +1,57 @@
+import { getToken, redirectToLogin } from './auth'
+
+/**
+ * Server-Sent Events helper
+ * EventSource cannot send the login token, so the stream is read through fetch
+ * with the same "Authorization: Bearer <token>" header axios uses.
+ * onEvent(event, data) is called for every "event:/data:" frame (data parsed as JSON).
+ * Resolves when the server closes the stream or signal (AbortController) aborts it.
+ */
+export async function streamEvents(url, onEvent, signal) {
+  try {
+    await readStream(url, onEvent, signal)
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err
+  }
+}
+
+async function readStream(url, onEvent, signal) {
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${getToken()}`, Accept: 'text/event-stream' },
+    signal
+  })
+
+  if (response.status === 401) {
+    redirectToLogin('Session expired, please log in again')
+    return
+  }
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}))
+    throw new Error(body.message || `Stream failed (${response.status})`)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    // Frames are separated by a blank line; lines starting with ":" are heartbeats
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let event = 'message'
+      const data = []
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+      }
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')))
+    }
+  }
+}
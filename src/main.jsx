@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { setupAxiosAuth } from './auth.js'
+
+// Attach the session token to every API call and handle expiry
+setupAxiosAuth()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>